@@ -0,0 +1,41 @@
+/**
+ * Record Cassette
+ *
+ * This script runs a research query against the configured providers and
+ * records every LLM call and search into a cassette file, which can then be
+ * replayed offline with the replay providers (see src/utils/cassette.js).
+ *
+ * Usage:
+ *   node record-cassette.js <cassette-file> "<query>" [provider] [searchProvider] [maxIterations]
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Import required modules
+const { performDirectResearch } = require('./src/utils/research');
+const { recordCassette } = require('./src/utils/cassette');
+
+async function main() {
+  const [filePath, query, provider = 'google', searchProvider = 'tavily', maxIterations = '1'] = process.argv.slice(2);
+  if (!filePath || !query) {
+    console.error('Usage: node record-cassette.js <cassette-file> "<query>" [provider] [searchProvider] [maxIterations]');
+    process.exit(1);
+  }
+
+  if (process.env.USE_MOCK_MODE === 'true') {
+    console.warn('USE_MOCK_MODE is enabled, the cassette will contain mock responses');
+  }
+
+  const { cassette } = await recordCassette(
+    () => performDirectResearch(query, 'en-US', provider, undefined, searchProvider, parseInt(maxIterations, 10) || 1),
+    { filePath }
+  );
+
+  console.log(`Recorded ${cassette.interactions.length} interactions to ${filePath}`);
+}
+
+main().catch(error => {
+  console.error('Error recording cassette:', error);
+  process.exit(1);
+});
@@ -1,5 +1,4 @@
 const express = require('express');
-const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 
@@ -9,6 +8,19 @@ dotenv.config({ path: path.join(__dirname, '../.env') });
 // Import custom logger
 const logger = require('./utils/logger');
 
+// Import the CORS policy
+const { createCorsMiddleware } = require('./utils/cors-policy');
+
+// Import response format negotiation
+const { createResponseFormatter } = require('./utils/response-format');
+
+// Import API authentication, rate limiting and quotas
+const { apiAuth } = require('./utils/api-auth');
+
+// Import API settings and versioned mount paths
+const settings = require('./settings');
+const { getVersionedPath, getLegacyPath, createDeprecationMiddleware } = require('./utils/api-versioning');
+
 // Import routes
 const researchRoutes = require('./routes/research');
 
@@ -21,12 +33,14 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 const serverLogger = logger.child({ component: 'server', category: logger.CATEGORIES.SERVER });
 
 // Middleware
-app.use(cors());
+app.use(createCorsMiddleware());
 
 // Request logging middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
   const requestId = Math.random().toString(36).substring(2, 15);
+  req.startTime = startTime;
+  req.requestId = requestId;
 
   // Create a request-specific logger with API category
   req.logger = logger.child({
@@ -65,6 +79,12 @@ app.use((req, res, next) => {
   next();
 });
 
+// Render API responses as JSON, XML or Markdown, including authentication errors
+app.use(settings.api.apiSettings.basePath, createResponseFormatter());
+
+// Authenticate API clients and apply their rate limits; the health check stays public
+app.use(settings.api.apiSettings.basePath, apiAuth.authenticate);
+
 // Custom middleware to handle raw body for JSON requests
 app.use((req, res, next) => {
   if (req.headers['content-type'] === 'application/json' && req.method === 'POST') {
@@ -152,8 +172,14 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
-app.use('/api/research', researchRoutes);
+// Routes, mounted at the versioned path (/api/v1/research)
+const researchPath = getVersionedPath('research');
+app.use(researchPath, researchRoutes);
+
+// Unversioned paths of earlier releases (/api/research) stay available as deprecated aliases
+if (settings.api.apiSettings.enableLegacyRoutes) {
+  app.use(getLegacyPath('research'), createDeprecationMiddleware(researchPath), researchRoutes);
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -206,7 +232,7 @@ if (require.main === module) {
     });
 
     // Log API endpoint information
-    serverLogger.server(`API available at http://localhost:${PORT}/api/research`);
+    serverLogger.server(`API available at http://localhost:${PORT}${researchPath}`);
 
     // If mock mode is enabled, log a prominent message
     if (mockModeEnabled) {
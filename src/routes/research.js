@@ -2,32 +2,82 @@ const express = require('express');
 const router = express.Router();
 const { z } = require('zod');
 
+// Import settings
+const settings = require('../settings');
+
 // Import research utilities
 const {
   generateSearchQueries,
   runSearchTasks,
   reviewSearchResults,
   writeFinalReport,
-  performDirectResearch,
+  factCheckReport,
+  performStructuredResearch,
   performProductResearch,
   normalizeMarkdownNewlines
 } = require('../utils/research');
 
+// Import the client identity and research quota middleware
+const { apiAuth, getClientId } = require('../utils/api-auth');
+
+// Import the provider API keys sent by clients
+const { getProviderCredentials } = require('../utils/provider-credentials');
+
+// Import the research run tracker for token usage
+const { createResearchRun } = require('../utils/research-run');
+
 // Import file utilities
 const { saveReportToFile } = require('../utils/file-utils');
 
+// Import the research job queue
+const { JOB_STATUS, researchJobQueue } = require('../utils/job-queue');
+
+// Import Server-Sent Events utilities
+const { openEventStream } = require('../utils/event-stream');
+
+// Import cancellation utilities
+const { abortOnClientDisconnect, isAbortError } = require('../utils/abort');
+
+// Import the research session store
+const { researchSessionStore } = require('../utils/session-store');
+
+// Import the LLM provider registry
+const { getLLMProvider, createUnsupportedProviderError } = require('../utils/llm-providers');
+const { getSearchProvider } = require('../utils/search-providers');
+
+// LLM provider names must be registered; unknown providers are rejected with a 400
+const LLMProviderSchema = z.string().refine(
+  provider => !!getLLMProvider(provider) && !getLLMProvider(provider).internal,
+  provider => ({ message: createUnsupportedProviderError(provider).message })
+);
+
+// Search providers; unknown ones fall back to mock search, internal ones cannot be requested
+const SearchProviderSchema = z.string().refine(
+  provider => !getSearchProvider(provider) || !getSearchProvider(provider).internal,
+  provider => ({ message: `Unsupported search provider: ${provider}` })
+);
+
 // Validation schemas
 const ResearchQuerySchema = z.object({
   query: z.string().min(1),
   language: z.string().default("en-US"),
-  provider: z.string().default("google"),
+  provider: LLMProviderSchema.default("google"),
   model: z.string().optional(),
-  searchProvider: z.string().default("tavily"),
+  searchProvider: SearchProviderSchema.default("tavily"),
   // Handle both number and string representations of numbers
   maxIterations: z.union([
     z.number(),
     z.string().regex(/^\d+$/).transform(val => parseInt(val, 10))
   ]).default(2),
+  // Research the query as a tree: queries per level at the top and number of levels
+  breadth: z.union([
+    z.number().int().min(1).max(10),
+    z.string().regex(/^\d+$/).transform(val => parseInt(val, 10)).pipe(z.number().int().min(1).max(10))
+  ]).optional(),
+  depth: z.union([
+    z.number().int().min(1).max(5),
+    z.string().regex(/^\d+$/).transform(val => parseInt(val, 10)).pipe(z.number().int().min(1).max(5))
+  ]).optional(),
   // Single mode parameter to replace promptType and reportStyle
   mode: z.enum(['default', 'academic', 'technical', 'news', 'product']).default('default'),
   // Handle both number and string representations of numbers
@@ -41,7 +91,38 @@ const ResearchQuerySchema = z.object({
     z.string().regex(/^\d+$/).transform(val => parseInt(val, 10))
   ]).optional(),
   detailLevel: z.enum(['brief', 'standard', 'comprehensive']).default('standard'),
+  // Write a comprehensive report in one call or outline first and section by section
+  reportMode: z.enum(['single', 'sectioned']).default('single'),
+  // Check the claims of the report against the research, and annotate or remove unsupported ones
+  factCheck: z.union([
+    z.boolean(),
+    z.string().transform(val => val.toLowerCase() === 'true')
+  ]).optional(),
+  factCheckMode: z.enum(['annotate', 'remove']).optional(),
   requirement: z.string().optional(),
+  // Run the research as a background job and return a job ID immediately
+  async: z.union([
+    z.boolean(),
+    z.string().transform(val => val.toLowerCase() === 'true')
+  ]).default(false),
+  // Return the query tree, sources, timings, models and errors along with the report
+  structured: z.union([
+    z.boolean(),
+    z.string().transform(val => val.toLowerCase() === 'true')
+  ]).default(false),
+  // Fetch the result pages and research their full text instead of the snippets
+  fetchFullContent: z.union([
+    z.boolean(),
+    z.string().transform(val => val.toLowerCase() === 'true')
+  ]).optional(),
+  // Limits for this run; they can only lower the server budget
+  budget: z.object({
+    maxTokens: z.number().int().positive().optional(),
+    maxCost: z.number().positive().optional(),
+    maxSearches: z.number().int().positive().optional(),
+    // Seconds spent gathering before the report is written
+    maxDuration: z.number().positive().optional()
+  }).optional(),
   // For backward compatibility
   reportStyle: z.string().optional(),
   promptType: z.string().optional()
@@ -83,9 +164,9 @@ const ProductQuerySchema = z.object({
   // Standard research parameters
   query: z.string().optional(),
   language: z.string().default("en-US"),
-  provider: z.string().default("google"),
+  provider: LLMProviderSchema.default("google"),
   model: z.string().optional(),
-  searchProvider: z.string().default("tavily"),
+  searchProvider: SearchProviderSchema.default("tavily"),
   maxResults: z.union([
     z.number(),
     z.string().regex(/^\d+$/).transform(val => parseInt(val, 10))
@@ -114,9 +195,9 @@ const LegacyProductQuerySchema = z.object({
     notes: z.string().optional()
   }).catchall(z.any()).optional().default({}),
   language: z.string().default("en-US"),
-  provider: z.string().default("google"),
+  provider: LLMProviderSchema.default("google"),
   model: z.string().optional(),
-  searchProvider: z.string().default("tavily"),
+  searchProvider: SearchProviderSchema.default("tavily"),
   maxResults: z.union([
     z.number(),
     z.string().regex(/^\d+$/).transform(val => parseInt(val, 10))
@@ -124,10 +205,341 @@ const LegacyProductQuerySchema = z.object({
 });
 
 /**
- * @route POST /api/research/query
+ * Convert a new-format product request into the format used by performProductResearch
+ *
+ * @param {Object} productData - Validated ProductQuerySchema data
+ * @returns {Object} - Product data with productCategory, userPreferences and extraDetails
+ */
+function convertProductRequest(productData) {
+  // Convert the new format to a format compatible with our product research function
+  const convertedProductData = {
+    productCategory: productData.context.productType,
+    productName: "",
+    userPreferences: {},
+    extraDetails: {}
+  };
+
+  // Extract preferences based on format
+  if (Array.isArray(productData.preferences.questions)) {
+    // Format with questions array
+    productData.preferences.questions.forEach(question => {
+      // Map common question types to our internal format
+      const text = question.text.toLowerCase();
+
+      if (text.includes('brand')) {
+        convertedProductData.userPreferences.brandPreference = question.answer;
+      } else if (text.includes('screen size')) {
+        convertedProductData.userPreferences.screenSize = question.answer;
+      } else if (text.includes('budget')) {
+        convertedProductData.userPreferences.budget = question.answer;
+      } else if (text.includes('feature')) {
+        if (!convertedProductData.userPreferences.features) {
+          convertedProductData.userPreferences.features = [];
+        }
+        convertedProductData.userPreferences.features.push(question.answer);
+      } else if (text.includes('color')) {
+        convertedProductData.userPreferences.color = question.answer;
+      } else {
+        // For other question types, store them in extraDetails
+        convertedProductData.extraDetails[text.replace(/\s+/g, '_')] = question.answer;
+        if (question.keywords) {
+          convertedProductData.extraDetails[`${text.replace(/\s+/g, '_')}_keywords`] = question.keywords;
+        }
+      }
+    });
+  } else {
+    // Format with direct key-value pairs
+    Object.entries(productData.preferences).forEach(([key, value]) => {
+      const keyLower = key.toLowerCase();
+
+      if (keyLower.includes('brand')) {
+        convertedProductData.userPreferences.brandPreference = value;
+      } else if (keyLower.includes('screen') && keyLower.includes('size')) {
+        convertedProductData.userPreferences.screenSize = value;
+      } else if (keyLower.includes('budget')) {
+        convertedProductData.userPreferences.budget = value;
+      } else if (keyLower.includes('feature')) {
+        if (!convertedProductData.userPreferences.features) {
+          convertedProductData.userPreferences.features = [];
+        }
+        convertedProductData.userPreferences.features.push(value);
+      } else if (keyLower.includes('color')) {
+        convertedProductData.userPreferences.color = value;
+      } else {
+        // For other preference types, store them in extraDetails
+        convertedProductData.extraDetails[keyLower.replace(/\s+/g, '_')] = value;
+      }
+    });
+  }
+
+  // Add metadata if available
+  if (productData.metadata) {
+    convertedProductData.metadata = productData.metadata;
+  }
+
+  return convertedProductData;
+}
+
+/**
+ * Check whether a job or session belongs to the client of a request
+ *
+ * Jobs and sessions of other clients are answered with 404, so their IDs
+ * cannot be probed. Sessions stored without an owner, from before sessions
+ * had one, are open to requests without an API key only.
+ *
+ * @param {string|null} owner - Client ID stored with the job or session
+ * @param {Object} req - Express request object
+ * @returns {boolean} - Whether the requesting client owns it
+ */
+function isOwnedByClient(owner, req) {
+  if (!owner) {
+    return !req.apiClient;
+  }
+  return owner === getClientId(req);
+}
+
+/**
+ * Count a stepwise request without a session against the daily research quota
+ *
+ * The steps of a session are counted once, when the session is started.
+ */
+function limitSessionlessResearchQuota(req, res, next) {
+  if (req.body && req.body.sessionId) {
+    return next();
+  }
+  return apiAuth.limitResearchQuota(req, res, next);
+}
+
+/**
+ * Load the research session referenced by a stepwise request
+ *
+ * Fields left out of the request are filled in from the session: the topic,
+ * the options of earlier steps, the queries still waiting to be searched and
+ * the learnings collected so far. Responds with 404 when the session does not
+ * exist or belongs to another client.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - `{ session, body }`, or null if a response was sent
+ */
+async function loadSessionRequest(req, res) {
+  const body = req.body || {};
+  if (!body.sessionId) {
+    return { session: null, body };
+  }
+
+  const session = await researchSessionStore.getSession(body.sessionId);
+  if (!session || !isOwnedByClient(session.client, req)) {
+    res.status(404).json({
+      code: 404,
+      message: "Session not found"
+    });
+    return null;
+  }
+
+  return {
+    session,
+    body: {
+      ...session.options,
+      topic: session.topic || undefined,
+      queries: session.pendingQueries,
+      learnings: session.learnings,
+      ...body
+    }
+  };
+}
+
+/**
+ * Reduce a structured research result to the fields of a plain response
+ *
+ * @param {Object} researchResult - Result of performStructuredResearch
+ * @returns {Object} - The report with its usage, the budget if it cut the research short, the query tree of tree research
+ *   and the fact-check of checked reports
+ */
+function pickUnstructuredResult({ report, usage, truncated, budget, tree, factCheck }) {
+  return {
+    report,
+    usage,
+    ...(truncated ? { truncated, budget } : {}),
+    ...(tree ? { tree } : {}),
+    ...(factCheck ? { factCheck } : {})
+  };
+}
+
+/**
+ * Read the provider API keys sent with a research request
+ *
+ * Sends a 400 response and returns null if the keys are misplaced, or missing
+ * while the server requires clients to bring their own.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} providers - LLM provider and search provider of the request
+ * @returns {Object|null} - Credentials for the research run
+ */
+function readProviderCredentials(req, res, providers) {
+  try {
+    return getProviderCredentials(req, providers);
+  } catch (error) {
+    res.status(error.statusCode || 400).json({
+      code: error.statusCode || 400,
+      message: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Stream a research run to the client as Server-Sent Events
+ *
+ * Emits `progress`, `queries`, `search_result`, `review`, `budget_exceeded`
+ * and `report_token` events while the research runs, followed by `done` with
+ * the final report, or `error` if the research could not be completed.
+ */
+async function handleResearchStream(req, res) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+
+  // Validate before opening the stream so invalid requests get a plain JSON error
+  let topic;
+  let runResearch;
+
+  if (body.mode === 'product' || body.context || body.promType === 'product') {
+    const productResult = ProductQuerySchema.safeParse(body);
+    const legacyProductResult = productResult.success ? null : LegacyProductQuerySchema.safeParse(body);
+
+    if (!productResult.success && !legacyProductResult.success) {
+      return res.status(400).json({
+        code: 400,
+        message: "Invalid request body",
+        errors: productResult.error.errors
+      });
+    }
+
+    const params = productResult.success ? productResult.data : legacyProductResult.data;
+    const productData = productResult.success ? convertProductRequest(productResult.data) : legacyProductResult.data;
+
+    const credentials = readProviderCredentials(req, res, { provider: params.provider, searchProvider: params.searchProvider });
+    if (!credentials) return;
+
+    topic = `${productData.productCategory} Research`;
+    runResearch = async (onProgress) => {
+      const run = createResearchRun({ client: getClientId(req) }, { credentials });
+      const report = await performProductResearch(
+        productData,
+        params.language,
+        params.provider,
+        params.model,
+        params.searchProvider,
+        2, // maxIterations
+        {
+          maxResults: params.maxResults || 12,
+          detailLevel: 'comprehensive',
+          responseFormat: productData.metadata?.responseFormat,
+          requireExactlyThreeProducts: true,
+          onProgress,
+          signal,
+          run
+        }
+      );
+      return { report, usage: run.getUsage() };
+    };
+  } else {
+    const result = ResearchQuerySchema.safeParse(body);
+    if (!result.success) {
+      return res.status(400).json({
+        code: 400,
+        message: "Invalid request body",
+        errors: result.error.errors
+      });
+    }
+
+    const {
+      query,
+      language,
+      provider,
+      model,
+      searchProvider,
+      maxIterations,
+      breadth,
+      depth,
+      reportStyle,
+      temperature,
+      maxResults,
+      promptType,
+      detailLevel,
+      reportMode,
+      factCheck,
+      factCheckMode,
+      requirement,
+      structured,
+      fetchFullContent,
+      budget
+    } = result.data;
+
+    const credentials = readProviderCredentials(req, res, { provider, searchProvider });
+    if (!credentials) return;
+
+    topic = query;
+    runResearch = async (onProgress) => {
+      const researchOptions = {
+        reportStyle, temperature, maxResults, model, promptType, detailLevel, reportMode, factCheck, factCheckMode, requirement, fetchFullContent, budget, breadth, depth, onProgress, signal,
+        client: getClientId(req),
+        credentials
+      };
+      const researchResult = await performStructuredResearch(query, language, provider, model, searchProvider, maxIterations, researchOptions);
+      return structured ? researchResult : pickUnstructuredResult(researchResult);
+    };
+  }
+
+  const stream = openEventStream(res);
+  // Stop the research when the client goes away
+  const signal = abortOnClientDisconnect(res);
+
+  try {
+    const researchResult = await runResearch((event) => {
+      const { type, ...data } = event;
+      stream.send(type, data);
+    });
+
+    let filePath;
+    try {
+      filePath = await saveReportToFile(researchResult.report, topic);
+    } catch (fileError) {
+      console.error("Error saving streamed report to file:", fileError);
+    }
+
+    stream.send('done', { ...researchResult, filePath });
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log("Streamed research cancelled after client disconnected");
+      return;
+    }
+    console.error("Error in research/query/stream API:", error);
+    stream.send('error', { message: error.message || "An unknown error occurred" });
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * @route POST /api/v1/research/query/stream
+ * @description Perform a complete research operation, streaming progress as Server-Sent Events
+ */
+router.post('/query/stream', apiAuth.limitResearchQuota, handleResearchStream);
+
+/**
+ * @route POST /api/v1/research/query
  * @description Perform a complete research operation in a single request
  */
-router.post('/query', async (req, res) => {
+router.post('/query', apiAuth.limitResearchQuota, async (req, res) => {
+  // Clients asking for an event stream get the streaming variant
+  if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+    return handleResearchStream(req, res);
+  }
+
+  // Stop the research when the client goes away before the response is sent
+  const signal = abortOnClientDisconnect(res);
+
   try {
     // Check if the request body is valid
     if (!req.body || typeof req.body !== 'object') {
@@ -150,6 +562,21 @@ router.post('/query', async (req, res) => {
     // Try to preprocess numeric string values
     const preprocessedBody = { ...req.body };
 
+    // Unknown LLM providers and internal providers are rejected even though other fields are fixed up leniently
+    if (preprocessedBody.provider !== undefined && !LLMProviderSchema.safeParse(preprocessedBody.provider).success) {
+      const providerError = createUnsupportedProviderError(preprocessedBody.provider);
+      return res.status(400).json({
+        code: 400,
+        message: providerError.message
+      });
+    }
+    if (typeof preprocessedBody.searchProvider === 'string' && !SearchProviderSchema.safeParse(preprocessedBody.searchProvider).success) {
+      return res.status(400).json({
+        code: 400,
+        message: `Unsupported search provider: ${preprocessedBody.searchProvider}`
+      });
+    }
+
     // Log the incoming request for debugging
     console.log('Received research query request:', JSON.stringify(preprocessedBody));
 
@@ -170,6 +597,30 @@ router.post('/query', async (req, res) => {
                               preprocessedBody.reportStyle === 'product')) &&
                              preprocessedBody.productCategory;
 
+    // Read the async and structured flags with the standard schema, before the mode is known
+    const readFlag = name => {
+      const parsed = ResearchQuerySchema.shape[name].safeParse(preprocessedBody[name]);
+      return parsed.success && parsed.data;
+    };
+    const asyncMode = readFlag('async');
+    const structuredMode = readFlag('structured');
+
+    // Asynchronous jobs are only available for standard research
+    if (asyncMode && (isNewProductMode || isLegacyProductMode)) {
+      return res.status(400).json({
+        code: 400,
+        message: "Asynchronous jobs are only supported for standard research queries"
+      });
+    }
+
+    // Structured results are only available for standard research
+    if (structuredMode && (isNewProductMode || isLegacyProductMode)) {
+      return res.status(400).json({
+        code: 400,
+        message: "Structured results are only supported for standard research queries"
+      });
+    }
+
     if (isNewProductMode) {
       console.log('Detected New Product Mode request');
 
@@ -183,74 +634,18 @@ router.post('/query', async (req, res) => {
         const productData = productResult.data;
 
         // Convert the new format to a format compatible with our product research function
-        const convertedProductData = {
-          productCategory: productData.context.productType,
-          productName: "",
-          userPreferences: {},
-          extraDetails: {}
-        };
-
-        // Extract preferences based on format
-        if (Array.isArray(productData.preferences.questions)) {
-          // Format with questions array
-          productData.preferences.questions.forEach(question => {
-            // Map common question types to our internal format
-            const text = question.text.toLowerCase();
-
-            if (text.includes('brand')) {
-              convertedProductData.userPreferences.brandPreference = question.answer;
-            } else if (text.includes('screen size')) {
-              convertedProductData.userPreferences.screenSize = question.answer;
-            } else if (text.includes('budget')) {
-              convertedProductData.userPreferences.budget = question.answer;
-            } else if (text.includes('feature')) {
-              if (!convertedProductData.userPreferences.features) {
-                convertedProductData.userPreferences.features = [];
-              }
-              convertedProductData.userPreferences.features.push(question.answer);
-            } else if (text.includes('color')) {
-              convertedProductData.userPreferences.color = question.answer;
-            } else {
-              // For other question types, store them in extraDetails
-              convertedProductData.extraDetails[text.replace(/\s+/g, '_')] = question.answer;
-              if (question.keywords) {
-                convertedProductData.extraDetails[`${text.replace(/\s+/g, '_')}_keywords`] = question.keywords;
-              }
-            }
-          });
-        } else {
-          // Format with direct key-value pairs
-          Object.entries(productData.preferences).forEach(([key, value]) => {
-            const keyLower = key.toLowerCase();
-
-            if (keyLower.includes('brand')) {
-              convertedProductData.userPreferences.brandPreference = value;
-            } else if (keyLower.includes('screen') && keyLower.includes('size')) {
-              convertedProductData.userPreferences.screenSize = value;
-            } else if (keyLower.includes('budget')) {
-              convertedProductData.userPreferences.budget = value;
-            } else if (keyLower.includes('feature')) {
-              if (!convertedProductData.userPreferences.features) {
-                convertedProductData.userPreferences.features = [];
-              }
-              convertedProductData.userPreferences.features.push(value);
-            } else if (keyLower.includes('color')) {
-              convertedProductData.userPreferences.color = value;
-            } else {
-              // For other preference types, store them in extraDetails
-              convertedProductData.extraDetails[keyLower.replace(/\s+/g, '_')] = value;
-            }
-          });
-        }
-
-        // Add metadata if available
-        if (productData.metadata) {
-          convertedProductData.metadata = productData.metadata;
-        }
+        const convertedProductData = convertProductRequest(productData);
 
         console.log('Converted product data:', JSON.stringify(convertedProductData, null, 2));
 
+        const credentials = readProviderCredentials(req, res, {
+          provider: productData.provider || "google",
+          searchProvider: productData.searchProvider || "tavily"
+        });
+        if (!credentials) return;
+
         // Perform product research
+        const run = createResearchRun({ client: getClientId(req) }, { credentials });
         try {
           const report = await performProductResearch(
             convertedProductData,
@@ -264,7 +659,9 @@ router.post('/query', async (req, res) => {
               detailLevel: 'comprehensive',
               responseFormat: productData.metadata?.responseFormat,
               // Pass additional options to ensure we get exactly 3 recommendations
-              requireExactlyThreeProducts: true
+              requireExactlyThreeProducts: true,
+              signal,
+              run
             }
           );
 
@@ -272,13 +669,17 @@ router.post('/query', async (req, res) => {
           try {
             const filePath = await saveReportToFile(report, `${convertedProductData.productCategory} Research`);
             // Return the report and file path
-            return res.json({ report, filePath });
+            return res.json({ report, usage: run.getUsage(), filePath });
           } catch (fileError) {
             console.error("Error saving product report to file:", fileError);
             // Still return the report even if file saving fails
-            return res.json({ report, error: "Failed to save report to file" });
+            return res.json({ report, usage: run.getUsage(), error: "Failed to save report to file" });
           }
         } catch (error) {
+          if (isAbortError(error)) {
+            console.log("Product research cancelled after client disconnected");
+            return;
+          }
           console.error("Error in product research:", error);
 
           // Generate a basic report even if the research process fails
@@ -312,7 +713,14 @@ router.post('/query', async (req, res) => {
         console.error('Invalid Legacy Product Mode request:', legacyProductResult.error.errors);
         // Continue with standard research as fallback
       } else {
+        const credentials = readProviderCredentials(req, res, {
+          provider: preprocessedBody.provider || "google",
+          searchProvider: preprocessedBody.searchProvider || "tavily"
+        });
+        if (!credentials) return;
+
         // Handle legacy product mode format
+        const run = createResearchRun({ client: getClientId(req) }, { credentials });
         try {
           const report = await performProductResearch(
             preprocessedBody,
@@ -324,7 +732,9 @@ router.post('/query', async (req, res) => {
             {
               maxResults: preprocessedBody.maxResults || 12,
               detailLevel: 'comprehensive',
-              requireExactlyThreeProducts: true
+              requireExactlyThreeProducts: true,
+              signal,
+              run
             }
           );
 
@@ -332,13 +742,17 @@ router.post('/query', async (req, res) => {
           try {
             const filePath = await saveReportToFile(report, `${preprocessedBody.productCategory} Research`);
             // Return the report and file path
-            return res.json({ report, filePath });
+            return res.json({ report, usage: run.getUsage(), filePath });
           } catch (fileError) {
             console.error("Error saving product report to file:", fileError);
             // Still return the report even if file saving fails
-            return res.json({ report, error: "Failed to save report to file" });
+            return res.json({ report, usage: run.getUsage(), error: "Failed to save report to file" });
           }
         } catch (error) {
+          if (isAbortError(error)) {
+            console.log("Legacy product research cancelled after client disconnected");
+            return;
+          }
           console.error("Error in legacy product research:", error);
 
           // Generate a basic report even if the research process fails
@@ -400,8 +814,9 @@ router.post('/query', async (req, res) => {
     }
 
     // Extract data from result if validation succeeded, or use defaults if it failed
-    let query, language, provider, model, searchProvider, maxIterations, reportStyle,
-        temperature, maxResults, promptType, detailLevel, requirement;
+    let query, language, provider, model, searchProvider, maxIterations, breadth, depth, reportStyle,
+        temperature, maxResults, promptType, detailLevel, reportMode, factCheck, factCheckMode, requirement,
+        fetchFullContent, budget;
 
     if (result.success) {
       // Use validated data
@@ -412,12 +827,19 @@ router.post('/query', async (req, res) => {
         model,
         searchProvider,
         maxIterations,
+        breadth,
+        depth,
         reportStyle,
         temperature,
         maxResults,
         promptType,
         detailLevel,
-        requirement
+        reportMode,
+        factCheck,
+        factCheckMode,
+        requirement,
+        fetchFullContent,
+        budget
       } = result.data);
     } else {
       // Use raw data with some basic validation/defaults
@@ -433,6 +855,11 @@ router.post('/query', async (req, res) => {
       model = req.body.model;
       searchProvider = req.body.searchProvider || "tavily";
       maxIterations = parseInt(req.body.maxIterations, 10) || 2;
+      // Out-of-range tree sizes fall back to iterative research
+      breadth = parseInt(req.body.breadth, 10) || undefined;
+      depth = parseInt(req.body.depth, 10) || undefined;
+      if (!(breadth >= 1 && breadth <= 10)) breadth = undefined;
+      if (!(depth >= 1 && depth <= 5)) depth = undefined;
       reportStyle = req.body.reportStyle;
       temperature = parseFloat(req.body.temperature) || undefined;
       maxResults = parseInt(req.body.maxResults, 10) || undefined;
@@ -440,9 +867,24 @@ router.post('/query', async (req, res) => {
       detailLevel = ['brief', 'standard', 'comprehensive'].includes(req.body.detailLevel)
         ? req.body.detailLevel
         : 'standard';
+      reportMode = req.body.reportMode === 'sectioned' ? 'sectioned' : 'single';
+      if (req.body.factCheck !== undefined) {
+        factCheck = String(req.body.factCheck).toLowerCase() === 'true';
+      }
+      factCheckMode = ['annotate', 'remove'].includes(req.body.factCheckMode) ? req.body.factCheckMode : undefined;
       requirement = req.body.requirement;
+      if (req.body.fetchFullContent !== undefined) {
+        fetchFullContent = String(req.body.fetchFullContent).toLowerCase() === 'true';
+      }
+      // Invalid limits are ignored when the budget is resolved
+      if (req.body.budget && typeof req.body.budget === 'object') {
+        budget = req.body.budget;
+      }
     }
 
+    const credentials = readProviderCredentials(req, res, { provider, searchProvider });
+    if (!credentials) return;
+
     console.log(`Starting research on: "${query}"`);
     console.log(`Provider: ${provider}, Search Provider: ${searchProvider}`);
     console.log(`Prompt Type: ${promptType || 'default'}, Detail Level: ${detailLevel}`);
@@ -455,22 +897,71 @@ router.post('/query', async (req, res) => {
       model,
       promptType,
       detailLevel,
-      requirement
+      reportMode,
+      factCheck,
+      factCheckMode,
+      requirement,
+      fetchFullContent,
+      budget,
+      breadth,
+      depth,
+      client: getClientId(req),
+      credentials
+    };
+
+    // Run the research, returning an object with at least the report, its token usage and budget
+    const runResearch = async (researchOptions) => {
+      const researchResult = await performStructuredResearch(query, language, provider, model, searchProvider, maxIterations, researchOptions);
+      return structuredMode ? researchResult : pickUnstructuredResult(researchResult);
     };
 
+    // Queue the research as a background job if requested
+    if (asyncMode) {
+      let job;
+      try {
+        job = researchJobQueue.submit(async ({ signal: jobSignal, reportProgress }) => {
+          const researchResult = await runResearch({
+            ...options,
+            signal: jobSignal,
+            onProgress: ({ type, ...progress }) => {
+              if (type === 'progress') {
+                reportProgress({ status: progress.stage, ...progress });
+              }
+            }
+          });
+
+          try {
+            const filePath = await saveReportToFile(researchResult.report, query);
+            return { ...researchResult, filePath };
+          } catch (fileError) {
+            console.error("Error saving job report to file:", fileError);
+            return { ...researchResult, error: "Failed to save report to file" };
+          }
+        }, { query, provider, model, searchProvider, maxIterations, breadth, depth, structured: structuredMode, client: getClientId(req) });
+      } catch (queueError) {
+        console.error("Error queueing research job:", queueError);
+        return res.status(queueError.statusCode || 500).json({
+          code: queueError.statusCode || 500,
+          message: queueError.message
+        });
+      }
+
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`
+      });
+    }
+
     // Perform the research
-    let report;
+    let researchResult;
     try {
-      report = await performDirectResearch(
-        query,
-        language,
-        provider,
-        model,
-        searchProvider,
-        maxIterations,
-        options
-      );
+      researchResult = await runResearch({ ...options, signal });
     } catch (researchError) {
+      if (isAbortError(researchError)) {
+        console.log("Research cancelled after client disconnected");
+        return;
+      }
       console.error("Error during research process, but continuing with basic report:", researchError);
       // Generate a basic report even if the research process fails
       const errorReport = `# Research Report on ${query}\n\n` +
@@ -478,18 +969,21 @@ router.post('/query', async (req, res) => {
               `We encountered an error while researching this topic: ${researchError.message}\n\n` +
               `Please try again later or refine your query.`;
 
-      report = normalizeMarkdownNewlines(errorReport);
+      researchResult = { report: normalizeMarkdownNewlines(errorReport) };
+      if (structuredMode) {
+        researchResult = { query, ...researchResult, errors: [{ step: 'research', message: researchError.message }] };
+      }
     }
 
     // Save the report to a file
     try {
-      const filePath = await saveReportToFile(report, query);
+      const filePath = await saveReportToFile(researchResult.report, query);
       // Return the report and file path
-      return res.json({ report, filePath });
+      return res.json({ ...researchResult, filePath });
     } catch (fileError) {
       console.error("Error saving report to file:", fileError);
       // Still return the report even if file saving fails
-      return res.json({ report, error: "Failed to save report to file" });
+      return res.json({ ...researchResult, error: "Failed to save report to file" });
     }
   } catch (error) {
     console.error("Error in research/query API:", error);
@@ -516,22 +1010,169 @@ router.post('/query', async (req, res) => {
 });
 
 /**
- * @route POST /api/research/start
+ * @route GET /api/v1/research/jobs
+ * @description List the research jobs of the client with their status and progress
+ */
+router.get('/jobs', (req, res) => {
+  const { status } = req.query;
+  const clientJobs = researchJobQueue.listJobs({ client: getClientId(req) });
+
+  // Leave out full reports, they can be fetched per job
+  const jobs = clientJobs.filter(job => !status || job.status === status).map(({ result, ...job }) => ({
+    ...job,
+    hasResult: !!result,
+    usage: result ? result.usage : undefined
+  }));
+
+  // Statistics cover the client's own jobs only, other clients' jobs are not disclosed
+  const finishedStatuses = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+  const countJobs = predicate => clientJobs.filter(predicate).length;
+  const stats = {
+    total: clientJobs.length,
+    queued: countJobs(job => job.status === JOB_STATUS.QUEUED),
+    running: countJobs(job => job.status !== JOB_STATUS.QUEUED && !finishedStatuses.includes(job.status)),
+    done: countJobs(job => job.status === JOB_STATUS.DONE),
+    failed: countJobs(job => job.status === JOB_STATUS.FAILED),
+    cancelled: countJobs(job => job.status === JOB_STATUS.CANCELLED)
+  };
+
+  return res.json({ jobs, stats });
+});
+
+/**
+ * @route GET /api/v1/research/jobs/:id
+ * @description Get the status, progress and result of a research job
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = researchJobQueue.getJob(req.params.id);
+
+  if (!job || !isOwnedByClient(job.metadata.client, req)) {
+    return res.status(404).json({
+      code: 404,
+      message: "Job not found"
+    });
+  }
+
+  return res.json(job);
+});
+
+/**
+ * @route DELETE /api/v1/research/jobs/:id
+ * @description Cancel a queued or running research job
+ */
+router.delete('/jobs/:id', (req, res) => {
+  try {
+    const job = researchJobQueue.getJob(req.params.id);
+
+    if (!job || !isOwnedByClient(job.metadata.client, req)) {
+      return res.status(404).json({
+        code: 404,
+        message: "Job not found"
+      });
+    }
+
+    return res.json(researchJobQueue.cancelJob(job.id));
+  } catch (error) {
+    console.error("Error cancelling research job:", error);
+    return res.status(error.statusCode || 500).json({
+      code: error.statusCode || 500,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/research/sessions
+ * @description List the stepwise research sessions of the client
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await researchSessionStore.listSessions({ client: getClientId(req), includeUnowned: !req.apiClient });
+    return res.json({ sessions });
+  } catch (error) {
+    console.error("Error listing research sessions:", error);
+    return res.status(500).json({
+      code: 500,
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/research/sessions/:id
+ * @description Get the full state of a research session, e.g. to resume it
+ */
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await researchSessionStore.getSession(req.params.id);
+
+    if (!session || !isOwnedByClient(session.client, req)) {
+      return res.status(404).json({
+        code: 404,
+        message: "Session not found"
+      });
+    }
+
+    return res.json(session);
+  } catch (error) {
+    console.error("Error reading research session:", error);
+    return res.status(500).json({
+      code: 500,
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/v1/research/sessions/:id
+ * @description Delete a research session
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const session = await researchSessionStore.getSession(req.params.id);
+    const deleted = session && isOwnedByClient(session.client, req)
+      ? await researchSessionStore.deleteSession(session.id)
+      : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        code: 404,
+        message: "Session not found"
+      });
+    }
+
+    return res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting research session:", error);
+    return res.status(500).json({
+      code: 500,
+      message: error.message || "An unknown error occurred"
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/research/start
  * @description Generate search queries for a topic
  */
-router.post('/start', async (req, res) => {
+router.post('/start', apiAuth.limitResearchQuota, async (req, res) => {
+  const signal = abortOnClientDisconnect(res);
+
   try {
+    const sessionRequest = await loadSessionRequest(req, res);
+    if (!sessionRequest) return;
+
     // Validate request body
     const StartSchema = z.object({
       topic: z.string().min(1),
       language: z.string().default("en-US"),
-      provider: z.string().default("google"),
+      provider: LLMProviderSchema.default("google"),
       model: z.string().optional(),
       promptType: z.string().optional(),
       detailLevel: z.enum(['brief', 'standard', 'comprehensive']).default('standard')
     });
 
-    const result = StartSchema.safeParse(req.body);
+    const result = StartSchema.safeParse(sessionRequest.body);
     if (!result.success) {
       return res.status(400).json({
         code: 400,
@@ -541,12 +1182,27 @@ router.post('/start', async (req, res) => {
     }
 
     const { topic, language, provider, model, promptType, detailLevel } = result.data;
+    const credentials = readProviderCredentials(req, res, { provider, searchProvider: '' });
+    if (!credentials) return;
 
     // Generate search queries
-    const queries = await generateSearchQueries(topic, language, provider, model, promptType, detailLevel);
+    const run = createResearchRun({ client: getClientId(req) }, { credentials });
+    const queries = await generateSearchQueries(topic, language, provider, model, promptType, detailLevel, { signal, run });
 
-    return res.json(queries);
+    // Record the queries in the session, starting a new one if none was given
+    const session = sessionRequest.session || await researchSessionStore.createSession({ topic, client: getClientId(req) });
+    await researchSessionStore.recordStep(session.id, 'start', {
+      topic,
+      queries: queries.queries || [],
+      options: { language, provider, model, promptType, detailLevel }
+    });
+
+    return res.json({ ...queries, usage: run.getUsage(), sessionId: session.id });
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log("research/start cancelled after client disconnected");
+      return;
+    }
     console.error("Error in research/start API:", error);
     return res.status(500).json({
       code: 500,
@@ -556,11 +1212,16 @@ router.post('/start', async (req, res) => {
 });
 
 /**
- * @route POST /api/research/search
+ * @route POST /api/v1/research/search
  * @description Run search tasks for a set of queries
  */
-router.post('/search', async (req, res) => {
+router.post('/search', limitSessionlessResearchQuota, async (req, res) => {
+  const signal = abortOnClientDisconnect(res);
+
   try {
+    const sessionRequest = await loadSessionRequest(req, res);
+    if (!sessionRequest) return;
+
     // Validate request body
     const SearchSchema = z.object({
       queries: z.array(z.object({
@@ -568,13 +1229,13 @@ router.post('/search', async (req, res) => {
         researchGoal: z.string()
       })),
       language: z.string().default("en-US"),
-      provider: z.string().default("google"),
+      provider: LLMProviderSchema.default("google"),
       model: z.string().optional(),
       enableSearch: z.union([
         z.boolean(),
         z.string().transform(val => val.toLowerCase() === 'true')
       ]).default(true),
-      searchProvider: z.string().default("tavily"),
+      searchProvider: SearchProviderSchema.default("tavily"),
       parallelSearch: z.union([
         z.boolean(),
         z.string().transform(val => val.toLowerCase() === 'true')
@@ -582,10 +1243,14 @@ router.post('/search', async (req, res) => {
       searchMaxResult: z.union([
         z.number(),
         z.string().regex(/^\d+$/).transform(val => parseInt(val, 10))
-      ]).default(5)
+      ]).default(5),
+      fetchFullContent: z.union([
+        z.boolean(),
+        z.string().transform(val => val.toLowerCase() === 'true')
+      ]).optional()
     });
 
-    const result = SearchSchema.safeParse(req.body);
+    const result = SearchSchema.safeParse(sessionRequest.body);
     if (!result.success) {
       return res.status(400).json({
         code: 400,
@@ -602,10 +1267,14 @@ router.post('/search', async (req, res) => {
       enableSearch,
       searchProvider,
       parallelSearch,
-      searchMaxResult
+      searchMaxResult,
+      fetchFullContent
     } = result.data;
+    const credentials = readProviderCredentials(req, res, { provider, searchProvider: enableSearch ? searchProvider : '' });
+    if (!credentials) return;
 
     // Run search tasks
+    const run = createResearchRun({ client: getClientId(req) }, { credentials });
     const searchResults = await runSearchTasks(
       queries,
       language,
@@ -614,11 +1283,25 @@ router.post('/search', async (req, res) => {
       enableSearch,
       searchProvider,
       parallelSearch,
-      searchMaxResult
+      searchMaxResult,
+      { signal, fetchFullContent, run }
     );
+    const usage = run.getUsage();
+
+    if (sessionRequest.session) {
+      await researchSessionStore.recordStep(sessionRequest.session.id, 'search', {
+        results: searchResults.results,
+        options: { language, provider, model, enableSearch, searchProvider, parallelSearch, searchMaxResult, fetchFullContent }
+      });
+      return res.json({ ...searchResults, usage, sessionId: sessionRequest.session.id });
+    }
 
-    return res.json(searchResults);
+    return res.json({ ...searchResults, usage });
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log("research/search cancelled after client disconnected");
+      return;
+    }
     console.error("Error in research/search API:", error);
     return res.status(500).json({
       code: 500,
@@ -628,22 +1311,27 @@ router.post('/search', async (req, res) => {
 });
 
 /**
- * @route POST /api/research/review
+ * @route POST /api/v1/research/review
  * @description Review search results and suggest further queries
  */
-router.post('/review', async (req, res) => {
+router.post('/review', limitSessionlessResearchQuota, async (req, res) => {
+  const signal = abortOnClientDisconnect(res);
+
   try {
+    const sessionRequest = await loadSessionRequest(req, res);
+    if (!sessionRequest) return;
+
     // Validate request body
     const ReviewSchema = z.object({
       topic: z.string().min(1),
       learnings: z.array(z.string()),
       suggestion: z.string().default(""),
       language: z.string().default("en-US"),
-      provider: z.string().default("google"),
+      provider: LLMProviderSchema.default("google"),
       model: z.string().optional()
     });
 
-    const result = ReviewSchema.safeParse(req.body);
+    const result = ReviewSchema.safeParse(sessionRequest.body);
     if (!result.success) {
       return res.status(400).json({
         code: 400,
@@ -653,19 +1341,37 @@ router.post('/review', async (req, res) => {
     }
 
     const { topic, learnings, suggestion, language, provider, model } = result.data;
+    const credentials = readProviderCredentials(req, res, { provider, searchProvider: '' });
+    if (!credentials) return;
 
     // Review search results
+    const run = createResearchRun({ client: getClientId(req) }, { credentials });
     const reviewResults = await reviewSearchResults(
       topic,
       learnings,
       suggestion,
       language,
       provider,
-      model
+      model,
+      { signal, run }
     );
+    const usage = run.getUsage();
 
-    return res.json(reviewResults);
+    // Only record successful reviews, so a failed one can simply be retried
+    if (sessionRequest.session && !reviewResults.error) {
+      await researchSessionStore.recordStep(sessionRequest.session.id, 'review', {
+        queries: reviewResults.queries || [],
+        options: { language, provider, model }
+      });
+      return res.json({ ...reviewResults, usage, sessionId: sessionRequest.session.id });
+    }
+
+    return res.json({ ...reviewResults, usage });
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log("research/review cancelled after client disconnected");
+      return;
+    }
     console.error("Error in research/review API:", error);
     return res.status(500).json({
       code: 500,
@@ -675,25 +1381,47 @@ router.post('/review', async (req, res) => {
 });
 
 /**
- * @route POST /api/research/report
+ * @route POST /api/v1/research/report
  * @description Generate a final report from research learnings
  */
-router.post('/report', async (req, res) => {
+router.post('/report', limitSessionlessResearchQuota, async (req, res) => {
+  const signal = abortOnClientDisconnect(res);
+
   try {
+    const sessionRequest = await loadSessionRequest(req, res);
+    if (!sessionRequest) return;
+
     // Validate request body
     const ReportSchema = z.object({
       topic: z.string().min(1),
-      learnings: z.array(z.string()),
+      // Learnings linked to their sources (as returned by /search in citedLearnings) are cited inline
+      learnings: z.array(z.union([
+        z.string(),
+        z.object({
+          text: z.string(),
+          sourceUrls: z.array(z.string()).default([])
+        })
+      ])),
+      sources: z.array(z.object({
+        url: z.string(),
+        title: z.string().optional()
+      })).default([]),
       language: z.string().default("en-US"),
-      provider: z.string().default("google"),
+      provider: LLMProviderSchema.default("google"),
       model: z.string().optional(),
       requirement: z.string().default(""),
       promptType: z.string().optional(),
       reportStyle: z.string().optional(),
-      detailLevel: z.enum(['brief', 'standard', 'comprehensive']).default('standard')
+      detailLevel: z.enum(['brief', 'standard', 'comprehensive']).default('standard'),
+      reportMode: z.enum(['single', 'sectioned']).default('single'),
+      factCheck: z.union([
+        z.boolean(),
+        z.string().transform(val => val.toLowerCase() === 'true')
+      ]).optional(),
+      factCheckMode: z.enum(['annotate', 'remove']).optional()
     });
 
-    const result = ReportSchema.safeParse(req.body);
+    const result = ReportSchema.safeParse(sessionRequest.body);
     if (!result.success) {
       return res.status(400).json({
         code: 400,
@@ -702,33 +1430,84 @@ router.post('/report', async (req, res) => {
       });
     }
 
-    const { topic, learnings, language, provider, model, requirement, promptType, reportStyle, detailLevel } = result.data;
+    const {
+      topic, learnings, language, provider, model, requirement, promptType, reportStyle, detailLevel, reportMode, factCheck, factCheckMode
+    } = result.data;
+
+    // Cite the sources collected in the session unless the client sent its own learnings
+    const sessionResults = sessionRequest.session && !(req.body && req.body.learnings)
+      ? sessionRequest.session.searchResults
+      : null;
+    const reportLearnings = sessionResults
+      ? sessionResults.flatMap(searchResult => searchResult.citedLearnings || searchResult.learnings || [])
+      : learnings;
+    const reportSources = sessionResults
+      ? sessionResults.flatMap(searchResult => searchResult.sources || [])
+      : result.data.sources;
 
     // Generate final report
+    const credentials = readProviderCredentials(req, res, { provider, searchProvider: '' });
+    if (!credentials) return;
+    const run = createResearchRun({ client: getClientId(req) }, { credentials });
     const report = await writeFinalReport(
       topic,
-      learnings,
+      reportLearnings,
       language,
       provider,
       model,
       requirement,
       promptType,
       reportStyle,
-      detailLevel
+      detailLevel,
+      { signal, sources: reportSources, run, reportMode }
     );
 
+    // Check the claims of the report against the learnings and sources it was written from
+    const factCheckEnabled = factCheck !== undefined ? factCheck : settings.app.factCheckSettings.enabled;
+    if (factCheckEnabled && !report.error) {
+      const checked = await factCheckReport(topic, report.report, reportLearnings, provider, model, {
+        mode: factCheckMode,
+        language,
+        sources: reportSources,
+        references: report.references,
+        run,
+        signal
+      });
+      report.report = checked.report;
+      report.references = checked.references;
+      report.factCheck = checked.factCheck;
+    }
+    const usage = run.getUsage();
+
     // The report is already normalized by the writeFinalReport function
     // Save the report to a file
+    let filePath;
     try {
-      const filePath = await saveReportToFile(report.report, topic);
-      // Return the report and file path
-      return res.json({ report: report.report, filePath });
+      filePath = await saveReportToFile(report.report, topic);
     } catch (fileError) {
       console.error("Error saving report to file:", fileError);
-      // Still return the report even if file saving fails
-      return res.json({ report: report.report, error: "Failed to save report to file" });
     }
+
+    const sessionId = sessionRequest.session ? sessionRequest.session.id : undefined;
+    if (sessionId && !report.error) {
+      await researchSessionStore.recordStep(sessionId, 'report', {
+        report: report.report,
+        references: report.references,
+        filePath,
+        options: { language, provider, model, requirement, promptType, reportStyle, detailLevel, reportMode }
+      });
+    }
+
+    // Still return the report even if file saving fails
+    const factCheckResult = report.factCheck ? { factCheck: report.factCheck } : {};
+    return filePath
+      ? res.json({ report: report.report, references: report.references, ...factCheckResult, usage, filePath, sessionId })
+      : res.json({ report: report.report, references: report.references, ...factCheckResult, usage, error: "Failed to save report to file", sessionId });
   } catch (error) {
+    if (isAbortError(error)) {
+      console.log("research/report cancelled after client disconnected");
+      return;
+    }
     console.error("Error in research/report API:", error);
 
     // Create a basic error report with proper markdown formatting
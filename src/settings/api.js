@@ -9,26 +9,57 @@ const apiSettings = {
   // Base path for the API
   basePath: '/api',
   
-  // API version
+  // API version, part of the mount path of the routes (/api/v1/research)
   version: 'v1',
   
+  // Whether the unversioned paths of earlier releases (/api/research) stay available as deprecated aliases
+  enableLegacyRoutes: process.env.LEGACY_ROUTES_ENABLED !== 'false',
+  
+  // Date the unversioned paths will be removed, sent in their Sunset header (e.g. 2027-06-30)
+  legacyRoutesSunset: process.env.LEGACY_ROUTES_SUNSET || null,
+  
   // Whether to enable CORS
-  enableCors: true,
+  enableCors: process.env.CORS_ENABLED !== 'false',
+  
+  // CORS allowed origins (empty array = all origins); `https://*.example.com` allows every subdomain
+  corsAllowedOrigins: (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
+  
+  // Whether allowed origins may send cookies and HTTP authentication (only with an allowlist)
+  corsAllowCredentials: process.env.CORS_ALLOW_CREDENTIALS === 'true',
+  
+  // How long browsers may cache preflight responses (in seconds)
+  corsMaxAge: parseInt(process.env.CORS_MAX_AGE, 10) || 600, // 10 minutes
   
-  // CORS allowed origins (empty array = all origins)
-  corsAllowedOrigins: [],
+  // CORS settings that differ for some paths, by path prefix, with the keys
+  // enabled, allowedOrigins, allowCredentials and maxAge
+  corsRouteOverrides: {
+    // Monitoring dashboards may check the health from any origin
+    '/health': { allowedOrigins: [], allowCredentials: false }
+  },
   
   // Whether to enable rate limiting
-  enableRateLimiting: false,
+  enableRateLimiting: process.env.RATE_LIMIT_ENABLED === 'true',
   
   // Rate limit window (in milliseconds)
-  rateLimitWindow: 60000, // 1 minute
+  rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 60000, // 1 minute
   
-  // Maximum number of requests per window
-  rateLimitMax: 60, // 60 requests per minute
+  // Maximum number of requests per client and window
+  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX, 10) || 60, // 60 requests per minute
   
   // Whether to enable API key authentication
-  enableApiKeyAuth: false,
+  enableApiKeyAuth: process.env.API_KEY_AUTH_ENABLED === 'true',
+  
+  // JSON file listing the API clients and their keys (see API.md)
+  apiKeysFile: process.env.API_KEYS_FILE || 'api-keys.json',
+  
+  // Research runs each client may start per UTC day (0 = unlimited)
+  dailyResearchQuota: parseInt(process.env.DAILY_RESEARCH_QUOTA, 10) || 0,
+  
+  // Whether research requests must bring their own LLM and search API keys in headers
+  requireClientProviderKeys: process.env.REQUIRE_CLIENT_PROVIDER_KEYS === 'true',
   
   // Whether to enable request logging
   enableRequestLogging: true
@@ -48,8 +79,11 @@ const responseSettings = {
   // Default response format
   defaultFormat: 'json',
   
-  // Available response formats
-  availableFormats: ['json', 'xml'],
+  // Available response formats (markdown returns the raw report of research responses)
+  availableFormats: ['json', 'xml', 'markdown'],
+  
+  // Whether to wrap JSON and XML responses in { data, meta } with the request ID, timing and version
+  envelope: process.env.RESPONSE_ENVELOPE === 'true',
   
   // Whether to pretty-print JSON responses
   prettyPrintJson: true
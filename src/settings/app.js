@@ -42,10 +42,98 @@ const appSettings = {
   enableSearch: true,
 
   // Whether to cache search results
-  enableSearchResultCaching: true,
+  enableSearchResultCaching: process.env.SEARCH_CACHE_ENABLED !== 'false',
 
   // How long to cache search results (in seconds)
-  searchResultCacheDuration: 3600, // 1 hour
+  searchResultCacheDuration: parseInt(process.env.SEARCH_CACHE_DURATION, 10) || 3600, // 1 hour
+
+  // Maximum number of search results kept in memory
+  searchResultCacheMaxEntries: 500,
+
+  // Whether to also keep cached search results on disk so they survive restarts
+  persistSearchResultCache: process.env.SEARCH_CACHE_PERSIST === 'true',
+};
+
+// Research Job Settings
+const jobSettings = {
+  // Maximum number of research jobs running at the same time
+  maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2,
+
+  // Maximum number of jobs waiting in the queue before new submissions are rejected
+  maxQueuedJobs: parseInt(process.env.MAX_QUEUED_JOBS, 10) || 50,
+
+  // How long to keep finished jobs available for polling (in seconds)
+  jobRetention: 3600, // 1 hour
+};
+
+// Research Budget Settings, limiting every research run; unset limits are unlimited
+const budgetSettings = {
+  // Maximum LLM tokens (input and output) per research run
+  maxTokens: parseInt(process.env.BUDGET_MAX_TOKENS, 10) || null,
+
+  // Maximum estimated LLM cost per research run, in the currency of the LLM prices
+  maxCost: parseFloat(process.env.BUDGET_MAX_COST) || null,
+
+  // Maximum search calls per research run
+  maxSearches: parseInt(process.env.BUDGET_MAX_SEARCHES, 10) || null,
+
+  // Maximum time spent gathering per research run (in seconds)
+  maxDuration: parseInt(process.env.BUDGET_MAX_DURATION, 10) || null
+};
+
+// Learning Consolidation Settings, used to merge duplicate learnings before the report is written
+const consolidationSettings = {
+  // Whether duplicate and near-duplicate learnings are merged
+  enabled: process.env.CONSOLIDATE_LEARNINGS !== 'false',
+
+  // How similarity is measured: 'lexical' (word overlap) or 'embeddings' (cosine similarity)
+  method: process.env.CONSOLIDATION_METHOD || 'lexical',
+
+  // Minimum word overlap (Jaccard index, 0-1) of near-duplicate learnings
+  lexicalThreshold: parseFloat(process.env.CONSOLIDATION_LEXICAL_THRESHOLD) || 0.6,
+
+  // Minimum cosine similarity (0-1) of near-duplicate learnings
+  embeddingThreshold: parseFloat(process.env.CONSOLIDATION_EMBEDDING_THRESHOLD) || 0.9,
+
+  // Base URL of an OpenAI-compatible embeddings API, e.g. http://localhost:11434/v1 for Ollama
+  embeddingBaseUrl: process.env.EMBEDDING_BASE_URL || process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+
+  // Name of the environment variable holding the embeddings API key (optional for local servers)
+  embeddingApiKeyEnvVar: 'EMBEDDING_API_KEY',
+
+  // Embedding model
+  embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+
+  // Maximum number of learnings embedded per request
+  embeddingBatchSize: 100
+};
+
+// Fact-Checking Settings, used to check the claims of the final report against the research
+const factCheckSettings = {
+  // Whether reports are fact-checked when the request does not say
+  enabled: process.env.FACT_CHECK === 'true',
+
+  // What happens to unsupported claims: 'annotate' (mark them) or 'remove' (delete their sentences)
+  mode: process.env.FACT_CHECK_MODE || 'annotate',
+
+  // Maximum number of claims checked per report; later claims are left unchecked
+  maxClaims: parseInt(process.env.FACT_CHECK_MAX_CLAIMS, 10) || 60,
+
+  // Claims judged per model call
+  claimsPerBatch: 10,
+
+  // Learnings and source passages given as evidence for each claim
+  evidenceLearnings: 5,
+  evidenceSources: 2,
+
+  // Maximum characters of a source passage given as evidence
+  passageLength: 1000
+};
+
+// Storage Settings
+const storageSettings = {
+  // Directory for data kept across restarts, such as research sessions
+  dataDir: process.env.DATA_DIR || 'data',
 };
 
 // Environment Settings
@@ -89,6 +177,11 @@ const apiKeySettings = {
 
 module.exports = {
   appSettings,
+  jobSettings,
+  budgetSettings,
+  consolidationSettings,
+  factCheckSettings,
+  storageSettings,
   environmentSettings,
   apiKeySettings
 };
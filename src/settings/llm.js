@@ -2,13 +2,17 @@
  * LLM Settings
  *
  * This file contains settings related to Language Models.
- * Includes configuration for Google Gemini and Open Router.
+ * Includes configuration for Google Gemini, Open Router, OpenAI-compatible
+ * servers, Ollama and Anthropic.
  */
 
 // Get environment variables with defaults
 const DEFAULT_THINKING_MODEL = process.env.DEFAULT_THINKING_MODEL || 'gemini-2.0-flash-thinking-exp-01-21';
 const DEFAULT_NETWORKING_MODEL = process.env.DEFAULT_NETWORKING_MODEL || 'gemini-2.0-flash-001';
 const DEFAULT_OPENROUTER_MODEL = process.env.DEFAULT_OPENROUTER_MODEL || 'google/gemini-2.5-pro-exp-03-25:free';
+const DEFAULT_OPENAI_COMPATIBLE_MODEL = process.env.DEFAULT_OPENAI_COMPATIBLE_MODEL || 'gpt-4o-mini';
+const DEFAULT_OLLAMA_MODEL = process.env.DEFAULT_OLLAMA_MODEL || 'llama3.1';
+const DEFAULT_ANTHROPIC_MODEL = process.env.DEFAULT_ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
 
 // Google Gemini Settings
 const googleSettings = {
@@ -18,6 +22,9 @@ const googleSettings = {
   // Model for networking tasks (search processing, report writing)
   networkingModel: 'gemini-2.0-flash-001',//use Gemini 2.0 Flash,
 
+  // Smaller model used when retrying rate limited requests
+  fallbackModel: 'gemini-1.5-flash',
+
   // Default temperature for generation
   defaultTemperature: 0.7,
 
@@ -78,6 +85,72 @@ const openRouterSettings = {
   ]
 };
 
+// OpenAI-compatible Settings (OpenAI, vLLM, LM Studio, llama.cpp server, ...)
+const openAICompatibleSettings = {
+  // Base URL of the API including the version prefix, e.g. http://localhost:8000/v1
+  baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+
+  // Name of the environment variable holding the API key (optional for local servers)
+  apiKeyEnvVar: 'OPENAI_COMPATIBLE_API_KEY',
+
+  // Model for thinking tasks (query generation, review)
+  thinkingModel: DEFAULT_OPENAI_COMPATIBLE_MODEL,
+
+  // Model for networking tasks (search processing, report writing)
+  networkingModel: DEFAULT_OPENAI_COMPATIBLE_MODEL,
+
+  // Default temperature for generation
+  defaultTemperature: 0.7,
+
+  // Default maximum output tokens
+  defaultMaxOutputTokens: 4096
+};
+
+// Ollama Settings
+const ollamaSettings = {
+  // Base URL of the Ollama server
+  baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+
+  // Model for thinking tasks (query generation, review)
+  thinkingModel: DEFAULT_OLLAMA_MODEL,
+
+  // Model for networking tasks (search processing, report writing)
+  networkingModel: DEFAULT_OLLAMA_MODEL,
+
+  // Default temperature for generation
+  defaultTemperature: 0.7,
+
+  // Default maximum output tokens
+  defaultMaxOutputTokens: 4096,
+
+  // Context window size in tokens (Ollama defaults to a much smaller window)
+  contextWindow: 32768
+};
+
+// Anthropic Settings
+const anthropicSettings = {
+  // Base URL of the Anthropic API
+  baseUrl: process.env.ANTHROPIC_API_BASE_URL || 'https://api.anthropic.com',
+
+  // Name of the environment variable holding the API key
+  apiKeyEnvVar: 'ANTHROPIC_API_KEY',
+
+  // API version sent with every request
+  apiVersion: '2023-06-01',
+
+  // Model for thinking tasks (query generation, review)
+  thinkingModel: DEFAULT_ANTHROPIC_MODEL,
+
+  // Model for networking tasks (search processing, report writing)
+  networkingModel: DEFAULT_ANTHROPIC_MODEL,
+
+  // Default temperature for generation
+  defaultTemperature: 0.7,
+
+  // Default maximum output tokens
+  defaultMaxOutputTokens: 8192
+};
+
 // Generation Settings
 const generationSettings = {
   // Default temperature for different tasks
@@ -101,25 +174,105 @@ const generationSettings = {
   includeReasoning: false
 };
 
+// LLM Response Cache Settings
+const llmCacheSettings = {
+  // Cache mode: off, read-write (serve hits, store misses), read-only (fail on misses)
+  // or record (always call the model and overwrite stored responses)
+  mode: process.env.LLM_CACHE_MODE || 'off',
+
+  // Directory for cached responses; defaults to llm-cache in the data directory
+  directory: process.env.LLM_CACHE_DIR || null
+};
+
+// Pricing Settings, used to estimate the cost of research runs
+const pricingSettings = {
+  // Currency of the prices
+  currency: 'USD',
+
+  // Price in the currency per million input and output tokens. Keys are model
+  // names, `provider:model` for a model of one provider only, or `provider:*`
+  // for every model of a provider. Models without a price are reported as unpriced.
+  prices: {
+    'gemini-2.0-flash-001': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-thinking-exp-01-21': { input: 0, output: 0 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+    'google/gemini-2.5-pro-exp-03-25:free': { input: 0, output: 0 },
+    'anthropic/claude-3-opus:beta': { input: 15.00, output: 75.00 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'claude-3-5-sonnet-latest': { input: 3.00, output: 15.00 },
+    'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 },
+    'ollama:*': { input: 0, output: 0 }
+  },
+
+  // JSON file with prices in the same format, overriding and extending the table above
+  pricesFile: process.env.LLM_PRICES_FILE || null
+};
+
+// Context Window Settings, used to keep prompts within the input limits of models
+const contextWindowSettings = {
+  // Context window in tokens. Keys are model names, `provider:model` for a model
+  // of one provider only, or `provider:*` for every model of a provider
+  windows: {
+    'gemini-2.0-flash-001': 1048576,
+    'gemini-2.0-flash-thinking-exp-01-21': 1048576,
+    'gemini-1.5-flash': 1048576,
+    'gemini-1.5-pro': 2097152,
+    'google/gemini-2.5-pro-exp-03-25:free': 1000000,
+    'anthropic/claude-3-opus:beta': 200000,
+    'gpt-4o': 128000,
+    'gpt-4o-mini': 128000,
+    'claude-3-5-sonnet-latest': 200000,
+    'claude-3-5-haiku-latest': 200000,
+    'ollama:*': ollamaSettings.contextWindow
+  },
+
+  // Context window of models missing from the table
+  defaultWindow: parseInt(process.env.DEFAULT_CONTEXT_WINDOW, 10) || 32768,
+
+  // Approximate characters per token of the providers' tokenizers
+  charsPerToken: {
+    default: 4,
+    anthropic: 3.5
+  },
+
+  // Share of the context window left free because token counts are estimates
+  safetyMargin: 0.1,
+
+  // Rounds of condensing learnings for the report before the least supported ones are left out
+  maxCondenseRounds: 3
+};
+
 // Provider Settings
 const providerSettings = {
   // Default provider
   defaultProvider: process.env.DEFAULT_LLM_PROVIDER || 'google',
 
-  // Available providers
-  availableProviders: ['google', 'openrouter', 'mock'],
+  // Built-in providers; more can be added with registerLLMProvider in src/utils/llm-providers.js
+  availableProviders: ['google', 'openrouter', 'openai-compatible', 'ollama', 'anthropic', 'mock', 'replay'],
 
   // Provider display names
   providerNames: {
     google: 'Google Gemini',
     openrouter: 'Open Router',
-    mock: 'Mock Provider (Testing)'
+    'openai-compatible': 'OpenAI-compatible API',
+    ollama: 'Ollama',
+    anthropic: 'Anthropic',
+    mock: 'Mock Provider (Testing)',
+    replay: 'Cassette Replay'
   }
 };
 
 module.exports = {
   googleSettings,
   openRouterSettings,
+  openAICompatibleSettings,
+  ollamaSettings,
+  anthropicSettings,
   generationSettings,
+  llmCacheSettings,
+  pricingSettings,
+  contextWindowSettings,
   providerSettings
 };
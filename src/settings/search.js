@@ -6,6 +6,12 @@
 
 // Tavily Search Settings
 const tavilySearchSettings = {
+  // Base URL of the Tavily API
+  baseUrl: process.env.TAVILY_API_BASE_URL || 'https://api.tavily.com',
+
+  // Name of the environment variable holding the API key(s), comma-separated
+  apiKeyEnvVar: 'TAVILY_API_KEY',
+
   // Search depth: 'basic' (faster) or 'advanced' (more thorough)
   searchDepth: 'advanced',
   
@@ -30,13 +36,155 @@ const tavilySearchSettings = {
   includeImages: false
 };
 
+// SearXNG Search Settings (self-hosted metasearch engine, no API key)
+const searxngSearchSettings = {
+  // Base URL of the SearXNG instance, e.g. http://localhost:8080
+  baseUrl: process.env.SEARXNG_BASE_URL || '',
+
+  // Comma-separated SearXNG categories to search
+  categories: 'general',
+
+  // Safe search level: 0 (off), 1 (moderate) or 2 (strict)
+  safeSearch: 1
+};
+
+// Brave Search Settings
+const braveSearchSettings = {
+  // Base URL of the Brave Search API
+  baseUrl: process.env.BRAVE_API_BASE_URL || 'https://api.search.brave.com',
+
+  // Name of the environment variable holding the API key(s), comma-separated
+  apiKeyEnvVar: 'BRAVE_API_KEY',
+
+  // Safe search level: 'off', 'moderate' or 'strict'
+  safeSearch: 'moderate'
+};
+
+// Bing Web Search Settings
+const bingSearchSettings = {
+  // Base URL of the Bing Web Search API
+  baseUrl: process.env.BING_API_BASE_URL || 'https://api.bing.microsoft.com',
+
+  // Name of the environment variable holding the API key(s), comma-separated
+  apiKeyEnvVar: 'BING_API_KEY',
+
+  // Safe search level: 'Off', 'Moderate' or 'Strict'
+  safeSearch: 'Moderate'
+};
+
+// Serper (Google Search API) Settings
+const serperSearchSettings = {
+  // Base URL of the Serper API
+  baseUrl: process.env.SERPER_API_BASE_URL || 'https://google.serper.dev',
+
+  // Name of the environment variable holding the API key(s), comma-separated
+  apiKeyEnvVar: 'SERPER_API_KEY'
+};
+
+// Elasticsearch Index Search Settings (self-hosted document index)
+const elasticsearchSearchSettings = {
+  // Base URL of the cluster, e.g. http://localhost:9200
+  baseUrl: process.env.ELASTICSEARCH_URL || '',
+
+  // Index (or comma-separated indices / alias) to search
+  index: process.env.ELASTICSEARCH_INDEX || 'documents',
+
+  // Document fields holding the title, content and URL of a result
+  titleField: 'title',
+  contentField: 'content',
+  urlField: 'url',
+
+  // Name of the environment variable holding an API key (sent as "ApiKey <key>")
+  apiKeyEnvVar: 'ELASTICSEARCH_API_KEY',
+
+  // Names of the environment variables holding basic auth credentials
+  usernameEnvVar: 'ELASTICSEARCH_USERNAME',
+  passwordEnvVar: 'ELASTICSEARCH_PASSWORD'
+};
+
+// OpenSearch Index Search Settings (same query API as Elasticsearch)
+const opensearchSearchSettings = {
+  // Base URL of the cluster, e.g. http://localhost:9200
+  baseUrl: process.env.OPENSEARCH_URL || '',
+
+  // Index (or comma-separated indices / alias) to search
+  index: process.env.OPENSEARCH_INDEX || 'documents',
+
+  // Document fields holding the title, content and URL of a result
+  titleField: 'title',
+  contentField: 'content',
+  urlField: 'url',
+
+  // Name of the environment variable holding an API key (sent as "ApiKey <key>")
+  apiKeyEnvVar: 'OPENSEARCH_API_KEY',
+
+  // Names of the environment variables holding basic auth credentials
+  usernameEnvVar: 'OPENSEARCH_USERNAME',
+  passwordEnvVar: 'OPENSEARCH_PASSWORD'
+};
+
+// Local Document Corpus Settings (markdown, text, HTML and PDF files in a directory)
+const localCorpusSearchSettings = {
+  // Directory with the documents, searched recursively
+  directory: process.env.LOCAL_CORPUS_DIR || '',
+
+  // File extensions to index
+  extensions: ['.md', '.markdown', '.txt', '.html', '.htm', '.pdf'],
+
+  // Target number of words per chunk
+  chunkSize: 300,
+
+  // Number of words repeated at the start of the next chunk
+  chunkOverlap: 50,
+
+  // Files larger than this many bytes are skipped
+  maxFileSize: 20 * 1024 * 1024,
+
+  // URL prefix the documents are served under, used in citations instead of file:// URLs
+  // Example: 'https://intranet.example.com/docs'
+  urlPrefix: process.env.LOCAL_CORPUS_URL_PREFIX || ''
+};
+
+// Page Fetch Settings (download result pages to replace search snippets with full text)
+const pageFetchSettings = {
+  // Fetch result pages by default; requests can override this with fetchFullContent
+  enabled: process.env.FETCH_FULL_CONTENT === 'true',
+
+  // Timeout per request in milliseconds
+  timeout: 10000,
+
+  // Maximum page size in bytes; larger HTML pages are cut off, larger PDFs are skipped
+  maxBytes: 5 * 1024 * 1024,
+
+  // Maximum number of tokens of page text passed to the model per result
+  maxTokens: 3000,
+
+  // Maximum number of pages fetched at once
+  maxConcurrency: 8,
+
+  // Maximum number of pages fetched at once from the same domain
+  perDomainConcurrency: 2,
+
+  // Whether to check robots.txt before fetching a page
+  respectRobotsTxt: true,
+
+  // How long robots.txt files are cached in milliseconds
+  robotsCacheTtl: 60 * 60 * 1000,
+
+  // Whether pages on localhost and private networks may be fetched
+  allowPrivateHosts: process.env.FETCH_ALLOW_PRIVATE_HOSTS === 'true',
+
+  // User agent sent with every request and matched against robots.txt groups
+  userAgent: 'DeepResearchBot/1.0'
+};
+
 // Search Provider Settings
 const searchProviderSettings = {
   // Default search provider to use
   defaultProvider: 'tavily',
   
-  // Available search providers
-  availableProviders: ['tavily', 'mock'],
+  // Built-in search providers; more can be added with registerSearchProvider in src/utils/search-providers.js
+  availableProviders: ['tavily', 'searxng', 'brave', 'bing', 'serper', 'elasticsearch', 'opensearch', 'local', 'mock', 'replay'],
   
   // Maximum number of search iterations for research
   maxIterations: 2
@@ -72,6 +220,14 @@ const topicSpecificSearchSettings = {
 
 module.exports = {
   tavilySearchSettings,
+  searxngSearchSettings,
+  braveSearchSettings,
+  bingSearchSettings,
+  serperSearchSettings,
+  elasticsearchSearchSettings,
+  opensearchSearchSettings,
+  localCorpusSearchSettings,
+  pageFetchSettings,
   searchProviderSettings,
   topicSpecificSearchSettings
 };
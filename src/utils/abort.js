@@ -0,0 +1,136 @@
+/**
+ * Cancellation Utilities
+ *
+ * This module provides helpers for cancelling research runs with an
+ * AbortSignal, so that cancelled runs stop issuing LLM and search calls.
+ */
+
+/**
+ * Create the error thrown when an operation is cancelled
+ *
+ * @param {string} message - Error message
+ * @returns {Error} - Error named AbortError with `cancelled` set
+ */
+function createAbortError(message = 'Research was cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Check whether an error was caused by cancellation
+ *
+ * Matches our own abort errors as well as those thrown by fetch.
+ *
+ * @param {Error} error - The error to check
+ * @returns {boolean} - Whether the error is an abort error
+ */
+function isAbortError(error) {
+  return !!error && (error.cancelled === true || error.name === 'AbortError');
+}
+
+/**
+ * Throw an abort error if the signal has been aborted
+ *
+ * @param {AbortSignal} signal - Optional signal to check
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Sleep for a number of milliseconds, waking early if the signal is aborted
+ *
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Optional signal that interrupts the sleep
+ * @returns {Promise<void>} - Rejects with an abort error when aborted
+ */
+function abortableSleep(ms, signal) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a signal that is aborted after a timeout or when another signal is aborted
+ *
+ * Works like `AbortSignal.any([signal, AbortSignal.timeout(ms)])`, which
+ * needs Node 18.17. Call `clear` once the operation has finished, so the
+ * timer and the listener on the other signal do not pile up while it lives.
+ *
+ * @param {number} ms - Timeout in milliseconds
+ * @param {AbortSignal} signal - Optional signal that aborts the returned signal as well
+ * @returns {Object} - `{ signal, clear }`, the signal being aborted with a TimeoutError or
+ *   the reason of the other signal
+ */
+function createTimeoutSignal(ms, signal) {
+  const controller = new AbortController();
+  if (signal && signal.aborted) {
+    controller.abort(signal.reason);
+    return { signal: controller.signal, clear: () => {} };
+  }
+
+  const onAbort = () => {
+    clear();
+    controller.abort(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    clear();
+    controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+  }, ms);
+  if (typeof timer.unref === 'function') timer.unref();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  function clear() {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+
+  return { signal: controller.signal, clear };
+}
+
+/**
+ * Create a signal that is aborted when the client closes the connection
+ * before the response has been completed
+ *
+ * @param {Object} res - Express response object
+ * @returns {AbortSignal} - Signal aborted on client disconnect
+ */
+function abortOnClientDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+module.exports = {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  abortableSleep,
+  createTimeoutSignal,
+  abortOnClientDisconnect
+};
@@ -0,0 +1,255 @@
+/**
+ * Anthropic API Integration
+ *
+ * This module talks to the Anthropic Messages API. Unlike chat completion
+ * APIs, the system prompt is a separate request field and the messages must
+ * alternate between user and assistant turns.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+
+// Create a module-specific logger
+const log = logger.child({ module: 'anthropic' });
+
+// Import settings
+const settings = require('../settings');
+
+// Import the Google Generative AI interface adapter
+const { toUsageMetadata, readLines, createChatModelWrapper } = require('./chat-model');
+
+/**
+ * Build an error from a failed Anthropic API response
+ *
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>} - Error with status and response data attached
+ */
+async function createApiError(response) {
+  let errorData;
+  try {
+    errorData = await response.json();
+  } catch (e) {
+    errorData = { error: 'Failed to parse error response' };
+  }
+
+  const error = new Error(`Anthropic API error: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.data = errorData;
+
+  log.error('API request failed', {
+    status: response.status,
+    statusText: response.statusText,
+    errorData
+  });
+
+  return error;
+}
+
+/**
+ * Split chat messages into the system prompt and alternating turns
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @returns {Object} - `{ system, messages }` in Messages API format
+ */
+function convertMessages(messages) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  // Consecutive messages of the same role are merged into one turn
+  const turns = [];
+  messages
+    .filter(message => message.role !== 'system')
+    .forEach(message => {
+      const previous = turns[turns.length - 1];
+      if (previous && previous.role === message.role) {
+        previous.content += '\n\n' + message.content;
+      } else {
+        turns.push({ role: message.role, content: message.content });
+      }
+    });
+
+  return { system, messages: turns };
+}
+
+/**
+ * Send a request to the Messages API
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as createChatCompletion
+ * @param {boolean} stream - Whether to request a streamed response
+ * @returns {Promise<Response>} - The fetch response
+ */
+async function requestMessages(messages, options, stream) {
+  const anthropicSettings = settings.llm.anthropicSettings;
+  const apiKey = options.apiKey || process.env[anthropicSettings.apiKeyEnvVar];
+
+  if (!apiKey) {
+    const error = new Error('Anthropic API key is required');
+    log.error('API key missing', { error: error.message });
+    throw error;
+  }
+
+  const baseUrl = (options.baseUrl || anthropicSettings.baseUrl).replace(/\/$/, '');
+  const model = options.model || anthropicSettings.networkingModel;
+  const temperature = options.temperature !== undefined ? options.temperature : anthropicSettings.defaultTemperature;
+  const maxTokens = options.maxTokens || anthropicSettings.defaultMaxOutputTokens;
+  const converted = convertMessages(messages);
+
+  log.debug(stream ? 'Creating streaming message' : 'Creating message', {
+    model,
+    temperature,
+    maxTokens,
+    messageCount: converted.messages.length
+  });
+
+  const response = await fetch(`${baseUrl}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': anthropicSettings.apiVersion
+    },
+    body: JSON.stringify({
+      model,
+      ...(converted.system ? { system: converted.system } : {}),
+      messages: converted.messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await createApiError(response);
+  }
+
+  return response;
+}
+
+/**
+ * Create a message with the Anthropic API
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Configuration options
+ * @param {string} options.model - Model to use (default: from settings)
+ * @param {number} options.temperature - Temperature for generation
+ * @param {number} options.maxTokens - Maximum tokens to generate
+ * @param {string} options.apiKey - Anthropic API key (optional, uses env var if not provided)
+ * @param {string} options.baseUrl - Base URL of the API (optional, uses settings if not provided)
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {Function} options.onUsage - Called with the token usage of the call (optional)
+ * @returns {Promise<Object>} - Response from the API
+ */
+async function createChatCompletion(messages, options = {}) {
+  try {
+    const response = await requestMessages(messages, options, false);
+    const data = await response.json();
+
+    log.debug('Message creation successful', {
+      model: data.model,
+      usage: data.usage,
+      stopReason: data.stop_reason
+    });
+
+    if (options.onUsage && data.usage) {
+      options.onUsage(toUsageMetadata(data.usage.input_tokens, data.usage.output_tokens));
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      log.debug('Message creation cancelled', { model: options.model });
+      throw error;
+    }
+
+    log.error('Error creating message', {
+      error: error.message,
+      model: options.model
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create a streaming message with the Anthropic API
+ *
+ * Yields the text of each content block delta as it arrives.
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as createChatCompletion
+ * @returns {AsyncGenerator<string>} - Generator of content deltas
+ */
+async function* createChatCompletionStream(messages, options = {}) {
+  const response = await requestMessages(messages, options, true);
+
+  // Input tokens arrive with message_start and output tokens with message_delta
+  let inputTokens;
+  let outputTokens;
+
+  // Parse the server-sent events; the event type is repeated in the data
+  for await (const line of readLines(response.body)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) continue;
+
+    let data;
+    try {
+      data = JSON.parse(trimmed.slice(5).trim());
+    } catch (e) {
+      log.warn('Failed to parse streamed chunk', { error: e.message });
+      continue;
+    }
+
+    if (data.type === 'error') {
+      const error = new Error(`Anthropic API error: ${data.error?.message || 'Stream error'}`);
+      error.data = data;
+      throw error;
+    }
+    if (data.type === 'content_block_delta' && data.delta?.text) {
+      yield data.delta.text;
+    }
+    if (data.type === 'message_start' && data.message?.usage) {
+      inputTokens = data.message.usage.input_tokens;
+    }
+    if (data.type === 'message_delta' && data.usage) {
+      outputTokens = data.usage.output_tokens;
+    }
+    if (data.type === 'message_stop') {
+      if (options.onUsage) {
+        options.onUsage(toUsageMetadata(inputTokens, outputTokens));
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Create a wrapper object that mimics the Google Generative AI interface
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.model - Model to use
+ * @param {number} options.temperature - Temperature for generation
+ * @param {number} options.maxOutputTokens - Maximum tokens to generate
+ * @param {string} options.apiKey - Anthropic API key (optional, uses env var if not provided)
+ * @returns {Object} - Wrapper object with generateContent method
+ */
+function createModelWrapper(options = {}) {
+  return createChatModelWrapper({
+    complete: async (messages, completionOptions) => {
+      const response = await createChatCompletion(messages, completionOptions);
+      return (response.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+    stream: createChatCompletionStream
+  }, options);
+}
+
+module.exports = {
+  createChatCompletion,
+  createChatCompletionStream,
+  createModelWrapper
+};
@@ -0,0 +1,364 @@
+/**
+ * API Authentication and Quotas
+ *
+ * This module provides the Express middleware that identifies API clients by
+ * their API key, limits how many requests each client may send per window and
+ * how many research runs it may start per UTC day. Clients and their keys are
+ * read from a JSON file, which is read again when it changes so keys can be
+ * added or revoked without a restart. Counters are kept in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'api-auth', category: logger.CATEGORIES.AUTH });
+
+// Import settings
+const settings = require('../settings');
+
+// Prefix of hashed keys in the API keys file
+const HASHED_KEY_PREFIX = 'sha256:';
+
+/**
+ * Hash an API key
+ *
+ * @param {string} key - API key
+ * @returns {string} - Hex SHA-256 digest of the key
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Get the API key sent with a request
+ *
+ * Keys are read from an `Authorization: Bearer <key>` header or an
+ * `X-API-Key` header.
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} - The key, or null if the request has none
+ */
+function getApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Get the identity a request is counted under
+ *
+ * @param {Object} req - Express request
+ * @returns {string} - The client ID, or the IP address of unauthenticated requests
+ */
+function getClientId(req) {
+  return req.apiClient ? req.apiClient.id : req.ip;
+}
+
+/**
+ * Check a client entry of the API keys file and turn its keys into hashes
+ *
+ * @param {Object} entry - Client entry with id, name, keys and optional limits
+ * @returns {Object|null} - The client, or null if the entry is invalid
+ */
+function normalizeClient(entry) {
+  if (!entry || typeof entry.id !== 'string' || !entry.id || !Array.isArray(entry.keys)) {
+    return null;
+  }
+
+  const keyHashes = entry.keys
+    .filter(key => typeof key === 'string' && key)
+    .map(key => (key.startsWith(HASHED_KEY_PREFIX) ? key.slice(HASHED_KEY_PREFIX.length).toLowerCase() : hashApiKey(key)))
+    .filter(hash => /^[0-9a-f]{64}$/.test(hash));
+
+  return {
+    id: entry.id,
+    name: typeof entry.name === 'string' ? entry.name : entry.id,
+    keyHashes,
+    rateLimitMax: Number.isInteger(entry.rateLimitMax) && entry.rateLimitMax > 0 ? entry.rateLimitMax : null,
+    dailyResearchQuota: Number.isInteger(entry.dailyResearchQuota) && entry.dailyResearchQuota >= 0 ? entry.dailyResearchQuota : null
+  };
+}
+
+/**
+ * Create a store of the clients listed in an API keys file
+ *
+ * The file holds `{ "clients": [{ "id", "name", "keys": [...] }] }`, where a
+ * key is either `sha256:<hex digest>` or the plain key. A client may set its
+ * own `rateLimitMax` and `dailyResearchQuota`.
+ *
+ * @param {string} filePath - Path of the API keys file
+ * @returns {Object} - Store with findClient and getClients methods
+ */
+function createClientStore(filePath) {
+  let loaded = { mtimeMs: null, clients: [] };
+
+  /**
+   * Read the file again if it changed since it was last read
+   */
+  function load() {
+    if (!filePath) {
+      return loaded.clients;
+    }
+
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    try {
+      const { mtimeMs } = fs.statSync(absolutePath);
+      if (mtimeMs === loaded.mtimeMs) {
+        return loaded.clients;
+      }
+
+      const data = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+      const entries = Array.isArray(data && data.clients) ? data.clients : [];
+      const clients = entries.map(entry => {
+        const client = normalizeClient(entry);
+        if (!client) {
+          log.warn('Ignoring invalid API client', { filePath });
+        }
+        return client;
+      }).filter(Boolean);
+
+      loaded = { mtimeMs, clients };
+      log.info('API keys loaded', { filePath, clientCount: clients.length });
+    } catch (error) {
+      // Keep the clients of the last good read, so a half-written file does not lock everyone out
+      log.error('Error reading API keys file', { filePath, error: error.message });
+    }
+    return loaded.clients;
+  }
+
+  return {
+    /**
+     * Find the client owning an API key
+     *
+     * @param {string} key - API key sent by the client
+     * @returns {Object|null} - The client, or null if no client has the key
+     */
+    findClient(key) {
+      const hash = Buffer.from(hashApiKey(key), 'hex');
+      return load().find(client =>
+        client.keyHashes.some(keyHash => crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), hash))
+      ) || null;
+    },
+
+    /**
+     * Get the clients of the file
+     *
+     * @returns {Array<Object>} - The clients
+     */
+    getClients() {
+      return load();
+    }
+  };
+}
+
+/**
+ * Send an authentication, rate limit or quota error
+ */
+function sendError(res, statusCode, message, headers = {}) {
+  res.set(headers);
+  return res.status(statusCode).json({
+    code: statusCode,
+    message
+  });
+}
+
+/**
+ * Get the milliseconds until the next UTC midnight
+ */
+function getMillisecondsUntilUtcMidnight(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime() - now;
+}
+
+/**
+ * Create the API authentication, rate limiting and quota middleware
+ *
+ * Options default to the API settings when the middleware runs, so changes to
+ * the settings apply to the shared instance.
+ *
+ * @param {Object} options - Options overriding the API settings (optional)
+ * @param {boolean} options.enabled - Require an API key on every request
+ * @param {string} options.apiKeysFile - Path of the API keys file
+ * @param {boolean} options.enableRateLimiting - Limit the requests per client and window
+ * @param {number} options.rateLimitWindow - Rate limit window in milliseconds
+ * @param {number} options.rateLimitMax - Requests per client and window
+ * @param {number} options.dailyResearchQuota - Research runs per client and UTC day, 0 for unlimited
+ * @param {Function} options.now - Clock returning the current time in milliseconds
+ * @returns {Object} - authenticate and limitResearchQuota middleware
+ */
+function createApiAuth(options = {}) {
+  const now = options.now || Date.now;
+  const stores = new Map();
+
+  // Requests per client in the current window, and research runs per client and day
+  const windows = new Map();
+  const quotas = new Map();
+
+  const getOption = (name) => (options[name] !== undefined ? options[name] : settings.api.apiSettings[name]);
+
+  /**
+   * Get the client store of the configured API keys file
+   */
+  function getStore() {
+    const filePath = getOption('apiKeysFile');
+    if (!stores.has(filePath)) {
+      stores.set(filePath, createClientStore(filePath));
+    }
+    return stores.get(filePath);
+  }
+
+  /**
+   * Count a request of a client against its rate limit
+   */
+  function consumeRequest(clientId, max) {
+    const windowMs = getOption('rateLimitWindow');
+    const time = now();
+
+    // Drop the windows that have ended so idle clients do not accumulate
+    if (windows.size > 1000) {
+      windows.forEach((window, id) => {
+        if (window.resetAt <= time) windows.delete(id);
+      });
+    }
+
+    let window = windows.get(clientId);
+    if (!window || window.resetAt <= time) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(clientId, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= max,
+      remaining: Math.max(0, max - window.count),
+      resetAt: window.resetAt,
+      retryAfter: Math.max(1, Math.ceil((window.resetAt - time) / 1000))
+    };
+  }
+
+  return {
+    /**
+     * Identify the client of a request and apply its rate limit
+     *
+     * Sets `req.apiClient` (`req.client` is the socket in Node) and adds the
+     * client ID to `req.logger`. Without API key authentication, clients are
+     * identified by their IP address.
+     */
+    authenticate(req, res, next) {
+      let client = null;
+
+      if (getOption('enableApiKeyAuth')) {
+        const key = getApiKey(req);
+        if (!key) {
+          return sendError(res, 401, 'API key required', { 'WWW-Authenticate': 'Bearer' });
+        }
+
+        client = getStore().findClient(key);
+        if (!client) {
+          log.warn('Rejected request with an invalid API key', { ip: req.ip, path: req.originalUrl || req.url });
+          return sendError(res, 401, 'Invalid API key', { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+        }
+
+        req.apiClient = {
+          id: client.id,
+          name: client.name,
+          rateLimitMax: client.rateLimitMax,
+          dailyResearchQuota: client.dailyResearchQuota
+        };
+        if (req.logger) {
+          req.logger = req.logger.child({ clientId: client.id });
+        }
+      }
+
+      if (getOption('enableRateLimiting')) {
+        const max = (client && client.rateLimitMax) || getOption('rateLimitMax');
+        const result = consumeRequest(getClientId(req), max);
+
+        res.set({
+          'X-RateLimit-Limit': String(max),
+          'X-RateLimit-Remaining': String(result.remaining),
+          'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+        });
+
+        if (!result.allowed) {
+          (req.logger || log).warn('Rate limit exceeded', { clientId: getClientId(req), limit: max });
+          return sendError(res, 429, `Rate limit of ${max} requests exceeded, retry in ${result.retryAfter} seconds`, {
+            'Retry-After': String(result.retryAfter)
+          });
+        }
+      }
+
+      next();
+    },
+
+    /**
+     * Count a research run against the daily quota of its client
+     *
+     * Runs rejected with a client error do not count.
+     */
+    limitResearchQuota(req, res, next) {
+      const quota = req.apiClient && req.apiClient.dailyResearchQuota !== null && req.apiClient.dailyResearchQuota !== undefined
+        ? req.apiClient.dailyResearchQuota
+        : getOption('dailyResearchQuota');
+      if (!quota) {
+        return next();
+      }
+
+      const time = now();
+      const day = new Date(time).toISOString().slice(0, 10);
+      const clientId = getClientId(req);
+
+      let usage = quotas.get(clientId);
+      if (!usage || usage.day !== day) {
+        usage = { day, count: 0 };
+        quotas.set(clientId, usage);
+      }
+
+      if (usage.count >= quota) {
+        const retryAfter = Math.ceil(getMillisecondsUntilUtcMidnight(time) / 1000);
+        (req.logger || log).warn('Daily research quota exceeded', { clientId, quota });
+        return sendError(res, 429, `Daily research quota of ${quota} runs exceeded`, {
+          'Retry-After': String(retryAfter),
+          'X-Quota-Limit': String(quota),
+          'X-Quota-Remaining': '0'
+        });
+      }
+
+      usage.count++;
+      res.set({
+        'X-Quota-Limit': String(quota),
+        'X-Quota-Remaining': String(quota - usage.count)
+      });
+
+      // Give the run back when the request was invalid
+      res.on('finish', () => {
+        if (res.statusCode >= 400 && res.statusCode < 500 && usage.count > 0) {
+          usage.count--;
+        }
+      });
+
+      next();
+    }
+  };
+}
+
+// Shared middleware of the server
+const apiAuth = createApiAuth();
+
+module.exports = {
+  hashApiKey,
+  getApiKey,
+  getClientId,
+  createClientStore,
+  createApiAuth,
+  apiAuth
+};
@@ -0,0 +1,96 @@
+/**
+ * API Versioning
+ *
+ * This module builds the versioned mount paths of the API from the API
+ * settings (`/api/v1/research`) and marks the unversioned paths of earlier
+ * releases (`/api/research`) as deprecated aliases. Responses on those paths
+ * carry `Deprecation`, `Sunset` and `Link` headers pointing clients to the
+ * versioned path, so response shapes can change in a new version without
+ * breaking clients that have not moved yet.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'api-versioning', category: logger.CATEGORIES.API });
+
+// Import settings
+const settings = require('../settings');
+
+/**
+ * Join a base path and path segments into a mount path
+ */
+function joinPath(...segments) {
+  const joined = segments
+    .map(segment => String(segment || '').replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+  return `/${joined}`;
+}
+
+/**
+ * Get the versioned mount path of a resource
+ *
+ * @param {string} resource - Resource name, e.g. research
+ * @param {Object} apiSettings - API settings with basePath and version
+ * @returns {string} - Mount path, e.g. /api/v1/research
+ */
+function getVersionedPath(resource, apiSettings = settings.api.apiSettings) {
+  return joinPath(apiSettings.basePath, apiSettings.version, resource);
+}
+
+/**
+ * Get the unversioned mount path of a resource used before versioning
+ *
+ * @param {string} resource - Resource name, e.g. research
+ * @param {Object} apiSettings - API settings with basePath
+ * @returns {string} - Mount path, e.g. /api/research
+ */
+function getLegacyPath(resource, apiSettings = settings.api.apiSettings) {
+  return joinPath(apiSettings.basePath, resource);
+}
+
+/**
+ * Format the sunset date of the legacy paths as an HTTP date
+ *
+ * @param {string} sunset - Date the legacy paths are removed, in any format Date parses
+ * @returns {string|null} - HTTP date, or null if no valid date is configured
+ */
+function formatSunset(sunset) {
+  if (!sunset) {
+    return null;
+  }
+  const date = new Date(sunset);
+  if (Number.isNaN(date.getTime())) {
+    log.warn('Ignoring invalid sunset date for the legacy API paths', { sunset });
+    return null;
+  }
+  return date.toUTCString();
+}
+
+/**
+ * Create the middleware marking a legacy path as deprecated
+ *
+ * @param {string} successorPath - Versioned mount path replacing the legacy one
+ * @param {Object} apiSettings - API settings with legacyRoutesSunset (optional)
+ * @returns {Function} - Express middleware
+ */
+function createDeprecationMiddleware(successorPath, apiSettings) {
+  return (req, res, next) => {
+    const sunset = formatSunset((apiSettings || settings.api.apiSettings).legacyRoutesSunset);
+
+    res.set('Deprecation', 'true');
+    if (sunset) {
+      res.set('Sunset', sunset);
+    }
+    res.append('Link', `<${successorPath}${req.path === '/' ? '' : req.path}>; rel="successor-version"`);
+
+    (req.logger || log).debug('Deprecated API path used', { successorPath });
+    next();
+  };
+}
+
+module.exports = {
+  getVersionedPath,
+  getLegacyPath,
+  createDeprecationMiddleware
+};
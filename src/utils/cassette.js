@@ -0,0 +1,433 @@
+/**
+ * Research Cassettes
+ *
+ * This module records every LLM call, search, page fetch and embeddings
+ * request of a research run, with its request and response, into a cassette
+ * file, and replays cassettes offline. During replay the `replay` LLM
+ * provider and the `replay` search provider answer each call with the
+ * recorded response for the same request, and page fetches and embeddings
+ * requests are answered from the cassette instead of the network, so
+ * regression tests can run realistic research transcripts without network
+ * access or API keys.
+ *
+ * Recording and replaying are scoped to the function passed to
+ * `recordCassette` or `replayCassette`, so concurrent runs do not mix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Import cancellation utilities
+const { isAbortError } = require('./abort');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'cassette', category: logger.CATEGORIES.TEST });
+
+// Import file utilities
+const { ensureDirectoryExists } = require('./file-utils');
+
+// Import key normalization shared with the caches
+const { sortKeys, normalizeQuery } = require('./search-cache');
+
+// Import settings
+const settings = require('../settings');
+
+// Import the provider registries for the replay providers
+const { registerLLMProvider } = require('./llm-providers');
+const { registerSearchProvider } = require('./search-providers');
+
+// Version of the cassette file format
+const CASSETTE_VERSION = 1;
+
+// Search options that do not change the results of a search
+const IGNORED_SEARCH_OPTIONS = ['signal', 'apiKey', 'apiKeys', 'searchProvider'];
+
+// Cassette and mode of the current run
+const cassetteStorage = new AsyncLocalStorage();
+
+/**
+ * Hash a value independently of the order of its object keys
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(sortKeys(value))).digest('hex');
+}
+
+/**
+ * Get the search options that identify a search
+ *
+ * @param {Object} options - performSearch options
+ * @returns {Object} - Options without the provider, signal and API key, with the default maxResults
+ */
+function getSearchCallOptions(options = {}) {
+  const callOptions = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !IGNORED_SEARCH_OPTIONS.includes(key))
+  );
+  return { ...callOptions, maxResults: options.maxResults || 10 };
+}
+
+/**
+ * Get the key matching an interaction to its replay
+ *
+ * LLM calls and embeddings requests are matched on their request, searches
+ * on the normalized query and options, and page fetches on the URL and
+ * options. Provider and model names of LLM calls are left out, so a cassette
+ * replays with the replay providers whatever it was recorded with.
+ *
+ * @param {Object} interaction - Recorded or requested interaction
+ * @returns {string} - Matching key
+ */
+function getInteractionKey(interaction) {
+  if (interaction.type === 'llm' || interaction.type === 'embeddings') {
+    return `${interaction.type}:${hashValue(interaction.request)}`;
+  }
+  if (interaction.type === 'page') {
+    return `page:${hashValue([interaction.url, interaction.options || {}])}`;
+  }
+  return `search:${hashValue([normalizeQuery(interaction.query), getSearchCallOptions(interaction.options)])}`;
+}
+
+/**
+ * Create the error for a request that is not on the cassette
+ *
+ * @param {Object} interaction - The requested interaction
+ * @returns {Error} - Error with code CASSETTE_MISS
+ */
+function createCassetteMissError(interaction) {
+  const descriptions = {
+    llm: () => `LLM request ${getInteractionKey(interaction).slice(4, 16)}`,
+    embeddings: () => `embeddings request ${getInteractionKey(interaction).slice(11, 23)}`,
+    page: () => `page ${interaction.url}`
+  };
+  const description = descriptions[interaction.type] ? descriptions[interaction.type]() : `search "${interaction.query}"`;
+  const error = new Error(`No recorded response on the cassette for ${description}`);
+  error.code = 'CASSETTE_MISS';
+  return error;
+}
+
+/**
+ * Create a cassette
+ *
+ * @param {Object} data - Cassette file contents to replay (optional)
+ * @param {Array<Object>} data.interactions - Recorded LLM calls, searches, page fetches and embeddings requests
+ * @returns {Object} - Cassette with record, take, countUnplayed, wrapModel, toJSON and save methods
+ */
+function createCassette(data = {}) {
+  const interactions = Array.isArray(data.interactions) ? [...data.interactions] : [];
+  const recordedAt = data.recordedAt || null;
+
+  // Responses not yet replayed, by key in recording order
+  const pending = new Map();
+
+  /**
+   * Make an interaction available for replay
+   */
+  function enqueue(interaction) {
+    const key = getInteractionKey(interaction);
+    if (!pending.has(key)) pending.set(key, []);
+    pending.get(key).push(interaction);
+  }
+  interactions.forEach(enqueue);
+
+  /**
+   * Add an interaction to the cassette
+   */
+  function record(interaction) {
+    interactions.push(interaction);
+    enqueue(interaction);
+  }
+
+  return {
+    interactions,
+
+    /**
+     * Record an LLM call
+     *
+     * @param {Object} call - Provider, model and generateContent request
+     * @param {string} text - Response text
+     */
+    recordLLM({ provider, model, request }, text) {
+      record({ type: 'llm', provider, model: model || null, request, response: { text } });
+    },
+
+    /**
+     * Record a search
+     *
+     * @param {Object} call - Query and performSearch options
+     * @param {Object} response - Search response with results
+     */
+    recordSearch({ query, options }, response) {
+      const { cacheStats, ...recordedResponse } = response || {};
+      record({
+        type: 'search',
+        provider: (options && options.searchProvider) || 'tavily',
+        query,
+        options: getSearchCallOptions(options),
+        response: recordedResponse
+      });
+    },
+
+    /**
+     * Record a page fetch or embeddings request
+     *
+     * @param {Object} call - Type and request of the call, `{ type: 'page', url, options }`
+     *   or `{ type: 'embeddings', request }`
+     * @param {*} response - Result of the call
+     * @param {Error} error - Error the call failed with instead (optional)
+     */
+    recordCall(call, response, error) {
+      record(error ? { ...call, response: null, error: error.message } : { ...call, response });
+    },
+
+    /**
+     * Take the next recorded response for a request
+     *
+     * Identical requests are answered with their recorded responses in order.
+     *
+     * @param {Object} interaction - Requested interaction with type and request or query and options
+     * @returns {Object} - The recorded response
+     * @throws {Error} - Error with code CASSETTE_MISS if no response is left for the request, or
+     *   the recorded error of a call that failed
+     */
+    take(interaction) {
+      const queue = pending.get(getInteractionKey(interaction));
+      if (!queue || queue.length === 0) {
+        throw createCassetteMissError(interaction);
+      }
+      const recorded = queue.shift();
+      if (recorded.error) {
+        throw new Error(recorded.error);
+      }
+      return recorded.response;
+    },
+
+    /**
+     * Count the recorded interactions that have not been replayed
+     *
+     * A replayed run that made the same calls as the recorded one leaves none.
+     *
+     * @returns {number} - Number of unplayed interactions
+     */
+    countUnplayed() {
+      return Array.from(pending.values()).reduce((count, queue) => count + queue.length, 0);
+    },
+
+    /**
+     * Wrap a model object so its calls are recorded
+     *
+     * @param {Object} model - Model with generateContent and optionally generateContentStream
+     * @param {Object} identity - Provider and model name of the model
+     * @returns {Object} - Model with the same interface
+     */
+    wrapModel(model, { provider, model: modelName }) {
+      const cassette = this;
+      const wrapped = Object.create(model);
+
+      wrapped.generateContent = async function(request, requestOptions = {}) {
+        const result = await model.generateContent(request, requestOptions);
+        cassette.recordLLM({ provider, model: modelName, request }, result.response.text());
+        return result;
+      };
+
+      if (typeof model.generateContentStream === 'function') {
+        wrapped.generateContentStream = async function(request, requestOptions = {}) {
+          const result = await model.generateContentStream(request, requestOptions);
+
+          // Record the response once the caller has consumed the whole stream
+          async function* recordStream() {
+            let fullText = '';
+            for await (const chunk of result.stream) {
+              fullText += chunk.text();
+              yield chunk;
+            }
+            cassette.recordLLM({ provider, model: modelName, request }, fullText);
+          }
+          return { stream: recordStream(), response: result.response };
+        };
+      }
+
+      return wrapped;
+    },
+
+    /**
+     * Get the cassette file contents
+     *
+     * @returns {Object} - Version, recording time and interactions
+     */
+    toJSON() {
+      return {
+        version: CASSETTE_VERSION,
+        recordedAt: recordedAt || new Date().toISOString(),
+        interactions
+      };
+    },
+
+    /**
+     * Write the cassette to a file
+     *
+     * @param {string} filePath - Path of the cassette file
+     * @returns {Promise<string>} - Absolute path of the written file
+     */
+    async save(filePath) {
+      const absolutePath = path.resolve(process.cwd(), filePath);
+      await ensureDirectoryExists(path.dirname(absolutePath));
+      await fs.promises.writeFile(absolutePath, JSON.stringify(this.toJSON(), null, 2), 'utf8');
+      log.info('Cassette saved', { filePath: absolutePath, interactionCount: interactions.length });
+      return absolutePath;
+    }
+  };
+}
+
+/**
+ * Load a cassette file for replay
+ *
+ * @param {string} filePath - Path of the cassette file
+ * @returns {Promise<Object>} - The cassette
+ */
+async function loadCassette(filePath) {
+  const data = JSON.parse(await fs.promises.readFile(path.resolve(process.cwd(), filePath), 'utf8'));
+  if (data.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version: ${data.version}`);
+  }
+  return createCassette(data);
+}
+
+/**
+ * Run a function and record its LLM calls, searches, page fetches and embeddings requests on a new cassette
+ *
+ * @param {Function} fn - Function running the research
+ * @param {Object} options - Recording options
+ * @param {string} options.filePath - Where to save the cassette (optional)
+ * @returns {Promise<Object>} - `{ result, cassette }`
+ */
+async function recordCassette(fn, options = {}) {
+  const cassette = createCassette();
+  const result = await cassetteStorage.run({ cassette, mode: 'record' }, fn);
+  if (options.filePath) {
+    await cassette.save(options.filePath);
+  }
+  return { result, cassette };
+}
+
+/**
+ * Run a function with the replay providers answering from a cassette
+ *
+ * @param {Object|string} cassette - Cassette or path of a cassette file
+ * @param {Function} fn - Function running the research with the replay providers
+ * @returns {Promise<*>} - Result of the function
+ */
+async function replayCassette(cassette, fn) {
+  const replayed = typeof cassette === 'string' ? await loadCassette(cassette) : cassette;
+  return cassetteStorage.run({ cassette: replayed, mode: 'replay' }, fn);
+}
+
+/**
+ * Get the cassette recording the current run
+ *
+ * @returns {Object|null} - The cassette, or null if the run is not recorded
+ */
+function getRecordingCassette() {
+  const context = cassetteStorage.getStore();
+  return context && context.mode === 'record' ? context.cassette : null;
+}
+
+/**
+ * Make a page fetch or embeddings request of the current run on its cassette
+ *
+ * While recording, the result of the call is recorded, and so is the error
+ * it fails with unless it was cancelled. While replaying, the recorded result
+ * is returned, or the recorded error thrown, without making the call.
+ *
+ * @param {Object} call - Type and request of the call, see recordCall
+ * @param {Function} makeCall - Function making the call
+ * @returns {Promise<*>} - Result of the call
+ */
+async function runOnCassette(call, makeCall) {
+  const context = cassetteStorage.getStore();
+  if (!context) {
+    return makeCall();
+  }
+  if (context.mode === 'replay') {
+    return context.cassette.take(call);
+  }
+
+  try {
+    const response = await makeCall();
+    context.cassette.recordCall(call, response);
+    return response;
+  } catch (error) {
+    if (!isAbortError(error)) {
+      context.cassette.recordCall(call, null, error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the cassette replayed in the current run
+ *
+ * @returns {Object} - The cassette
+ * @throws {Error} - Error with statusCode 400 outside of replayCassette
+ */
+function getReplayCassette() {
+  const context = cassetteStorage.getStore();
+  if (!context || context.mode !== 'replay') {
+    const error = new Error('The replay provider can only be used while a cassette is replayed');
+    error.statusCode = 400;
+    throw error;
+  }
+  return context.cassette;
+}
+
+/**
+ * Create a model answering from the replayed cassette
+ */
+function createReplayModel() {
+  const generateContent = async (request) => {
+    const { text } = getReplayCassette().take({ type: 'llm', request });
+    return {
+      response: {
+        text: () => text
+      }
+    };
+  };
+
+  return {
+    generateContent,
+
+    generateContentStream: async (request) => {
+      const result = await generateContent(request);
+      async function* stream() {
+        yield { text: () => result.response.text() };
+      }
+      return { stream: stream(), response: Promise.resolve(result.response) };
+    }
+  };
+}
+
+// Replay providers; recorded responses must not be cached again, and API requests cannot use them
+registerLLMProvider('replay', {
+  displayName: settings.llm.providerSettings.providerNames.replay,
+  requiresApiKey: false,
+  internal: true,
+  createModel: () => createReplayModel(),
+  getDefaultModels: () => ({ thinkingModel: 'replay', networkingModel: 'replay' })
+});
+registerSearchProvider('replay', {
+  search: async (query, options = {}) => getReplayCassette().take({ type: 'search', query, options }),
+  cache: false,
+  requiresApiKey: false,
+  internal: true
+});
+
+module.exports = {
+  getInteractionKey,
+  createCassette,
+  loadCassette,
+  recordCassette,
+  replayCassette,
+  getRecordingCassette,
+  runOnCassette
+};
@@ -0,0 +1,187 @@
+/**
+ * Chat Model Wrapper
+ *
+ * The research pipeline talks to every LLM through the Google Generative AI
+ * interface (`generateContent` and `generateContentStream`). This module
+ * adapts chat completion backends that work with role/content messages to
+ * that interface, so each backend only has to implement a plain completion
+ * and a stream of text deltas.
+ */
+
+/**
+ * Convert a Google Generative AI request into chat messages
+ *
+ * @param {Object} params - Request in Google Generative AI format
+ * @returns {Array} - Array of message objects with role and content
+ */
+function convertToMessages(params) {
+  const messages = [];
+
+  if (params.contents) {
+    for (const content of params.contents) {
+      const message = {
+        role: content.role === 'user' ? 'user' : 'assistant',
+        content: content.parts.map(part => part.text).join('\n')
+      };
+      messages.push(message);
+    }
+  }
+
+  // If there's a system message in the first content, extract it
+  if (messages.length > 0 && messages[0].role === 'user') {
+    const userMessage = messages[0].content;
+    const systemPromptMatch = userMessage.match(/^(.*?)\n\n/);
+
+    if (systemPromptMatch) {
+      const systemPrompt = systemPromptMatch[1];
+      messages[0].content = userMessage.replace(systemPrompt + '\n\n', '');
+      messages.unshift({ role: 'system', content: systemPrompt });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Convert token counts to the Google Generative AI usage metadata format
+ *
+ * @param {number} promptTokens - Tokens in the prompt
+ * @param {number} completionTokens - Tokens in the generated text
+ * @returns {Object|undefined} - usageMetadata, or undefined if the backend reported no counts
+ */
+function toUsageMetadata(promptTokens, completionTokens) {
+  if (promptTokens === undefined && completionTokens === undefined) {
+    return undefined;
+  }
+  const promptTokenCount = promptTokens || 0;
+  const candidatesTokenCount = completionTokens || 0;
+  return {
+    promptTokenCount,
+    candidatesTokenCount,
+    totalTokenCount: promptTokenCount + candidatesTokenCount
+  };
+}
+
+/**
+ * Read a streamed response body line by line
+ *
+ * Used for server-sent events and newline-delimited JSON streams.
+ *
+ * @param {ReadableStream} body - The fetch response body
+ * @returns {AsyncGenerator<string>} - Generator of lines without line breaks
+ */
+async function* readLines(body) {
+  // Keep incomplete lines for the next chunk
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+/**
+ * Create a wrapper object that mimics the Google Generative AI interface
+ *
+ * @param {Object} backend - Chat completion backend
+ * @param {Function} backend.complete - `(messages, options) => Promise<string>`
+ * @param {Function} backend.stream - `(messages, options) => AsyncGenerator<string>` of content deltas
+ *
+ * Backends that know the token counts of a call report them by calling
+ * `options.onUsage(usageMetadata)`, and the wrapper attaches them to the
+ * response as `usageMetadata` like the Google Generative AI SDK does.
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.model - Model to use
+ * @param {number} options.temperature - Temperature for generation
+ * @param {number} options.maxOutputTokens - Maximum tokens to generate
+ * @param {string} options.apiKey - API key passed to the backend (optional)
+ * @returns {Object} - Wrapper object with generateContent and generateContentStream methods
+ */
+function createChatModelWrapper(backend, options = {}) {
+  const modelOptions = {
+    model: options.model,
+    temperature: options.temperature,
+    maxTokens: options.maxOutputTokens,
+    apiKey: options.apiKey
+  };
+
+  // Set generation parameters from the request, falling back to the wrapper options
+  const getCompletionOptions = (params, requestOptions, onUsage) => ({
+    ...modelOptions,
+    temperature: params.generationConfig?.temperature || modelOptions.temperature,
+    maxTokens: params.generationConfig?.maxOutputTokens || modelOptions.maxTokens,
+    signal: requestOptions.signal,
+    onUsage
+  });
+
+  return {
+    generateContent: async function(params, requestOptions = {}) {
+      let usageMetadata;
+      const text = await backend.complete(
+        convertToMessages(params),
+        getCompletionOptions(params, requestOptions, usage => { usageMetadata = usage; })
+      );
+
+      return {
+        response: {
+          text: () => text,
+          usageMetadata
+        }
+      };
+    },
+
+    generateContentStream: async function(params, requestOptions = {}) {
+      let usageMetadata;
+      const deltas = backend.stream(
+        convertToMessages(params),
+        getCompletionOptions(params, requestOptions, usage => { usageMetadata = usage; })
+      );
+
+      // Resolve the aggregated response once the stream has been consumed
+      let resolveResponse;
+      let rejectResponse;
+      const response = new Promise((resolve, reject) => {
+        resolveResponse = resolve;
+        rejectResponse = reject;
+      });
+      // Avoid unhandled rejections when callers only consume the stream
+      response.catch(() => {});
+
+      // Convert content deltas to Google Generative AI stream chunks
+      async function* stream() {
+        let fullText = '';
+        try {
+          for await (const delta of deltas) {
+            fullText += delta;
+            yield { text: () => delta };
+          }
+          resolveResponse({ text: () => fullText, usageMetadata });
+        } catch (error) {
+          rejectResponse(error);
+          throw error;
+        }
+      }
+
+      return { stream: stream(), response };
+    }
+  };
+}
+
+module.exports = {
+  convertToMessages,
+  toUsageMetadata,
+  readLines,
+  createChatModelWrapper
+};
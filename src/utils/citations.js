@@ -0,0 +1,208 @@
+/**
+ * Citation Utilities
+ *
+ * This module links learnings to the search sources they were derived from
+ * and turns the numbered inline citations of a generated report into a
+ * references list built from those real sources. Citations that do not
+ * resolve to a known source are removed.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'citations', category: logger.CATEGORIES.RESEARCH });
+
+// Inline citation groups such as [1], [2, 3] or [4-6], but not markdown links like [1](url)
+// or reference definitions like [1]: url
+const CITATION_PATTERN = / ?\[(\d{1,3}(?:\s*[,–-]\s*\d{1,3})*)\](?![(:])/g;
+
+// Headings of reference sections written by the model itself
+const REFERENCES_HEADING_PATTERN = /^(#{1,6})\s*\**\s*(?:\d+\.\s*)?(references|sources|bibliography|works cited)\s*\**\s*$/i;
+
+/**
+ * Get the text of a learning given as a string or as `{ text, sourceUrls }`
+ *
+ * @param {string|Object} learning - The learning
+ * @returns {string} - The learning text
+ */
+function getLearningText(learning) {
+  return typeof learning === 'string' ? learning : (learning && learning.text) || '';
+}
+
+/**
+ * Expand a citation group such as "1, 3-5" into its numbers
+ *
+ * @param {string} group - The content between the brackets
+ * @returns {Array<number>} - The cited numbers
+ */
+function expandCitationGroup(group) {
+  const numbers = [];
+  group.split(',').forEach(part => {
+    const [start, end] = part.split(/[–-]/).map(value => parseInt(value.trim(), 10));
+    if (end === undefined) {
+      numbers.push(start);
+    } else if (end >= start && end - start < 50) {
+      for (let number = start; number <= end; number++) numbers.push(number);
+    }
+  });
+  return numbers.filter(number => !isNaN(number));
+}
+
+/**
+ * Parse the learnings the model extracted from numbered search contents
+ *
+ * Each non-empty line is a learning. The numbers cited at the line refer to
+ * the position of the content in `sources` (starting at 1) and are replaced
+ * by the URLs of those sources.
+ *
+ * @param {string} content - Model output with one learning per line
+ * @param {Array<Object>} sources - The search results shown to the model
+ * @returns {Array<Object>} - Learnings as `{ text, sourceUrls }`
+ */
+function parseLearningCitations(content, sources = []) {
+  return content
+    .split("\n")
+    .filter(line => line.trim().length > 0)
+    .map(line => {
+      const sourceUrls = [];
+      const text = line
+        .replace(/^[0-9]+\.\s*/, "")
+        .replace(CITATION_PATTERN, (match, group) => {
+          expandCitationGroup(group).forEach(number => {
+            const source = sources[number - 1];
+            if (source && source.url && !sourceUrls.includes(source.url)) {
+              sourceUrls.push(source.url);
+            }
+          });
+          return '';
+        })
+        .trim();
+
+      return { text, sourceUrls };
+    })
+    .filter(learning => learning.text.length > 0);
+}
+
+/**
+ * Number the sources cited by a set of learnings
+ *
+ * @param {Array<string|Object>} learnings - Learnings as strings or `{ text, sourceUrls }`
+ * @param {Array<Object>} knownSources - Search results used to look up source titles
+ * @returns {Object} - `{ learnings, sources }` with learnings as `{ text, sourceNumbers }`
+ *   and sources as `{ number, url, title }`
+ */
+function numberLearningSources(learnings = [], knownSources = []) {
+  const sources = [];
+  const numbersByUrl = new Map();
+
+  const numberedLearnings = learnings.map(learning => {
+    const sourceUrls = typeof learning === 'object' && learning && Array.isArray(learning.sourceUrls)
+      ? learning.sourceUrls
+      : [];
+
+    const sourceNumbers = sourceUrls.map(url => {
+      if (!numbersByUrl.has(url)) {
+        const known = knownSources.find(source => source && source.url === url);
+        sources.push({ number: sources.length + 1, url, title: (known && known.title) || url });
+        numbersByUrl.set(url, sources.length);
+      }
+      return numbersByUrl.get(url);
+    });
+
+    return { text: getLearningText(learning), sourceNumbers };
+  });
+
+  return { learnings: numberedLearnings, sources };
+}
+
+/**
+ * Remove a references section written by the model
+ *
+ * @param {string} report - The report in markdown
+ * @returns {string} - The report without its own references section
+ */
+function removeReferencesSection(report) {
+  const lines = report.split("\n");
+  const start = lines.findIndex(line => REFERENCES_HEADING_PATTERN.test(line.trim()));
+  if (start === -1) return report;
+
+  // The section ends at the next heading of the same or a higher level
+  const level = lines[start].trim().match(REFERENCES_HEADING_PATTERN)[1].length;
+  let end = lines.length;
+  for (let index = start + 1; index < lines.length; index++) {
+    const heading = lines[index].match(/^(#{1,6})\s/);
+    if (heading && heading[1].length <= level) {
+      end = index;
+      break;
+    }
+  }
+
+  return [...lines.slice(0, start), ...lines.slice(end)].join("\n").trim();
+}
+
+/**
+ * Resolve the inline citations of a report against the cited sources
+ *
+ * Valid citations are renumbered in order of first appearance, citations of
+ * unknown numbers are stripped, and a references list of the cited sources
+ * replaces any references section the model wrote itself.
+ *
+ * @param {string} report - The generated report
+ * @param {Array<Object>} sources - Sources as numbered in the prompt (`{ number, url, title }`)
+ * @param {Object} options - Options
+ * @param {string} [options.heading='References'] - Heading of the references list
+ * @returns {Object} - `{ report, references, removedCitations }`
+ */
+function applyCitations(report, sources = [], options = {}) {
+  const heading = options.heading || 'References';
+  const sourcesByNumber = new Map(sources.map(source => [source.number, source]));
+  const references = [];
+  const referenceNumbers = new Map();
+  let removedCitations = 0;
+
+  const body = removeReferencesSection(report).replace(CITATION_PATTERN, (match, group) => {
+    const numbers = [];
+    expandCitationGroup(group).forEach(number => {
+      const source = sourcesByNumber.get(number);
+      if (!source) {
+        removedCitations++;
+        return;
+      }
+      if (!referenceNumbers.has(number)) {
+        references.push({ number: references.length + 1, url: source.url, title: source.title });
+        referenceNumbers.set(number, references.length);
+      }
+      const referenceNumber = referenceNumbers.get(number);
+      if (!numbers.includes(referenceNumber)) numbers.push(referenceNumber);
+    });
+
+    if (numbers.length === 0) return '';
+    const leadingSpace = match.startsWith(' ') ? ' ' : '';
+    return leadingSpace + numbers.map(number => `[${number}]`).join('');
+  });
+
+  if (removedCitations > 0) {
+    log.warn('Removed citations that do not match a source', { removedCitations, sourceCount: sources.length });
+  }
+
+  if (references.length === 0) {
+    return { report: body, references, removedCitations };
+  }
+
+  const referencesList = references
+    .map(reference => `${reference.number}. [${reference.title.replace(/[[\]]/g, '')}](${reference.url})`)
+    .join("\n");
+
+  return {
+    report: `${body}\n\n## ${heading}\n\n${referencesList}\n`,
+    references,
+    removedCitations
+  };
+}
+
+module.exports = {
+  getLearningText,
+  parseLearningCitations,
+  numberLearningSources,
+  removeReferencesSection,
+  applyCitations
+};
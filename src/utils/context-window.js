@@ -0,0 +1,94 @@
+/**
+ * Context Windows
+ *
+ * This module estimates how many tokens a text takes with the tokenizer of a
+ * provider and how many input tokens a model accepts, using the context
+ * window table of the LLM settings. The research steps use it to split or
+ * condense prompts that would not fit the model instead of sending them and
+ * failing.
+ */
+
+// Import settings
+const settings = require('../settings');
+
+/**
+ * Estimate the number of tokens of a text
+ *
+ * @param {string} text - The text
+ * @param {string} provider - LLM provider name
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text, provider) {
+  const { charsPerToken } = settings.llm.contextWindowSettings;
+  const ratio = charsPerToken[provider] || charsPerToken.default;
+  return Math.ceil(String(text || '').length / ratio);
+}
+
+/**
+ * Get the context window of a model
+ *
+ * A `provider:model` entry wins over a plain model entry, which wins over a
+ * `provider:*` entry.
+ *
+ * @param {string} provider - LLM provider name
+ * @param {string} model - Model name
+ * @returns {number} - Context window in tokens
+ */
+function getContextWindow(provider, model) {
+  const { windows, defaultWindow } = settings.llm.contextWindowSettings;
+  return windows[`${provider}:${model}`] || windows[model] || windows[`${provider}:*`] || defaultWindow;
+}
+
+/**
+ * Get how many prompt tokens a model accepts for a call
+ *
+ * The output tokens of the call are reserved in the context window, but at
+ * most half of it, and a safety margin is kept free for estimation errors.
+ *
+ * @param {string} provider - LLM provider name
+ * @param {string} model - Model name
+ * @param {number} outputTokens - Maximum output tokens of the call
+ * @returns {number} - Prompt token budget
+ */
+function getInputBudget(provider, model, outputTokens = 0) {
+  const contextWindow = getContextWindow(provider, model);
+  const reserved = Math.min(outputTokens, Math.floor(contextWindow / 2));
+  return Math.floor((contextWindow - reserved) * (1 - settings.llm.contextWindowSettings.safetyMargin));
+}
+
+/**
+ * Cut a text to a number of estimated tokens
+ *
+ * The text is cut at a paragraph or sentence end near the budget if there is
+ * one, otherwise at a word boundary.
+ *
+ * @param {string} text - The text
+ * @param {number} maxTokens - Token budget
+ * @param {string} provider - LLM provider name
+ * @returns {Object} - `{ text, truncated }`
+ */
+function truncateToTokens(text, maxTokens, provider) {
+  if (estimateTokens(text, provider) <= maxTokens) {
+    return { text, truncated: false };
+  }
+
+  const { charsPerToken } = settings.llm.contextWindowSettings;
+  const maxChars = Math.max(0, Math.floor(maxTokens * (charsPerToken[provider] || charsPerToken.default)));
+  const slice = text.slice(0, maxChars);
+  const paragraphEnd = slice.lastIndexOf('\n\n');
+  const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('.\n'));
+  const wordEnd = slice.lastIndexOf(' ');
+  const minCut = maxChars * 0.8;
+  const cut = paragraphEnd > minCut ? paragraphEnd
+    : sentenceEnd > minCut ? sentenceEnd + 1
+      : wordEnd > minCut ? wordEnd : maxChars;
+
+  return { text: slice.slice(0, cut).trim(), truncated: true };
+}
+
+module.exports = {
+  estimateTokens,
+  getContextWindow,
+  getInputBudget,
+  truncateToTokens
+};
@@ -0,0 +1,134 @@
+/**
+ * CORS Policy
+ *
+ * This module builds the CORS middleware from the API settings: which browser
+ * origins may call the API, whether they may send credentials and how long
+ * browsers may cache preflight responses. Paths can override the defaults,
+ * for example to keep the health check open to every origin while the
+ * research endpoints only answer the embedding app.
+ */
+
+const cors = require('cors');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'cors-policy', category: logger.CATEGORIES.SERVER });
+
+// Import settings
+const settings = require('../settings');
+
+// Response headers browser apps need to read to handle limits, quotas, deprecations and response metadata
+const EXPOSED_HEADERS = [
+  'Retry-After',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-RateLimit-Reset',
+  'X-Quota-Limit',
+  'X-Quota-Remaining',
+  'X-Request-Id',
+  'X-Response-Time',
+  'X-API-Version',
+  'Deprecation',
+  'Sunset',
+  'Link'
+];
+
+/**
+ * Check whether an origin matches an allowlist entry
+ *
+ * `*` matches every origin and `https://*.example.com` every subdomain of
+ * example.com (but not example.com itself). Other entries must match the
+ * scheme, host and port of the origin exactly.
+ *
+ * @param {string} origin - Origin header of the request
+ * @param {string} pattern - Allowlist entry
+ * @returns {boolean} - Whether the origin is allowed
+ */
+function matchesOrigin(origin, pattern) {
+  const normalizedOrigin = origin.toLowerCase();
+  const normalizedPattern = pattern.trim().toLowerCase().replace(/\/+$/, '');
+  if (normalizedPattern === '*') {
+    return true;
+  }
+  if (!normalizedPattern.includes('*')) {
+    return normalizedOrigin === normalizedPattern;
+  }
+
+  const source = normalizedPattern
+    .split('*.')
+    .map(part => part.replace(/[.+?^${}()|[\]\\*]/g, '\\$&'))
+    .join('([a-z0-9-]+\\.)+');
+  return new RegExp(`^${source}$`).test(normalizedOrigin);
+}
+
+/**
+ * Get the CORS policy for a request path
+ *
+ * The override with the longest matching path prefix wins over the defaults.
+ *
+ * @param {string} requestPath - Path of the request
+ * @param {Object} apiSettings - API settings with the defaults and route overrides
+ * @returns {Object} - `{ enabled, allowedOrigins, allowCredentials, maxAge }`
+ */
+function getCorsPolicy(requestPath, apiSettings = settings.api.apiSettings) {
+  const policy = {
+    enabled: apiSettings.enableCors,
+    allowedOrigins: apiSettings.corsAllowedOrigins || [],
+    allowCredentials: apiSettings.corsAllowCredentials,
+    maxAge: apiSettings.corsMaxAge
+  };
+
+  const prefix = Object.keys(apiSettings.corsRouteOverrides || {})
+    .filter(routePrefix => requestPath === routePrefix || requestPath.startsWith(routePrefix.replace(/\/?$/, '/')))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? { ...policy, ...apiSettings.corsRouteOverrides[prefix] } : policy;
+}
+
+/**
+ * Create the CORS middleware
+ *
+ * The settings are read on every request, so changes apply without a
+ * restart. With an empty allowlist every origin is allowed, but credentials
+ * are only allowed for origins on an allowlist. Preflight requests from
+ * other origins are rejected with a 403.
+ *
+ * @param {Object} apiSettings - API settings to use instead of the global ones (optional)
+ * @returns {Function} - Express middleware
+ */
+function createCorsMiddleware(apiSettings) {
+  return (req, res, next) => {
+    const requestPath = (req.originalUrl || req.url).split('?')[0];
+    const policy = getCorsPolicy(requestPath, apiSettings || settings.api.apiSettings);
+    if (!policy.enabled) {
+      return next();
+    }
+
+    const origin = req.headers.origin;
+    const allowAll = policy.allowedOrigins.length === 0;
+    const allowed = !origin || allowAll || policy.allowedOrigins.some(pattern => matchesOrigin(origin, pattern));
+
+    if (!allowed) {
+      res.vary('Origin');
+      if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+        log.debug('Rejected CORS preflight from a disallowed origin', { origin, path: requestPath });
+        return res.status(403).end();
+      }
+      return next();
+    }
+
+    return cors({
+      origin: allowAll ? '*' : true,
+      credentials: !allowAll && !!policy.allowCredentials,
+      maxAge: policy.maxAge,
+      exposedHeaders: EXPOSED_HEADERS
+    })(req, res, next);
+  };
+}
+
+module.exports = {
+  EXPOSED_HEADERS,
+  matchesOrigin,
+  getCorsPolicy,
+  createCorsMiddleware
+};
@@ -0,0 +1,89 @@
+/**
+ * Server-Sent Events Utilities
+ *
+ * This module provides a small helper for streaming Server-Sent Events (SSE)
+ * over an Express response, used to report research progress live.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'event-stream', category: logger.CATEGORIES.API });
+
+// Interval for comment lines that keep idle connections open (in milliseconds)
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Open an event stream on an Express response
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} options - Stream options
+ * @param {number} [options.heartbeatInterval=15000] - Milliseconds between heartbeat comments
+ * @returns {Object} - Stream with send and close methods
+ */
+function openEventStream(res, options = {}) {
+  const heartbeatInterval = options.heartbeatInterval || HEARTBEAT_INTERVAL;
+  let eventId = 0;
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Disable response buffering in nginx-style proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) {
+      res.write(': heartbeat\n\n');
+    }
+  }, heartbeatInterval);
+  heartbeat.unref();
+
+  res.on('close', () => {
+    if (!closed) {
+      log.debug('Event stream closed by client', { eventsSent: eventId });
+    }
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    /**
+     * Send an event to the client
+     *
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload, serialized as JSON
+     * @returns {boolean} - Whether the event was written
+     */
+    send(event, data = {}) {
+      if (closed) return false;
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    /**
+     * End the stream
+     */
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+
+    /**
+     * Whether the stream has been closed by either side
+     */
+    get isClosed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
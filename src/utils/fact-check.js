@@ -0,0 +1,238 @@
+/**
+ * Fact-Checking
+ *
+ * This module holds the text handling of the fact-checking pass over the
+ * final report: it splits the report into the sentences whose claims are
+ * checked, picks the learnings and source passages each claim is judged
+ * against, and marks or removes the sentences of claims the research does
+ * not support. The model calls of the pass live in the research module.
+ */
+
+// Import citation and similarity utilities
+const { getLearningText } = require('./citations');
+const { getLexicalSimilarity } = require('./learning-consolidation');
+
+// Ends of sentences: punctuation with closing quotes and citations, followed by the end or a sentence not starting in lowercase
+const SENTENCE_END_PATTERN = /[.!?]+["'”’)]*((?:\s*\[\d+(?:\s*[-–,]\s*\d+)*\])*)(?=\s+(?![a-z])|\s*$)/g;
+
+// Citations such as [1], [2, 3] or [4-6]
+const CITATION_PATTERN = /\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g;
+
+// Headings of references sections, which are not checked
+const REFERENCES_HEADING_PATTERN = /^(#{1,6})\s*\**\s*(?:\d+\.\s*)?(references|sources|bibliography|works cited)\s*\**\s*$/i;
+
+// Markers of list items and block quotes before the text of a line
+const LINE_PREFIX_PATTERN = /^(?:\s*(?:[-*+]|\d+\.)\s+|\s*>\s*)*/;
+
+// Annotations of sentences with claims the research does not support
+const ANNOTATIONS = {
+  unsupported: ' *(not supported by the research)*',
+  contradicted: ' *(contradicted by the research)*'
+};
+
+/**
+ * Split a report into the sentences of its text
+ *
+ * Headings, tables, code and formula blocks, horizontal rules and the
+ * references section are left out; list items and quotes are split like
+ * paragraphs.
+ *
+ * @param {string} report - The report in markdown
+ * @returns {Array<Object>} - Sentences as `{ number, text, start, end }`, with their offsets in the report
+ */
+function splitReportSentences(report = '') {
+  const sentences = [];
+  let offset = 0;
+  let inBlock = null;
+  let referencesLevel = null;
+  report.split('\n').forEach(line => {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    const fence = line.match(/^\s*(```|~~~|\$\$)/);
+    if (fence) {
+      if (!inBlock) {
+        inBlock = fence[1];
+      } else if (inBlock === fence[1]) {
+        inBlock = null;
+      }
+      return;
+    }
+    if (inBlock) {
+      return;
+    }
+
+    // A references section ends at the next heading of the same or a higher level
+    const heading = line.match(/^(#{1,6})\s/);
+    if (heading) {
+      if (REFERENCES_HEADING_PATTERN.test(line.trim())) {
+        referencesLevel = heading[1].length;
+      } else if (referencesLevel && heading[1].length <= referencesLevel) {
+        referencesLevel = null;
+      }
+      return;
+    }
+    if (referencesLevel || /^\s*(\||(-{3,}|\*{3,}|_{3,})\s*$)/.test(line) || !line.trim()) {
+      return;
+    }
+
+    const contentStart = line.match(LINE_PREFIX_PATTERN)[0].length;
+    const content = line.slice(contentStart);
+    let start = 0;
+    const pushSentence = (end) => {
+      const raw = content.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const sentence = raw.trim();
+      if (/\p{L}/u.test(sentence)) {
+        const sentenceStart = lineStart + contentStart + start + leading;
+        sentences.push({ number: sentences.length + 1, text: sentence, start: sentenceStart, end: sentenceStart + sentence.length });
+      }
+      start = end;
+    };
+
+    let match;
+    SENTENCE_END_PATTERN.lastIndex = 0;
+    while ((match = SENTENCE_END_PATTERN.exec(content))) {
+      pushSentence(match.index + match[0].length);
+    }
+    pushSentence(content.length);
+  });
+
+  return sentences;
+}
+
+/**
+ * Get the numbers of the sources a sentence cites
+ */
+function getCitedNumbers(text) {
+  const numbers = [];
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    match[1].split(',').forEach(part => {
+      const [from, to = from] = part.split(/[-–]/).map(value => parseInt(value, 10));
+      for (let number = from; number <= to && number - from < 100; number++) {
+        numbers.push(number);
+      }
+    });
+  }
+  return numbers;
+}
+
+/**
+ * Get the passage of a source text that shares the most words with a claim
+ */
+function getBestPassage(content, claim, length) {
+  if (content.length <= length) {
+    return content;
+  }
+  let best = content.slice(0, length);
+  let bestSimilarity = getLexicalSimilarity(claim, best);
+  for (let start = length / 2; start < content.length - length / 2; start += length / 2) {
+    const passage = content.slice(start, start + length);
+    const similarity = getLexicalSimilarity(claim, passage);
+    if (similarity > bestSimilarity) {
+      best = passage;
+      bestSimilarity = similarity;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick the evidence a claim is judged against
+ *
+ * Learnings are ranked by the words they share with the claim, and learnings
+ * from the sources its sentence cites come first. The source passages are
+ * taken from the cited sources, then from the sources of the chosen
+ * learnings.
+ *
+ * @param {string} claim - The claim
+ * @param {string} sentence - The report sentence that makes the claim
+ * @param {Array<string|Object>} learnings - Learnings as strings or `{ text, sourceUrls }`
+ * @param {Object} options - `sources` with their `url`, `title` and `content`, the report
+ *   `references` as `{ number, url }`, and the limits `evidenceLearnings`, `evidenceSources`
+ *   and `passageLength`
+ * @returns {Object} - `{ learnings, sources }`, learnings as `{ text, sourceUrls }` and sources
+ *   as `{ url, title, passage }`
+ */
+function selectClaimEvidence(claim, sentence, learnings = [], options = {}) {
+  const { sources = [], references = [], evidenceLearnings = 5, evidenceSources = 2, passageLength = 1000 } = options;
+  const citedUrls = getCitedNumbers(sentence || '')
+    .map(number => references.find(reference => reference.number === number))
+    .filter(Boolean)
+    .map(reference => reference.url);
+
+  const chosen = learnings
+    .map((learning, index) => {
+      const sourceUrls = (learning && Array.isArray(learning.sourceUrls)) ? learning.sourceUrls : [];
+      const cited = sourceUrls.some(url => citedUrls.includes(url));
+      return { text: getLearningText(learning), sourceUrls, score: getLexicalSimilarity(claim, getLearningText(learning)) + (cited ? 1 : 0), index };
+    })
+    .filter(learning => learning.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, evidenceLearnings);
+
+  const urls = [...new Set([...citedUrls, ...chosen.flatMap(learning => learning.sourceUrls)])];
+  const evidenceSourceList = [];
+  urls.forEach(url => {
+    if (evidenceSourceList.length >= evidenceSources) return;
+    const source = sources.find(item => item && item.url === url && item.content);
+    if (source) {
+      evidenceSourceList.push({ url, title: source.title || url, passage: getBestPassage(source.content, claim, passageLength) });
+    }
+  });
+
+  return { learnings: chosen.map(({ text, sourceUrls }) => ({ text, sourceUrls })), sources: evidenceSourceList };
+}
+
+/**
+ * Mark or remove the sentences of unsupported claims
+ *
+ * A sentence is flagged when any of its claims is unsupported or
+ * contradicted; contradicted wins. With the `annotate` mode, the flagged
+ * sentences are followed by a note; with `remove`, they are deleted, along
+ * with list items and paragraphs left empty.
+ *
+ * @param {string} report - The report in markdown
+ * @param {Array<Object>} sentences - Sentences of the report from splitReportSentences
+ * @param {Array<Object>} claims - Checked claims as `{ sentence, verdict }`, with the sentence number
+ * @param {string} mode - annotate or remove
+ * @returns {Object} - `{ report, flaggedSentences }`
+ */
+function applyClaimVerdicts(report, sentences, claims, mode = 'annotate') {
+  const verdicts = new Map();
+  claims.forEach(claim => {
+    if (claim.verdict !== 'unsupported' && claim.verdict !== 'contradicted') return;
+    if (verdicts.get(claim.sentence) !== 'contradicted') {
+      verdicts.set(claim.sentence, claim.verdict);
+    }
+  });
+
+  let result = report;
+  sentences
+    .filter(sentence => verdicts.has(sentence.number))
+    .sort((a, b) => b.start - a.start)
+    .forEach(sentence => {
+      if (mode === 'remove') {
+        let end = sentence.end;
+        while (result[end] === ' ') end++;
+        result = result.slice(0, sentence.start) + result.slice(end);
+      } else {
+        result = result.slice(0, sentence.end) + ANNOTATIONS[verdicts.get(sentence.number)] + result.slice(sentence.end);
+      }
+    });
+
+  if (mode === 'remove') {
+    result = result
+      .replace(/[ \t]+$/gm, '')
+      .replace(/^[ \t]*(?:[-*+]|\d+\.|>)$\n?/gm, '')
+      .replace(/\n{3,}/g, '\n\n');
+  }
+
+  return { report: result, flaggedSentences: sentences.filter(sentence => verdicts.has(sentence.number)).length };
+}
+
+module.exports = {
+  splitReportSentences,
+  selectClaimEvidence,
+  applyClaimVerdicts
+};
@@ -0,0 +1,290 @@
+/**
+ * Research Job Queue
+ *
+ * This module provides a bounded in-process worker queue for long-running
+ * research operations. Submitting a job returns immediately with a job ID;
+ * the job is then run by one of a limited number of workers while its status,
+ * progress and final result can be polled. Jobs can be cancelled at any time.
+ */
+
+const crypto = require('crypto');
+
+// Import cancellation utilities
+const { isAbortError } = require('./abort');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'job-queue', category: logger.CATEGORIES.RESEARCH });
+
+// Import settings
+const settings = require('../settings');
+
+// Job statuses, in the order a research job normally moves through them
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  GENERATING_QUERIES: 'generating_queries',
+  SEARCHING: 'searching',
+  REVIEWING: 'reviewing',
+  WRITING: 'writing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses after which a job will not change anymore
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Create a bounded job queue
+ *
+ * @param {Object} options - Queue options
+ * @param {number} [options.concurrency=2] - Maximum number of jobs running at once
+ * @param {number} [options.maxQueued=50] - Maximum number of jobs waiting to run
+ * @param {number} [options.retention=3600] - Seconds to keep finished jobs
+ * @returns {Object} - Queue with submit, getJob, listJobs, cancelJob and getStats methods
+ */
+function createJobQueue(options = {}) {
+  const concurrency = options.concurrency || 2;
+  const maxQueued = options.maxQueued || 50;
+  const retentionMs = (options.retention || 3600) * 1000;
+
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  /**
+   * Convert an internal job record to the shape returned to API clients
+   */
+  function toPublicJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      progress: { ...job.progress },
+      metadata: job.metadata,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Remove finished jobs that are older than the retention period
+   */
+  function pruneFinishedJobs() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (FINISHED_STATUSES.includes(job.status) && Date.parse(job.completedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Apply a progress update reported by a running task
+   */
+  function updateProgress(job, update = {}) {
+    if (FINISHED_STATUSES.includes(job.status)) return;
+
+    const { status, ...progress } = update;
+    if (status && Object.values(JOB_STATUS).includes(status) && !FINISHED_STATUSES.includes(status)) {
+      job.status = status;
+    }
+
+    // Each update describes the current step completely, so replace the previous details
+    job.progress = { percent: job.progress.percent, ...progress };
+    if (job.progress.step && job.progress.totalSteps) {
+      job.progress.percent = Math.min(99, Math.round((job.progress.step / job.progress.totalSteps) * 100));
+    }
+  }
+
+  /**
+   * Run a single job to completion
+   */
+  async function execute(job) {
+    job.startedAt = new Date().toISOString();
+    log.info('Job started', { jobId: job.id, queued: pending.length, running });
+
+    try {
+      const result = await job.task({
+        jobId: job.id,
+        signal: job.controller.signal,
+        reportProgress: (update) => updateProgress(job, update)
+      });
+
+      // A job cancelled while running keeps its cancelled outcome
+      if (job.status !== JOB_STATUS.CANCELLED) {
+        job.result = result;
+        job.status = JOB_STATUS.DONE;
+        job.progress.percent = 100;
+        log.info('Job completed', { jobId: job.id });
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.CANCELLED || isAbortError(error)) {
+        job.status = JOB_STATUS.CANCELLED;
+        log.info('Job stopped after cancellation', { jobId: job.id });
+      } else {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message || 'Unknown error';
+        log.error('Job failed', { jobId: job.id, error: job.error, stack: error.stack });
+      }
+    } finally {
+      job.completedAt = job.completedAt || new Date().toISOString();
+      // Drop the task closure so finished jobs do not hold on to request data
+      job.task = null;
+    }
+  }
+
+  /**
+   * Start queued jobs while there are free workers
+   */
+  function runNext() {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      execute(job).finally(() => {
+        running--;
+        runNext();
+      });
+    }
+  }
+
+  /**
+   * Submit a task to the queue
+   *
+   * The task receives `{ jobId, signal, reportProgress }` and its resolved
+   * value is stored as the job result. The signal is aborted when the job is
+   * cancelled.
+   *
+   * @param {Function} task - Async function performing the work
+   * @param {Object} metadata - Descriptive data stored with the job
+   * @returns {Object} - The public job record
+   */
+  function submit(task, metadata = {}) {
+    pruneFinishedJobs();
+
+    if (pending.length >= maxQueued) {
+      const error = new Error('Research job queue is full, please try again later');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      progress: { percent: 0 },
+      metadata,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      task
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    log.info('Job queued', { jobId: job.id, queued: pending.length, running });
+
+    runNext();
+    return toPublicJob(job);
+  }
+
+  /**
+   * Get a job by ID
+   *
+   * @param {string} id - The job ID
+   * @returns {Object|null} - The public job record or null if not found
+   */
+  function getJob(id) {
+    pruneFinishedJobs();
+    const job = jobs.get(id);
+    return job ? toPublicJob(job) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   *
+   * @param {Object} filter - Optional filter
+   * @param {string} [filter.status] - Only return jobs with this status
+   * @param {string} [filter.client] - Only return jobs submitted by this client
+   * @returns {Array<Object>} - Public job records
+   */
+  function listJobs(filter = {}) {
+    pruneFinishedJobs();
+    return Array.from(jobs.values())
+      .filter(job => !filter.status || job.status === filter.status)
+      .filter(job => !filter.client || (job.metadata && job.metadata.client === filter.client))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(toPublicJob);
+  }
+
+  /**
+   * Cancel a queued or running job
+   *
+   * Queued jobs are removed from the queue; running jobs have their signal
+   * aborted and stop at their next LLM or search call.
+   *
+   * @param {string} id - The job ID
+   * @returns {Object|null} - The public job record or null if not found
+   */
+  function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      const error = new Error(`Job has already finished with status ${job.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const queuedIndex = pending.indexOf(job);
+    if (queuedIndex !== -1) {
+      pending.splice(queuedIndex, 1);
+      job.task = null;
+    }
+
+    job.status = JOB_STATUS.CANCELLED;
+    job.completedAt = new Date().toISOString();
+    job.controller.abort();
+    log.info('Job cancelled', { jobId: job.id, wasQueued: queuedIndex !== -1 });
+
+    return toPublicJob(job);
+  }
+
+  /**
+   * Get queue statistics
+   */
+  function getStats() {
+    return {
+      running,
+      queued: pending.length,
+      total: jobs.size,
+      concurrency,
+      maxQueued
+    };
+  }
+
+  return {
+    submit,
+    getJob,
+    listJobs,
+    cancelJob,
+    getStats
+  };
+}
+
+// Shared queue used by the research routes
+const researchJobQueue = createJobQueue({
+  concurrency: settings.app.jobSettings.maxConcurrentJobs,
+  maxQueued: settings.app.jobSettings.maxQueuedJobs,
+  retention: settings.app.jobSettings.jobRetention
+});
+
+module.exports = {
+  JOB_STATUS,
+  createJobQueue,
+  researchJobQueue
+};
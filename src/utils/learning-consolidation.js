@@ -0,0 +1,264 @@
+/**
+ * Learning Consolidation
+ *
+ * This module merges the duplicate and near-duplicate learnings that several
+ * queries and iterations found about the same fact, before they are passed to
+ * the report prompt. Merged learnings keep the source URLs of all their
+ * duplicates and are ranked by how many sources support them.
+ *
+ * Near duplicates are found by word overlap by default, or by the cosine
+ * similarity of embeddings from an OpenAI-compatible embeddings API. Learnings
+ * that mention different numbers are never merged, so conflicting figures
+ * both reach the report.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'learning-consolidation', category: logger.CATEGORIES.RESEARCH });
+
+// Import settings
+const settings = require('../settings');
+
+// Import citation and cancellation utilities
+const { getLearningText } = require('./citations');
+const { isAbortError } = require('./abort');
+
+// Import cassette recording and replay
+const { runOnCassette } = require('./cassette');
+
+// Words that carry no meaning of their own and would inflate the overlap of unrelated learnings
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'by', 'for', 'from', 'has', 'have', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'which', 'with'
+]);
+
+// Words and numbers such as 22.5%, 1,000 or 2024
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[.,]\d+)*%?/gu;
+
+/**
+ * Normalize a learning text for exact duplicate detection
+ */
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.;:!]+$/, '').trim();
+}
+
+/**
+ * Split a learning text into its distinct words and numbers
+ *
+ * @param {string} text - Learning text
+ * @returns {Object} - `{ words, numbers }` as sets
+ */
+function tokenize(text) {
+  const tokens = (text.toLowerCase().match(TOKEN_PATTERN) || []).filter(token => !STOP_WORDS.has(token));
+  return {
+    words: new Set(tokens),
+    numbers: new Set(tokens.filter(token => /\d/.test(token)).map(token => token.replace(/,/g, '')))
+  };
+}
+
+/**
+ * Get the Jaccard index of two word sets
+ */
+function getJaccardIndex(wordsA, wordsB) {
+  if (wordsA.size === 0 && wordsB.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Get the word overlap of two learnings
+ *
+ * @param {string} a - First learning text
+ * @param {string} b - Second learning text
+ * @returns {number} - Jaccard index of their words, from 0 (nothing in common) to 1 (same words)
+ */
+function getLexicalSimilarity(a, b) {
+  return getJaccardIndex(tokenize(a).words, tokenize(b).words);
+}
+
+/**
+ * Get the cosine similarity of two embeddings
+ */
+function getCosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < Math.min(a.length, b.length); index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Check whether two sets hold the same values
+ */
+function sameSet(a, b) {
+  return a.size === b.size && [...a].every(value => b.has(value));
+}
+
+/**
+ * Get embeddings from the OpenAI-compatible embeddings API
+ *
+ * Requests are recorded on the cassette of a recorded run and taken from the
+ * cassette of a replayed one.
+ *
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} consolidation - Consolidation settings with the embeddings API
+ * @param {AbortSignal} signal - Signal to cancel the requests (optional)
+ * @returns {Promise<Array<Array<number>>>} - One embedding per text
+ */
+async function fetchEmbeddings(texts, consolidation, signal) {
+  const baseUrl = consolidation.embeddingBaseUrl.replace(/\/$/, '');
+  const apiKey = process.env[consolidation.embeddingApiKeyEnvVar];
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const embeddings = [];
+  for (let start = 0; start < texts.length; start += consolidation.embeddingBatchSize) {
+    const request = {
+      model: consolidation.embeddingModel,
+      input: texts.slice(start, start + consolidation.embeddingBatchSize)
+    };
+    const batch = await runOnCassette({ type: 'embeddings', request }, async () => {
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(request),
+        signal
+      });
+      if (!response.ok) {
+        throw new Error(`Embeddings API error: ${response.status} ${response.statusText}`);
+      }
+
+      // Entries carry their input position and are not guaranteed to be in order
+      const data = await response.json();
+      return [...(data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map(entry => entry.embedding);
+    });
+    embeddings.push(...batch);
+  }
+
+  if (embeddings.length !== texts.length) {
+    throw new Error(`Embeddings API returned ${embeddings.length} embeddings for ${texts.length} learnings`);
+  }
+  return embeddings;
+}
+
+/**
+ * Merge duplicate and near-duplicate learnings
+ *
+ * Learnings with the same text (ignoring case, spacing and final
+ * punctuation) are merged first. Each remaining learning is then merged into
+ * the first earlier one it is at least as similar to as the threshold of the
+ * method, provided both mention the same numbers. A merged learning keeps
+ * the longest of its texts and the source URLs of all its duplicates, and
+ * counts them in `mentions`. The learnings are returned ranked by their
+ * number of sources, then mentions, then first appearance.
+ *
+ * When the embeddings cannot be fetched, the learnings are compared by word
+ * overlap instead and the error is returned.
+ *
+ * @param {Array<string|Object>} learnings - Learnings as strings or `{ text, sourceUrls }`
+ * @param {Object} options - Options overriding the consolidation settings (optional)
+ * @param {string} options.method - lexical or embeddings
+ * @param {Function} options.embed - Function returning embeddings for an array of texts,
+ *   used instead of the embeddings API
+ * @param {AbortSignal} options.signal - Signal to cancel the embeddings requests
+ * @returns {Promise<Object>} - `{ learnings, stats }`, with `error` if the embeddings failed;
+ *   learnings are `{ text, sourceUrls, mentions }` and stats hold the `method` used, the
+ *   `inputCount` and `outputCount` of learnings and the `exactDuplicates` and `nearDuplicates` merged
+ */
+async function consolidateLearnings(learnings = [], options = {}) {
+  const { signal, embed, ...overrides } = options;
+  const consolidation = { ...settings.app.consolidationSettings, ...overrides };
+  const stats = { method: consolidation.method, inputCount: learnings.length, outputCount: 0, exactDuplicates: 0, nearDuplicates: 0 };
+
+  // Merge exact duplicates
+  const groups = [];
+  const groupsByText = new Map();
+  learnings.forEach(learning => {
+    const text = getLearningText(learning).trim();
+    if (!text) return;
+    const sourceUrls = learning && Array.isArray(learning.sourceUrls) ? learning.sourceUrls : [];
+
+    const key = normalizeText(text);
+    const existing = groupsByText.get(key);
+    if (existing) {
+      existing.sourceUrls.push(...sourceUrls);
+      existing.mentions++;
+      stats.exactDuplicates++;
+      return;
+    }
+    const group = { text, texts: [text], sourceUrls: [...sourceUrls], mentions: 1, tokens: tokenize(text) };
+    groupsByText.set(key, group);
+    groups.push(group);
+  });
+
+  // Measure similarity by embeddings if configured, falling back to word overlap
+  let error;
+  let getSimilarity = (a, b) => getJaccardIndex(a.tokens.words, b.tokens.words);
+  let threshold = consolidation.lexicalThreshold;
+  if (consolidation.method === 'embeddings' && groups.length > 1) {
+    try {
+      const embeddings = embed
+        ? await embed(groups.map(group => group.text))
+        : await fetchEmbeddings(groups.map(group => group.text), consolidation, signal);
+      groups.forEach((group, index) => {
+        group.embedding = embeddings[index];
+      });
+      getSimilarity = (a, b) => getCosineSimilarity(a.embedding, b.embedding);
+      threshold = consolidation.embeddingThreshold;
+    } catch (embeddingError) {
+      if (isAbortError(embeddingError)) throw embeddingError;
+      log.warn('Embeddings unavailable, comparing learnings by word overlap', { error: embeddingError.message });
+      error = embeddingError.message;
+      stats.method = 'lexical';
+    }
+  }
+
+  // Merge near duplicates into the first earlier learning they match
+  const merged = [];
+  groups.forEach(group => {
+    const target = merged.find(candidate =>
+      sameSet(candidate.tokens.numbers, group.tokens.numbers) && getSimilarity(candidate, group) >= threshold
+    );
+    if (!target) {
+      merged.push(group);
+      return;
+    }
+    target.texts.push(...group.texts);
+    target.sourceUrls.push(...group.sourceUrls);
+    target.mentions += group.mentions;
+    stats.nearDuplicates++;
+  });
+
+  const consolidated = merged
+    .map((group, index) => ({
+      text: group.texts.reduce((longest, text) => (text.length > longest.length ? text : longest)),
+      sourceUrls: [...new Set(group.sourceUrls)],
+      mentions: group.mentions,
+      index
+    }))
+    .sort((a, b) => b.sourceUrls.length - a.sourceUrls.length || b.mentions - a.mentions || a.index - b.index)
+    .map(({ index, ...learning }) => learning);
+
+  stats.outputCount = consolidated.length;
+  log.info('Learnings consolidated', stats);
+
+  return error ? { learnings: consolidated, stats, error } : { learnings: consolidated, stats };
+}
+
+module.exports = {
+  getLexicalSimilarity,
+  consolidateLearnings
+};
@@ -0,0 +1,266 @@
+/**
+ * LLM Response Cache
+ *
+ * This module stores LLM responses on disk, addressed by a hash of the
+ * provider, model, prompt and generation config, so that re-running the same
+ * research during development does not pay for every model call again. The
+ * stored responses double as reproducible fixtures: in read-only mode every
+ * call must be answered from the cache, and record mode refreshes them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'llm-cache', category: logger.CATEGORIES.API });
+
+// Import file utilities
+const { ensureDirectoryExists } = require('./file-utils');
+
+// Import key normalization shared with the search cache
+const { sortKeys } = require('./search-cache');
+
+// Import settings
+const settings = require('../settings');
+
+// Supported cache modes
+const LLM_CACHE_MODES = ['off', 'read-write', 'read-only', 'record'];
+
+/**
+ * Build the cache key of a model call
+ *
+ * @param {Object} call - What determines the response
+ * @param {string} call.provider - LLM provider name
+ * @param {string} call.model - Model name
+ * @param {Object} call.options - Model options; the API key is ignored
+ * @param {Object} call.request - generateContent request with contents and generationConfig
+ * @returns {string} - Hex digest identifying the call
+ */
+function getLLMCacheKey({ provider, model, options = {}, request }) {
+  const { apiKey, ...modelOptions } = options;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(sortKeys([provider, model || null, modelOptions, request])))
+    .digest('hex');
+}
+
+/**
+ * Create the error for a call that read-only mode cannot answer
+ *
+ * @param {string} key - Cache key of the call
+ * @param {Object} call - Provider and model of the call
+ * @returns {Error} - Error with code LLM_CACHE_MISS
+ */
+function createCacheMissError(key, { provider, model }) {
+  const error = new Error(`No cached LLM response for ${provider}/${model} (key ${key}) in read-only cache mode`);
+  error.code = 'LLM_CACHE_MISS';
+  return error;
+}
+
+/**
+ * Create a cached response in the shape of generateContent
+ */
+function toResponse(text) {
+  return {
+    response: {
+      text: () => text
+    }
+  };
+}
+
+/**
+ * Create an on-disk LLM response cache
+ *
+ * @param {Object} options - Cache options
+ * @param {string} options.directory - Directory holding one JSON file per response
+ * @param {string} options.mode - read-write, read-only or record
+ * @returns {Object} - Cache with get, set, wrapModel and getStats methods
+ */
+function createLLMCache(options = {}) {
+  const mode = options.mode || 'read-write';
+  const directory = path.resolve(process.cwd(), options.directory);
+  const stats = { hits: 0, misses: 0, writes: 0 };
+
+  /**
+   * Get the file path of a cached response
+   */
+  function entryPath(key) {
+    return path.join(directory, `${key}.json`);
+  }
+
+  /**
+   * Get a cached response
+   *
+   * @param {string} key - Key from getLLMCacheKey
+   * @returns {Promise<Object|null>} - The stored entry with its text, or null if not cached
+   */
+  async function get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(entryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Error reading LLM cache file', { key, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store a response, replacing any previous one atomically
+   *
+   * @param {string} key - Key from getLLMCacheKey
+   * @param {Object} entry - Provider, model, request and response text
+   * @returns {Promise<void>}
+   */
+  async function set(key, entry) {
+    try {
+      await ensureDirectoryExists(directory);
+      const filePath = entryPath(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify({ ...entry, createdAt: new Date().toISOString() }, null, 2), 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+      stats.writes++;
+    } catch (error) {
+      log.warn('Error writing LLM cache file', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Look up a call according to the cache mode
+   *
+   * @returns {Promise<string|null>} - The cached text, or null if the model has to be called
+   * @throws {Error} - Error with code LLM_CACHE_MISS on a miss in read-only mode
+   */
+  async function lookup(key, call) {
+    if (mode === 'record') {
+      stats.misses++;
+      return null;
+    }
+
+    const entry = await get(key);
+    if (entry && typeof entry.text === 'string') {
+      stats.hits++;
+      log.debug('LLM cache hit', { provider: call.provider, model: call.model, key });
+      return entry.text;
+    }
+
+    stats.misses++;
+    log.debug('LLM cache miss', { provider: call.provider, model: call.model, key, mode });
+    if (mode === 'read-only') {
+      throw createCacheMissError(key, call);
+    }
+    return null;
+  }
+
+  return {
+    mode,
+    directory,
+    get,
+    set,
+
+    /**
+     * Wrap a model object so its calls go through the cache
+     *
+     * @param {Object} model - Model with generateContent and optionally generateContentStream
+     * @param {Object} identity - What identifies the model
+     * @param {string} identity.provider - LLM provider name
+     * @param {string} identity.model - Model name
+     * @param {Object} identity.options - Model options
+     * @returns {Object} - Model with the same interface
+     */
+    wrapModel(model, { provider, model: modelName, options: modelOptions = {} }) {
+      const call = { provider, model: modelName };
+      const getKey = (request) => getLLMCacheKey({ provider, model: modelName, options: modelOptions, request });
+
+      // Keep the other methods of the model available through the prototype
+      const wrapped = Object.create(model);
+
+      wrapped.generateContent = async function(request, requestOptions = {}) {
+        const key = getKey(request);
+        const cachedText = await lookup(key, call);
+        if (cachedText !== null) {
+          return toResponse(cachedText);
+        }
+
+        const result = await model.generateContent(request, requestOptions);
+        await set(key, { ...call, request, text: result.response.text() });
+        return result;
+      };
+
+      if (typeof model.generateContentStream === 'function') {
+        wrapped.generateContentStream = async function(request, requestOptions = {}) {
+          const key = getKey(request);
+          const cachedText = await lookup(key, call);
+          if (cachedText !== null) {
+            async function* replay() {
+              yield { text: () => cachedText };
+            }
+            return { stream: replay(), response: Promise.resolve(toResponse(cachedText).response) };
+          }
+
+          const result = await model.generateContentStream(request, requestOptions);
+
+          // Store the response once the caller has consumed the whole stream
+          async function* record() {
+            let fullText = '';
+            for await (const chunk of result.stream) {
+              fullText += chunk.text();
+              yield chunk;
+            }
+            await set(key, { ...call, request, text: fullText });
+          }
+          return { stream: record(), response: result.response };
+        };
+      }
+
+      return wrapped;
+    },
+
+    /**
+     * Get the hit, miss and write counts of the cache
+     *
+     * @returns {Object} - Counts since the cache was created
+     */
+    getStats() {
+      return { mode, ...stats };
+    }
+  };
+}
+
+// Cache with the configured settings, recreated when the settings change
+let defaultCache = null;
+
+/**
+ * Get the LLM response cache configured in the settings
+ *
+ * @returns {Object|null} - The shared cache, or null if the cache is off
+ */
+function getLLMCache() {
+  const { mode, directory } = settings.llm.llmCacheSettings;
+  if (!mode || mode === 'off') {
+    return null;
+  }
+  if (!LLM_CACHE_MODES.includes(mode)) {
+    log.warn('Unknown LLM cache mode, caching is disabled', { mode, availableModes: LLM_CACHE_MODES.join(', ') });
+    return null;
+  }
+
+  const cacheDirectory = path.resolve(
+    process.cwd(),
+    directory || path.join(settings.app.storageSettings.dataDir, 'llm-cache')
+  );
+  if (!defaultCache || defaultCache.mode !== mode || defaultCache.directory !== cacheDirectory) {
+    defaultCache = createLLMCache({ mode, directory: cacheDirectory });
+    log.info('LLM response cache enabled', { mode, directory: cacheDirectory });
+  }
+  return defaultCache;
+}
+
+module.exports = {
+  LLM_CACHE_MODES,
+  getLLMCacheKey,
+  createLLMCache,
+  getLLMCache
+};
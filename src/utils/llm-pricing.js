@@ -0,0 +1,102 @@
+/**
+ * LLM Pricing
+ *
+ * This module turns the token usage of LLM calls into an estimated cost with
+ * the price table from the LLM settings, which a JSON file can override and
+ * extend, so that research runs can report what they spent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'llm-pricing', category: logger.CATEGORIES.API });
+
+// Import settings
+const settings = require('../settings');
+
+// Prices read from the configured price file
+let loadedPricesFile = { filePath: null, prices: {} };
+
+/**
+ * Check that a price table entry has numeric input and output prices
+ */
+function isValidPrice(price) {
+  return !!price
+    && typeof price === 'object'
+    && ['input', 'output'].every(key => typeof price[key] === 'number' && price[key] >= 0);
+}
+
+/**
+ * Read the prices of a price file, once per file path
+ *
+ * @param {string} filePath - Path of a JSON file mapping model names to prices
+ * @returns {Object} - The valid entries of the file, or an empty table if it cannot be read
+ */
+function loadPricesFile(filePath) {
+  if (!filePath) {
+    return {};
+  }
+  if (loadedPricesFile.filePath === filePath) {
+    return loadedPricesFile.prices;
+  }
+
+  let prices = {};
+  try {
+    const data = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), filePath), 'utf8'));
+    prices = Object.fromEntries(Object.entries(data || {}).filter(([model, price]) => {
+      if (!isValidPrice(price)) {
+        log.warn('Ignoring invalid LLM price', { filePath, model });
+        return false;
+      }
+      return true;
+    }));
+    log.info('LLM prices loaded', { filePath, modelCount: Object.keys(prices).length });
+  } catch (error) {
+    log.warn('Error reading LLM price file, using the built-in prices', { filePath, error: error.message });
+  }
+
+  loadedPricesFile = { filePath, prices };
+  return prices;
+}
+
+/**
+ * Get the price of a model
+ *
+ * A `provider:model` entry wins over a plain model entry, which wins over a
+ * `provider:*` entry.
+ *
+ * @param {string} provider - LLM provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} - `{ input, output }` per million tokens, or null if the model has no price
+ */
+function getModelPrice(provider, model) {
+  const { prices, pricesFile } = settings.llm.pricingSettings;
+  const table = { ...prices, ...loadPricesFile(pricesFile) };
+  const price = table[`${provider}:${model}`] || table[model] || table[`${provider}:*`];
+  return isValidPrice(price) ? price : null;
+}
+
+/**
+ * Estimate the cost of an LLM call
+ *
+ * @param {Object} call - The call
+ * @param {string} call.provider - LLM provider name
+ * @param {string} call.model - Model name
+ * @param {number} call.inputTokens - Prompt tokens
+ * @param {number} call.outputTokens - Generated tokens
+ * @returns {number|null} - Cost in the configured currency, or null if the model has no price
+ */
+function estimateCost({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+  const price = getModelPrice(provider, model);
+  if (!price) {
+    return null;
+  }
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+}
+
+module.exports = {
+  getModelPrice,
+  estimateCost
+};
@@ -0,0 +1,169 @@
+/**
+ * LLM Providers
+ *
+ * This module contains the registry of LLM backends. A provider creates model
+ * objects with the Google Generative AI interface (`generateContent` and
+ * `generateContentStream`) and names the default models for thinking and
+ * networking tasks. Additional providers can be added at runtime with
+ * `registerLLMProvider`.
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const settings = require('../settings');
+
+// Import provider integrations
+const openRouter = require('./openrouter');
+const openAICompatible = require('./openai-compatible');
+const ollama = require('./ollama');
+const anthropic = require('./anthropic');
+const mockLLM = require('./mock-llm');
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Register an LLM provider
+ *
+ * @param {string} name - Name used as `provider` in requests
+ * @param {Object} provider - Provider implementation
+ * @param {Function} provider.createModel - `(model, options, apiKey) => model object`
+ *   with generateContent and generateContentStream methods
+ * @param {Function} provider.getDefaultModels - `() => ({ thinkingModel, networkingModel })` (optional)
+ * @param {Function} provider.getFallbackModel - `() => model` used when retrying rate limited requests (optional)
+ * @param {string} provider.displayName - Human readable name (optional)
+ * @param {boolean} provider.requiresApiKey - Set to false for providers that run without an API key (optional)
+ * @param {boolean} provider.internal - Set to true for providers that can be used from code but not requested through the API (optional)
+ * @returns {Object} - The registered provider
+ */
+function registerLLMProvider(name, provider) {
+  if (!name || !provider || typeof provider.createModel !== 'function') {
+    throw new Error('An LLM provider needs a name and a createModel function');
+  }
+  const registered = { displayName: name, ...provider, name };
+  providers.set(name, registered);
+  return registered;
+}
+
+/**
+ * Get a registered LLM provider
+ *
+ * @param {string} name - Provider name
+ * @returns {Object|null} - The provider, or null if it is not registered
+ */
+function getLLMProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Get the model a provider falls back to when requests are rate limited
+ *
+ * @param {string} name - Provider name
+ * @returns {string|null} - The fallback model, or null to retry with the same model
+ */
+function getFallbackModel(name) {
+  const provider = getLLMProvider(name || process.env.DEFAULT_LLM_PROVIDER || "google");
+  return (provider && provider.getFallbackModel && provider.getFallbackModel()) || null;
+}
+
+/**
+ * Get the names of all registered LLM providers
+ *
+ * @returns {Array<string>} - Provider names
+ */
+function getLLMProviderNames() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Create the error for a provider that is not registered
+ *
+ * @param {string} name - Requested provider name
+ * @returns {Error} - Error with a 400 status code
+ */
+function createUnsupportedProviderError(name) {
+  const available = getLLMProviderNames().filter(providerName => !getLLMProvider(providerName).internal);
+  const error = new Error(`Unsupported LLM provider: ${name}. Available providers: ${available.join(', ')}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Get the default models of a provider from its settings
+ */
+function modelsFromSettings(providerSettings) {
+  return {
+    thinkingModel: providerSettings.thinkingModel,
+    networkingModel: providerSettings.networkingModel
+  };
+}
+
+// Built-in providers
+registerLLMProvider('google', {
+  displayName: settings.llm.providerSettings.providerNames.google,
+  createModel: (model, options = {}, apiKey) => {
+    const genAI = new GoogleGenerativeAI(apiKey || process.env.GOOGLE_GENERATIVE_AI_API_KEY);
+    return genAI.getGenerativeModel({ model: model || "gemini-1.5-pro", ...options });
+  },
+  getDefaultModels: () => modelsFromSettings(settings.llm.googleSettings),
+  getFallbackModel: () => settings.llm.googleSettings.fallbackModel
+});
+
+registerLLMProvider('openrouter', {
+  displayName: settings.llm.providerSettings.providerNames.openrouter,
+  createModel: (model, options = {}, apiKey) => openRouter.createModelWrapper({
+    model: model || process.env.DEFAULT_OPENROUTER_MODEL || "anthropic/claude-3-opus:beta",
+    temperature: options.temperature || 0.7,
+    maxOutputTokens: options.maxOutputTokens || 4096,
+    apiKey: apiKey || process.env.OPENROUTER_API_KEY
+  }),
+  getDefaultModels: () => ({
+    thinkingModel: process.env.DEFAULT_OPENROUTER_MODEL || "anthropic/claude-3-opus:beta",
+    networkingModel: process.env.DEFAULT_OPENROUTER_MODEL || "anthropic/claude-3-opus:beta"
+  })
+});
+
+registerLLMProvider('openai-compatible', {
+  displayName: settings.llm.providerSettings.providerNames['openai-compatible'],
+  createModel: (model, options = {}, apiKey) => openAICompatible.createModelWrapper({
+    model: model || settings.llm.openAICompatibleSettings.networkingModel,
+    temperature: options.temperature,
+    maxOutputTokens: options.maxOutputTokens,
+    apiKey
+  }),
+  getDefaultModels: () => modelsFromSettings(settings.llm.openAICompatibleSettings)
+});
+
+registerLLMProvider('ollama', {
+  displayName: settings.llm.providerSettings.providerNames.ollama,
+  requiresApiKey: false,
+  createModel: (model, options = {}) => ollama.createModelWrapper({
+    model: model || settings.llm.ollamaSettings.networkingModel,
+    temperature: options.temperature,
+    maxOutputTokens: options.maxOutputTokens
+  }),
+  getDefaultModels: () => modelsFromSettings(settings.llm.ollamaSettings)
+});
+
+registerLLMProvider('anthropic', {
+  displayName: settings.llm.providerSettings.providerNames.anthropic,
+  createModel: (model, options = {}, apiKey) => anthropic.createModelWrapper({
+    model: model || settings.llm.anthropicSettings.networkingModel,
+    temperature: options.temperature,
+    maxOutputTokens: options.maxOutputTokens,
+    apiKey
+  }),
+  getDefaultModels: () => modelsFromSettings(settings.llm.anthropicSettings)
+});
+
+registerLLMProvider('mock', {
+  displayName: settings.llm.providerSettings.providerNames.mock,
+  requiresApiKey: false,
+  createModel: (model, options = {}) => mockLLM.createMockProvider(options.mockType || "google", model, options)
+});
+
+module.exports = {
+  registerLLMProvider,
+  getLLMProvider,
+  getLLMProviderNames,
+  getFallbackModel,
+  createUnsupportedProviderError
+};
@@ -0,0 +1,339 @@
+/**
+ * Local Document Corpus
+ *
+ * This module makes a local directory of markdown, text, HTML and PDF files
+ * searchable like a web search API. Files are split into overlapping chunks
+ * that are ranked with BM25, and the best chunks are returned in the
+ * `{ title, content, url }` shape of the other search providers. The index
+ * is built on first use and rebuilt when files are added, changed or removed.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const settings = require('../settings');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'local-corpus', category: logger.CATEGORIES.RESEARCH });
+
+// Import text extraction utilities
+const { getDocumentType, extractDocumentText } = require('./text-extraction');
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words too common to help ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with', 'what', 'how'
+]);
+
+/**
+ * Split text into lowercase search terms
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms without stop words
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Split a document into overlapping chunks of whole paragraphs
+ *
+ * Paragraphs longer than a chunk are split by words.
+ *
+ * @param {string} text - Document text with blank lines between paragraphs
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Target number of words per chunk
+ * @param {number} options.chunkOverlap - Number of words repeated from the previous chunk
+ * @returns {Array<string>} - Chunks
+ */
+function chunkText(text, { chunkSize = 300, chunkOverlap = 50 } = {}) {
+  const overlap = Math.min(chunkOverlap, Math.floor(chunkSize / 2));
+  const words = [];
+  const paragraphStarts = new Set([0]);
+
+  text.split(/\n\s*\n/).forEach(paragraph => {
+    const paragraphWords = paragraph.split(/\s+/).filter(Boolean);
+    if (paragraphWords.length === 0) return;
+    paragraphStarts.add(words.length);
+    words.push(...paragraphWords);
+  });
+
+  const chunks = [];
+  let start = 0;
+  while (start < words.length) {
+    let end = Math.min(start + chunkSize, words.length);
+
+    // End at a paragraph boundary if one is in the second half of the chunk
+    if (end < words.length) {
+      for (let index = end; index > start + chunkSize / 2; index--) {
+        if (paragraphStarts.has(index)) {
+          end = index;
+          break;
+        }
+      }
+    }
+
+    // Keep the paragraph breaks inside the chunk
+    chunks.push(words.slice(start, end).reduce((chunk, word, offset) => {
+      if (offset === 0) return word;
+      return chunk + (paragraphStarts.has(start + offset) ? '\n\n' : ' ') + word;
+    }, ''));
+    if (end >= words.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Create a BM25 index over a set of chunks
+ *
+ * @param {Array<Object>} chunks - Chunks with a `text` property
+ * @returns {Object} - Index with a search method
+ */
+function createBm25Index(chunks) {
+  const documentFrequencies = new Map();
+  const entries = chunks.map(chunk => {
+    const terms = tokenize(chunk.text);
+    const termFrequencies = new Map();
+    terms.forEach(term => termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1));
+    termFrequencies.forEach((count, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+    return { chunk, termFrequencies, length: terms.length };
+  });
+
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+  return {
+    size: entries.length,
+
+    /**
+     * Rank the chunks for a query
+     *
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of chunks to return
+     * @returns {Array<Object>} - Chunks with a `score`, best first
+     */
+    search(query, limit = 10) {
+      const queryTerms = Array.from(new Set(tokenize(query)));
+      if (queryTerms.length === 0) return [];
+
+      return entries
+        .map(entry => {
+          let score = 0;
+          queryTerms.forEach(term => {
+            const frequency = entry.termFrequencies.get(term);
+            if (!frequency) return;
+            const documentFrequency = documentFrequencies.get(term);
+            const idf = Math.log(1 + (entries.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            score += idf * (frequency * (BM25_K1 + 1)) /
+              (frequency + BM25_K1 * (1 - BM25_B + BM25_B * entry.length / averageLength));
+          });
+          return { ...entry.chunk, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+  };
+}
+
+/**
+ * List the supported files of a directory recursively
+ *
+ * @param {string} directory - Directory to scan
+ * @param {Object} options - Scan options
+ * @param {Array<string>} options.extensions - File extensions to include
+ * @param {number} options.maxFileSize - Larger files are skipped
+ * @returns {Promise<Array<Object>>} - Files with path, size and mtimeMs
+ */
+async function listFiles(directory, { extensions, maxFileSize }) {
+  const files = [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    // Skip hidden files and directories such as .git
+    if (entry.name.startsWith('.')) continue;
+
+    const filePath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(filePath, { extensions, maxFileSize }));
+    } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+      const stats = await fs.stat(filePath);
+      if (stats.size > maxFileSize) {
+        log.warn('Skipping file larger than the size limit', { file: filePath, size: stats.size });
+        continue;
+      }
+      files.push({ path: filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Create a searchable corpus over a local directory
+ *
+ * @param {Object} options - Corpus options, defaulting to the local corpus search settings
+ * @param {string} options.directory - Directory with the documents
+ * @param {Array<string>} options.extensions - File extensions to index
+ * @param {number} options.chunkSize - Target number of words per chunk
+ * @param {number} options.chunkOverlap - Number of words shared by consecutive chunks
+ * @param {number} options.maxFileSize - Files larger than this many bytes are skipped
+ * @param {string} options.urlPrefix - Prefix for result URLs instead of file:// URLs (optional)
+ * @returns {Object} - Corpus with search, refresh and getStats methods
+ */
+function createLocalCorpus(options = {}) {
+  const corpusSettings = { ...settings.search.localCorpusSearchSettings, ...options };
+  const directory = corpusSettings.directory ? path.resolve(corpusSettings.directory) : '';
+
+  let index = null;
+  let signature = null;
+  let fileCount = 0;
+  let indexedAt = null;
+  let building = null;
+
+  /**
+   * Build the URL of a chunk
+   */
+  function getChunkUrl(filePath, chunkIndex) {
+    const relativePath = path.relative(directory, filePath).split(path.sep).join('/');
+    const fileUrl = corpusSettings.urlPrefix
+      ? corpusSettings.urlPrefix.replace(/\/$/, '') + '/' + relativePath.split('/').map(encodeURIComponent).join('/')
+      : pathToFileURL(filePath).href;
+    return `${fileUrl}#chunk-${chunkIndex + 1}`;
+  }
+
+  /**
+   * Read and chunk all files of the directory
+   */
+  async function buildIndex(files) {
+    const startTime = Date.now();
+    const chunks = [];
+
+    for (const file of files) {
+      try {
+        const type = getDocumentType({ extension: path.extname(file.path) });
+        const { title, text } = await extractDocumentText(await fs.readFile(file.path), type);
+        const fileTitle = title || path.basename(file.path, path.extname(file.path));
+
+        chunkText(text, corpusSettings).forEach((chunk, chunkIndex, fileChunks) => {
+          chunks.push({
+            title: fileChunks.length > 1 ? `${fileTitle} (part ${chunkIndex + 1} of ${fileChunks.length})` : fileTitle,
+            // The title is indexed with the text so that chunks of a matching document rank higher
+            text: `${fileTitle}\n\n${chunk}`,
+            content: chunk,
+            url: getChunkUrl(file.path, chunkIndex)
+          });
+        });
+      } catch (error) {
+        log.warn('Skipping file that could not be read', { file: file.path, error: error.message });
+      }
+    }
+
+    log.info('Indexed local corpus', {
+      directory,
+      fileCount: files.length,
+      chunkCount: chunks.length,
+      timeToComplete: `${Date.now() - startTime}ms`
+    });
+
+    return createBm25Index(chunks);
+  }
+
+  /**
+   * Make sure the index reflects the current files of the directory
+   */
+  async function ensureIndex() {
+    if (!directory) {
+      const error = new Error('Local corpus directory is required (set LOCAL_CORPUS_DIR)');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const files = await listFiles(directory, corpusSettings);
+    const currentSignature = files.map(file => `${file.path}:${file.size}:${file.mtimeMs}`).sort().join('|');
+    if (index && currentSignature === signature) {
+      return index;
+    }
+
+    // Concurrent searches share one rebuild
+    if (!building) {
+      building = buildIndex(files)
+        .then(builtIndex => {
+          index = builtIndex;
+          signature = currentSignature;
+          fileCount = files.length;
+          indexedAt = new Date().toISOString();
+          return builtIndex;
+        })
+        .finally(() => {
+          building = null;
+        });
+    }
+    return building;
+  }
+
+  return {
+    directory,
+
+    /**
+     * Search the corpus
+     *
+     * @param {string} query - Search query
+     * @param {Object} searchOptions - Search options
+     * @param {number} searchOptions.maxResults - Maximum number of chunks to return (default: 10)
+     * @returns {Promise<Object>} - `{ results: [{ title, content, url, score }] }`
+     */
+    async search(query, searchOptions = {}) {
+      const currentIndex = await ensureIndex();
+      const results = currentIndex.search(query, searchOptions.maxResults || 10)
+        .map(({ title, content, url, score }) => ({ title, content, url, score }));
+      return { results };
+    },
+
+    /**
+     * Rebuild the index on the next search
+     */
+    refresh() {
+      signature = null;
+    },
+
+    /**
+     * Get information about the current index
+     *
+     * @returns {Object} - Directory, number of files and chunks, and when it was indexed
+     */
+    getStats() {
+      return { directory, fileCount, chunkCount: index ? index.size : 0, indexedAt };
+    }
+  };
+}
+
+// Corpus over the configured directory, created on first use
+let defaultCorpus = null;
+
+/**
+ * Get the corpus over the directory configured in the settings
+ *
+ * @returns {Object} - The shared local corpus
+ */
+function getLocalCorpus() {
+  const configuredDirectory = settings.search.localCorpusSearchSettings.directory;
+  if (!defaultCorpus || defaultCorpus.directory !== (configuredDirectory ? path.resolve(configuredDirectory) : '')) {
+    defaultCorpus = createLocalCorpus();
+  }
+  return defaultCorpus;
+}
+
+module.exports = {
+  tokenize,
+  chunkText,
+  createBm25Index,
+  createLocalCorpus,
+  getLocalCorpus
+};
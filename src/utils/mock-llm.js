@@ -12,6 +12,9 @@ const logger = require('./logger');
 // Create a module-specific logger
 const log = logger.child({ module: 'mock-llm' });
 
+// Import cancellation utilities
+const { abortableSleep } = require('./abort');
+
 /**
  * Mock responses for different types of queries
  * These can be expanded as needed for testing different scenarios
@@ -144,6 +147,31 @@ Each neural network architecture offers distinct advantages for specific problem
   }
 };
 
+/**
+ * Create a mock streaming response from a complete generateContent result
+ *
+ * Splits the response text into small chunks so streaming consumers
+ * receive several tokens, like they would from a real provider.
+ *
+ * @param {Object} result - Result of a mock generateContent call
+ * @returns {Object} - Object with stream and response, like generateContentStream
+ */
+function createMockStream(result) {
+  const text = result.response.text();
+  const chunks = text.match(/[\s\S]{1,40}/g) || [];
+
+  async function* stream() {
+    for (const chunk of chunks) {
+      yield { text: () => chunk };
+    }
+  }
+
+  return {
+    stream: stream(),
+    response: Promise.resolve(result.response)
+  };
+}
+
 /**
  * Create a mock Google Generative AI model
  *
@@ -156,7 +184,7 @@ function createMockGoogleModel(options = {}) {
   log.debug('Creating mock Google model', { model });
 
   return {
-    generateContent: async function(params) {
+    generateContent: async function(params, requestOptions = {}) {
       log.debug('Mock Google model generating content', {
         model,
         contentLength: params.contents?.[0]?.parts?.[0]?.text?.length || 0
@@ -191,13 +219,17 @@ function createMockGoogleModel(options = {}) {
       }
 
       // Add a small delay to simulate API call
-      await new Promise(resolve => setTimeout(resolve, 200));
+      await abortableSleep(200, requestOptions.signal);
 
       return {
         response: {
           text: () => responseText
         }
       };
+    },
+
+    generateContentStream: async function(params, requestOptions = {}) {
+      return createMockStream(await this.generateContent(params, requestOptions));
     }
   };
 }
@@ -214,7 +246,7 @@ function createMockOpenRouterWrapper(options = {}) {
   log.debug('Creating mock OpenRouter wrapper', { model });
 
   return {
-    generateContent: async function(params) {
+    generateContent: async function(params, requestOptions = {}) {
       log.debug('Mock OpenRouter wrapper generating content', {
         model,
         contentLength: params.contents?.[0]?.parts?.[0]?.text?.length || 0
@@ -249,13 +281,17 @@ function createMockOpenRouterWrapper(options = {}) {
       }
 
       // Add a small delay to simulate API call
-      await new Promise(resolve => setTimeout(resolve, 200));
+      await abortableSleep(200, requestOptions.signal);
 
       return {
         response: {
           text: () => responseText
         }
       };
+    },
+
+    generateContentStream: async function(params, requestOptions = {}) {
+      return createMockStream(await this.generateContent(params, requestOptions));
     }
   };
 }
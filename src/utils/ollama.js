@@ -0,0 +1,200 @@
+/**
+ * Ollama API Integration
+ *
+ * This module talks to a local Ollama server through its native chat API,
+ * which streams newline-delimited JSON instead of server-sent events and
+ * accepts Ollama specific options such as the context window size.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+
+// Create a module-specific logger
+const log = logger.child({ module: 'ollama' });
+
+// Import settings
+const settings = require('../settings');
+
+// Import the Google Generative AI interface adapter
+const { toUsageMetadata, readLines, createChatModelWrapper } = require('./chat-model');
+
+/**
+ * Build an error from a failed Ollama API response
+ *
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>} - Error with status and response data attached
+ */
+async function createApiError(response) {
+  let errorData;
+  try {
+    errorData = await response.json();
+  } catch (e) {
+    errorData = { error: 'Failed to parse error response' };
+  }
+
+  const error = new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.data = errorData;
+
+  log.error('API request failed', {
+    status: response.status,
+    statusText: response.statusText,
+    errorData
+  });
+
+  return error;
+}
+
+/**
+ * Send a chat request to Ollama
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as createChatCompletion
+ * @param {boolean} stream - Whether to request a streamed response
+ * @returns {Promise<Response>} - The fetch response
+ */
+async function requestChat(messages, options, stream) {
+  const ollamaSettings = settings.llm.ollamaSettings;
+  const baseUrl = (options.baseUrl || ollamaSettings.baseUrl).replace(/\/$/, '');
+  const model = options.model || ollamaSettings.networkingModel;
+  const temperature = options.temperature !== undefined ? options.temperature : ollamaSettings.defaultTemperature;
+  const maxTokens = options.maxTokens || ollamaSettings.defaultMaxOutputTokens;
+
+  log.debug(stream ? 'Creating streaming chat' : 'Creating chat', {
+    baseUrl,
+    model,
+    temperature,
+    maxTokens,
+    messageCount: messages.length
+  });
+
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      messages,
+      stream,
+      options: {
+        temperature,
+        num_predict: maxTokens,
+        num_ctx: ollamaSettings.contextWindow
+      }
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await createApiError(response);
+  }
+
+  return response;
+}
+
+/**
+ * Create a chat completion with Ollama
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Configuration options
+ * @param {string} options.model - Model to use (default: from settings)
+ * @param {number} options.temperature - Temperature for generation
+ * @param {number} options.maxTokens - Maximum tokens to generate
+ * @param {string} options.baseUrl - Base URL of the Ollama server (optional, uses settings if not provided)
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {Function} options.onUsage - Called with the token usage of the call (optional)
+ * @returns {Promise<Object>} - Response from the API
+ */
+async function createChatCompletion(messages, options = {}) {
+  try {
+    const response = await requestChat(messages, options, false);
+    const data = await response.json();
+
+    log.debug('Chat completion successful', {
+      model: data.model,
+      promptTokens: data.prompt_eval_count,
+      completionTokens: data.eval_count,
+      responseLength: data.message?.content?.length || 0
+    });
+
+    if (options.onUsage) {
+      options.onUsage(toUsageMetadata(data.prompt_eval_count, data.eval_count));
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      log.debug('Chat completion cancelled', { model: options.model });
+      throw error;
+    }
+
+    log.error('Error creating chat completion', {
+      error: error.message,
+      model: options.model
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create a streaming chat completion with Ollama
+ *
+ * Yields the content of each streamed message as it arrives.
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as createChatCompletion
+ * @returns {AsyncGenerator<string>} - Generator of content deltas
+ */
+async function* createChatCompletionStream(messages, options = {}) {
+  const response = await requestChat(messages, options, true);
+
+  // Every line is a JSON object; the last one has done set to true
+  for await (const line of readLines(response.body)) {
+    if (!line.trim()) continue;
+
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (e) {
+      log.warn('Failed to parse streamed chunk', { error: e.message });
+      continue;
+    }
+
+    if (data.error) {
+      throw new Error(`Ollama API error: ${data.error}`);
+    }
+    if (data.message?.content) {
+      yield data.message.content;
+    }
+    if (data.done) {
+      if (options.onUsage) {
+        options.onUsage(toUsageMetadata(data.prompt_eval_count, data.eval_count));
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Create a wrapper object that mimics the Google Generative AI interface
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.model - Model to use
+ * @param {number} options.temperature - Temperature for generation
+ * @param {number} options.maxOutputTokens - Maximum tokens to generate
+ * @returns {Object} - Wrapper object with generateContent method
+ */
+function createModelWrapper(options = {}) {
+  return createChatModelWrapper({
+    complete: async (messages, completionOptions) => {
+      const response = await createChatCompletion(messages, completionOptions);
+      return response.message?.content || '';
+    },
+    stream: createChatCompletionStream
+  }, options);
+}
+
+module.exports = {
+  createChatCompletion,
+  createChatCompletionStream,
+  createModelWrapper
+};
@@ -0,0 +1,203 @@
+/**
+ * OpenAI-compatible API Integration
+ *
+ * This module talks to any server implementing the OpenAI chat completions
+ * API, such as OpenAI itself, vLLM, LM Studio or the llama.cpp server. The
+ * base URL includes the version prefix (e.g. http://localhost:8000/v1) and
+ * the API key is optional because local servers usually do not need one.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+
+// Create a module-specific logger
+const log = logger.child({ module: 'openai-compatible' });
+
+// Import settings
+const settings = require('../settings');
+
+// Import the Google Generative AI interface adapter
+const { toUsageMetadata, readLines, createChatModelWrapper } = require('./chat-model');
+
+/**
+ * Build an error from a failed API response
+ *
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>} - Error with status and response data attached
+ */
+async function createApiError(response) {
+  let errorData;
+  try {
+    errorData = await response.json();
+  } catch (e) {
+    errorData = { error: 'Failed to parse error response' };
+  }
+
+  const error = new Error(`OpenAI-compatible API error: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.data = errorData;
+
+  log.error('API request failed', {
+    status: response.status,
+    statusText: response.statusText,
+    errorData
+  });
+
+  return error;
+}
+
+/**
+ * Send a chat completion request
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as createChatCompletion
+ * @param {boolean} stream - Whether to request a streamed response
+ * @returns {Promise<Object>} - The request model and the fetch response
+ */
+async function requestChatCompletion(messages, options, stream) {
+  const providerSettings = settings.llm.openAICompatibleSettings;
+  const baseUrl = (options.baseUrl || providerSettings.baseUrl).replace(/\/$/, '');
+  const apiKey = options.apiKey || process.env[providerSettings.apiKeyEnvVar];
+  const model = options.model || providerSettings.networkingModel;
+  const temperature = options.temperature !== undefined ? options.temperature : providerSettings.defaultTemperature;
+  const maxTokens = options.maxTokens || providerSettings.defaultMaxOutputTokens;
+
+  log.debug(stream ? 'Creating streaming chat completion' : 'Creating chat completion', {
+    baseUrl,
+    model,
+    temperature,
+    maxTokens,
+    messageCount: messages.length
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream,
+      // Report the token usage in the last chunk of a stream
+      ...(stream ? { stream_options: { include_usage: true } } : {})
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await createApiError(response);
+  }
+
+  return { model, response };
+}
+
+/**
+ * Create a chat completion
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Configuration options
+ * @param {string} options.model - Model to use (default: from settings)
+ * @param {number} options.temperature - Temperature for generation
+ * @param {number} options.maxTokens - Maximum tokens to generate
+ * @param {string} options.apiKey - API key (optional, uses env var if not provided)
+ * @param {string} options.baseUrl - Base URL of the API (optional, uses settings if not provided)
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {Function} options.onUsage - Called with the token usage of the call (optional)
+ * @returns {Promise<Object>} - Response from the API
+ */
+async function createChatCompletion(messages, options = {}) {
+  try {
+    const { response } = await requestChatCompletion(messages, options, false);
+    const data = await response.json();
+
+    log.debug('Chat completion successful', {
+      model: data.model,
+      usage: data.usage,
+      responseLength: data.choices?.[0]?.message?.content?.length || 0
+    });
+
+    if (options.onUsage && data.usage) {
+      options.onUsage(toUsageMetadata(data.usage.prompt_tokens, data.usage.completion_tokens));
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      log.debug('Chat completion cancelled', { model: options.model });
+      throw error;
+    }
+
+    log.error('Error creating chat completion', {
+      error: error.message,
+      model: options.model
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create a streaming chat completion
+ *
+ * Yields the content of each streamed delta as it arrives.
+ *
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as createChatCompletion
+ * @returns {AsyncGenerator<string>} - Generator of content deltas
+ */
+async function* createChatCompletionStream(messages, options = {}) {
+  const { response } = await requestChatCompletion(messages, options, true);
+
+  // Parse the server-sent events
+  for await (const line of readLines(response.body)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) continue;
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') return;
+
+    try {
+      const data = JSON.parse(payload);
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+      if (options.onUsage && data.usage) {
+        options.onUsage(toUsageMetadata(data.usage.prompt_tokens, data.usage.completion_tokens));
+      }
+    } catch (e) {
+      log.warn('Failed to parse streamed chunk', { error: e.message });
+    }
+  }
+}
+
+/**
+ * Create a wrapper object that mimics the Google Generative AI interface
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.model - Model to use
+ * @param {number} options.temperature - Temperature for generation
+ * @param {number} options.maxOutputTokens - Maximum tokens to generate
+ * @param {string} options.apiKey - API key (optional)
+ * @returns {Object} - Wrapper object with generateContent method
+ */
+function createModelWrapper(options = {}) {
+  return createChatModelWrapper({
+    complete: async (messages, completionOptions) => {
+      const response = await createChatCompletion(messages, completionOptions);
+      return response.choices?.[0]?.message?.content || '';
+    },
+    stream: createChatCompletionStream
+  }, options);
+}
+
+module.exports = {
+  createChatCompletion,
+  createChatCompletionStream,
+  createModelWrapper
+};
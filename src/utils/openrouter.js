@@ -11,9 +11,39 @@ const logger = require('./logger');
 // Create a module-specific logger
 const log = logger.child({ module: 'openrouter' });
 
+// Import the Google Generative AI interface adapter
+const { toUsageMetadata, readLines, createChatModelWrapper } = require('./chat-model');
+
 // Base URL for Open Router API
 const OPENROUTER_API_BASE_URL = process.env.OPENROUTER_API_BASE_URL || 'https://openrouter.ai/api';
 
+/**
+ * Build an error from a failed Open Router API response
+ * 
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<Error>} - Error with status and response data attached
+ */
+async function createApiError(response) {
+  let errorData;
+  try {
+    errorData = await response.json();
+  } catch (e) {
+    errorData = { error: 'Failed to parse error response' };
+  }
+  
+  const error = new Error(`Open Router API error: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.data = errorData;
+  
+  log.error('API request failed', { 
+    status: response.status, 
+    statusText: response.statusText,
+    errorData
+  });
+  
+  return error;
+}
+
 /**
  * Create a chat completion using Open Router API
  * 
@@ -23,6 +53,8 @@ const OPENROUTER_API_BASE_URL = process.env.OPENROUTER_API_BASE_URL || 'https://
  * @param {number} options.temperature - Temperature for generation (default: 0.7)
  * @param {number} options.maxTokens - Maximum tokens to generate (default: 4096)
  * @param {string} options.apiKey - Open Router API key (optional, uses env var if not provided)
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {Function} options.onUsage - Called with the token usage of the call (optional)
  * @returns {Promise<Object>} - Response from the API
  */
 async function createChatCompletion(messages, options = {}) {
@@ -60,28 +92,12 @@ async function createChatCompletion(messages, options = {}) {
         temperature,
         max_tokens: maxTokens,
         stream: false
-      })
+      }),
+      signal: options.signal
     });
     
     if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        errorData = { error: 'Failed to parse error response' };
-      }
-      
-      const error = new Error(`Open Router API error: ${response.status} ${response.statusText}`);
-      error.status = response.status;
-      error.data = errorData;
-      
-      log.error('API request failed', { 
-        status: response.status, 
-        statusText: response.statusText,
-        errorData
-      });
-      
-      throw error;
+      throw await createApiError(response);
     }
     
     const data = await response.json();
@@ -92,8 +108,17 @@ async function createChatCompletion(messages, options = {}) {
       responseLength: data.choices?.[0]?.message?.content?.length || 0
     });
     
+    if (options.onUsage && data.usage) {
+      options.onUsage(toUsageMetadata(data.usage.prompt_tokens, data.usage.completion_tokens));
+    }
+    
     return data;
   } catch (error) {
+    if (error.name === 'AbortError') {
+      log.debug('Chat completion cancelled', { model });
+      throw error;
+    }
+    
     log.error('Error creating chat completion', { 
       error: error.message,
       model,
@@ -103,6 +128,83 @@ async function createChatCompletion(messages, options = {}) {
   }
 }
 
+/**
+ * Create a streaming chat completion using Open Router API
+ * 
+ * Yields the content of each streamed delta as it arrives.
+ * 
+ * @param {Array} messages - Array of message objects with role and content
+ * @param {Object} options - Same options as createChatCompletion
+ * @returns {AsyncGenerator<string>} - Generator of content deltas
+ */
+async function* createChatCompletionStream(messages, options = {}) {
+  const apiKey = options.apiKey || process.env.OPENROUTER_API_KEY;
+  
+  if (!apiKey) {
+    const error = new Error('Open Router API key is required');
+    log.error('API key missing', { error: error.message });
+    throw error;
+  }
+  
+  const model = options.model || process.env.DEFAULT_OPENROUTER_MODEL || 'anthropic/claude-3-opus:beta';
+  const temperature = options.temperature !== undefined ? options.temperature : 0.7;
+  const maxTokens = options.maxTokens || 4096;
+  
+  log.debug('Creating streaming chat completion', { 
+    model, 
+    temperature, 
+    maxTokens,
+    messageCount: messages.length
+  });
+  
+  const response = await fetch(`${OPENROUTER_API_BASE_URL}/v1/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`,
+      'HTTP-Referer': 'https://deep-research-server',
+      'X-Title': 'Deep Research Server'
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      // Report the token usage in the last chunk
+      usage: { include: true }
+    }),
+    signal: options.signal
+  });
+  
+  if (!response.ok) {
+    throw await createApiError(response);
+  }
+  
+  // Parse the server-sent events
+  for await (const line of readLines(response.body)) {
+    const trimmed = line.trim();
+    // Skip blank lines and comments such as ": OPENROUTER PROCESSING"
+    if (!trimmed.startsWith('data:')) continue;
+    
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') return;
+    
+    try {
+      const data = JSON.parse(payload);
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+      if (options.onUsage && data.usage) {
+        options.onUsage(toUsageMetadata(data.usage.prompt_tokens, data.usage.completion_tokens));
+      }
+    } catch (e) {
+      log.warn('Failed to parse streamed chunk', { error: e.message });
+    }
+  }
+}
+
 /**
  * Create a wrapper object that mimics the Google Generative AI interface
  * 
@@ -110,63 +212,21 @@ async function createChatCompletion(messages, options = {}) {
  * @param {string} options.model - Model to use
  * @param {number} options.temperature - Temperature for generation
  * @param {number} options.maxOutputTokens - Maximum tokens to generate
+ * @param {string} options.apiKey - Open Router API key (optional, uses env var if not provided)
  * @returns {Object} - Wrapper object with generateContent method
  */
 function createModelWrapper(options = {}) {
-  const modelOptions = {
-    model: options.model,
-    temperature: options.temperature,
-    maxTokens: options.maxOutputTokens
-  };
-  
-  return {
-    generateContent: async function(params) {
-      // Convert Google Generative AI format to Open Router format
-      const messages = [];
-      
-      if (params.contents) {
-        for (const content of params.contents) {
-          const message = {
-            role: content.role === 'user' ? 'user' : 'assistant',
-            content: content.parts.map(part => part.text).join('\n')
-          };
-          messages.push(message);
-        }
-      }
-      
-      // If there's a system message in the first content, extract it
-      if (messages.length > 0 && messages[0].role === 'user') {
-        const userMessage = messages[0].content;
-        const systemPromptMatch = userMessage.match(/^(.*?)\n\n/);
-        
-        if (systemPromptMatch) {
-          const systemPrompt = systemPromptMatch[1];
-          messages[0].content = userMessage.replace(systemPrompt + '\n\n', '');
-          messages.unshift({ role: 'system', content: systemPrompt });
-        }
-      }
-      
-      // Set generation parameters
-      const completionOptions = {
-        ...modelOptions,
-        temperature: params.generationConfig?.temperature || modelOptions.temperature,
-        maxTokens: params.generationConfig?.maxOutputTokens || modelOptions.maxTokens
-      };
-      
-      // Call Open Router API
+  return createChatModelWrapper({
+    complete: async (messages, completionOptions) => {
       const response = await createChatCompletion(messages, completionOptions);
-      
-      // Convert Open Router response to Google Generative AI format
-      return {
-        response: {
-          text: () => response.choices[0].message.content
-        }
-      };
-    }
-  };
+      return response.choices[0].message.content;
+    },
+    stream: createChatCompletionStream
+  }, options);
 }
 
 module.exports = {
   createChatCompletion,
+  createChatCompletionStream,
   createModelWrapper
 };
@@ -0,0 +1,462 @@
+/**
+ * Page Fetcher
+ *
+ * Search APIs only return short snippets. This module downloads the pages
+ * behind search results and replaces the snippets with the readable text of
+ * the page (HTML main content or PDF text), truncated to a token budget.
+ *
+ * Fetching is polite and bounded: robots.txt is respected, only a few
+ * requests run per domain at a time, every request has a timeout and a size
+ * cap, and pages on private networks are not fetched unless allowed.
+ */
+const dns = require('dns').promises;
+const net = require('net');
+const settings = require('../settings');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'page-fetcher', category: logger.CATEGORIES.API });
+
+// Import cancellation utilities
+const { isAbortError, throwIfAborted, createTimeoutSignal } = require('./abort');
+
+// Import cassette recording and replay
+const { runOnCassette } = require('./cassette');
+
+// Import text extraction utilities
+const { getDocumentType, extractDocumentText } = require('./text-extraction');
+
+// Import token estimation, used to apply the token budget
+const { truncateToTokens } = require('./context-window');
+
+// Maximum number of redirects followed for a page
+const MAX_REDIRECTS = 5;
+
+/**
+ * Create a function that runs tasks with limited concurrency
+ *
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Function} - `(task) => Promise` running the task when a slot is free
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Check whether an IP address belongs to a loopback, private or link-local network
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether the address is not publicly routable
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) {
+    return isPrivateAddress(normalized.slice(7));
+  }
+  return normalized === '::' || normalized === '::1' ||
+    normalized.startsWith('fc') || normalized.startsWith('fd') || normalized.startsWith('fe80');
+}
+
+/**
+ * Parse a robots.txt file into the rules that apply to a user agent
+ *
+ * Follows RFC 9309: the group of the most specific matching user agent
+ * applies, falling back to the `*` group.
+ *
+ * @param {string} content - The robots.txt file
+ * @param {string} userAgent - The user agent of the fetcher
+ * @returns {Array<Object>} - Rules as `{ allow, path }`
+ */
+function parseRobotsTxt(content, userAgent) {
+  const agentToken = userAgent.split('/')[0].toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if ((field === 'allow' || field === 'disallow') && current) {
+      // An empty disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+      lastWasAgent = false;
+    } else {
+      lastWasAgent = false;
+    }
+  });
+
+  const matching = groups.filter(group => group.agents.some(agent => agent !== '*' && agentToken.includes(agent)));
+  const applicable = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+  return applicable.flatMap(group => group.rules);
+}
+
+/**
+ * Convert a robots.txt path pattern into a regular expression
+ *
+ * `*` matches any characters and a trailing `$` anchors the end of the path.
+ */
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check whether robots.txt rules allow a path
+ *
+ * The longest matching rule wins; on a tie, allow wins.
+ *
+ * @param {Array<Object>} rules - Rules from parseRobotsTxt
+ * @param {string} path - Path and query of the URL
+ * @returns {boolean} - Whether the path may be fetched
+ */
+function isAllowedByRobots(rules, path) {
+  let best = null;
+
+  rules.forEach(rule => {
+    if (!robotsPatternToRegExp(rule.path).test(path)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+
+  return !best || best.allow;
+}
+
+/**
+ * Create a page fetcher
+ *
+ * @param {Object} options - Fetcher options, defaulting to the page fetch settings
+ * @param {number} options.timeout - Timeout per request in milliseconds
+ * @param {number} options.maxBytes - Maximum size of a page in bytes
+ * @param {number} options.maxTokens - Token budget for the text of a page
+ * @param {number} options.maxConcurrency - Maximum number of pages fetched at once
+ * @param {number} options.perDomainConcurrency - Maximum number of pages fetched at once per domain
+ * @param {boolean} options.respectRobotsTxt - Whether to check robots.txt before fetching
+ * @param {number} options.robotsCacheTtl - How long robots.txt files are cached in milliseconds
+ * @param {boolean} options.allowPrivateHosts - Whether pages on private networks may be fetched
+ * @param {string} options.userAgent - User agent sent with every request
+ * @returns {Object} - Fetcher with fetchPage and enrichSearchResults methods
+ */
+function createPageFetcher(options = {}) {
+  const fetchSettings = { ...settings.search.pageFetchSettings, ...options };
+  const limitTotal = createLimiter(fetchSettings.maxConcurrency);
+  const domainLimiters = new Map();
+  const robotsCache = new Map();
+
+  /**
+   * Get the concurrency limiter of a domain
+   */
+  function getDomainLimiter(hostname) {
+    if (!domainLimiters.has(hostname)) {
+      domainLimiters.set(hostname, createLimiter(fetchSettings.perDomainConcurrency));
+    }
+    return domainLimiters.get(hostname);
+  }
+
+  /**
+   * Reject URLs that are not http(s) or point to private networks
+   */
+  async function assertFetchableUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Unsupported protocol: ${url.protocol}`);
+    }
+    if (fetchSettings.allowPrivateHosts) return;
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+    if (hostname === 'localhost' || addresses.some(isPrivateAddress)) {
+      throw new Error(`Refusing to fetch private address: ${url.hostname}`);
+    }
+  }
+
+  /**
+   * Send a request with a timeout, following redirects to fetchable URLs only
+   *
+   * The response is passed to `handleResponse`, which reads its body within
+   * the timeout; the timeout is cleared once it has returned.
+   */
+  async function request(url, signal, handleResponse) {
+    let currentUrl = url;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      await assertFetchableUrl(currentUrl);
+
+      const timeout = createTimeoutSignal(fetchSettings.timeout, signal);
+      try {
+        const response = await fetch(currentUrl, {
+          headers: {
+            'User-Agent': fetchSettings.userAgent,
+            'Accept': 'text/html,application/xhtml+xml,application/pdf;q=0.9,text/plain;q=0.8'
+          },
+          redirect: 'manual',
+          signal: timeout.signal
+        });
+
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+          // Discard the redirect body
+          if (response.body) await response.body.cancel();
+          currentUrl = new URL(location, currentUrl);
+          continue;
+        }
+        return await handleResponse(response);
+      } finally {
+        timeout.clear();
+      }
+    }
+    throw new Error(`Too many redirects for ${url.href}`);
+  }
+
+  /**
+   * Read a response body, stopping at the size cap
+   */
+  async function readBody(response) {
+    const declaredLength = parseInt(response.headers.get('content-length'), 10);
+    if (declaredLength > fetchSettings.maxBytes) {
+      if (response.body) await response.body.cancel();
+      return { buffer: Buffer.alloc(0), complete: false };
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      const remaining = fetchSettings.maxBytes - size;
+      if (chunk.length > remaining) {
+        chunks.push(Buffer.from(chunk).subarray(0, remaining));
+        await response.body.cancel().catch(() => {});
+        return { buffer: Buffer.concat(chunks), complete: false };
+      }
+      chunks.push(Buffer.from(chunk));
+      size += chunk.length;
+    }
+    return { buffer: Buffer.concat(chunks), complete: true };
+  }
+
+  /**
+   * Get the robots.txt rules of an origin, cached per origin
+   */
+  async function getRobotsRules(url, signal) {
+    const cached = robotsCache.get(url.origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    let rules;
+    try {
+      rules = await request(new URL('/robots.txt', url.origin), signal, async (response) => {
+        if (response.ok) {
+          const { buffer } = await readBody(response);
+          return parseRobotsTxt(buffer.toString('utf8'), fetchSettings.userAgent);
+        }
+        if (response.body) await response.body.cancel();
+        // A missing robots.txt allows everything, a server error disallows everything (RFC 9309)
+        return response.status >= 500 ? [{ allow: false, path: '/' }] : [];
+      });
+    } catch (error) {
+      if (isAbortError(error) && signal && signal.aborted) throw error;
+      log.debug('Could not fetch robots.txt', { origin: url.origin, error: error.message });
+      rules = [{ allow: false, path: '/' }];
+    }
+
+    robotsCache.set(url.origin, { rules, expiresAt: Date.now() + fetchSettings.robotsCacheTtl });
+    return rules;
+  }
+
+  /**
+   * Download a page and extract its text
+   *
+   * Pages are recorded on the cassette of a recorded run and taken from the
+   * cassette of a replayed one.
+   *
+   * @param {string} pageUrl - URL of the page
+   * @param {Object} fetchOptions - Options
+   * @param {AbortSignal} fetchOptions.signal - Signal to cancel the request (optional)
+   * @param {number} fetchOptions.maxTokens - Token budget overriding the settings (optional)
+   * @param {string} fetchOptions.provider - LLM provider whose tokenizer the budget is estimated for (optional)
+   * @returns {Promise<Object>} - `{ url, title, content, contentType, truncated }`
+   */
+  async function fetchPage(pageUrl, fetchOptions = {}) {
+    const maxTokens = fetchOptions.maxTokens || fetchSettings.maxTokens;
+    return runOnCassette(
+      { type: 'page', url: pageUrl, options: { maxTokens } },
+      () => downloadPage(pageUrl, { ...fetchOptions, maxTokens })
+    );
+  }
+
+  /**
+   * Download a page and extract its text from the network
+   */
+  async function downloadPage(pageUrl, fetchOptions) {
+    const url = new URL(pageUrl);
+    const { signal } = fetchOptions;
+
+    // Waiting for a busy domain does not take one of the overall slots
+    return getDomainLimiter(url.hostname)(() => limitTotal(async () => {
+      throwIfAborted(signal);
+
+      if (fetchSettings.respectRobotsTxt) {
+        const rules = await getRobotsRules(url, signal);
+        if (!isAllowedByRobots(rules, url.pathname + url.search)) {
+          throw new Error(`Disallowed by robots.txt: ${pageUrl}`);
+        }
+      }
+
+      const { type, buffer, complete } = await request(url, signal, async (response) => {
+        if (!response.ok) {
+          if (response.body) await response.body.cancel();
+          const error = new Error(`Page request failed: ${response.status} ${response.statusText}`);
+          error.status = response.status;
+          throw error;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        const documentType = getDocumentType({ contentType });
+        if (!documentType) {
+          if (response.body) await response.body.cancel();
+          throw new Error(`Unsupported content type: ${contentType}`);
+        }
+
+        return { type: documentType, ...await readBody(response) };
+      });
+      // A cut off PDF cannot be parsed, a cut off HTML page still has its beginning
+      if (!complete && (type === 'pdf' || buffer.length === 0)) {
+        throw new Error(`Page is larger than ${fetchSettings.maxBytes} bytes`);
+      }
+
+      const { title, text } = await extractDocumentText(buffer, type);
+      const truncated = truncateToTokens(text, fetchOptions.maxTokens, fetchOptions.provider);
+
+      return {
+        url: pageUrl,
+        title,
+        content: truncated.text,
+        contentType: type,
+        truncated: truncated.truncated || !complete
+      };
+    }));
+  }
+
+  /**
+   * Replace the snippets of search results with the text of their pages
+   *
+   * Results whose page cannot be fetched keep their snippet. Results that
+   * are not web pages (such as local documents) are returned unchanged.
+   *
+   * @param {Array<Object>} results - Search results with title, content and url
+   * @param {Object} enrichOptions - Options
+   * @param {AbortSignal} enrichOptions.signal - Signal to cancel the requests (optional)
+   * @param {number} enrichOptions.maxTokens - Token budget per page (optional)
+   * @param {string} enrichOptions.provider - LLM provider whose tokenizer the budget is estimated for (optional)
+   * @returns {Promise<Array<Object>>} - Results with the page text as content and the
+   *   original `snippet`
+   */
+  async function enrichSearchResults(results = [], enrichOptions = {}) {
+    const startTime = Date.now();
+
+    const enriched = await Promise.all(results.map(async (result) => {
+      if (!result || !/^https?:\/\//i.test(result.url || '')) {
+        return result;
+      }
+
+      try {
+        const page = await fetchPage(result.url, enrichOptions);
+        if (!page.content) return result;
+        return {
+          ...result,
+          title: result.title || page.title,
+          content: page.content,
+          snippet: result.content
+        };
+      } catch (error) {
+        if (isAbortError(error) && enrichOptions.signal && enrichOptions.signal.aborted) {
+          throw error;
+        }
+        log.debug('Keeping search snippet, page could not be fetched', { url: result.url, error: error.message });
+        return result;
+      }
+    }));
+
+    log.api('Fetched result pages', {
+      resultCount: results.length,
+      fetchedCount: enriched.filter(result => result && result.snippet !== undefined).length,
+      timeToComplete: `${Date.now() - startTime}ms`
+    });
+
+    return enriched;
+  }
+
+  return {
+    fetchPage,
+    enrichSearchResults
+  };
+}
+
+// Fetcher with the configured settings, shared so limits and robots.txt caching apply across runs
+let defaultFetcher = null;
+
+/**
+ * Get the page fetcher configured in the settings
+ *
+ * @returns {Object} - The shared page fetcher
+ */
+function getPageFetcher() {
+  if (!defaultFetcher) {
+    defaultFetcher = createPageFetcher();
+  }
+  return defaultFetcher;
+}
+
+module.exports = {
+  createLimiter,
+  isPrivateAddress,
+  parseRobotsTxt,
+  isAllowedByRobots,
+  createPageFetcher,
+  getPageFetcher
+};
@@ -0,0 +1,113 @@
+/**
+ * Provider Credentials
+ *
+ * This module reads the LLM and search API keys a client sends with a
+ * research request, so the run is billed to the client's own provider
+ * accounts instead of the server's. Keys travel in headers rather than the
+ * request body, which is logged, and are kept only by the research run that
+ * uses them.
+ *
+ * Headers:
+ * - `X-LLM-API-Key`: key for the LLM provider of the request
+ * - `X-Search-API-Key`: key for the search provider of the request
+ * - `X-Search-API-Key-<provider>`: key for one of several search providers
+ */
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'provider-credentials', category: logger.CATEGORIES.AUTH });
+
+// Import settings
+const settings = require('../settings');
+
+// Import the provider registries
+const { getLLMProvider } = require('./llm-providers');
+const { getSearchProvider } = require('./search-providers');
+
+// Headers carrying the client's provider keys
+const LLM_KEY_HEADER = 'X-LLM-API-Key';
+const SEARCH_KEY_HEADER = 'X-Search-API-Key';
+
+/**
+ * Create the error for missing or misplaced provider keys
+ *
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 status code
+ */
+function createCredentialsError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Check whether a provider needs an API key
+ */
+function requiresApiKey(provider) {
+  return !!provider && provider.requiresApiKey !== false;
+}
+
+/**
+ * Read the provider API keys sent with a request
+ *
+ * @param {Object} req - Express request
+ * @param {Object} providers - Providers of the research
+ * @param {string} providers.provider - LLM provider name
+ * @param {string} providers.searchProvider - Search provider name, several separated by commas,
+ *   or an empty string for steps that do not search
+ * @returns {Object} - `{ llm, search }` mapping provider names to the client's keys
+ * @throws {Error} - Error with statusCode 400 if keys are misplaced, or missing while
+ *   the server requires clients to bring their own keys
+ */
+function getProviderCredentials(req, { provider = 'google', searchProvider = 'tavily' } = {}) {
+  const searchProviders = searchProvider.split(',').map(name => name.trim()).filter(Boolean);
+  const credentials = { llm: {}, search: {} };
+
+  const llmKey = (req.get(LLM_KEY_HEADER) || '').trim();
+  if (llmKey) {
+    credentials.llm[provider] = llmKey;
+  }
+
+  const searchKey = (req.get(SEARCH_KEY_HEADER) || '').trim();
+  if (searchKey && searchProviders.length > 0) {
+    // A key belongs to one provider and must not be sent to the others
+    if (searchProviders.length > 1) {
+      throw createCredentialsError(`Send one ${SEARCH_KEY_HEADER}-<provider> header per provider when searching several providers`);
+    }
+    credentials.search[searchProviders[0]] = searchKey;
+  }
+  searchProviders.forEach(name => {
+    const key = (req.get(`${SEARCH_KEY_HEADER}-${name}`) || '').trim();
+    if (key) {
+      credentials.search[name] = key;
+    }
+  });
+
+  if (settings.api.apiSettings.requireClientProviderKeys) {
+    const llmProvider = getLLMProvider(provider);
+    if (requiresApiKey(llmProvider) && !credentials.llm[provider]) {
+      throw createCredentialsError(`This server requires your own ${llmProvider.displayName} API key in the ${LLM_KEY_HEADER} header`);
+    }
+
+    const missing = searchProviders.filter(name => requiresApiKey(getSearchProvider(name)) && !credentials.search[name]);
+    if (missing.length > 0) {
+      throw createCredentialsError(`This server requires your own API key for the ${missing.join(', ')} search provider in the ${SEARCH_KEY_HEADER} header`);
+    }
+  }
+
+  if (llmKey || Object.keys(credentials.search).length > 0) {
+    // Only the provider names; the keys themselves are never logged
+    log.debug('Using client provider keys', {
+      llmProviders: Object.keys(credentials.llm),
+      searchProviders: Object.keys(credentials.search)
+    });
+  }
+
+  return credentials;
+}
+
+module.exports = {
+  LLM_KEY_HEADER,
+  SEARCH_KEY_HEADER,
+  getProviderCredentials
+};
@@ -0,0 +1,478 @@
+/**
+ * Research Run Tracker
+ *
+ * This module records the provenance of a single research run: the queries of
+ * every iteration, the sources each search returned and the learnings derived
+ * from them, how long each step took, which models actually answered
+ * (including retry fallbacks), the tokens they used with their estimated
+ * cost, and any errors the run recovered from. The collected data is returned
+ * as part of the structured research result. Runs researching a query tree
+ * also record which search each follow-up query branched off.
+ *
+ * A run can also carry a budget for tokens, cost, searches and time, which
+ * the research steps check before they spend more.
+ */
+
+// Import cost estimates
+const settings = require('../settings');
+const { estimateCost } = require('./llm-pricing');
+
+// Budget limits and the part of the run they limit
+const BUDGET_LIMITS = {
+  maxTokens: 'tokens',
+  maxCost: 'cost',
+  maxSearches: 'searches',
+  maxDuration: 'duration'
+};
+
+/**
+ * Combine the budget of a request with the server budget
+ *
+ * A request can only lower the limits of the server.
+ *
+ * @param {Object} requested - Limits of the request with maxTokens, maxCost, maxSearches and maxDuration in seconds (optional)
+ * @returns {Object} - Effective limits; null means unlimited
+ */
+function resolveBudget(requested = {}) {
+  const serverBudget = settings.app.budgetSettings;
+  return Object.fromEntries(Object.keys(BUDGET_LIMITS).map(limit => {
+    const values = [serverBudget[limit], requested && requested[limit]]
+      .filter(value => typeof value === 'number' && value > 0);
+    return [limit, values.length > 0 ? Math.min(...values) : null];
+  }));
+}
+
+/**
+ * Create empty token usage totals
+ */
+function createUsageTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, estimatedCost: 0 };
+}
+
+/**
+ * Add the usage of one call to totals
+ */
+function addUsage(totals, inputTokens, outputTokens, cost) {
+  totals.calls++;
+  totals.inputTokens += inputTokens;
+  totals.outputTokens += outputTokens;
+  totals.totalTokens += inputTokens + outputTokens;
+  totals.estimatedCost += cost || 0;
+}
+
+/**
+ * Copy totals with the cost rounded to a millionth of the currency unit
+ */
+function formatUsageTotals(totals) {
+  return { ...totals, estimatedCost: Math.round(totals.estimatedCost * 1000000) / 1000000 };
+}
+
+/**
+ * Create a tracker for one research run
+ *
+ * @param {Object} metadata - Descriptive data about the run (query, provider, ...)
+ * @param {Object} options - Run options
+ * @param {Object} options.budget - Limits from resolveBudget (optional, unlimited by default)
+ * @param {Object} options.credentials - API keys the client sent, from getProviderCredentials (optional)
+ * @param {boolean} options.tree - Whether the run researches a query tree, adding `tree` to the run data (optional)
+ * @returns {Object} - Run tracker
+ */
+function createResearchRun(metadata = {}, options = {}) {
+  const startedAt = new Date();
+  const iterations = [];
+  const sources = new Map();
+  const learnings = [];
+  const treeNodes = [];
+  const steps = [];
+  const models = [];
+  const errors = [];
+  const searchCache = { hits: 0, misses: 0 };
+  let consolidation = null;
+  let factCheck = null;
+  const usage = { ...createUsageTotals(), unreportedCalls: 0, unpricedModels: new Set(), steps: {}, models: {} };
+  const budget = options.budget || null;
+  // Kept out of the run data so the keys never reach results, jobs or logs
+  const credentials = options.credentials || { llm: {}, search: {} };
+  let searchCount = 0;
+  let exceededLimit = null;
+
+  /**
+   * Get what the run has spent of each budgeted resource
+   */
+  function getSpent() {
+    return {
+      tokens: usage.totalTokens,
+      cost: Math.round(usage.estimatedCost * 1000000) / 1000000,
+      searches: searchCount,
+      duration: Math.round((Date.now() - startedAt) / 100) / 10
+    };
+  }
+
+  /**
+   * Nest the recorded tree nodes under their parents
+   */
+  function buildTree() {
+    const nodes = new Map(treeNodes.map(node => [node.id, { ...node, children: [] }]));
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parentId && nodes.get(node.parentId);
+      (parent ? parent.children : roots).push(node);
+    });
+    return roots;
+  }
+
+  /**
+   * Get the entry for an iteration, creating it on first use
+   */
+  function getIteration(iteration) {
+    let entry = iterations.find(item => item.iteration === iteration);
+    if (!entry) {
+      entry = { iteration, queries: [] };
+      iterations.push(entry);
+      iterations.sort((a, b) => a.iteration - b.iteration);
+    }
+    return entry;
+  }
+
+  return {
+    metadata,
+
+    /**
+     * Get the API key the client sent for an LLM provider
+     *
+     * @param {string} provider - LLM provider name
+     * @returns {string|undefined} - The key, or undefined to use the server's key
+     */
+    getLLMApiKey(provider) {
+      return credentials.llm[provider];
+    },
+
+    /**
+     * Get the API keys the client sent for search providers
+     *
+     * @returns {Object|undefined} - Keys by search provider name, or undefined to use the server's keys
+     */
+    getSearchApiKeys() {
+      return Object.keys(credentials.search).length > 0 ? credentials.search : undefined;
+    },
+
+    /**
+     * Start timing a step
+     *
+     * @param {string} step - Step name, e.g. generating_queries or searching
+     * @param {Object} details - Extra details stored with the timing (e.g. iteration)
+     * @returns {Function} - Call to mark the step as finished
+     */
+    startStep(step, details = {}) {
+      const entry = { step, ...details, startedAt: new Date().toISOString(), durationMs: null };
+      const start = Date.now();
+      steps.push(entry);
+      return () => {
+        entry.durationMs = Date.now() - start;
+      };
+    },
+
+    /**
+     * Record the queries planned for an iteration
+     *
+     * @param {number} iteration - Iteration number, starting at 1
+     * @param {Array<Object>} queries - Queries with query and researchGoal
+     * @param {string} origin - Where the queries came from: initial, review or follow_up
+     */
+    recordQueries(iteration, queries = [], origin = 'initial') {
+      const entry = getIteration(iteration);
+      entry.origin = origin;
+      queries.forEach(query => {
+        if (!query || !query.query) return;
+        entry.queries.push({
+          query: query.query,
+          researchGoal: query.researchGoal || '',
+          sourceUrls: [],
+          learnings: []
+        });
+      });
+    },
+
+    /**
+     * Record the outcome of a search task
+     *
+     * @param {number} iteration - Iteration number
+     * @param {Object} result - runSearchTasks result with query, sources and learnings
+     */
+    recordSearchResult(iteration, result) {
+      if (!result || !result.query) return;
+
+      const entry = getIteration(iteration);
+      let queryEntry = entry.queries.find(item => item.query === result.query && item.sourceUrls.length === 0 && item.learnings.length === 0);
+      if (!queryEntry) {
+        queryEntry = { query: result.query, researchGoal: result.researchGoal || '', sourceUrls: [], learnings: [] };
+        entry.queries.push(queryEntry);
+      }
+
+      const resultSources = (result.sources || []).filter(source => source && source.url);
+      const sourceUrls = resultSources.map(source => source.url);
+
+      // Learnings cite their own sources; plain learnings are attributed to every source of the query
+      const resultLearnings = result.citedLearnings
+        || (result.learnings || []).map(text => ({ text, sourceUrls }));
+
+      queryEntry.sourceUrls = sourceUrls;
+      queryEntry.learnings = resultLearnings.map(learning => learning.text);
+
+      resultSources.forEach(source => {
+        let sourceEntry = sources.get(source.url);
+        if (!sourceEntry) {
+          sourceEntry = { url: source.url, title: source.title || '', queries: [], learnings: [] };
+          sources.set(source.url, sourceEntry);
+        }
+        if (!sourceEntry.queries.includes(result.query)) {
+          sourceEntry.queries.push(result.query);
+        }
+        resultLearnings
+          .filter(learning => learning.sourceUrls.includes(source.url))
+          .forEach(learning => sourceEntry.learnings.push(learning.text));
+      });
+
+      resultLearnings.forEach(learning => {
+        learnings.push({ text: learning.text, query: result.query, iteration, sourceUrls: learning.sourceUrls });
+      });
+    },
+
+    /**
+     * Record a node of the query tree
+     *
+     * @param {string|null} parentId - ID of the node the query branched off, null for initial queries
+     * @param {number} depth - Depth of the node, starting at 1
+     * @param {Object} result - runSearchTasks result with query, researchGoal, sources and learnings
+     * @returns {Object} - The node with its id and depth
+     */
+    recordTreeNode(parentId, depth, result) {
+      const node = {
+        id: `node-${treeNodes.length + 1}`,
+        parentId,
+        depth,
+        query: result.query,
+        researchGoal: result.researchGoal || '',
+        sourceUrls: (result.sources || []).filter(source => source && source.url).map(source => source.url),
+        learnings: result.learnings || []
+      };
+      treeNodes.push(node);
+      return node;
+    },
+
+    /**
+     * Record the model that answered an LLM call
+     *
+     * @param {Object} usage - Model details
+     * @param {string} usage.step - Step that made the call
+     * @param {string} usage.provider - LLM provider
+     * @param {string} usage.requestedModel - Model the call started with
+     * @param {string} usage.model - Model that produced the answer
+     * @param {number} usage.attempts - Number of attempts needed
+     */
+    recordModelUse({ step, provider, requestedModel, model, attempts = 1 }) {
+      models.push({
+        step,
+        provider,
+        requestedModel,
+        model,
+        fallback: !!requestedModel && model !== requestedModel,
+        attempts
+      });
+    },
+
+    /**
+     * Record the token usage of an LLM call
+     *
+     * Calls without usage metadata, such as mock responses and LLM cache hits,
+     * are only counted.
+     *
+     * @param {Object} call - The call
+     * @param {string} call.step - Step that made the call
+     * @param {string} call.provider - LLM provider
+     * @param {string} call.model - Model that answered
+     * @param {Object} call.usageMetadata - `usageMetadata` of the response
+     */
+    recordUsage({ step, provider, model, usageMetadata }) {
+      if (!usageMetadata) {
+        usage.unreportedCalls++;
+        return;
+      }
+
+      const inputTokens = usageMetadata.promptTokenCount || 0;
+      const outputTokens = usageMetadata.candidatesTokenCount || 0;
+      const cost = estimateCost({ provider, model, inputTokens, outputTokens });
+      if (cost === null) {
+        usage.unpricedModels.add(model);
+      }
+
+      const modelKey = `${provider}:${model}`;
+      usage.steps[step] = usage.steps[step] || createUsageTotals();
+      usage.models[modelKey] = usage.models[modelKey] || createUsageTotals();
+      [usage, usage.steps[step], usage.models[modelKey]].forEach(totals => {
+        addUsage(totals, inputTokens, outputTokens, cost);
+      });
+    },
+
+    /**
+     * Wrap a model object so the token usage of its calls is recorded
+     *
+     * @param {Object} model - Model with generateContent and optionally generateContentStream
+     * @param {Object} call - Step, provider and model name recorded with each call
+     * @returns {Object} - Model with the same interface
+     */
+    wrapModel(model, { step, provider, model: modelName }) {
+      const run = this;
+      const wrapped = Object.create(model);
+
+      wrapped.generateContent = async function(request, requestOptions = {}) {
+        const result = await model.generateContent(request, requestOptions);
+        run.recordUsage({ step, provider, model: modelName, usageMetadata: result.response.usageMetadata });
+        return result;
+      };
+
+      if (typeof model.generateContentStream === 'function') {
+        wrapped.generateContentStream = async function(request, requestOptions = {}) {
+          const result = await model.generateContentStream(request, requestOptions);
+
+          // The aggregated response carries the usage once the stream has been consumed
+          Promise.resolve(result.response).then(response => {
+            run.recordUsage({ step, provider, model: modelName, usageMetadata: response && response.usageMetadata });
+          }, () => {});
+          return result;
+        };
+      }
+
+      return wrapped;
+    },
+
+    /**
+     * Get the token usage and estimated cost of the run so far
+     *
+     * @returns {Object} - Totals of the run with a breakdown per step and per model
+     */
+    getUsage() {
+      return {
+        ...formatUsageTotals(usage),
+        currency: settings.llm.pricingSettings.currency,
+        unreportedCalls: usage.unreportedCalls,
+        unpricedModels: Array.from(usage.unpricedModels),
+        steps: Object.fromEntries(Object.entries(usage.steps).map(([step, totals]) => [step, formatUsageTotals(totals)])),
+        models: Object.fromEntries(Object.entries(usage.models).map(([model, totals]) => [model, formatUsageTotals(totals)]))
+      };
+    },
+
+    /**
+     * Count a search call against the budget
+     */
+    recordSearch() {
+      searchCount++;
+    },
+
+    /**
+     * Check whether the run has used up its budget
+     *
+     * Once a limit is reached the run stays over budget, so steps that check
+     * later do not start again when, for example, no tokens are added.
+     *
+     * @returns {string|null} - The limit that was reached, or null if the run may go on
+     */
+    checkBudget() {
+      if (exceededLimit || !budget) {
+        return exceededLimit;
+      }
+      const spent = getSpent();
+      exceededLimit = Object.keys(BUDGET_LIMITS)
+        .find(limit => budget[limit] !== null && spent[BUDGET_LIMITS[limit]] >= budget[limit]) || null;
+      return exceededLimit;
+    },
+
+    /**
+     * Get the budget of the run and what it has spent
+     *
+     * @returns {Object|null} - `{ limits, spent, exceeded }`, or null for a run without budget
+     */
+    getBudget() {
+      return budget ? { limits: { ...budget }, spent: getSpent(), exceeded: exceededLimit } : null;
+    },
+
+    /**
+     * Record the search result cache hits and misses of a search
+     *
+     * @param {Object} cacheStats - `cacheStats` of a performSearch response
+     */
+    recordSearchCache(cacheStats) {
+      if (!cacheStats) return;
+      searchCache.hits += cacheStats.hits || 0;
+      searchCache.misses += cacheStats.misses || 0;
+    },
+
+    /**
+     * Record how the learnings were consolidated before the report was written
+     *
+     * @param {Object} stats - `stats` of a consolidateLearnings result
+     */
+    recordConsolidation(stats) {
+      consolidation = { ...stats };
+    },
+
+    /**
+     * Record the fact-check of the final report
+     *
+     * @param {Object} result - `factCheck` of a factCheckReport result
+     */
+    recordFactCheck(result) {
+      factCheck = { ...result };
+    },
+
+    /**
+     * Record an error the run recovered from
+     *
+     * @param {string} step - Step in which the error happened
+     * @param {Error|string} error - The error or its message
+     * @param {Object} details - Extra details such as iteration or query
+     */
+    recordError(step, error, details = {}) {
+      errors.push({
+        step,
+        ...details,
+        message: (error && error.message) || String(error)
+      });
+    },
+
+    /**
+     * Get the collected run data
+     *
+     * @returns {Object} - Queries by iteration, query tree of tree runs, sources, learnings, timings, models,
+     *   token usage, budget, search cache use, learning consolidation, fact-check and errors
+     */
+    toJSON() {
+      const completedAt = new Date();
+      return {
+        iterations,
+        ...(options.tree ? { tree: buildTree() } : {}),
+        sources: Array.from(sources.values()),
+        learnings,
+        timings: {
+          startedAt: startedAt.toISOString(),
+          completedAt: completedAt.toISOString(),
+          durationMs: completedAt - startedAt,
+          steps
+        },
+        models,
+        usage: this.getUsage(),
+        budget: this.getBudget(),
+        truncated: !!exceededLimit,
+        searchCache: { ...searchCache },
+        consolidation,
+        factCheck,
+        errors
+      };
+    }
+  };
+}
+
+module.exports = {
+  resolveBudget,
+  createResearchRun
+};
@@ -4,17 +4,66 @@ const { shuffle } = require('radash');
 let pLimit;
 let zodToJsonSchema;
 
-// Import the Google Generative AI library
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
 // Import web search functionality
 const { performSearch } = require('./web-search');
 
-// Import Open Router API integration
-const openRouter = require('./openrouter');
+// Import page fetching for full result content
+const { getPageFetcher } = require('./page-fetcher');
+
+// Import LLM provider registry
+const { getLLMProvider, getFallbackModel, createUnsupportedProviderError } = require('./llm-providers');
+
+// Import LLM response cache
+const { getLLMCache } = require('./llm-cache');
+
+// Import cassette recording
+const { getRecordingCassette } = require('./cassette');
+
+// Import cancellation utilities
+const { isAbortError, throwIfAborted, abortableSleep } = require('./abort');
+
+// Import the research run tracker
+const { createResearchRun, resolveBudget } = require('./research-run');
+
+// Import citation utilities
+const {
+  getLearningText,
+  parseLearningCitations,
+  numberLearningSources,
+  applyCitations
+} = require('./citations');
+
+// Import learning consolidation
+const { consolidateLearnings, getLexicalSimilarity } = require('./learning-consolidation');
+
+// Import context window estimates
+const { estimateTokens, getInputBudget, truncateToTokens } = require('./context-window');
+
+// Import fact-checking utilities
+const { splitReportSentences, selectClaimEvidence, applyClaimVerdicts } = require('./fact-check');
+
+// Maximum output tokens of a call condensing learnings and of the report
+const CONDENSE_OUTPUT_TOKENS = 4096;
+const REPORT_OUTPUT_TOKENS = 32768;
+
+// Maximum output tokens of the outline and of each section of a sectioned report
+const OUTLINE_OUTPUT_TOKENS = 2048;
+const SECTION_OUTPUT_TOKENS = 8192;
+
+// Learnings given to a section the outline left without any, such as a summary or conclusion
+const SUMMARY_SECTION_LEARNINGS = 10;
+
+// Section titles that are left out of report structures and outlines, as the references are added automatically
+const REFERENCES_SECTION_PATTERN = /^(references|sources|bibliography)\b/i;
+
+// Maximum output tokens of a call extracting or judging the claims of a report
+const FACT_CHECK_OUTPUT_TOKENS = 4096;
+
+// Report sentences given to a call extracting claims
+const CLAIM_EXTRACTION_SENTENCES = 60;
 
-// Import mock LLM implementation
-const mockLLM = require('./mock-llm');
+// Verdicts of checked claims
+const FACT_CHECK_VERDICTS = ['supported', 'unsupported', 'contradicted'];
 
 // Import custom logger
 const logger = require('./logger');
@@ -73,6 +122,22 @@ function getProductQuerySchema() {
   );
 }
 
+/**
+ * Get the report outline schema
+ */
+function getReportOutlineSchema() {
+  return z.object({
+    title: z.string(),
+    sections: z.array(
+      z.object({
+        title: z.string(),
+        description: z.string(),
+        learnings: z.array(z.number()),
+      })
+    ),
+  });
+}
+
 /**
  * Generate a prompt for SERP queries
  */
@@ -126,13 +191,16 @@ function processResultPrompt(query, researchGoal, results = []) {
   }
 
   const contents = results.map(
-    (result) => `<content url="${result.url}">\n${result.content}\n</content>`
+    (result, index) => `<content index="${index + 1}" url="${result.url}">\n${result.content}\n</content>`
   );
   return [
     `Given the following contents from a SERP search for the query:\n<query>${query}</query>.`,
     `You need to organize the searched information according to the following requirements:\n<researchGoal>\n${researchGoal}\n</researchGoal>`,
     contents.length > 0 ? `<contents>${contents.join("\n")}</contents>` : "",
     `You need to think like a human researcher. Generate a list of learnings from the contents. Make sure each learning is unique and not similar to each other. The learnings should be to the point, as detailed and information dense as possible. Make sure to include any entities like people, places, companies, products, things, etc in the learnings, as well as any specific entities, metrics, numbers, and dates when available. The learnings will be used to research the topic further.`,
+    contents.length > 0
+      ? `Write one learning per line. End each learning with the index of every content it is based on in square brackets, for example: [1][3].`
+      : "",
   ].join("\n\n");
 }
 
@@ -186,19 +254,69 @@ async function reviewSerpQueriesPrompt(query, learnings, suggestion = "") {
 }
 
 /**
- * Generate a prompt for writing the final report
+ * Generate a prompt for the follow-up queries of one branch of a research tree
  */
-function writeFinalReportPrompt(query, learnings, requirement = "", reportStyle = "", detailLevel = 'standard') {
+async function followUpQueriesPrompt(query, parent, learnings, count) {
+  // Dynamically import zod-to-json-schema (ES Module)
+  if (!zodToJsonSchema) {
+    const zodToJsonSchemaModule = await import('zod-to-json-schema');
+    zodToJsonSchema = zodToJsonSchemaModule.zodToJsonSchema;
+  }
+
+  const SERPQuerySchema = getSERPQuerySchema();
+  const outputSchema = JSON.stringify(
+    zodToJsonSchema(SERPQuerySchema),
+    null,
+    4
+  );
+
+  // Example of properly formatted JSON output
+  const exampleOutput = JSON.stringify([
+    {
+      query: "Grid storage capacity needed for 80% renewable electricity",
+      researchGoal: "Quantify the storage gap behind the intermittency problem found so far"
+    }
+  ], null, 2);
+
   const learningsString = learnings
     .map((learning) => `<learning>\n${learning}\n</learning>`)
     .join("\n");
 
-  // Get the appropriate report style
-  let reportStructure = "";
-  if (reportStyle && reportStyle !== "") {
-    reportStructure = settings.prompts.getReportStyleByName(reportStyle);
-  } else {
-    reportStructure = `Structure the report with the following sections (and additional subsections as needed):
+  return [
+    `Given the following query from the user:\n<query>${query}</query>`,
+    `One branch of the research searched for:\n<searchQuery>${parent.query}</searchQuery>\nwith the following research goal:\n<researchGoal>\n${parent.researchGoal || ''}\n</researchGoal>`,
+    `Here are the learnings of this branch so far:\n<learnings>\n${learningsString}\n</learnings>`,
+    `Based on these learnings, list at most ${count} follow-up SERP queries that dig deeper into this research goal, for example to fill gaps, verify claims or follow up on the entities, numbers and dates found. Stay within the research goal; other branches research the rest of the query. Make sure each query is unique and not similar to the searched query. Set the researchGoal of each query to what it should find out for this branch. If this branch needs no further research, you can output an empty array: [].`,
+    `IMPORTANT: You MUST respond with ONLY valid JSON array. Do not include any explanations, markdown formatting, or backticks in your response.`,
+    `The JSON must match this schema:\n${outputSchema}`,
+    `Here is an example of the exact format expected:\n${exampleOutput}`,
+    `Remember: Your entire response must be a valid JSON array that can be parsed directly. Do not include any text before or after the JSON.`
+  ].join("\n\n");
+}
+
+/**
+ * Generate a prompt for condensing a batch of related learnings
+ *
+ * Learnings are expected as `{ text, sourceNumbers }`.
+ */
+function condenseLearningsPrompt(query, learnings) {
+  const learningsString = learnings
+    .map((learning) => {
+      const citations = (learning.sourceNumbers || []).map(number => `[${number}]`).join('');
+      return `<learning>\n${getLearningText(learning)}${citations ? ' ' + citations : ''}\n</learning>`;
+    })
+    .join("\n");
+
+  return [
+    `Given the following query from the user:\n<query>${query}</query>`,
+    `Here are related learnings from research. The numbers in square brackets after a learning refer to the sources it is based on:\n<learnings>\n${learningsString}\n</learnings>`,
+    `Condense these learnings into fewer, denser learnings of about half their length. Merge learnings that overlap, but keep every distinct fact, including entities, metrics, numbers and dates. Do not add anything that is not in the learnings.`,
+    `Write one learning per line. End each learning with the numbers of the sources of every learning it is based on in square brackets, for example: [1][3].`
+  ].join("\n\n");
+}
+
+// Section structure of reports without a style
+const DEFAULT_REPORT_STRUCTURE = `Structure the report with the following sections (and additional subsections as needed):
 1. Executive Summary - A concise overview of the entire report (250-300 words)
 2. Introduction - Context, importance, and scope of the topic
 3. Background - Historical context and development of the topic
@@ -207,9 +325,47 @@ function writeFinalReportPrompt(query, learnings, requirement = "", reportStyle
 6. Analysis - Critical examination of the findings with data-driven insights
 7. Implications - What the findings mean for stakeholders, industry, or society
 8. Future Outlook - Trends, predictions, and potential developments
-9. Conclusion - Summary of key points and final thoughts
-10. References - Sources of information (if applicable)`;
-  }
+9. Conclusion - Summary of key points and final thoughts`;
+
+/**
+ * Get the section structure of a report style
+ *
+ * The references section of the style is left out, as the references list is
+ * built from the cited sources after the report is written.
+ */
+function getReportStructure(reportStyle = "") {
+  const structure = reportStyle && reportStyle !== ""
+    ? settings.prompts.getReportStyleByName(reportStyle)
+    : DEFAULT_REPORT_STRUCTURE;
+  return structure
+    .split("\n")
+    .filter(line => {
+      const item = line.match(/^\s*\d+\.\s+(.+)$/);
+      return !item || !REFERENCES_SECTION_PATTERN.test(item[1]);
+    })
+    .join("\n");
+}
+
+/**
+ * Generate a prompt for writing the final report
+ *
+ * When `sources` are given, learnings are expected as `{ text, sourceNumbers }`
+ * and the model is asked to cite the numbered sources inline.
+ */
+function writeFinalReportPrompt(query, learnings, requirement = "", reportStyle = "", detailLevel = 'standard', sources = []) {
+  const learningsString = learnings
+    .map((learning) => {
+      const citations = (learning.sourceNumbers || []).map(number => `[${number}]`).join('');
+      return `<learning>\n${getLearningText(learning)}${citations ? ' ' + citations : ''}\n</learning>`;
+    })
+    .join("\n");
+
+  const sourcesString = sources
+    .map((source) => `[${source.number}] ${source.title} (${source.url})`)
+    .join("\n");
+
+  // Get the appropriate report style
+  const reportStructure = getReportStructure(reportStyle);
 
   // Get the detail level prompt
   const detailLevelPrompt = settings.prompts.getDetailLevelPrompt(detailLevel);
@@ -217,6 +373,9 @@ function writeFinalReportPrompt(query, learnings, requirement = "", reportStyle
   return [
     `Given the following query from the user, write a final report on the topic using the learnings from research. ${detailLevelPrompt} Incorporate ALL the learnings from research:\n<query>${query}</query>`,
     `Here are all the learnings from previous research:\n<learnings>\n${learningsString}\n</learnings>`,
+    sources.length > 0
+      ? `The numbers in square brackets after a learning refer to these sources:\n<sources>\n${sourcesString}\n</sources>\n\nCite the sources inline using the same numbers in square brackets, for example [1] or [2][3], right after the statements they support. Only use the numbers listed above. Do not write a references or sources section; it will be added automatically.`
+      : "Do not write a references or sources section.",
     requirement !== ""
       ? `Please write according to the user's writing requirements:\n<requirement>${requirement}</requirement>`
       : "",
@@ -231,6 +390,155 @@ function writeFinalReportPrompt(query, learnings, requirement = "", reportStyle
   ].join("\n\n");
 }
 
+/**
+ * Generate a prompt for the outline of a report written section by section
+ *
+ * Learnings are numbered in the prompt so each section can list the ones it
+ * should use.
+ */
+async function reportOutlinePrompt(query, learnings, requirement = "", reportStyle = "") {
+  // Dynamically import zod-to-json-schema (ES Module)
+  if (!zodToJsonSchema) {
+    const zodToJsonSchemaModule = await import('zod-to-json-schema');
+    zodToJsonSchema = zodToJsonSchemaModule.zodToJsonSchema;
+  }
+
+  const outputSchema = JSON.stringify(
+    zodToJsonSchema(getReportOutlineSchema()),
+    null,
+    4
+  );
+
+  // Example of properly formatted JSON output
+  const exampleOutput = JSON.stringify({
+    title: "The State of Residential Solar Power",
+    sections: [
+      { title: "Executive Summary", description: "Overview of costs, adoption and outlook", learnings: [1, 4] },
+      { title: "Cost Trends", description: "How panel and installation prices developed", learnings: [1, 2, 3] }
+    ]
+  }, null, 2);
+
+  const learningsString = learnings
+    .map((learning, index) => `<learning number="${index + 1}">\n${getLearningText(learning)}\n</learning>`)
+    .join("\n");
+
+  return [
+    `Given the following query from the user, plan the outline of a report on the topic that will be written section by section from the learnings from research:\n<query>${query}</query>`,
+    `Here are all the learnings from previous research:\n<learnings>\n${learningsString}\n</learnings>`,
+    requirement !== ""
+      ? `The report must follow the user's writing requirements:\n<requirement>${requirement}</requirement>`
+      : "",
+    getReportStructure(reportStyle),
+    `Base the sections on this structure: keep its order, rename a section to fit the topic, split the main body into several sections covering different aspects, and leave out sections that do not apply. Do not plan a references or sources section; it will be added automatically. Give the report a title, and give each section a short title, a description of what it covers and the numbers of the learnings it should use. Every learning must be used by at least one section.`,
+    `IMPORTANT: You MUST respond with ONLY a valid JSON object. Do not include any explanations, markdown formatting, or backticks in your response.`,
+    `The JSON must match this schema:\n${outputSchema}`,
+    `Here is an example of the exact format expected:\n${exampleOutput}`,
+    `Remember: Your entire response must be a valid JSON object that can be parsed directly. Do not include any text before or after the JSON.`
+  ].join("\n\n");
+}
+
+/**
+ * Generate a prompt for writing one section of a report
+ *
+ * Learnings are expected as `{ text, sourceNumbers }`; `sources` are the
+ * sources they cite, numbered for the whole report.
+ */
+function writeReportSectionPrompt(query, outline, sectionIndex, learnings, requirement = "", detailLevel = 'standard', sources = []) {
+  const section = outline.sections[sectionIndex];
+  const learningsString = learnings
+    .map((learning) => {
+      const citations = (learning.sourceNumbers || []).map(number => `[${number}]`).join('');
+      return `<learning>\n${getLearningText(learning)}${citations ? ' ' + citations : ''}\n</learning>`;
+    })
+    .join("\n");
+
+  const sourcesString = sources
+    .map((source) => `[${source.number}] ${source.title} (${source.url})`)
+    .join("\n");
+
+  const outlineString = outline.sections
+    .map((item, index) => `${index + 1}. ${item.title} - ${item.description}${index === sectionIndex ? ' (this section)' : ''}`)
+    .join("\n");
+
+  return [
+    `Given the following query from the user, you are writing one section of the report "${outline.title}" using the learnings from research. ${settings.prompts.getDetailLevelPrompt(detailLevel)}\n<query>${query}</query>`,
+    `This is the outline of the whole report; the other sections are written separately:\n<outline>\n${outlineString}\n</outline>`,
+    `Write only the section "${section.title}": ${section.description}. Incorporate ALL the following learnings from research:\n<learnings>\n${learningsString}\n</learnings>`,
+    sources.length > 0
+      ? `The numbers in square brackets after a learning refer to these sources:\n<sources>\n${sourcesString}\n</sources>\n\nCite the sources inline using the same numbers in square brackets, for example [1] or [2][3], right after the statements they support. Only use the numbers listed above. Do not write a references or sources section; it will be added automatically.`
+      : "",
+    requirement !== ""
+      ? `Please write according to the user's writing requirements:\n<requirement>${requirement}</requirement>`
+      : "",
+    `Start the section with the heading "## ${section.title}" and use "###" headings for its subsections. Do not write a report title, an introduction to the report or the content of the other sections.`,
+    `You need to write this section like a human researcher, in a professional tone and with specific facts, figures, and examples. Humans do not wrap their writing in markdown blocks. Include diverse data information such as tables, katex formulas, mermaid diagrams, etc. in the form of markdown syntax where they help. **DO NOT** output anything other than the section.`,
+  ].join("\n\n");
+}
+
+/**
+ * Generate a prompt for extracting the factual claims of report sentences
+ *
+ * Sentences are expected as `{ number, text }`.
+ */
+function extractClaimsPrompt(query, sentences) {
+  const sentencesString = sentences
+    .map((sentence) => `<sentence number="${sentence.number}">${sentence.text}</sentence>`)
+    .join("\n");
+
+  // Example of properly formatted JSON output
+  const exampleOutput = JSON.stringify([
+    { sentence: 3, claim: "Residential solar capacity in Germany doubled between 2018 and 2023" },
+    { sentence: 3, claim: "Feed-in tariffs drove the growth of residential solar in Germany" }
+  ], null, 2);
+
+  return [
+    `Given the following query from the user, you are preparing a fact-check of a research report on it:\n<query>${query}</query>`,
+    `Here are numbered sentences of the report:\n<sentences>\n${sentencesString}\n</sentences>`,
+    `List the factual claims these sentences make that can be checked against sources: facts, numbers, dates, names, events, causes and comparisons. Leave out opinions, recommendations, questions and sentences that only describe the report itself. Split a sentence that makes several claims into one claim per fact, and write each claim so it can be understood without the rest of the report, keeping its numbers, dates and names. Give the number of the sentence each claim comes from. If the sentences make no factual claims, output an empty array: [].`,
+    `IMPORTANT: You MUST respond with ONLY valid JSON array. Do not include any explanations, markdown formatting, or backticks in your response.`,
+    `Here is an example of the exact format expected:\n${exampleOutput}`,
+    `Remember: Your entire response must be a valid JSON array that can be parsed directly. Do not include any text before or after the JSON.`
+  ].join("\n\n");
+}
+
+/**
+ * Generate a prompt for judging claims against the evidence of the research
+ *
+ * Claims are expected as `{ claim, evidence }`, with the `learnings` and the
+ * source `passages` picked for each of them.
+ */
+function verifyClaimsPrompt(query, claims) {
+  const claimsString = claims
+    .map((item, index) => {
+      const evidence = [
+        ...item.evidence.learnings.map(learning => `<learning>${getLearningText(learning)}</learning>`),
+        ...item.evidence.sources.map(source => `<source url="${source.url}">\n${source.passage}\n</source>`)
+      ].join("\n");
+      return `<claim number="${index + 1}">\n<statement>${item.claim}</statement>\n<evidence>\n${evidence || 'No evidence found.'}\n</evidence>\n</claim>`;
+    })
+    .join("\n");
+
+  // Example of properly formatted JSON output
+  const exampleOutput = JSON.stringify([
+    { claim: 1, verdict: "supported", explanation: "The learning states the same 22% efficiency" },
+    { claim: 2, verdict: "contradicted", explanation: "The source gives 2019, not 2021, as the year of the law" },
+    { claim: 3, verdict: "unsupported", explanation: "The evidence does not mention installation costs" }
+  ], null, 2);
+
+  return [
+    `Given the following query from the user, you are fact-checking the claims of a research report on it against the research the report is based on:\n<query>${query}</query>`,
+    `Here are the numbered claims, each with the learnings and source passages found for it:\n<claims>\n${claimsString}\n</claims>`,
+    `Judge each claim only by its evidence, not by your own knowledge:
+- "supported": the evidence states the claim, including its numbers, dates and names
+- "contradicted": the evidence states something that conflicts with the claim
+- "unsupported": the evidence does not state the claim, or only part of it
+Explain each verdict in one short sentence.`,
+    `IMPORTANT: You MUST respond with ONLY valid JSON array with one object per claim. Do not include any explanations, markdown formatting, or backticks in your response.`,
+    `Here is an example of the exact format expected:\n${exampleOutput}`,
+    `Remember: Your entire response must be a valid JSON array that can be parsed directly. Do not include any text before or after the JSON.`
+  ].join("\n\n");
+}
+
 /**
  * Generate a prompt for product research queries
  */
@@ -455,23 +763,19 @@ function safeJsonParse(text, source = 'unknown', defaultValue = []) {
  * Get the appropriate model based on provider and requested model
  */
 function getModel(provider = "google", requestedModel) {
-  const llmSettings = settings.llm;
   provider = provider || process.env.DEFAULT_LLM_PROVIDER || "google";
 
   // Default models
   let thinkingModel = process.env.DEFAULT_THINKING_MODEL || "gemini-1.5-flash";
   let networkingModel = process.env.DEFAULT_NETWORKING_MODEL || "gemini-1.5-pro";
 
-  // Override with requested model if provided
+  // Override with requested model if provided, otherwise use the provider defaults
+  const llmProvider = getLLMProvider(provider);
   if (requestedModel) {
     thinkingModel = requestedModel;
     networkingModel = requestedModel;
-  } else if (provider === "google") {
-    thinkingModel = llmSettings.googleSettings.thinkingModel;
-    networkingModel = llmSettings.googleSettings.networkingModel;
-  } else if (provider === "openrouter") {
-    thinkingModel = process.env.DEFAULT_OPENROUTER_MODEL || "anthropic/claude-3-opus:beta";
-    networkingModel = process.env.DEFAULT_OPENROUTER_MODEL || "anthropic/claude-3-opus:beta";
+  } else if (llmProvider && llmProvider.getDefaultModels) {
+    ({ thinkingModel, networkingModel } = llmProvider.getDefaultModels());
   }
 
   log.debug('Selected models', { provider, thinkingModel, networkingModel });
@@ -487,21 +791,42 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Create a function that forwards research events to an onProgress callback
+ *
+ * Errors thrown by the callback are logged and never interrupt the research.
+ *
+ * @param {Function} onProgress - Optional callback receiving `{ type, ...data }` events
+ * @returns {Function} - Function taking an event type and event data
+ */
+function createProgressReporter(onProgress) {
+  return (type, data = {}) => {
+    if (typeof onProgress !== 'function') return;
+    try {
+      onProgress({ type, ...data });
+    } catch (error) {
+      log.warn("Progress callback failed", { type, error: error.message });
+    }
+  };
+}
+
 /**
  * Create a provider instance based on the specified provider
  *
- * @param {string} provider - The provider to use (google, openrouter, mock)
+ * @param {string} provider - The registered provider to use (google, openrouter, openai-compatible, ollama, anthropic, mock)
  * @param {string} model - The model to use
  * @param {Object} options - Additional options for the model
  * @param {string} apiKey - Optional API key (uses env var if not provided)
- * @returns {Object} - Provider instance with generateContent method
+ * @returns {Object} - Provider instance with generateContent method, answered from the
+ *   LLM response cache when it is enabled
+ * @throws {Error} - Error with statusCode 400 if the provider is not registered
  */
 function createProvider(provider = "google", model, options = {}, apiKey) {
   // Check if mock mode is enabled globally
   const useMockMode = process.env.USE_MOCK_MODE === 'true';
 
-  // If mock mode is enabled, override the provider
-  if (useMockMode && provider !== 'mock') {
+  // If mock mode is enabled, override the provider; cassette replay is offline already
+  if (useMockMode && provider !== 'mock' && provider !== 'replay') {
     log.info('Mock mode is enabled, using mock provider instead of ' + provider);
     provider = 'mock';
   }
@@ -511,31 +836,64 @@ function createProvider(provider = "google", model, options = {}, apiKey) {
 
   log.debug('Creating provider', { provider, model, useMockMode });
 
-  // Handle mock provider
-  if (provider === "mock") {
-    return mockLLM.createMockProvider(options.mockType || "google", model, options);
-  } else if (provider === "google") {
-    const genAI = new GoogleGenerativeAI(apiKey || process.env.GOOGLE_GENERATIVE_AI_API_KEY);
-    return genAI.getGenerativeModel({ model: model || "gemini-1.5-pro", ...options });
-  } else if (provider === "openrouter") {
-    return openRouter.createModelWrapper({
-      model: model || process.env.DEFAULT_OPENROUTER_MODEL || "anthropic/claude-3-opus:beta",
-      temperature: options.temperature || 0.7,
-      maxOutputTokens: options.maxOutputTokens || 4096,
-      apiKey: apiKey || process.env.OPENROUTER_API_KEY
-    });
+  const llmProvider = getLLMProvider(provider);
+  if (!llmProvider) {
+    log.warn('Unsupported provider requested', { requestedProvider: provider });
+    throw createUnsupportedProviderError(provider);
   }
 
-  // Default to Google if provider not supported
-  log.warn('Unsupported provider, defaulting to Google', { requestedProvider: provider });
-  const genAI = new GoogleGenerativeAI(apiKey || process.env.GOOGLE_GENERATIVE_AI_API_KEY);
-  return genAI.getGenerativeModel({ model: model || "gemini-1.5-pro", ...options });
+  let instance = llmProvider.createModel(model, options, apiKey);
+  const llmCache = getLLMCache();
+  if (llmCache) {
+    instance = llmCache.wrapModel(instance, { provider, model, options });
+  }
+
+  // Record the calls of runs inside recordCassette
+  const cassette = getRecordingCassette();
+  return cassette ? cassette.wrapModel(instance, { provider, model }) : instance;
+}
+
+/**
+ * Create the model for a step, recording its token usage on the research run
+ *
+ * The model uses the client's API key for the provider when the run has one.
+ *
+ * @param {string} provider - The registered provider to use
+ * @param {string} model - The model to use
+ * @param {Object} run - Research run recording the usage (optional)
+ * @param {string} step - Step name recorded with the usage
+ * @returns {Object} - Provider instance from createProvider
+ */
+function createStepModel(provider, model, run, step) {
+  const instance = createProvider(provider, model, {}, run ? run.getLLMApiKey(provider) : undefined);
+  return run ? run.wrapModel(instance, { step, provider, model }) : instance;
+}
+
+/**
+ * Reject LLM providers that are not registered before a run starts
+ *
+ * Steps recover from most model errors, so an unknown provider would
+ * otherwise only show up as an empty or error report.
+ *
+ * @param {string} provider - The requested provider
+ * @throws {Error} - Error with statusCode 400 if the provider is not registered
+ */
+function assertLLMProvider(provider) {
+  const name = provider || process.env.DEFAULT_LLM_PROVIDER || "google";
+  if (!getLLMProvider(name)) {
+    throw createUnsupportedProviderError(name);
+  }
 }
 
 /**
  * Execute a function with retry logic for handling rate limits
  * @param {Function} fn - Async function to execute
  * @param {Object} options - Options for retry behavior
+ * @param {AbortSignal} options.signal - Stops retrying once aborted
+ * @param {Object} options.run - Optional research run that records the model that answered
+ * @param {string} options.step - Step name recorded with the model
+ * @param {string} options.provider - LLM provider recorded with the model
+ * @param {string|null} options.fallbackModel - Model used for retries, defaults to the fallback model of the provider
  * @returns {Promise<any>} - Result of the function
  */
 async function withRetry(fn, options = {}) {
@@ -545,15 +903,23 @@ async function withRetry(fn, options = {}) {
     maxDelay = 30000,
     factor = 2,
     retryableStatusCodes = [429, 500, 503],
-    fallbackModel = "gemini-1.5-flash",
-    context = {}
+    context = {},
+    signal,
+    run,
+    step,
+    provider
   } = options;
+  const fallbackModel = options.fallbackModel !== undefined ? options.fallbackModel : getFallbackModel(provider);
 
   let lastError;
   let delay = initialDelay;
+  const requestedModel = context.model;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
+      // Never start another attempt for a cancelled run
+      throwIfAborted(signal);
+
       // If this isn't the first attempt and we have a fallback model, use it
       if (attempt > 0 && context.model && fallbackModel) {
         log.info(`Retry attempt ${attempt}: Using fallback model`, {
@@ -563,7 +929,11 @@ async function withRetry(fn, options = {}) {
         context.model = fallbackModel;
       }
 
-      return await fn(context);
+      const result = await fn(context);
+      if (run) {
+        run.recordModelUse({ step, provider, requestedModel, model: context.model, attempts: attempt + 1 });
+      }
+      return result;
     } catch (error) {
       lastError = error;
 
@@ -599,7 +969,7 @@ async function withRetry(fn, options = {}) {
         attempt: attempt + 1,
         maxRetries
       });
-      await sleep(retryDelay);
+      await abortableSleep(retryDelay, signal);
 
       // Exponential backoff for next attempt
       delay = Math.min(delay * factor, maxDelay);
@@ -619,7 +989,8 @@ async function generateSearchQueries(
   provider = "google",
   requestedModel,
   promptType = 'default',
-  detailLevel = 'standard'
+  detailLevel = 'standard',
+  options = {}
 ) {
   const { thinkingModel } = getModel(provider, requestedModel);
 
@@ -644,7 +1015,7 @@ async function generateSearchQueries(
     const result = await withRetry(async (context) => {
       // Use the model from context if available (for fallback), otherwise use the original model
       const modelToUse = context.model || thinkingModel;
-      const model = createProvider(provider, modelToUse);
+      const model = createStepModel(provider, modelToUse, options.run, 'generating_queries');
 
       // Set the system prompt based on the prompt type
       const systemPrompt = getSystemPrompt(promptType);
@@ -663,7 +1034,7 @@ async function generateSearchQueries(
           temperature: 0.2,
           maxOutputTokens: 1024,
         },
-      });
+      }, { signal: options.signal });
 
       const content = response.response.text();
 
@@ -671,12 +1042,19 @@ async function generateSearchQueries(
       return safeJsonParse(content, 'generateSearchQueries', defaultQueries);
     }, {
       maxRetries: 3,
-      fallbackModel: "gemini-1.5-flash", // Fallback to a smaller model if rate limited
-      context: { model: thinkingModel } // Pass the original model for context
+      fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+      context: { model: thinkingModel }, // Pass the original model for context
+      signal: options.signal,
+      run: options.run,
+      step: 'generating_queries',
+      provider
     });
 
     return { queries: result };
   } catch (error) {
+    // Cancellation is not a failure to recover from
+    if (isAbortError(error)) throw error;
+
     console.error("Error generating search queries:", error);
     // Return default queries instead of throwing
     return {
@@ -699,8 +1077,56 @@ async function generateSearchQueries(
   }
 }
 
+/**
+ * Split search results into chunks whose processing prompts fit the model
+ *
+ * Results too long for a chunk of their own are cut to fit.
+ *
+ * @param {string} query - Search query
+ * @param {string} researchGoal - Research goal of the query
+ * @param {Array<Object>} sources - Search results with url and content
+ * @param {string} provider - LLM provider name
+ * @param {string} model - Model processing the results
+ * @returns {Array<Array<Object>>} - Chunks of search results; a single chunk if all fit
+ */
+function chunkSearchResults(query, researchGoal, sources, provider, model) {
+  const budget = getInputBudget(provider, model, 4096) - estimateTokens(processResultPrompt(query, researchGoal, []), provider);
+  const chunks = [];
+  let chunk = [];
+  let chunkTokens = 0;
+
+  sources.forEach(source => {
+    const wrapperTokens = estimateTokens(`<content index="000" url="${source.url}">\n\n</content>\n`, provider);
+    const contentBudget = Math.max(budget - wrapperTokens, 0);
+    const { text: content } = truncateToTokens(String(source.content || ''), contentBudget, provider);
+    const tokens = wrapperTokens + estimateTokens(content, provider);
+
+    if (chunk.length > 0 && chunkTokens + tokens > budget) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkTokens = 0;
+    }
+    chunk.push(content === source.content ? source : { ...source, content });
+    chunkTokens += tokens;
+  });
+
+  chunks.push(chunk);
+  return chunks;
+}
+
 /**
  * Run search tasks for a set of queries
+ *
+ * Each result holds the plain `learnings` and `citedLearnings`, the same
+ * learnings as `{ text, sourceUrls }` linked to the sources they came from.
+ *
+ * Pass `options.onProgress` to receive a `search_result` event as soon as
+ * each task completes, and `options.signal` to cancel the remaining tasks.
+ * Set `options.fetchFullContent` to replace the search snippets with the text
+ * of the result pages (defaults to the page fetch settings). Tasks that have
+ * not started when `options.run` reaches its budget are skipped. Search
+ * results that do not fit the context window of the model together are
+ * processed in chunks.
  */
 async function runSearchTasks(
   queries,
@@ -710,9 +1136,12 @@ async function runSearchTasks(
   enableSearch = true,
   searchProvider = "tavily",
   parallelSearch = false,
-  searchMaxResult = 5
+  searchMaxResult = 5,
+  options = {}
 ) {
   const { networkingModel } = getModel(provider, requestedModel);
+  const reportProgress = createProgressReporter(options.onProgress);
+  const fetchFullContent = options.fetchFullContent ?? settings.search.pageFetchSettings.enabled;
   const results = [];
 
   try {
@@ -725,7 +1154,12 @@ async function runSearchTasks(
         log.error("Error importing p-limit", { error: err.message, stack: err.stack });
         // Fallback to sequential processing if import fails
         pLimit = (concurrency) => {
-          return (fn) => fn;
+          let previous = Promise.resolve();
+          return (fn) => {
+            const result = previous.then(() => fn());
+            previous = result.catch(() => {});
+            return result;
+          };
         };
       }
     }
@@ -741,21 +1175,39 @@ async function runSearchTasks(
 
     // Process each query
     const tasks = queries.map(query => limit(async () => {
+      // Do not start tasks for a cancelled run
+      throwIfAborted(options.signal);
+
       // Skip invalid queries
       if (!query || !query.query) {
         log.warn("Skipping invalid query in runSearchTasks");
         return null;
       }
 
+      // Stop gathering once the run has used up its budget
+      const exceededLimit = options.run && options.run.checkBudget();
+      if (exceededLimit) {
+        log.info("Skipping search task, research budget reached", { query: query.query, limit: exceededLimit });
+        return null;
+      }
+
       let sources = [];
 
       // Perform web search if enabled
       if (enableSearch && searchProvider !== "model") {
         try {
+          if (options.run) {
+            options.run.recordSearch();
+          }
           const searchResults = await performSearch(query.query, {
             searchProvider,
-            maxResults: searchMaxResult
+            maxResults: searchMaxResult,
+            apiKeys: options.run ? options.run.getSearchApiKeys() : undefined,
+            signal: options.signal
           });
+          if (options.run && searchResults) {
+            options.run.recordSearchCache(searchResults.cacheStats);
+          }
 
           // Ensure we have an array of results
           if (searchResults && Array.isArray(searchResults.results)) {
@@ -770,68 +1222,105 @@ async function runSearchTasks(
           } else {
             sources = [];
           }
+
+          // Replace the snippets with the text of the result pages
+          if (fetchFullContent && sources.length > 0) {
+            sources = await getPageFetcher().enrichSearchResults(sources, { signal: options.signal, provider });
+          }
         } catch (err) {
+          if (isAbortError(err)) throw err;
+
           log.error(`Search error with ${searchProvider}:`, {
             query: query.query,
             error: err.message,
             stack: err.stack
           });
+          if (options.run) {
+            options.run.recordError('searching', err, { query: query.query, searchProvider });
+          }
           // Continue with empty sources if search fails
         }
       }
 
-      // Process the search results using retry mechanism
-      let content;
-      try {
-        content = await withRetry(async (context) => {
-          // Use the model from context if available (for fallback), otherwise use the original model
-          const modelToUse = context.model || networkingModel;
-          const model = createProvider(provider, modelToUse);
+      // Process the search results using retry mechanism, in several calls if they do not fit the model at once
+      const chunks = chunkSearchResults(query.query, query.researchGoal, sources, provider, networkingModel);
+      if (chunks.length > 1) {
+        log.info("Processing search results in chunks to fit the context window", { query: query.query, chunkCount: chunks.length });
+      }
+      const citedLearnings = [];
+      let failedChunks = 0;
+      for (const chunk of chunks) {
+        let content;
+        try {
+          content = await withRetry(async (context) => {
+            // Use the model from context if available (for fallback), otherwise use the original model
+            const modelToUse = context.model || networkingModel;
+            const model = createStepModel(provider, modelToUse, options.run, 'searching');
+
+            const response = await model.generateContent({
+              contents: [{
+                role: "user",
+                parts: [{
+                  text: processResultPrompt(query.query, query.researchGoal, chunk) + "\n\n" + getResponseLanguagePrompt(language)
+                }]
+              }],
+              generationConfig: {
+                temperature: 0.2,
+                // Reduce token count for fallback models
+                maxOutputTokens: context.model !== networkingModel ? 2048 : 4096,
+              },
+            }, { signal: options.signal });
+
+            return response.response.text();
+          }, {
+            maxRetries: 2, // Fewer retries for search tasks since we have multiple
+            fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+            context: { model: networkingModel }, // Pass the original model for context
+            signal: options.signal,
+            run: options.run,
+            step: 'searching',
+            provider
+          });
+        } catch (error) {
+          if (isAbortError(error)) throw error;
 
-          const response = await model.generateContent({
-            contents: [{
-              role: "user",
-              parts: [{
-                text: processResultPrompt(query.query, query.researchGoal, sources) + "\n\n" + getResponseLanguagePrompt(language)
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.2,
-              // Reduce token count for fallback models
-              maxOutputTokens: context.model !== networkingModel ? 2048 : 4096,
-            },
+          log.error(`Error processing search results for query`, {
+            query: query.query,
+            error: error.message,
+            stack: error.stack
           });
+          if (options.run) {
+            options.run.recordError('searching', error, { query: query.query });
+          }
+          failedChunks++;
+          continue;
+        }
 
-          return response.response.text();
-        }, {
-          maxRetries: 2, // Fewer retries for search tasks since we have multiple
-          fallbackModel: "gemini-1.5-flash", // Fallback to a smaller model if rate limited
-          context: { model: networkingModel } // Pass the original model for context
-        });
-      } catch (error) {
-        log.error(`Error processing search results for query`, {
-          query: query.query,
-          error: error.message,
-          stack: error.stack
-        });
-        // Return a basic response if we hit an error
-        content = `Unable to process search results due to API limits. Basic information about ${query.query} would typically include key facts and data points relevant to the topic.`;
+        // Parse the learnings and the sources they cite from the content
+        citedLearnings.push(...parseLearningCitations(content, chunk));
       }
 
-      // Parse the learnings from the content
-      const learnings = content
-        .split("\n")
-        .filter(line => line.trim().length > 0)
-        .map(line => line.replace(/^[0-9]+\.\s*/, "").trim());
+      // Return a basic response if we hit an error
+      if (failedChunks === chunks.length) {
+        citedLearnings.push(...parseLearningCitations(`Unable to process search results due to API limits. Basic information about ${query.query} would typically include key facts and data points relevant to the topic.`));
+      }
+      const learnings = citedLearnings.map(learning => learning.text);
 
       const result = {
         query: query.query,
         researchGoal: query.researchGoal || "",
         sources,
-        learnings
+        learnings,
+        citedLearnings
       };
 
       results.push(result);
+      reportProgress('search_result', {
+        query: result.query,
+        researchGoal: result.researchGoal,
+        sources: sources.map(source => ({ title: source.title, url: source.url })),
+        learnings
+      });
       return result;
     }));
 
@@ -841,7 +1330,7 @@ async function runSearchTasks(
 
       // Log any rejected tasks
       taskResults.forEach((result, index) => {
-        if (result.status === 'rejected') {
+        if (result.status === 'rejected' && !isAbortError(result.reason)) {
           log.error(`Task for query failed`, {
             query: queries[index]?.query || 'unknown',
             error: result.reason?.message || 'Unknown error',
@@ -857,8 +1346,13 @@ async function runSearchTasks(
       // Continue with whatever results we have
     }
 
+    // Report cancellation instead of partial results
+    throwIfAborted(options.signal);
+
     return { results };
   } catch (error) {
+    if (isAbortError(error)) throw error;
+
     log.error("Error running search tasks", {
       error: error.message,
       stack: error.stack
@@ -870,6 +1364,8 @@ async function runSearchTasks(
 
 /**
  * Review search results and suggest further queries
+ *
+ * Suggests no queries once `options.run` has reached its budget.
  */
 async function reviewSearchResults(
   topic,
@@ -877,16 +1373,24 @@ async function reviewSearchResults(
   suggestion = "",
   language = "en-US",
   provider = "google",
-  requestedModel
+  requestedModel,
+  options = {}
 ) {
   const { thinkingModel } = getModel(provider, requestedModel);
 
+  // Do not plan more research once the run has used up its budget
+  const exceededLimit = options.run && options.run.checkBudget();
+  if (exceededLimit) {
+    log.info("Skipping review, research budget reached", { limit: exceededLimit });
+    return { queries: [] };
+  }
+
   try {
     // Use retry mechanism with fallback to a different model if rate limited
     const queries = await withRetry(async (context) => {
       // Use the model from context if available (for fallback), otherwise use the original model
       const modelToUse = context.model || thinkingModel;
-      const model = createProvider(provider, modelToUse);
+      const model = createStepModel(provider, modelToUse, options.run, 'reviewing');
 
       // Generate the prompt (now async)
       const prompt = await reviewSerpQueriesPrompt(topic, learnings, suggestion);
@@ -902,7 +1406,7 @@ async function reviewSearchResults(
           temperature: 0.2,
           maxOutputTokens: 1024,
         },
-      });
+      }, { signal: options.signal });
 
       const content = response.response.text();
 
@@ -911,12 +1415,18 @@ async function reviewSearchResults(
       return safeJsonParse(content, 'reviewSearchResults', []);
     }, {
       maxRetries: 3,
-      fallbackModel: "gemini-1.5-flash", // Fallback to a smaller model if rate limited
-      context: { model: thinkingModel } // Pass the original model for context
+      fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+      context: { model: thinkingModel }, // Pass the original model for context
+      signal: options.signal,
+      run: options.run,
+      step: 'reviewing',
+      provider
     });
 
     return { queries };
   } catch (error) {
+    if (isAbortError(error)) throw error;
+
     log.error("Error reviewing search results", {
       error: error.message,
       stack: error.stack
@@ -927,12 +1437,247 @@ async function reviewSearchResults(
 }
 
 /**
- * Normalize newlines in markdown text for better compatibility with markdown editors
- * @param {string} text - The markdown text to normalize
- * @returns {string} - Normalized markdown text
+ * Generate the follow-up queries of one branch of a research tree
+ *
+ * Unlike reviewSearchResults, which plans the next iteration from all
+ * learnings, the queries stay within the research goal of one search result
+ * and build on the learnings of its branch. Suggests no queries once
+ * `options.run` has reached its budget.
+ *
+ * @param {string} topic - Query of the research
+ * @param {Object} parent - Search result with the query and researchGoal of the branch
+ * @param {Array<string>} learnings - Learnings of the branch, from the root down to the parent
+ * @param {number} count - Maximum number of queries
+ * @returns {Promise<Object>} - `{ queries }`, with `error` if the queries could not be generated
  */
-function normalizeMarkdownNewlines(text) {
-  if (!text) return text;
+async function generateFollowUpQueries(
+  topic,
+  parent,
+  learnings,
+  count,
+  language = "en-US",
+  provider = "google",
+  requestedModel,
+  options = {}
+) {
+  const { thinkingModel } = getModel(provider, requestedModel);
+
+  // Do not plan more research once the run has used up its budget
+  const exceededLimit = options.run && options.run.checkBudget();
+  if (exceededLimit) {
+    log.info("Skipping follow-up queries, research budget reached", { limit: exceededLimit });
+    return { queries: [] };
+  }
+
+  try {
+    // Use retry mechanism with fallback to a different model if rate limited
+    const queries = await withRetry(async (context) => {
+      const modelToUse = context.model || thinkingModel;
+      const model = createStepModel(provider, modelToUse, options.run, 'reviewing');
+
+      const prompt = await followUpQueriesPrompt(topic, parent, learnings, count);
+
+      const response = await model.generateContent({
+        contents: [{
+          role: "user",
+          parts: [{
+            text: prompt + "\n\n" + getResponseLanguagePrompt(language)
+          }]
+        }],
+        generationConfig: {
+          temperature: 0.2,
+          maxOutputTokens: 1024,
+        },
+      }, { signal: options.signal });
+
+      return safeJsonParse(response.response.text(), 'generateFollowUpQueries', []);
+    }, {
+      maxRetries: 3,
+      fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+      context: { model: thinkingModel }, // Pass the original model for context
+      signal: options.signal,
+      run: options.run,
+      step: 'reviewing',
+      provider
+    });
+
+    // Models do not always keep to the requested count
+    return { queries: (Array.isArray(queries) ? queries : []).filter(item => item && item.query).slice(0, count) };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+
+    log.error("Error generating follow-up queries", {
+      query: parent.query,
+      error: error.message,
+      stack: error.stack
+    });
+    return { queries: [], error: error.message };
+  }
+}
+
+/**
+ * Estimate the tokens of learnings in a prompt
+ */
+function estimateLearningTokens(learnings, provider) {
+  return learnings.reduce((total, learning) => {
+    const citations = ((learning && learning.sourceUrls) || []).map((url, index) => `[${index + 1}]`).join('');
+    return total + estimateTokens(`<learning>\n${getLearningText(learning)} ${citations}\n</learning>\n`, provider);
+  }, 0);
+}
+
+/**
+ * Condense a batch of related learnings with the model
+ *
+ * @returns {Promise<Array<Object>>} - Condensed learnings as `{ text, sourceUrls }`
+ */
+async function condenseLearnings(topic, learnings, provider, requestedModel, options = {}) {
+  const { networkingModel } = getModel(provider, requestedModel);
+  const { learnings: numberedLearnings, sources } = numberLearningSources(learnings, options.sources);
+
+  const content = await withRetry(async (context) => {
+    const modelToUse = context.model || networkingModel;
+    const model = createStepModel(provider, modelToUse, options.run, 'condensing');
+
+    const response = await model.generateContent({
+      contents: [{
+        role: "user",
+        parts: [{
+          text: condenseLearningsPrompt(topic, numberedLearnings) + "\n\n" + getResponseLanguagePrompt(options.language)
+        }]
+      }],
+      generationConfig: {
+        temperature: 0.2,
+        maxOutputTokens: CONDENSE_OUTPUT_TOKENS,
+      },
+    }, { signal: options.signal });
+
+    return response.response.text();
+  }, {
+    maxRetries: 2,
+    fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+    context: { model: networkingModel }, // Pass the original model for context
+    signal: options.signal,
+    run: options.run,
+    step: 'condensing',
+    provider
+  });
+
+  return parseLearningCitations(content, sources);
+}
+
+/**
+ * Fit learnings into a token budget by condensing them in batches
+ *
+ * Related learnings are clustered by word overlap and packed into batches
+ * that the model condenses one at a time (map); the condensed learnings are
+ * condensed again until they fit the budget or stop getting shorter
+ * (reduce). If they still do not fit after the configured number of rounds,
+ * the last learnings, which consolidation ranks as the least supported, are
+ * left out.
+ *
+ * @param {string} topic - Query of the research
+ * @param {Array<string|Object>} learnings - Learnings as strings or `{ text, sourceUrls }`
+ * @param {number} budget - Token budget for the learnings
+ * @param {string} provider - LLM provider name
+ * @param {string} requestedModel - Model to condense with
+ * @param {Object} options - `language`, `sources`, `run` and `signal`
+ * @returns {Promise<Object>} - `{ learnings, rounds, dropped }`
+ */
+async function fitLearningsToContext(topic, learnings, budget, provider, requestedModel, options = {}) {
+  const { networkingModel } = getModel(provider, requestedModel);
+  const { maxCondenseRounds } = settings.llm.contextWindowSettings;
+  const batchBudget = Math.min(
+    getInputBudget(provider, networkingModel, CONDENSE_OUTPUT_TOKENS) - estimateTokens(condenseLearningsPrompt(topic, []), provider),
+    2 * CONDENSE_OUTPUT_TOKENS
+  );
+
+  let current = learnings;
+  let rounds = 0;
+  while (rounds < maxCondenseRounds && estimateLearningTokens(current, provider) > budget) {
+    rounds++;
+    log.info("Condensing learnings to fit the context window", {
+      round: rounds,
+      learningsCount: current.length,
+      tokens: estimateLearningTokens(current, provider),
+      budget
+    });
+
+    // Cluster related learnings, so each batch condenses one aspect of the topic
+    const clusters = [];
+    current.forEach(learning => {
+      const text = getLearningText(learning);
+      const cluster = clusters.find(candidate => getLexicalSimilarity(candidate.seed, text) >= 0.2);
+      if (cluster) {
+        cluster.learnings.push(learning);
+      } else {
+        clusters.push({ seed: text, learnings: [learning] });
+      }
+    });
+
+    const batches = [];
+    let batch = [];
+    let batchTokens = 0;
+    clusters.flatMap(cluster => cluster.learnings).forEach(learning => {
+      const tokens = estimateLearningTokens([learning], provider);
+      if (batch.length > 0 && batchTokens + tokens > batchBudget) {
+        batches.push(batch);
+        batch = [];
+        batchTokens = 0;
+      }
+      batch.push(learning);
+      batchTokens += tokens;
+    });
+    batches.push(batch);
+
+    const next = [];
+    for (const learningsBatch of batches) {
+      let condensed = [];
+      try {
+        condensed = await condenseLearnings(topic, learningsBatch, provider, requestedModel, options);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        log.error("Error condensing learnings", { error: error.message, stack: error.stack });
+        if (options.run) {
+          options.run.recordError('condensing', error, { round: rounds });
+        }
+      }
+      // Keep the batch as it was if condensing failed
+      next.push(...(condensed.length > 0 ? condensed : learningsBatch));
+    }
+
+    if (estimateLearningTokens(next, provider) >= estimateLearningTokens(current, provider)) {
+      break;
+    }
+    current = next;
+  }
+
+  // Leave out the least supported learnings rather than overflow the model
+  const tokens = current.map(learning => estimateLearningTokens([learning], provider));
+  let total = tokens.reduce((sum, value) => sum + value, 0);
+  let kept = current.length;
+  while (kept > 1 && total > budget) {
+    kept--;
+    total -= tokens[kept];
+  }
+  const dropped = current.length - kept;
+  current = current.slice(0, kept);
+  if (dropped > 0) {
+    log.warn("Left out learnings that did not fit the context window", { dropped, budget });
+    if (options.run) {
+      options.run.recordError('condensing', `Left out ${dropped} learnings that did not fit the context window`);
+    }
+  }
+
+  return { learnings: current, rounds, dropped };
+}
+
+/**
+ * Normalize newlines in markdown text for better compatibility with markdown editors
+ * @param {string} text - The markdown text to normalize
+ * @returns {string} - Normalized markdown text
+ */
+function normalizeMarkdownNewlines(text) {
+  if (!text) return text;
 
   // Replace \n with proper line breaks for markdown
   let normalized = text;
@@ -961,6 +1706,21 @@ function normalizeMarkdownNewlines(text) {
 
 /**
  * Write a final report based on research learnings
+ *
+ * Pass `options.onProgress` to stream the report: a `report_token` event is
+ * emitted for every chunk of raw text, and `report_reset` when a retry starts
+ * the report over. The returned report is normalized after streaming ends.
+ * Pass `options.signal` to cancel the generation.
+ *
+ * Learnings given as `{ text, sourceUrls }` are cited inline as `[n]`; the
+ * citations are checked against the real sources afterwards and resolved to a
+ * references list (`options.sources` supplies the source titles).
+ *
+ * Learnings that do not fit the context window of the model are condensed
+ * first, see fitLearningsToContext.
+ *
+ * Set `options.reportMode` to `sectioned` to write a `comprehensive` report
+ * outline first and section by section, see writeSectionedReport.
  */
 async function writeFinalReport(
   topic,
@@ -971,46 +1731,107 @@ async function writeFinalReport(
   requirement = "",
   promptType = 'default',
   reportStyle = '',
-  detailLevel = 'standard'
+  detailLevel = 'standard',
+  options = {}
 ) {
   const { networkingModel } = getModel(provider, requestedModel);
+  const reportProgress = createProgressReporter(options.onProgress);
+  let hasStreamedTokens = false;
 
   try {
+    if (options.reportMode === 'sectioned') {
+      if (detailLevel === 'comprehensive') {
+        return await writeSectionedReport(topic, learnings, language, provider, requestedModel, requirement, promptType, reportStyle, detailLevel, options);
+      }
+      log.info("Sectioned reports are written for the comprehensive detail level only, writing a single report", { detailLevel });
+    }
+
+    // Condense the learnings if they do not fit the model together with the rest of the prompt
+    let reportLearnings = learnings;
+    const allSources = numberLearningSources(learnings, options.sources).sources;
+    const promptTokens = estimateTokens(
+      getSystemPrompt(promptType) + writeFinalReportPrompt(topic, [], requirement, reportStyle, detailLevel, allSources) + getResponseLanguagePrompt(language),
+      provider
+    );
+    const learningsBudget = getInputBudget(provider, networkingModel, REPORT_OUTPUT_TOKENS) - promptTokens;
+    if (estimateLearningTokens(learnings, provider) > learningsBudget) {
+      const finishStep = options.run ? options.run.startStep('condensing') : () => {};
+      const fitted = await fitLearningsToContext(topic, learnings, learningsBudget, provider, requestedModel, {
+        language,
+        sources: options.sources,
+        run: options.run,
+        signal: options.signal
+      });
+      finishStep();
+      reportLearnings = fitted.learnings;
+    }
+
+    // Number the sources cited by the learnings so the model can refer to them
+    const { learnings: numberedLearnings, sources } = numberLearningSources(reportLearnings, options.sources);
+
     // Use retry mechanism with fallback to a different model if rate limited
     const report = await withRetry(async (context) => {
       // Use the model from context if available (for fallback), otherwise use the original model
       const modelToUse = context.model || networkingModel;
-      const model = createProvider(provider, modelToUse);
+      const model = createStepModel(provider, modelToUse, options.run, 'writing');
 
       // Set the system prompt based on the prompt type
       const systemPrompt = getSystemPrompt(promptType);
 
-      const response = await model.generateContent({
+      const request = {
         contents: [
           {
             role: "user",
-            parts: [{ text: systemPrompt + "\n\n" + writeFinalReportPrompt(topic, learnings, requirement, reportStyle, detailLevel) + "\n\n" + getResponseLanguagePrompt(language) }]
+            parts: [{ text: systemPrompt + "\n\n" + writeFinalReportPrompt(topic, numberedLearnings, requirement, reportStyle, detailLevel, sources) + "\n\n" + getResponseLanguagePrompt(language) }]
           }
         ],
         generationConfig: {
           // Lower temperature for fallback models to ensure more reliable output
           temperature: context.model !== networkingModel ? 0.5 : 0.7,
           // Reduce token count for fallback models to avoid rate limits
-          maxOutputTokens: context.model !== networkingModel ? 16384 : 32768,
+          maxOutputTokens: context.model !== networkingModel ? 16384 : REPORT_OUTPUT_TOKENS,
         },
-      });
+      };
+
+      // Stream the report when someone is listening and the provider supports it
+      if (typeof options.onProgress === 'function' && typeof model.generateContentStream === 'function') {
+        if (hasStreamedTokens) {
+          reportProgress('report_reset');
+        }
+
+        const streamResult = await model.generateContentStream(request, { signal: options.signal });
+        let rawText = '';
+        for await (const chunk of streamResult.stream) {
+          const text = chunk.text();
+          if (!text) continue;
+          rawText += text;
+          hasStreamedTokens = true;
+          reportProgress('report_token', { text });
+        }
+        return normalizeMarkdownNewlines(rawText);
+      }
+
+      const response = await model.generateContent(request, { signal: options.signal });
 
       // Get the raw text and normalize it for markdown compatibility
       const rawText = response.response.text();
       return normalizeMarkdownNewlines(rawText);
     }, {
       maxRetries: 3,
-      fallbackModel: "gemini-1.5-flash", // Fallback to a smaller model if rate limited
-      context: { model: networkingModel } // Pass the original model for context
+      fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+      context: { model: networkingModel }, // Pass the original model for context
+      signal: options.signal,
+      run: options.run,
+      step: 'writing',
+      provider
     });
 
-    return { report };
+    // Replace the model's citations with ones that resolve to real sources and drop its own references section
+    const cited = applyCitations(report, sources);
+    return { report: cited.report, references: cited.references };
   } catch (error) {
+    if (isAbortError(error)) throw error;
+
     log.error("Error writing final report", {
       topic,
       error: error.message,
@@ -1021,19 +1842,526 @@ async function writeFinalReport(
               `## Error Generating Full Report\n\n` +
               `We encountered an error while generating the full report: ${error.message}\n\n` +
               `## Key Learnings\n\n` +
-              learnings.map((learning, index) => `${index + 1}. ${learning}`).join('\n\n');
+              learnings.map((learning, index) => `${index + 1}. ${getLearningText(learning)}`).join('\n\n');
 
     return {
       report: normalizeMarkdownNewlines(errorReport),
+      references: [],
       error: error.message
     };
   }
 }
 
 /**
- * Perform a direct research operation in a single function
+ * Get an outline from the numbered sections of a report style
  */
-async function performDirectResearch(
+function getOutlineFromStructure(reportStyle) {
+  const sections = getReportStructure(reportStyle)
+    .split("\n")
+    .map(line => line.match(/^\s*\d+\.\s+(.+)$/))
+    .filter(Boolean)
+    .map(match => {
+      const [title, ...description] = match[1].split(' - ');
+      return { title: title.trim(), description: description.join(' - ').trim() || title.trim(), learnings: [] };
+    });
+
+  // Styles without numbered sections get a single one
+  if (sections.length === 0) {
+    sections.push({ title: 'Key Findings', description: 'The findings of the research', learnings: [] });
+  }
+  return { title: null, sections };
+}
+
+/**
+ * Check the outline returned by the model
+ *
+ * @returns {Object|null} - `{ title, sections }` with valid learning numbers, or null if it has no sections
+ */
+function parseReportOutline(outline, learningsCount) {
+  if (!outline || !Array.isArray(outline.sections)) {
+    return null;
+  }
+
+  const sections = outline.sections
+    .filter(section => section && typeof section.title === 'string' && section.title.trim())
+    .map(section => ({
+      title: section.title.replace(/^#+\s*/, '').trim(),
+      description: typeof section.description === 'string' ? section.description.trim() : '',
+      learnings: (Array.isArray(section.learnings) ? section.learnings : [])
+        .map(Number)
+        .filter(number => Number.isInteger(number) && number >= 1 && number <= learningsCount)
+    }))
+    .filter(section => section.title && !REFERENCES_SECTION_PATTERN.test(section.title));
+
+  if (sections.length === 0) {
+    return null;
+  }
+  const title = typeof outline.title === 'string' ? outline.title.replace(/^#+\s*/, '').trim() : '';
+  return { title: title || null, sections };
+}
+
+/**
+ * Decide which learnings each section of an outline is written from
+ *
+ * Sections use the learnings the outline lists for them. A section without
+ * any gets the learnings that share words with its title and description,
+ * or else the best supported ones. Learnings no section uses go to the
+ * section they match best, so every learning reaches the report.
+ *
+ * @returns {Array<Array<number>>} - Learning indexes per section
+ */
+function assignLearningsToSections(sections, learnings) {
+  const texts = learnings.map(getLearningText);
+  const sectionTexts = sections.map(section => `${section.title} ${section.description}`);
+  const assigned = sections.map(section => [...new Set(section.learnings.map(number => number - 1))]);
+
+  assigned.forEach((indexes, sectionIndex) => {
+    if (indexes.length > 0) return;
+    const matching = texts
+      .map((text, index) => index)
+      .filter(index => getLexicalSimilarity(sectionTexts[sectionIndex], texts[index]) >= 0.1);
+    indexes.push(...(matching.length > 0 ? matching : texts.map((text, index) => index).slice(0, SUMMARY_SECTION_LEARNINGS)));
+  });
+
+  const used = new Set(assigned.flat());
+  texts.forEach((text, index) => {
+    if (used.has(index)) return;
+    let bestSection = -1;
+    let bestSimilarity = 0;
+    sectionTexts.forEach((sectionText, sectionIndex) => {
+      const similarity = getLexicalSimilarity(sectionText, text);
+      if (similarity > bestSimilarity) {
+        bestSection = sectionIndex;
+        bestSimilarity = similarity;
+      }
+    });
+    // Without any overlap, the learning goes to the main body, the section with the most learnings
+    if (bestSection === -1) {
+      bestSection = assigned.reduce((best, indexes, sectionIndex) => (indexes.length > assigned[best].length ? sectionIndex : best), 0);
+    }
+    assigned[bestSection].push(index);
+  });
+
+  return assigned.map(indexes => indexes.sort((a, b) => a - b));
+}
+
+/**
+ * Give a written section the heading of the outline
+ *
+ * The heading the model wrote is replaced, and headings of the first two
+ * levels inside the section become subsections, so the stitched report has
+ * one title and one level of section headings.
+ */
+function formatReportSection(text, title) {
+  let inCodeBlock = false;
+  const body = text
+    .trim()
+    .replace(/^```(?:markdown|md)?\s*\n/, '')
+    .replace(/\n```$/, '')
+    .replace(/^#{1,6}\s+[^\n]*\n?/, '')
+    .split("\n")
+    .map(line => {
+      if (/^\s*```/.test(line)) inCodeBlock = !inCodeBlock;
+      return inCodeBlock ? line : line.replace(/^#{1,2}(\s)/, '###$1');
+    })
+    .join("\n")
+    .trim();
+
+  return `## ${title}\n\n${body}`;
+}
+
+/**
+ * Write a report outline first and then section by section
+ *
+ * The model plans an outline from the structure of the report style and
+ * assigns the learnings to its sections; each section is then written in its
+ * own call from only its learnings, so no call has to produce the whole
+ * report. Sources are numbered for the whole report, so the stitched sections
+ * share one references list. If the outline cannot be planned, the sections
+ * of the report style are used; a section that cannot be written lists its
+ * learnings instead.
+ *
+ * Takes the arguments of writeFinalReport. With `options.onProgress`, a
+ * `report_token` event is emitted for the title and for every section once
+ * it is written.
+ */
+async function writeSectionedReport(
+  topic,
+  learnings,
+  language = "en-US",
+  provider = "google",
+  requestedModel,
+  requirement = "",
+  promptType = 'default',
+  reportStyle = '',
+  detailLevel = 'comprehensive',
+  options = {}
+) {
+  const { thinkingModel, networkingModel } = getModel(provider, requestedModel);
+  const reportProgress = createProgressReporter(options.onProgress);
+  const systemPrompt = getSystemPrompt(promptType);
+
+  // Condense the learnings if they do not fit a section prompt that uses all of them
+  let reportLearnings = learnings;
+  const allSources = numberLearningSources(learnings, options.sources).sources;
+  const promptTokens = estimateTokens(
+    systemPrompt + writeReportSectionPrompt(topic, getOutlineFromStructure(reportStyle), 0, [], requirement, detailLevel, allSources) + getResponseLanguagePrompt(language),
+    provider
+  );
+  const learningsBudget = getInputBudget(provider, networkingModel, SECTION_OUTPUT_TOKENS) - promptTokens;
+  if (estimateLearningTokens(learnings, provider) > learningsBudget) {
+    const finishStep = options.run ? options.run.startStep('condensing') : () => {};
+    const fitted = await fitLearningsToContext(topic, learnings, learningsBudget, provider, requestedModel, {
+      language,
+      sources: options.sources,
+      run: options.run,
+      signal: options.signal
+    });
+    finishStep();
+    reportLearnings = fitted.learnings;
+  }
+
+  // Number the sources for the whole report so all sections cite them alike
+  const { learnings: numberedLearnings, sources } = numberLearningSources(reportLearnings, options.sources);
+
+  // Plan the sections, falling back to the sections of the report style
+  let outline = null;
+  try {
+    const plannedOutline = await withRetry(async (context) => {
+      const modelToUse = context.model || thinkingModel;
+      const model = createStepModel(provider, modelToUse, options.run, 'outlining');
+
+      const prompt = await reportOutlinePrompt(topic, reportLearnings, requirement, reportStyle);
+
+      const response = await model.generateContent({
+        contents: [{
+          role: "user",
+          parts: [{
+            text: prompt + "\n\n" + getResponseLanguagePrompt(language)
+          }]
+        }],
+        generationConfig: {
+          temperature: 0.3,
+          maxOutputTokens: OUTLINE_OUTPUT_TOKENS,
+        },
+      }, { signal: options.signal });
+
+      return safeJsonParse(response.response.text(), 'writeSectionedReport', null);
+    }, {
+      maxRetries: 3,
+      fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+      context: { model: thinkingModel }, // Pass the original model for context
+      signal: options.signal,
+      run: options.run,
+      step: 'outlining',
+      provider
+    });
+
+    outline = parseReportOutline(plannedOutline, reportLearnings.length);
+    if (!outline) {
+      throw new Error('The model returned an outline without sections');
+    }
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+
+    log.warn("Error planning the report outline, using the sections of the report style", {
+      topic,
+      error: error.message
+    });
+    if (options.run) {
+      options.run.recordError('outlining', error);
+    }
+    outline = getOutlineFromStructure(reportStyle);
+  }
+  outline.title = outline.title || `Research Report on ${topic}`;
+
+  const assignments = assignLearningsToSections(outline.sections, numberedLearnings);
+  const title = `# ${outline.title}`;
+  reportProgress('report_token', { text: `${title}\n\n` });
+
+  const sections = [];
+  let sectionError;
+  let failedSections = 0;
+  for (const [sectionIndex, section] of outline.sections.entries()) {
+    const sectionLearnings = assignments[sectionIndex].map(index => numberedLearnings[index]);
+    const sectionSourceNumbers = new Set(sectionLearnings.flatMap(learning => learning.sourceNumbers));
+    const sectionSources = sources.filter(source => sectionSourceNumbers.has(source.number));
+
+    let text;
+    try {
+      text = await withRetry(async (context) => {
+        const modelToUse = context.model || networkingModel;
+        const model = createStepModel(provider, modelToUse, options.run, 'writing');
+
+        const response = await model.generateContent({
+          contents: [{
+            role: "user",
+            parts: [{
+              text: systemPrompt + "\n\n" + writeReportSectionPrompt(topic, outline, sectionIndex, sectionLearnings, requirement, detailLevel, sectionSources) + "\n\n" + getResponseLanguagePrompt(language)
+            }]
+          }],
+          generationConfig: {
+            // Lower temperature for fallback models to ensure more reliable output
+            temperature: context.model !== networkingModel ? 0.5 : 0.7,
+            maxOutputTokens: SECTION_OUTPUT_TOKENS,
+          },
+        }, { signal: options.signal });
+
+        return response.response.text();
+      }, {
+        maxRetries: 3,
+        fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+        context: { model: networkingModel }, // Pass the original model for context
+        signal: options.signal,
+        run: options.run,
+        step: 'writing',
+        provider
+      });
+      text = formatReportSection(text, section.title);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      log.error("Error writing report section", {
+        topic,
+        section: section.title,
+        error: error.message,
+        stack: error.stack
+      });
+      if (options.run) {
+        options.run.recordError('writing', error, { section: section.title });
+      }
+      sectionError = error;
+      failedSections++;
+      // List the learnings of the section rather than leave it out
+      text = `## ${section.title}\n\n` + sectionLearnings
+        .map(learning => `- ${learning.text}${learning.sourceNumbers.map(number => ` [${number}]`).join('')}`)
+        .join('\n');
+    }
+
+    sections.push(normalizeMarkdownNewlines(text));
+    reportProgress('report_token', { text: `${sections[sections.length - 1]}\n\n` });
+  }
+
+  const report = [title, ...sections].join("\n\n");
+  // Replace the model's citations with ones that resolve to real sources and drop its own references section
+  const cited = applyCitations(report, sources);
+  const result = { report: cited.report, references: cited.references };
+  if (failedSections > 0 && failedSections === sections.length) {
+    result.error = `No section of the report could be written: ${sectionError.message}`;
+  }
+  return result;
+}
+
+/**
+ * Split items into batches whose prompt fits a token budget
+ */
+function batchForPrompt(items, buildPrompt, maxItems, budget, provider) {
+  const batches = [];
+  let batch = [];
+  items.forEach(item => {
+    const candidate = [...batch, item];
+    if (batch.length > 0 && (candidate.length > maxItems || estimateTokens(buildPrompt(candidate), provider) > budget)) {
+      batches.push(batch);
+      batch = [item];
+    } else {
+      batch = candidate;
+    }
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Check the factual claims of a report against the research
+ *
+ * The model extracts the factual claims of the report sentences; each claim
+ * is then judged by the model against the learnings and source passages that
+ * share the most words with it or come from the sources its sentence cites.
+ * Sentences with an unsupported or contradicted claim are annotated, or
+ * removed with the `remove` mode, after which the citations of the report
+ * are renumbered against `options.references`.
+ *
+ * Claims beyond the configured maximum, and claims of batches the model
+ * could not judge, are returned as `unchecked`. If no claims could be
+ * extracted, the report is returned unchanged with the `error`.
+ *
+ * @param {string} topic - Query of the research
+ * @param {string} report - The report in markdown
+ * @param {Array<string|Object>} learnings - Learnings as strings or `{ text, sourceUrls }`
+ * @param {string} provider - LLM provider name
+ * @param {string} requestedModel - Model to check with
+ * @param {Object} options - `mode` (annotate or remove), `language`, `sources` with their
+ *   `content`, the `references` of the report, `run` and `signal`
+ * @returns {Promise<Object>} - `{ report, references, factCheck }`; factCheck holds the `mode`,
+ *   the `claims` as `{ claim, sentence, verdict, explanation, evidenceUrls }`, their `stats`
+ *   and the `error` that stopped the check, if any
+ */
+async function factCheckReport(topic, report, learnings = [], provider = "google", requestedModel, options = {}) {
+  const { networkingModel, thinkingModel } = getModel(provider, requestedModel);
+  const factCheckSettings = settings.app.factCheckSettings;
+  const mode = options.mode || factCheckSettings.mode;
+  const references = options.references || [];
+  const languagePrompt = getResponseLanguagePrompt(options.language);
+  const sentences = splitReportSentences(report);
+  const factCheck = {
+    mode,
+    claims: [],
+    stats: { sentences: sentences.length, claims: 0, supported: 0, unsupported: 0, contradicted: 0, unchecked: 0, flaggedSentences: 0 }
+  };
+
+  // Call the model with a prompt and parse the JSON array it answers with
+  const generateJson = (prompt, modelName) => withRetry(async (context) => {
+    const modelToUse = context.model || modelName;
+    const model = createStepModel(provider, modelToUse, options.run, 'fact_checking');
+
+    const response = await model.generateContent({
+      contents: [{
+        role: "user",
+        parts: [{
+          text: prompt + "\n\n" + languagePrompt
+        }]
+      }],
+      generationConfig: {
+        temperature: 0.1,
+        maxOutputTokens: FACT_CHECK_OUTPUT_TOKENS,
+      },
+    }, { signal: options.signal });
+
+    return safeJsonParse(response.response.text(), 'factCheckReport', []);
+  }, {
+    maxRetries: 3,
+    fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+    context: { model: modelName }, // Pass the original model for context
+    signal: options.signal,
+    run: options.run,
+    step: 'fact_checking',
+    provider
+  });
+
+  // Extract the claims of the sentences
+  const claims = [];
+  let extractionError;
+  const extractionBudget = getInputBudget(provider, networkingModel, FACT_CHECK_OUTPUT_TOKENS) - estimateTokens(languagePrompt, provider);
+  const sentenceBatches = batchForPrompt(sentences, batch => extractClaimsPrompt(topic, batch), CLAIM_EXTRACTION_SENTENCES, extractionBudget, provider);
+  for (const batch of sentenceBatches) {
+    try {
+      const extracted = await generateJson(extractClaimsPrompt(topic, batch), networkingModel);
+      (Array.isArray(extracted) ? extracted : []).forEach(item => {
+        const sentence = item && batch.find(candidate => candidate.number === Number(item.sentence));
+        if (sentence && typeof item.claim === 'string' && item.claim.trim()) {
+          claims.push({ claim: item.claim.trim(), sentence: sentence.number });
+        }
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      log.error("Error extracting the claims of the report", { topic, error: error.message, stack: error.stack });
+      if (options.run) {
+        options.run.recordError('fact_checking', error, { sentences: `${batch[0].number}-${batch[batch.length - 1].number}` });
+      }
+      extractionError = error;
+    }
+  }
+
+  if (extractionError && claims.length === 0) {
+    return { report, references, factCheck: { ...factCheck, error: extractionError.message } };
+  }
+
+  // Judge the claims against their evidence
+  factCheck.claims = claims.map(item => ({ ...item, verdict: 'unchecked', explanation: '', evidenceUrls: [] }));
+  const checkedClaims = factCheck.claims.slice(0, factCheckSettings.maxClaims).map(item => {
+    const sentence = sentences[item.sentence - 1];
+    const evidence = selectClaimEvidence(item.claim, sentence.text, learnings, {
+      sources: options.sources,
+      references,
+      evidenceLearnings: factCheckSettings.evidenceLearnings,
+      evidenceSources: factCheckSettings.evidenceSources,
+      passageLength: factCheckSettings.passageLength
+    });
+    item.evidenceUrls = [...new Set([
+      ...evidence.sources.map(source => source.url),
+      ...evidence.learnings.flatMap(learning => learning.sourceUrls)
+    ])];
+    return { item, claim: item.claim, evidence };
+  });
+
+  const judgingBudget = getInputBudget(provider, thinkingModel, FACT_CHECK_OUTPUT_TOKENS) - estimateTokens(languagePrompt, provider);
+  const claimBatches = batchForPrompt(checkedClaims, batch => verifyClaimsPrompt(topic, batch), factCheckSettings.claimsPerBatch, judgingBudget, provider);
+  for (const batch of claimBatches) {
+    try {
+      const verdicts = await generateJson(verifyClaimsPrompt(topic, batch), thinkingModel);
+      (Array.isArray(verdicts) ? verdicts : []).forEach(verdict => {
+        const checked = verdict && batch[Number(verdict.claim) - 1];
+        if (checked && FACT_CHECK_VERDICTS.includes(verdict.verdict)) {
+          checked.item.verdict = verdict.verdict;
+          checked.item.explanation = typeof verdict.explanation === 'string' ? verdict.explanation : '';
+        }
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      log.error("Error judging the claims of the report", { topic, error: error.message, stack: error.stack });
+      if (options.run) {
+        options.run.recordError('fact_checking', error, { claims: batch.length });
+      }
+    }
+  }
+
+  factCheck.claims.forEach(item => {
+    factCheck.stats[item.verdict]++;
+  });
+  factCheck.stats.claims = factCheck.claims.length;
+
+  // Mark or remove the sentences of unsupported claims
+  const applied = applyClaimVerdicts(report, sentences, factCheck.claims, mode);
+  factCheck.stats.flaggedSentences = applied.flaggedSentences;
+  log.info("Report fact-checked", { topic, ...factCheck.stats });
+
+  // Removed sentences can take the last citation of a source with them
+  if (mode === 'remove' && applied.flaggedSentences > 0 && references.length > 0) {
+    const cited = applyCitations(applied.report, references);
+    return { report: cited.report, references: cited.references, factCheck };
+  }
+  return { report: applied.report, references, factCheck };
+}
+
+/**
+ * Perform a direct research operation and return the structured result
+ *
+ * Besides the report, the result contains the query tree of every iteration,
+ * the sources with the learnings derived from them, step timings, the models
+ * that answered and the errors the run recovered from.
+ *
+ * Pass `options.signal` to cancel the run; a cancelled run stops issuing
+ * LLM and search calls and rejects with an abort error. `options.client`
+ * identifies who requested the run in the usage log.
+ *
+ * `options.budget` limits the run's `maxTokens`, `maxCost`, `maxSearches`
+ * and `maxDuration` (in seconds) below the server budget. Once a limit is
+ * reached, no more searches or reviews are started and the report is written
+ * from the learnings so far; the result is then flagged as `truncated`.
+ *
+ * `options.credentials` carries the LLM and search API keys the client sent
+ * (see getProviderCredentials); every call of the run uses them instead of
+ * the server's keys.
+ *
+ * Set `options.depth` to research the query as a tree instead of iterating
+ * over all learnings: the first `options.breadth` queries (default 4) are
+ * searched, and every search result gets its own follow-up queries, scoped
+ * to its research goal and the learnings of its branch, until `depth` levels
+ * are researched. Each level down gets half as many queries per branch
+ * (rounded up). `maxIterations` is ignored and the result carries the query
+ * `tree`, whose nodes hold the sources and learnings of their search.
+ *
+ * `options.reportMode` selects how a `comprehensive` report is written, see
+ * writeFinalReport. Set `options.factCheck` to check the claims of the report
+ * against the research (default: the FACT_CHECK setting), annotating or
+ * removing unsupported ones as `options.factCheckMode` says; the result then
+ * carries the per-claim verdicts in `factCheck`, see factCheckReport.
+ */
+async function performStructuredResearch(
   query,
   language = "en-US",
   provider = "google",
@@ -1046,20 +2374,69 @@ async function performDirectResearch(
   const promptType = options.promptType || 'default';
   const reportStyle = options.reportStyle || '';
   const detailLevel = options.detailLevel || 'standard';
+  const treeMode = !!options.depth;
+  const depth = treeMode ? options.depth : null;
+  const breadth = treeMode ? options.breadth || 4 : null;
+
+  // One step for query generation, one search and one review per iteration (tree level), one for the report
+  const totalSteps = 2 * Math.max(treeMode ? depth : maxIterations, 1) + 1;
+  const emitEvent = createProgressReporter(options.onProgress);
+  assertLLMProvider(provider);
+
+  // Track provenance of the run for the structured result
+  const run = createResearchRun(
+    treeMode
+      ? { query, language, provider, model, searchProvider, breadth, depth, client: options.client }
+      : { query, language, provider, model, searchProvider, maxIterations, client: options.client },
+    { budget: resolveBudget(options.budget), credentials: options.credentials, tree: treeMode }
+  );
+  const buildResult = (report, references = []) => {
+    const result = { query, report, references, ...run.toJSON() };
+    if (result.truncated) {
+      result.report += `\n\n---\n\n*This report is based on partial research: the research stopped early after reaching its ${result.budget.exceeded} budget.*`;
+    }
+    const { calls, inputTokens, outputTokens, estimatedCost, currency } = result.usage;
+    log.info("Research usage", { query, client: options.client, provider, calls, inputTokens, outputTokens, estimatedCost, currency });
+    return result;
+  };
+
+  // Progress events carry the usage so far, so job status shows the spend of running jobs
+  const reportProgress = (stage, step, details = {}) => {
+    const { inputTokens, outputTokens, totalTokens, estimatedCost } = run.getUsage();
+    emitEvent('progress', {
+      stage,
+      step,
+      totalSteps,
+      ...(treeMode ? { breadth, depth } : { maxIterations }),
+      ...details,
+      usage: { inputTokens, outputTokens, totalTokens, estimatedCost }
+    });
+  };
+
   try {
     log.info(`Starting direct research`, { query, language, provider, searchProvider });
 
     // Step 1: Generate initial search queries
     log.info("Step 1: Generating search queries");
+    reportProgress('generating_queries', 1);
+    let finishStep = run.startStep('generating_queries', { iteration: 1 });
     let queries = [];
     try {
-      const result = await generateSearchQueries(query, language, provider, model, promptType, detailLevel);
+      const result = await generateSearchQueries(query, language, provider, model, promptType, detailLevel, {
+        signal: options.signal,
+        run
+      });
       queries = result.queries;
+      if (result.error) {
+        run.recordError('generating_queries', result.error, { iteration: 1 });
+      }
     } catch (error) {
+      if (isAbortError(error)) throw error;
       log.error("Error generating search queries", {
         error: error.message,
         stack: error.stack
       });
+      run.recordError('generating_queries', error, { iteration: 1 });
       // Use default queries if there's an error
       queries = [
         {
@@ -1077,8 +2454,17 @@ async function performDirectResearch(
       ];
     }
 
+    finishStep();
+    if (treeMode) {
+      queries = queries.slice(0, breadth);
+    }
+    run.recordQueries(1, queries, 'initial');
+    emitEvent('queries', { iteration: 1, queries });
+
     // Step 2: Run search tasks
     log.info("Step 2: Running search tasks", { queryCount: queries.length });
+    reportProgress('searching', 2, { iteration: 1, queryCount: queries.length });
+    finishStep = run.startStep('searching', { iteration: 1 });
     let results = [];
     try {
       const searchResults = await runSearchTasks(
@@ -1089,37 +2475,143 @@ async function performDirectResearch(
         true,
         searchProvider,
         false,
-        options.maxResults || 5
+        options.maxResults || 5,
+        {
+          onProgress: (event) => emitEvent(event.type, { ...event, iteration: 1 }),
+          signal: options.signal,
+          run,
+          fetchFullContent: options.fetchFullContent
+        }
       );
       results = searchResults.results || [];
     } catch (error) {
+      if (isAbortError(error)) throw error;
       log.error("Error running search tasks", {
         error: error.message,
         stack: error.stack
       });
+      run.recordError('searching', error, { iteration: 1 });
       // Continue with empty results if there's an error
     }
+    finishStep();
+    results.forEach(result => run.recordSearchResult(1, result));
 
-    // Collect all learnings
+    // Collect all learnings, keeping the sources they came from for citations
     let allLearnings = [];
-    results.forEach(result => {
+    const allCitedLearnings = [];
+    const allSources = [];
+    const collectLearnings = (result) => {
       if (result && result.learnings && Array.isArray(result.learnings)) {
         allLearnings = [...allLearnings, ...result.learnings];
+        allCitedLearnings.push(...(result.citedLearnings || result.learnings));
+        allSources.push(...(result.sources || []));
       }
-    });
+    };
+    results.forEach(collectLearnings);
+
+    // Research the branch below a node of the query tree, `levelBreadth` queries per node
+    const researchBranch = async (node, result, branchLearnings, levelBreadth, remainingDepth) => {
+      if (remainingDepth <= 0 || run.checkBudget()) return;
+      const iteration = node.depth + 1;
+
+      reportProgress('reviewing', 2 * node.depth + 1, { iteration, parentId: node.id, learningsCount: branchLearnings.length });
+      finishStep = run.startStep('reviewing', { iteration, parentId: node.id });
+      const followUpResult = await generateFollowUpQueries(
+        query,
+        result,
+        branchLearnings,
+        levelBreadth,
+        language,
+        provider,
+        model,
+        { signal: options.signal, run }
+      );
+      finishStep();
+      if (followUpResult.error) {
+        run.recordError('reviewing', followUpResult.error, { iteration, parentId: node.id });
+      }
+      const followUpQueries = followUpResult.queries;
+      emitEvent('review', { iteration, parentId: node.id, queries: followUpQueries });
+      if (followUpQueries.length === 0) return;
+
+      reportProgress('searching', 2 * node.depth + 2, { iteration, parentId: node.id, queryCount: followUpQueries.length });
+      run.recordQueries(iteration, followUpQueries, 'follow_up');
+      finishStep = run.startStep('searching', { iteration, parentId: node.id });
+      let childResults = [];
+      try {
+        const searchResults = await runSearchTasks(
+          followUpQueries,
+          language,
+          provider,
+          model,
+          true,
+          searchProvider,
+          false,
+          options.maxResults || 5,
+          {
+            onProgress: (event) => emitEvent(event.type, { ...event, iteration, parentId: node.id }),
+            signal: options.signal,
+            run,
+            fetchFullContent: options.fetchFullContent
+          }
+        );
+        childResults = searchResults.results || [];
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        log.error("Error running follow-up search tasks", {
+          iteration,
+          parentId: node.id,
+          error: error.message,
+          stack: error.stack
+        });
+        run.recordError('searching', error, { iteration, parentId: node.id });
+      }
+      finishStep();
+
+      // Learnings of the whole branch inform the follow-ups further down and end up in the report
+      for (const childResult of childResults) {
+        run.recordSearchResult(iteration, childResult);
+        collectLearnings(childResult);
+        const child = run.recordTreeNode(node.id, iteration, childResult);
+        await researchBranch(
+          child,
+          childResult,
+          [...branchLearnings, ...(childResult.learnings || [])],
+          Math.ceil(levelBreadth / 2),
+          remainingDepth - 1
+        );
+      }
+    };
+
+    if (treeMode) {
+      log.info("Researching the query tree", { breadth, depth, rootCount: results.length });
+      for (const result of results) {
+        const node = run.recordTreeNode(null, 1, result);
+        await researchBranch(node, result, result.learnings || [], Math.ceil(breadth / 2), depth - 1);
+      }
+    }
 
     // If we have no learnings at this point, add a basic one to avoid empty reports
     if (allLearnings.length === 0) {
       allLearnings.push(`Basic information about ${query} would typically include key facts and data points relevant to the topic.`);
+      allCitedLearnings.push(allLearnings[0]);
     }
 
     // Step 3: Perform additional iterations if needed
     let currentIteration = 1;
-    while (currentIteration < maxIterations) {
+    while (!treeMode && currentIteration < maxIterations) {
+      // Stop gathering once the run has used up its budget
+      if (run.checkBudget()) break;
+
       log.info(`Step ${currentIteration + 2}: Reviewing results and generating additional queries`, {
         iteration: currentIteration,
         learningsCount: allLearnings.length
       });
+      reportProgress('reviewing', 2 * currentIteration + 1, {
+        iteration: currentIteration + 1,
+        learningsCount: allLearnings.length
+      });
+      finishStep = run.startStep('reviewing', { iteration: currentIteration + 1 });
 
       // Review results and get additional queries
       let additionalQueries = [];
@@ -1130,18 +2622,27 @@ async function performDirectResearch(
           "",
           language,
           provider,
-          model
+          model,
+          { signal: options.signal, run }
         );
         additionalQueries = reviewResult.queries || [];
+        if (reviewResult.error) {
+          run.recordError('reviewing', reviewResult.error, { iteration: currentIteration + 1 });
+        }
+        emitEvent('review', { iteration: currentIteration + 1, queries: additionalQueries });
       } catch (error) {
+        if (isAbortError(error)) throw error;
         log.error("Error reviewing search results", {
           error: error.message,
           stack: error.stack,
           iteration: currentIteration
         });
+        run.recordError('reviewing', error, { iteration: currentIteration + 1 });
+        finishStep();
         // Continue with empty additional queries if there's an error
         break;
       }
+      finishStep();
 
       // If no additional queries are suggested, break the loop
       if (!additionalQueries || additionalQueries.length === 0) {
@@ -1153,6 +2654,12 @@ async function performDirectResearch(
         iteration: currentIteration,
         additionalQueriesCount: additionalQueries.length
       });
+      reportProgress('searching', 2 * currentIteration + 2, {
+        iteration: currentIteration + 1,
+        queryCount: additionalQueries.length
+      });
+      run.recordQueries(currentIteration + 1, additionalQueries, 'review');
+      finishStep = run.startStep('searching', { iteration: currentIteration + 1 });
 
       // Run search tasks for additional queries
       try {
@@ -1164,55 +2671,119 @@ async function performDirectResearch(
           true,
           searchProvider,
           false,
-          options.maxResults || 5
+          options.maxResults || 5,
+          {
+            onProgress: (event) => emitEvent(event.type, { ...event, iteration: currentIteration + 1 }),
+            signal: options.signal,
+            run,
+            fetchFullContent: options.fetchFullContent
+          }
         );
 
         // Add new learnings to the collection
         if (additionalSearchResults && additionalSearchResults.results) {
           additionalSearchResults.results.forEach(result => {
-            if (result && result.learnings && Array.isArray(result.learnings)) {
-              allLearnings = [...allLearnings, ...result.learnings];
-            }
+            run.recordSearchResult(currentIteration + 1, result);
+            collectLearnings(result);
           });
         }
       } catch (error) {
+        if (isAbortError(error)) throw error;
+
         log.error(`Error running additional search tasks`, {
           iteration: currentIteration,
           error: error.message,
           stack: error.stack
         });
+        run.recordError('searching', error, { iteration: currentIteration + 1 });
         // Continue to the next step even if there's an error
       }
+      finishStep();
 
       currentIteration++;
     }
 
+    // Report a budget that stopped the gathering early; the report is still written
+    const budget = run.getBudget();
+    if (budget.exceeded) {
+      log.warn("Research budget reached, writing the report from the research so far", {
+        query,
+        limit: budget.exceeded,
+        spent: budget.spent
+      });
+      emitEvent('budget_exceeded', budget);
+    }
+
+    // Merge the learnings that several queries found about the same fact
+    let reportLearnings = allCitedLearnings;
+    if (settings.app.consolidationSettings.enabled) {
+      finishStep = run.startStep('consolidating');
+      const consolidation = await consolidateLearnings(allCitedLearnings, { signal: options.signal });
+      finishStep();
+      reportLearnings = consolidation.learnings;
+      run.recordConsolidation(consolidation.stats);
+      if (consolidation.error) {
+        run.recordError('consolidating', consolidation.error);
+      }
+    }
+
     // Step 4: Generate final report
     log.info("Final Step: Generating comprehensive report", {
-      learningsCount: allLearnings.length
+      learningsCount: reportLearnings.length
     });
+    reportProgress('writing', totalSteps, { learningsCount: reportLearnings.length });
+    finishStep = run.startStep('writing');
     try {
       const reportResult = await writeFinalReport(
         query,
-        allLearnings,
+        reportLearnings,
         language,
         provider,
         model,
         options.requirement || "",
         promptType,
         reportStyle,
-        detailLevel
+        detailLevel,
+        { onProgress: options.onProgress, signal: options.signal, run, sources: allSources, reportMode: options.reportMode }
       );
+      finishStep();
+      if (reportResult.error) {
+        run.recordError('writing', reportResult.error);
+      }
+
+      // Check the claims of the report against the research
+      let { report, references } = reportResult;
+      const factCheckEnabled = options.factCheck !== undefined ? !!options.factCheck : settings.app.factCheckSettings.enabled;
+      if (factCheckEnabled && !reportResult.error) {
+        reportProgress('fact_checking', totalSteps, { learningsCount: reportLearnings.length });
+        finishStep = run.startStep('fact_checking');
+        const checked = await factCheckReport(query, report, reportLearnings, provider, model, {
+          mode: options.factCheckMode,
+          language,
+          sources: allSources,
+          references,
+          run,
+          signal: options.signal
+        });
+        finishStep();
+        ({ report, references } = checked);
+        run.recordFactCheck(checked.factCheck);
+      }
+
       log.info("Research completed successfully", {
         query,
-        reportLength: reportResult.report.length
+        reportLength: report.length
       });
-      return reportResult.report;
+      return buildResult(report, references);
     } catch (error) {
+      if (isAbortError(error)) throw error;
+
       log.error("Error writing final report", {
         error: error.message,
         stack: error.stack
       });
+      finishStep();
+      run.recordError('writing', error);
       // Return a basic report if there's an error
       const errorReport = `# Research Report on ${query}\n\n` +
              `## Error Generating Full Report\n\n` +
@@ -1220,26 +2791,54 @@ async function performDirectResearch(
              `## Key Learnings\n\n` +
              allLearnings.map((learning, index) => `${index + 1}. ${learning}`).join('\n\n');
 
-      return normalizeMarkdownNewlines(errorReport);
+      return buildResult(normalizeMarkdownNewlines(errorReport));
     }
   } catch (error) {
+    // Let callers report cancelled runs instead of returning an error report
+    if (isAbortError(error)) {
+      log.info("Direct research cancelled", { query });
+      throw error;
+    }
+
     log.error("Error in direct research", {
       query,
       error: error.message,
       stack: error.stack
     });
+    run.recordError('research', error);
     // Return a basic report even if the entire process fails
     const errorReport = `# Research Report on ${query}\n\n` +
            `## Error Generating Report\n\n` +
            `We encountered an error while researching this topic: ${error.message}\n\n` +
            `Please try again later or refine your query.`;
 
-    return normalizeMarkdownNewlines(errorReport);
+    return buildResult(normalizeMarkdownNewlines(errorReport));
   }
 }
 
+/**
+ * Perform a direct research operation in a single function
+ *
+ * Returns only the report; see performStructuredResearch for the options and
+ * for the full result with provenance.
+ */
+async function performDirectResearch(
+  query,
+  language = "en-US",
+  provider = "google",
+  model,
+  searchProvider = "tavily",
+  maxIterations = 2,
+  options = {}
+) {
+  const result = await performStructuredResearch(query, language, provider, model, searchProvider, maxIterations, options);
+  return result.report;
+}
+
 /**
  * Perform product research based on structured input
+ *
+ * Pass `options.run` to record the token usage of the research on a run.
  */
 async function performProductResearch(
   productData,
@@ -1254,6 +2853,15 @@ async function performProductResearch(
   const detailLevel = options.detailLevel || 'comprehensive';
   const responseFormat = options.responseFormat;
 
+  // Product research generates queries, searches once and writes the report
+  const totalSteps = 3;
+  const emitEvent = createProgressReporter(options.onProgress);
+  const reportProgress = (stage, step, details = {}) => {
+    emitEvent('progress', { stage, step, totalSteps, ...details });
+  };
+
+  assertLLMProvider(provider);
+
   try {
     log.info(`Starting product research`, {
       productCategory: productData.productCategory,
@@ -1270,6 +2878,7 @@ async function performProductResearch(
 
     // Step 1: Generate product-specific search queries
     log.info("Step 1: Generating product search queries");
+    reportProgress('generating_queries', 1);
     let queries = [];
     try {
       const { networkingModel } = getModel(provider, model);
@@ -1278,7 +2887,7 @@ async function performProductResearch(
       const result = await withRetry(async (context) => {
         // Use the model from context if available (for fallback), otherwise use the original model
         const modelToUse = context.model || networkingModel;
-        const model = createProvider(provider, modelToUse);
+        const model = createStepModel(provider, modelToUse, options.run, 'generating_queries');
 
         // Set the system prompt for product research
         const systemPrompt = getSystemPrompt('product');
@@ -1297,7 +2906,7 @@ async function performProductResearch(
             temperature: 0.2,
             maxOutputTokens: 1024,
           },
-        });
+        }, { signal: options.signal });
 
         const content = response.response.text();
 
@@ -1336,12 +2945,15 @@ async function performProductResearch(
         ]);
       }, {
         maxRetries: 3,
-        fallbackModel: "gemini-1.5-flash", // Fallback to a smaller model if rate limited
-        context: { model: networkingModel } // Pass the original model for context
+        fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+        context: { model: networkingModel }, // Pass the original model for context
+        signal: options.signal
       });
 
       queries = result;
     } catch (error) {
+      if (isAbortError(error)) throw error;
+
       log.error("Error generating product search queries", {
         error: error.message,
         stack: error.stack
@@ -1381,8 +2993,11 @@ async function performProductResearch(
       ];
     }
 
+    emitEvent('queries', { iteration: 1, queries });
+
     // Step 2: Run search tasks for product queries
     log.info("Step 2: Running product search tasks", { queryCount: queries.length });
+    reportProgress('searching', 2, { iteration: 1, queryCount: queries.length });
     let results = [];
     try {
       // Use more search results and parallel search for better product coverage
@@ -1394,7 +3009,13 @@ async function performProductResearch(
         true,
         searchProvider,
         true, // Enable parallel search for faster results
-        options.maxResults || 12 // Use more results for comprehensive product research
+        options.maxResults || 12, // Use more results for comprehensive product research
+        {
+          onProgress: (event) => emitEvent(event.type, { ...event, iteration: 1 }),
+          signal: options.signal,
+          run: options.run,
+          fetchFullContent: options.fetchFullContent
+        }
       );
       results = searchResults.results || [];
 
@@ -1403,6 +3024,8 @@ async function performProductResearch(
         totalSources: results.reduce((count, result) => count + (result.sources?.length || 0), 0)
       });
     } catch (error) {
+      if (isAbortError(error)) throw error;
+
       log.error("Error running product search tasks", {
         error: error.message,
         stack: error.stack
@@ -1422,6 +3045,7 @@ async function performProductResearch(
     log.info("Step 3: Generating product report", {
       learningsCount: allLearnings.length
     });
+    reportProgress('writing', 3, { learningsCount: allLearnings.length });
     try {
       const { networkingModel } = getModel(provider, model);
 
@@ -1429,7 +3053,7 @@ async function performProductResearch(
       const report = await withRetry(async (context) => {
         // Use the model from context if available (for fallback), otherwise use the original model
         const modelToUse = context.model || networkingModel;
-        const model = createProvider(provider, modelToUse);
+        const model = createStepModel(provider, modelToUse, options.run, 'writing');
 
         // Set the system prompt for product research
         const systemPrompt = getSystemPrompt('product');
@@ -1450,7 +3074,7 @@ async function performProductResearch(
             topP: 0.95, // Slightly higher topP for more diverse options
             topK: 40 // Broader sampling for more varied product recommendations
           },
-        });
+        }, { signal: options.signal });
 
         log.info("Generated product report", {
           productCategory: productData.productCategory,
@@ -1483,8 +3107,9 @@ async function performProductResearch(
         return normalizeMarkdownNewlines(rawText);
       }, {
         maxRetries: 3,
-        fallbackModel: "gemini-1.5-flash", // Fallback to a smaller model if rate limited
-        context: { model: networkingModel } // Pass the original model for context
+        fallbackModel: getFallbackModel(provider), // Fallback to a smaller model of the provider if rate limited
+        context: { model: networkingModel }, // Pass the original model for context
+        signal: options.signal
       });
 
       log.info("Product research completed successfully", {
@@ -1494,6 +3119,8 @@ async function performProductResearch(
 
       return report;
     } catch (error) {
+      if (isAbortError(error)) throw error;
+
       log.error("Error generating product report", {
         error: error.message,
         stack: error.stack
@@ -1539,6 +3166,11 @@ async function performProductResearch(
       }
     }
   } catch (error) {
+    if (isAbortError(error)) {
+      log.info("Product research cancelled", { productCategory: productData.productCategory });
+      throw error;
+    }
+
     log.error("Error in product research", {
       productCategory: productData.productCategory,
       error: error.message,
@@ -1594,7 +3226,13 @@ module.exports = {
   generateProductQueriesPrompt,
   processResultPrompt,
   reviewSerpQueriesPrompt,
+  followUpQueriesPrompt,
+  condenseLearningsPrompt,
   writeFinalReportPrompt,
+  reportOutlinePrompt,
+  writeReportSectionPrompt,
+  extractClaimsPrompt,
+  verifyClaimsPrompt,
   writeProductReportPrompt,
   removeJsonMarkdown,
   safeJsonParse,
@@ -1605,7 +3243,12 @@ module.exports = {
   generateSearchQueries,
   runSearchTasks,
   reviewSearchResults,
+  generateFollowUpQueries,
+  fitLearningsToContext,
   writeFinalReport,
+  writeSectionedReport,
+  factCheckReport,
+  performStructuredResearch,
   performDirectResearch,
   performProductResearch,
   normalizeMarkdownNewlines
@@ -0,0 +1,205 @@
+/**
+ * Response Formats
+ *
+ * This module negotiates the format of API responses and renders them as
+ * JSON, XML or, for reports, raw Markdown, following the response settings.
+ * Routes keep calling `res.json`; the middleware renders the body in the
+ * format the client asked for with the `format` query parameter or the
+ * Accept header. The request ID, response time and API version are sent as
+ * headers and, when the envelope is enabled, in a `meta` object next to the
+ * response `data`.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'response-format', category: logger.CATEGORIES.API });
+
+// Import settings
+const settings = require('../settings');
+
+// Media types of each format
+const FORMAT_TYPES = {
+  json: ['application/json'],
+  xml: ['application/xml', 'text/xml'],
+  markdown: ['text/markdown']
+};
+
+// Characters that are not allowed in XML documents
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(INVALID_XML_CHARACTERS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Turn an object key into a valid XML element name
+ */
+function toElementName(key) {
+  const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(name) && !/^xml/i.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Render a value as XML elements
+ *
+ * Object keys become elements, array entries become `item` elements and
+ * null values become empty elements; undefined values are left out.
+ *
+ * @param {*} value - Value to render
+ * @param {string} name - Element name
+ * @param {string} indent - Indentation of the element
+ * @returns {string} - XML of the element
+ */
+function renderElement(value, name, indent) {
+  if (value === undefined || typeof value === 'function') {
+    return '';
+  }
+  if (value === null) {
+    return `${indent}<${name}/>\n`;
+  }
+  if (value instanceof Date) {
+    return `${indent}<${name}>${value.toISOString()}</${name}>\n`;
+  }
+  if (typeof value !== 'object') {
+    return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+  }
+
+  const children = Array.isArray(value)
+    ? value.map(item => renderElement(item, 'item', `${indent}  `))
+    : Object.entries(value).map(([key, child]) => renderElement(child, toElementName(key), `${indent}  `));
+  const content = children.join('');
+  return content ? `${indent}<${name}>\n${content}${indent}</${name}>\n` : `${indent}<${name}/>\n`;
+}
+
+/**
+ * Render a response body as an XML document
+ *
+ * @param {*} body - Response body
+ * @param {string} rootName - Name of the root element (default: response)
+ * @returns {string} - XML document
+ */
+function toXml(body, rootName = 'response') {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderElement(body === undefined ? null : body, rootName, '')}`;
+}
+
+/**
+ * Get the Markdown report of a response body
+ *
+ * @param {Object} body - Response body
+ * @returns {string|null} - The report, or null if the body has none
+ */
+function getReport(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  if (typeof body.report === 'string') {
+    return body.report;
+  }
+  return body.result && typeof body.result.report === 'string' ? body.result.report : null;
+}
+
+/**
+ * Choose the response format of a request
+ *
+ * The `format` query parameter wins over the Accept header. Clients that
+ * accept anything get the default format.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} responseSettings - Response settings
+ * @returns {string|null} - Format name, or null if the requested format is not available
+ */
+function negotiateFormat(req, responseSettings = settings.api.responseSettings) {
+  const { availableFormats, defaultFormat } = responseSettings;
+
+  const requested = req.query && typeof req.query.format === 'string' ? req.query.format.toLowerCase() : null;
+  if (requested) {
+    return availableFormats.includes(requested) ? requested : null;
+  }
+
+  // List the default format first so that */* selects it
+  const formats = [defaultFormat, ...availableFormats.filter(format => format !== defaultFormat)]
+    .filter(format => FORMAT_TYPES[format]);
+  const accepted = req.accepts(formats.flatMap(format => FORMAT_TYPES[format]));
+  return (accepted && formats.find(format => FORMAT_TYPES[format].includes(accepted))) || defaultFormat;
+}
+
+/**
+ * Create the middleware rendering responses in the negotiated format
+ *
+ * The settings are read on every request, so changes apply without a
+ * restart.
+ *
+ * @param {Object} responseSettings - Response settings to use instead of the global ones (optional)
+ * @returns {Function} - Express middleware
+ */
+function createResponseFormatter(responseSettings) {
+  return (req, res, next) => {
+    const currentSettings = responseSettings || settings.api.responseSettings;
+    const startTime = req.startTime || Date.now();
+    const format = negotiateFormat(req, currentSettings);
+
+    if (!format) {
+      return res.status(406).json({
+        code: 406,
+        message: `Unsupported response format: ${req.query.format}. Available formats: ${currentSettings.availableFormats.join(', ')}`
+      });
+    }
+
+    const envelopeParam = req.query && typeof req.query.envelope === 'string' ? req.query.envelope.toLowerCase() : null;
+    const useEnvelope = envelopeParam ? envelopeParam === 'true' : !!currentSettings.envelope;
+
+    res.vary('Accept');
+    res.json = function(body) {
+      const meta = {};
+      if (currentSettings.includeRequestId && req.requestId) {
+        meta.requestId = req.requestId;
+        res.set('X-Request-Id', req.requestId);
+      }
+      if (currentSettings.includeTimingInfo) {
+        meta.durationMs = Date.now() - startTime;
+        res.set('X-Response-Time', `${meta.durationMs}ms`);
+      }
+      if (currentSettings.includeApiVersion) {
+        meta.apiVersion = settings.api.apiSettings.version;
+        res.set('X-API-Version', meta.apiVersion);
+      }
+
+      const report = format === 'markdown' ? getReport(body) : null;
+      if (report !== null && res.statusCode < 400) {
+        res.type('text/markdown; charset=utf-8');
+        return res.send(report);
+      }
+
+      const payload = useEnvelope ? { data: body, meta } : body;
+      if (format === 'xml') {
+        res.type('application/xml; charset=utf-8');
+        return res.send(toXml(payload));
+      }
+
+      // Bodies without a report are sent as JSON when Markdown was asked for
+      if (format === 'markdown') {
+        log.debug('Response has no report, sending JSON instead of Markdown', { path: req.originalUrl || req.url });
+      }
+      res.type('application/json; charset=utf-8');
+      return res.send(JSON.stringify(payload, null, currentSettings.prettyPrintJson ? 2 : 0));
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  FORMAT_TYPES,
+  toXml,
+  negotiateFormat,
+  createResponseFormatter
+};
@@ -0,0 +1,237 @@
+/**
+ * Search Result Cache
+ *
+ * This module caches search results so that identical searches, within one
+ * run or across runs, do not use up search API quota again. Entries are keyed
+ * on the provider, the normalized query and the search options, and expire
+ * after the configured cache duration. Recently used entries are kept in an
+ * in-memory LRU; with persistence enabled they are also written to disk so
+ * that they survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'search-cache', category: logger.CATEGORIES.API });
+
+// Import file utilities
+const { ensureDirectoryExists } = require('./file-utils');
+
+// Import settings
+const settings = require('../settings');
+
+// Options that do not change the results of a search
+const IGNORED_OPTIONS = ['signal', 'apiKey', 'apiKeys', 'searchProvider'];
+
+/**
+ * Normalize a query so that trivially different spellings share a cache entry
+ *
+ * @param {string} query - The search query
+ * @returns {string} - Lowercase query with collapsed whitespace
+ */
+function normalizeQuery(query) {
+  return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Sort the keys of an object recursively so equal options serialize equally
+ *
+ * @param {*} value - Value to normalize
+ * @returns {*} - The value with sorted object keys and without undefined properties
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.keys(value).sort().reduce((sorted, key) => {
+    if (value[key] !== undefined) sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }, {});
+}
+
+/**
+ * Build the cache key of a search
+ *
+ * @param {string} provider - Search provider name
+ * @param {string} query - The search query
+ * @param {Object} options - Search options; the signal and API key are ignored
+ * @returns {string} - Hex digest identifying the search
+ */
+function getSearchCacheKey(provider, query, options = {}) {
+  const keyOptions = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !IGNORED_OPTIONS.includes(key))
+  );
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([provider, normalizeQuery(query), sortKeys(keyOptions)]))
+    .digest('hex');
+}
+
+/**
+ * Create a search result cache
+ *
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - How long entries are valid in milliseconds
+ * @param {number} options.maxEntries - Maximum number of entries kept in memory
+ * @param {string} [options.directory] - Directory for the on-disk tier; entries are only kept in memory without it
+ * @returns {Object} - Cache with get, set, clear and getStats methods
+ */
+function createSearchCache(options = {}) {
+  const ttl = options.ttl;
+  const maxEntries = options.maxEntries || 500;
+  const directory = options.directory ? path.resolve(process.cwd(), options.directory) : null;
+
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, diskHits: 0 };
+
+  /**
+   * Get the file path of an entry in the on-disk tier
+   */
+  function entryPath(key) {
+    return path.join(directory, `${key}.json`);
+  }
+
+  /**
+   * Keep an entry in memory as the most recently used one
+   */
+  function remember(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Read an entry from the on-disk tier
+   */
+  async function readEntry(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(entryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Error reading search cache file', { key, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry to the on-disk tier, replacing it atomically
+   */
+  async function writeEntry(key, entry) {
+    try {
+      await ensureDirectoryExists(directory);
+      const filePath = entryPath(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(entry), 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      log.warn('Error writing search cache file', { key, error: error.message });
+    }
+  }
+
+  return {
+    /**
+     * Get cached search results
+     *
+     * @param {string} key - Key from getSearchCacheKey
+     * @returns {Promise<Object|null>} - The cached search response, or null on a miss
+     */
+    async get(key) {
+      let entry = entries.get(key);
+      if (!entry && directory) {
+        entry = await readEntry(key);
+        if (entry && entry.expiresAt > Date.now()) {
+          stats.diskHits++;
+        }
+      }
+
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        if (entry && directory) {
+          fs.promises.unlink(entryPath(key)).catch(() => {});
+        }
+        stats.misses++;
+        return null;
+      }
+
+      remember(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+
+    /**
+     * Cache search results
+     *
+     * @param {string} key - Key from getSearchCacheKey
+     * @param {Object} value - The search response
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+      const entry = { value, expiresAt: Date.now() + ttl };
+      remember(key, entry);
+      if (directory) {
+        await writeEntry(key, entry);
+      }
+    },
+
+    /**
+     * Remove all entries from memory and disk
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      entries.clear();
+      if (directory) {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+      }
+    },
+
+    /**
+     * Get the hit and miss counts of the cache
+     *
+     * @returns {Object} - Hits, misses, hits served from disk and entries in memory
+     */
+    getStats() {
+      return { ...stats, size: entries.size };
+    }
+  };
+}
+
+// Cache with the configured settings, shared by all searches
+let defaultCache = null;
+
+/**
+ * Get the search cache configured in the settings
+ *
+ * @returns {Object|null} - The shared search cache, or null if caching is disabled
+ */
+function getSearchCache() {
+  const appSettings = settings.app.appSettings;
+  if (!appSettings.enableSearchResultCaching) {
+    return null;
+  }
+
+  if (!defaultCache) {
+    defaultCache = createSearchCache({
+      ttl: appSettings.searchResultCacheDuration * 1000,
+      maxEntries: appSettings.searchResultCacheMaxEntries,
+      directory: appSettings.persistSearchResultCache
+        ? path.join(settings.app.storageSettings.dataDir, 'search-cache')
+        : null
+    });
+  }
+  return defaultCache;
+}
+
+module.exports = {
+  sortKeys,
+  normalizeQuery,
+  getSearchCacheKey,
+  createSearchCache,
+  getSearchCache
+};
@@ -0,0 +1,493 @@
+/**
+ * Search Providers
+ *
+ * This module contains the registry of search backends. Every provider
+ * implements the same interface, `search(query, options)`, and resolves to
+ * `{ results: [{ title, content, url }] }` so the research pipeline does not
+ * need to know which backend answered. Additional providers can be added at
+ * runtime with `registerSearchProvider`.
+ */
+const { shuffle } = require('radash');
+const settings = require('../settings');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'search-providers', category: logger.CATEGORIES.API });
+
+// Import cancellation utilities
+const { isAbortError } = require('./abort');
+
+// Import the local document corpus
+const { getLocalCorpus } = require('./local-corpus');
+
+// Default base URL of the Tavily API
+const TAVILY_DEFAULT_BASE_URL = "https://api.tavily.com";
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Complete a path with a base URL
+ */
+function completePath(baseUrl, path = "") {
+  if (!baseUrl) return "";
+  return baseUrl.endsWith("/") ? baseUrl.slice(0, -1) + path : baseUrl + path;
+}
+
+/**
+ * Pick one API key from a comma-separated list of keys
+ *
+ * @param {string} explicitKey - Key(s) passed with the request
+ * @param {string} envVar - Name of the environment variable holding the key(s)
+ * @returns {string} - One of the keys, or an empty string if none is configured
+ */
+function pickApiKey(explicitKey, envVar) {
+  const apiKeys = (explicitKey || (envVar && process.env[envVar]) || "")
+    .split(",")
+    .map(key => key.trim())
+    .filter(Boolean);
+  return apiKeys.length > 0 ? shuffle(apiKeys)[0] : "";
+}
+
+/**
+ * Create the error thrown when a provider is not configured
+ *
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 status code
+ */
+function createConfigurationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Strip HTML tags and entities that some APIs use to highlight matches
+ */
+function stripHtml(text = "") {
+  return String(text)
+    .replace(/<[^>]*>/g, "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .trim();
+}
+
+/**
+ * Keep only results that have content and a URL
+ *
+ * @param {Array<Object>} results - Mapped results
+ * @param {number} maxResults - Maximum number of results to return
+ * @returns {Array<Object>} - Results as `{ title, content, url }`
+ */
+function normalizeResults(results, maxResults) {
+  const normalized = results
+    .filter(result => result && result.content && result.url)
+    .map(result => ({
+      title: result.title || "",
+      content: result.content || "",
+      url: result.url || ""
+    }));
+  return maxResults ? normalized.slice(0, maxResults) : normalized;
+}
+
+/**
+ * Send a request to a search API and parse the JSON response
+ *
+ * @param {string} providerName - Display name of the provider, used in errors and logs
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options (method, headers, body, signal)
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function fetchJson(providerName, url, init) {
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    let errorData;
+    try {
+      errorData = await response.json();
+    } catch (e) {
+      errorData = { error: 'Failed to parse error response' };
+    }
+
+    const error = new Error(`${providerName} API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    error.data = errorData;
+
+    log.apiError(`${providerName} API request failed`, {
+      status: response.status,
+      statusText: response.statusText,
+      endpoint: new URL(url).pathname,
+      errorSummary: errorData?.error?.message || errorData?.error || errorData?.message || 'Unknown error'
+    });
+
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Wrap a provider search function with timing and error logging
+ *
+ * @param {string} providerName - Display name of the provider
+ * @param {Function} search - Function returning the raw result list
+ * @returns {Function} - Search function resolving to `{ results }`
+ */
+function withSearchLogging(providerName, search) {
+  return async function (query, options = {}) {
+    const startTime = Date.now();
+    try {
+      const results = normalizeResults(await search(query, options), options.maxResults);
+
+      log.api(`${providerName} search completed`, {
+        query,
+        resultCount: results.length,
+        timeToComplete: `${Date.now() - startTime}ms`
+      });
+
+      return { results };
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      log.apiError(`Error in ${providerName} search`, {
+        query,
+        error: error.message,
+        errorType: error.name || 'Error'
+      });
+      throw error;
+    }
+  };
+}
+
+/**
+ * Search with Tavily
+ *
+ * Options other than `signal`, `apiKey` and `baseUrl` are sent to the API as
+ * request parameters.
+ */
+async function tavily(
+  query,
+  options = {},
+  maxResults = 5
+) {
+  const { signal, apiKey, baseUrl, ...requestOptions } = options;
+  const searchSettings = settings.search.tavilySearchSettings;
+  const tavilyApiKey = pickApiKey(apiKey, searchSettings.apiKeyEnvVar || 'TAVILY_API_KEY');
+
+  if (!tavilyApiKey) {
+    const error = new Error('Tavily API key is required');
+    log.apiError("No Tavily API key found", { error: error.message });
+    throw error;
+  }
+
+  return withSearchLogging('Tavily', async () => {
+    const { results } = await fetchJson(
+      'Tavily',
+      completePath(baseUrl || process.env.TAVILY_API_BASE_URL || TAVILY_DEFAULT_BASE_URL, "/search"),
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${tavilyApiKey}`,
+        },
+        body: JSON.stringify({
+          query,
+          search_depth: searchSettings.searchDepth,
+          include_answer: searchSettings.includeAnswer,
+          max_results: maxResults || searchSettings.maxResults,
+          include_domains: searchSettings.includeDomains,
+          exclude_domains: searchSettings.excludeDomains,
+          include_raw_content: searchSettings.includeRawContent,
+          include_images: searchSettings.includeImages,
+          ...requestOptions,
+        }),
+        signal,
+      }
+    );
+    return results || [];
+  })(query, {});
+}
+
+/**
+ * Search with a SearXNG instance
+ */
+const searxng = withSearchLogging('SearXNG', async (query, options) => {
+  const searchSettings = settings.search.searxngSearchSettings;
+  const baseUrl = options.baseUrl || searchSettings.baseUrl;
+  if (!baseUrl) {
+    throw createConfigurationError('SearXNG base URL is required (set SEARXNG_BASE_URL)');
+  }
+
+  const params = new URLSearchParams({
+    q: query,
+    format: "json",
+    categories: options.categories || searchSettings.categories,
+    safesearch: String(options.safeSearch ?? searchSettings.safeSearch)
+  });
+  if (options.language) params.set("language", options.language);
+
+  const { results } = await fetchJson('SearXNG', `${completePath(baseUrl, "/search")}?${params}`, {
+    headers: { "Accept": "application/json" },
+    signal: options.signal
+  });
+
+  return (results || []).map(result => ({
+    title: result.title,
+    content: result.content,
+    url: result.url
+  }));
+});
+
+/**
+ * Search with the Brave Search API
+ */
+const brave = withSearchLogging('Brave', async (query, options) => {
+  const searchSettings = settings.search.braveSearchSettings;
+  const apiKey = pickApiKey(options.apiKey, searchSettings.apiKeyEnvVar);
+  if (!apiKey) {
+    throw createConfigurationError('Brave Search API key is required');
+  }
+
+  const params = new URLSearchParams({
+    q: query,
+    // Brave returns at most 20 results per request
+    count: String(Math.min(options.maxResults || 10, 20)),
+    safesearch: options.safeSearch || searchSettings.safeSearch
+  });
+
+  const data = await fetchJson('Brave', `${completePath(options.baseUrl || searchSettings.baseUrl, "/res/v1/web/search")}?${params}`, {
+    headers: {
+      "Accept": "application/json",
+      "X-Subscription-Token": apiKey
+    },
+    signal: options.signal
+  });
+
+  return ((data.web && data.web.results) || []).map(result => ({
+    title: stripHtml(result.title),
+    content: stripHtml([result.description, ...(result.extra_snippets || [])].filter(Boolean).join(" ")),
+    url: result.url
+  }));
+});
+
+/**
+ * Search with the Bing Web Search API
+ */
+const bing = withSearchLogging('Bing', async (query, options) => {
+  const searchSettings = settings.search.bingSearchSettings;
+  const apiKey = pickApiKey(options.apiKey, searchSettings.apiKeyEnvVar);
+  if (!apiKey) {
+    throw createConfigurationError('Bing Web Search API key is required');
+  }
+
+  const params = new URLSearchParams({
+    q: query,
+    count: String(Math.min(options.maxResults || 10, 50)),
+    safeSearch: options.safeSearch || searchSettings.safeSearch,
+    responseFilter: "Webpages"
+  });
+
+  const data = await fetchJson('Bing', `${completePath(options.baseUrl || searchSettings.baseUrl, "/v7.0/search")}?${params}`, {
+    headers: { "Ocp-Apim-Subscription-Key": apiKey },
+    signal: options.signal
+  });
+
+  return ((data.webPages && data.webPages.value) || []).map(result => ({
+    title: result.name,
+    content: result.snippet,
+    url: result.url
+  }));
+});
+
+/**
+ * Search Google with the Serper API
+ */
+const serper = withSearchLogging('Serper', async (query, options) => {
+  const searchSettings = settings.search.serperSearchSettings;
+  const apiKey = pickApiKey(options.apiKey, searchSettings.apiKeyEnvVar);
+  if (!apiKey) {
+    throw createConfigurationError('Serper API key is required');
+  }
+
+  const data = await fetchJson('Serper', completePath(options.baseUrl || searchSettings.baseUrl, "/search"), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-API-KEY": apiKey
+    },
+    body: JSON.stringify({ q: query, num: options.maxResults || 10 }),
+    signal: options.signal
+  });
+
+  return (data.organic || []).map(result => ({
+    title: result.title,
+    content: result.snippet,
+    url: result.link
+  }));
+});
+
+/**
+ * Create a provider searching an Elasticsearch compatible index
+ *
+ * Elasticsearch and OpenSearch share the `_search` query API, so both
+ * providers are created by this factory with their own settings.
+ *
+ * @param {string} providerName - Display name of the provider
+ * @param {Function} getSettings - Returns the index settings of the provider
+ * @returns {Function} - Search function
+ */
+function createIndexSearchProvider(providerName, getSettings) {
+  return withSearchLogging(providerName, async (query, options) => {
+    const indexSettings = getSettings();
+    const baseUrl = options.baseUrl || indexSettings.baseUrl;
+    if (!baseUrl) {
+      throw createConfigurationError(`${providerName} URL is required`);
+    }
+
+    const index = options.index || indexSettings.index;
+    const headers = { "Content-Type": "application/json" };
+    const apiKey = pickApiKey(options.apiKey, indexSettings.apiKeyEnvVar);
+    const username = process.env[indexSettings.usernameEnvVar];
+    if (apiKey) {
+      headers["Authorization"] = `ApiKey ${apiKey}`;
+    } else if (username) {
+      const password = process.env[indexSettings.passwordEnvVar] || "";
+      headers["Authorization"] = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+    }
+
+    const { titleField, contentField, urlField } = indexSettings;
+    const data = await fetchJson(providerName, completePath(baseUrl, `/${encodeURIComponent(index)}/_search`), {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        size: options.maxResults || 10,
+        query: {
+          multi_match: {
+            query,
+            fields: [`${titleField}^2`, contentField]
+          }
+        }
+      }),
+      signal: options.signal
+    });
+
+    return ((data.hits && data.hits.hits) || []).map(hit => {
+      const source = hit._source || {};
+      return {
+        title: source[titleField],
+        content: source[contentField],
+        // Documents without a URL field are linked to the document itself
+        url: source[urlField] || completePath(baseUrl, `/${encodeURIComponent(hit._index || index)}/_doc/${encodeURIComponent(hit._id)}`)
+      };
+    });
+  });
+}
+
+/**
+ * Search the local document corpus
+ */
+const local = withSearchLogging('Local corpus', async (query, options) => {
+  const { results } = await getLocalCorpus().search(query, { maxResults: options.maxResults });
+  return results;
+});
+
+/**
+ * Mock search function for testing
+ */
+function mockSearch(query) {
+  log.debug("Using mock search", { query });
+
+  // Create mock search results that match the expected format
+  const mockResults = [
+    {
+      title: "Mock Result 1 for " + query,
+      content: "This is a mock search result for " + query + ". It contains some sample content that would be returned by a real search API.",
+      url: "https://example.com/mock-result-1"
+    },
+    {
+      title: "Mock Result 2 for " + query,
+      content: "This is another mock search result for " + query + ". It contains different sample content to simulate multiple search results.",
+      url: "https://example.com/mock-result-2"
+    }
+  ];
+
+  return {
+    results: mockResults
+  };
+}
+
+/**
+ * Register a search provider
+ *
+ * @param {string} name - Name used as `searchProvider` in requests
+ * @param {Object} provider - Provider implementation
+ * @param {Function} provider.search - `(query, options) => Promise<{ results }>`;
+ *   options contain `maxResults`, `signal` and optionally `apiKey`
+ * @param {boolean} [provider.cache] - Set to false for providers whose results must not be cached
+ * @param {boolean} [provider.requiresApiKey] - Set to false for providers that run without an API key
+ * @param {boolean} [provider.internal] - Set to true for providers that can be used from code but not requested through the API
+ * @returns {Object} - The registered provider
+ */
+function registerSearchProvider(name, provider) {
+  if (!name || !provider || typeof provider.search !== 'function') {
+    throw new Error('A search provider needs a name and a search function');
+  }
+  const registered = { ...provider, name };
+  providers.set(name, registered);
+  return registered;
+}
+
+/**
+ * Get a registered search provider
+ *
+ * @param {string} name - Provider name
+ * @returns {Object|null} - The provider, or null if it is not registered
+ */
+function getSearchProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Get the names of all registered search providers
+ *
+ * @returns {Array<string>} - Provider names
+ */
+function getSearchProviderNames() {
+  return Array.from(providers.keys());
+}
+
+// Built-in providers
+registerSearchProvider('tavily', {
+  search: (query, options = {}) => {
+    const { maxResults, ...tavilyOptions } = options;
+    return tavily(query, tavilyOptions, maxResults);
+  }
+});
+registerSearchProvider('searxng', { search: searxng, requiresApiKey: false });
+registerSearchProvider('brave', { search: brave });
+registerSearchProvider('bing', { search: bing });
+registerSearchProvider('serper', { search: serper });
+registerSearchProvider('elasticsearch', {
+  search: createIndexSearchProvider('Elasticsearch', () => settings.search.elasticsearchSearchSettings),
+  requiresApiKey: false
+});
+registerSearchProvider('opensearch', {
+  search: createIndexSearchProvider('OpenSearch', () => settings.search.opensearchSearchSettings),
+  requiresApiKey: false
+});
+// Local documents change without notice and mock results cost nothing, so neither is cached
+registerSearchProvider('local', { search: local, cache: false, requiresApiKey: false });
+registerSearchProvider('mock', { search: async (query) => mockSearch(query), cache: false, requiresApiKey: false });
+
+module.exports = {
+  completePath,
+  tavily,
+  mockSearch,
+  registerSearchProvider,
+  getSearchProvider,
+  getSearchProviderNames
+};
@@ -0,0 +1,280 @@
+/**
+ * Research Session Store
+ *
+ * This module keeps the state of stepwise research sessions on disk, so that
+ * clients of `/start`, `/search`, `/review` and `/report` do not have to send
+ * every query and learning back on each call, and so that a session can be
+ * resumed after a server restart. Each session is stored as a JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'session-store', category: logger.CATEGORIES.RESEARCH });
+
+// Import file utilities
+const { ensureDirectoryExists } = require('./file-utils');
+
+// Import settings
+const settings = require('../settings');
+
+// Steps of a stepwise research session
+const SESSION_STEPS = ['start', 'search', 'review', 'report'];
+
+// Session IDs are UUIDs; anything else is rejected before touching the disk
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Apply the output of a completed step to a session
+ *
+ * @param {Object} session - The session to update in place
+ * @param {string} step - The completed step
+ * @param {Object} data - The step output
+ */
+function applyStep(session, step, data) {
+  // Remember the options of each step so later calls can leave them out
+  session.options = { ...session.options, ...data.options };
+
+  switch (step) {
+    case 'start':
+      if (data.topic) session.topic = data.topic;
+      session.queries.push(...data.queries.map(query => ({ ...query, iteration: session.iteration })));
+      session.pendingQueries = data.queries;
+      break;
+
+    case 'search':
+      session.searchResults.push(...data.results.map(result => ({ ...result, iteration: session.iteration })));
+      session.learnings.push(...data.results.flatMap(result => result.learnings || []));
+      session.pendingQueries = [];
+      break;
+
+    case 'review':
+      session.iteration++;
+      session.queries.push(...data.queries.map(query => ({ ...query, iteration: session.iteration })));
+      session.pendingQueries = data.queries;
+      break;
+
+    case 'report':
+      session.report = { report: data.report, references: data.references || [], filePath: data.filePath || null };
+      break;
+  }
+
+  session.lastCompletedStep = step;
+  session.steps.push({ step, iteration: session.iteration, completedAt: new Date().toISOString() });
+  session.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Create a file-backed session store
+ *
+ * @param {Object} options - Store options
+ * @param {string} [options.directory] - Directory holding the session files
+ * @returns {Object} - Store with createSession, getSession, recordStep, listSessions and deleteSession methods
+ */
+function createSessionStore(options = {}) {
+  const directory = path.resolve(
+    process.cwd(),
+    options.directory || path.join(settings.app.storageSettings.dataDir, 'sessions')
+  );
+
+  // Writes per session are chained so concurrent steps cannot overwrite each other
+  const writeQueues = new Map();
+
+  /**
+   * Get the file path of a session, or null for malformed IDs
+   */
+  function sessionPath(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id)
+      ? path.join(directory, `${id}.json`)
+      : null;
+  }
+
+  /**
+   * Read a session file from disk
+   */
+  async function readSession(id) {
+    const filePath = sessionPath(id);
+    if (!filePath) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      log.error('Error reading session file', { sessionId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Write a session file, replacing it atomically
+   */
+  async function writeSession(session) {
+    await ensureDirectoryExists(directory);
+    const filePath = sessionPath(session.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(session, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Run an update of a session after any update already in progress
+   */
+  function enqueueWrite(id, update) {
+    const previous = writeQueues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(update);
+    writeQueues.set(id, next);
+    next.finally(() => {
+      if (writeQueues.get(id) === next) writeQueues.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Create a new session
+   *
+   * @param {Object} data - Initial session data
+   * @param {string} [data.topic] - The research topic
+   * @param {Object} [data.options] - Options shared by all steps (language, provider, model, ...)
+   * @param {string} [data.client] - ID of the client that owns the session
+   * @returns {Promise<Object>} - The new session
+   */
+  async function createSession(data = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      client: data.client || null,
+      topic: data.topic || null,
+      options: data.options || {},
+      iteration: 0,
+      lastCompletedStep: null,
+      steps: [],
+      queries: [],
+      pendingQueries: [],
+      searchResults: [],
+      learnings: [],
+      report: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await enqueueWrite(session.id, () => writeSession(session));
+    log.info('Session created', { sessionId: session.id, topic: session.topic });
+    return session;
+  }
+
+  /**
+   * Get a session by ID
+   *
+   * @param {string} id - The session ID
+   * @returns {Promise<Object|null>} - The session or null if not found
+   */
+  async function getSession(id) {
+    // Wait for pending writes so callers always see completed steps
+    await (writeQueues.get(id) || Promise.resolve()).catch(() => {});
+    return readSession(id);
+  }
+
+  /**
+   * Record the output of a completed step
+   *
+   * @param {string} id - The session ID
+   * @param {string} step - One of start, search, review or report
+   * @param {Object} data - The step output
+   * @returns {Promise<Object|null>} - The updated session or null if not found
+   */
+  function recordStep(id, step, data = {}) {
+    if (!SESSION_STEPS.includes(step)) {
+      return Promise.reject(new Error(`Unknown session step: ${step}`));
+    }
+
+    return enqueueWrite(id, async () => {
+      const session = await readSession(id);
+      if (!session) return null;
+
+      applyStep(session, step, data);
+      await writeSession(session);
+      log.debug('Session step recorded', { sessionId: id, step, iteration: session.iteration });
+      return session;
+    });
+  }
+
+  /**
+   * List sessions, newest first, without their search results and report
+   *
+   * @param {Object} filter - Optional filter
+   * @param {string} [filter.client] - Only return sessions owned by this client
+   * @param {boolean} [filter.includeUnowned] - Also return sessions stored without an owner
+   * @returns {Promise<Array<Object>>} - Session summaries
+   */
+  async function listSessions(filter = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => readSession(path.basename(file, '.json')).catch(() => null)));
+
+    return sessions
+      .filter(Boolean)
+      .filter(session => !filter.client || session.client === filter.client || (filter.includeUnowned && !session.client))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(session => ({
+        id: session.id,
+        topic: session.topic,
+        iteration: session.iteration,
+        lastCompletedStep: session.lastCompletedStep,
+        queryCount: session.queries.length,
+        learningCount: session.learnings.length,
+        hasReport: !!session.report,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+      }));
+  }
+
+  /**
+   * Delete a session
+   *
+   * @param {string} id - The session ID
+   * @returns {Promise<boolean>} - Whether a session was deleted
+   */
+  function deleteSession(id) {
+    const filePath = sessionPath(id);
+    if (!filePath) return Promise.resolve(false);
+
+    return enqueueWrite(id, async () => {
+      try {
+        await fs.promises.unlink(filePath);
+        log.info('Session deleted', { sessionId: id });
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  return {
+    createSession,
+    getSession,
+    recordStep,
+    listSessions,
+    deleteSession
+  };
+}
+
+// Shared store used by the research routes
+const researchSessionStore = createSessionStore();
+
+module.exports = {
+  SESSION_STEPS,
+  createSessionStore,
+  researchSessionStore
+};
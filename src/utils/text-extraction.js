@@ -0,0 +1,199 @@
+/**
+ * Text Extraction Utilities
+ *
+ * This module turns documents into plain text for the research pipeline:
+ * HTML pages lose their markup, scripts and navigation, PDF files are parsed
+ * page by page, and markdown and text files are passed through.
+ */
+
+// Import custom logger
+const logger = require('./logger');
+const log = logger.child({ module: 'text-extraction', category: logger.CATEGORIES.RESEARCH });
+
+// Document types by file extension
+const EXTENSION_TYPES = {
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.pdf': 'pdf',
+  '.md': 'text',
+  '.markdown': 'text',
+  '.txt': 'text'
+};
+
+// Named HTML entities that commonly appear in text content
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+// Elements whose content is never part of the readable text
+const REMOVED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'head', 'nav', 'footer', 'aside', 'form'];
+
+// Elements that start a new paragraph
+const BLOCK_ELEMENTS = 'p|div|section|article|main|header|h[1-6]|li|ul|ol|table|tr|blockquote|pre|figure|figcaption|dd|dt|br|hr';
+
+// pdf-parse loads pdf.js, so it is only required when a PDF is extracted
+let pdfParse;
+
+/**
+ * Get the document type of a file or response
+ *
+ * @param {Object} options - What is known about the document
+ * @param {string} options.extension - File extension including the dot (optional)
+ * @param {string} options.contentType - Content-Type header (optional)
+ * @returns {string|null} - 'html', 'pdf' or 'text', or null if the type is not supported
+ */
+function getDocumentType({ extension, contentType } = {}) {
+  if (contentType) {
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    if (mimeType === 'text/html' || mimeType === 'application/xhtml+xml') return 'html';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType.startsWith('text/')) return 'text';
+  }
+  if (extension) {
+    return EXTENSION_TYPES[extension.toLowerCase()] || null;
+  }
+  return null;
+}
+
+/**
+ * Decode HTML entities
+ *
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    const decoded = HTML_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Collapse whitespace while keeping paragraph breaks
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} - Text with single spaces and blank lines between paragraphs
+ */
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Extract the readable text of an HTML document
+ *
+ * @param {string} html - The HTML source
+ * @returns {Object} - `{ title, text }`
+ */
+function extractHtmlText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeHtmlEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  let body = html.replace(/<!--[\s\S]*?-->/g, '');
+
+  // Prefer the main content when the page marks it up
+  const mainMatch = body.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i);
+  if (mainMatch) {
+    body = mainMatch[2];
+  }
+
+  REMOVED_ELEMENTS.forEach(element => {
+    body = body.replace(new RegExp(`<${element}\\b[^>]*>[\\s\\S]*?<\\/${element}>`, 'gi'), ' ');
+  });
+
+  const text = body
+    .replace(new RegExp(`<\\/?(?:${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return { title, text: normalizeWhitespace(decodeHtmlEntities(text)) };
+}
+
+/**
+ * Extract the text of a PDF document
+ *
+ * @param {Buffer} buffer - The PDF file
+ * @returns {Promise<Object>} - `{ title, text, pageCount }`
+ */
+async function extractPdfText(buffer) {
+  if (!pdfParse) {
+    pdfParse = require('pdf-parse');
+  }
+
+  const data = await pdfParse(buffer);
+  const title = (data.info && typeof data.info.Title === 'string') ? data.info.Title.trim() : '';
+
+  log.debug('Extracted PDF text', { pageCount: data.numpages, textLength: data.text.length });
+
+  return { title, text: normalizeWhitespace(data.text), pageCount: data.numpages };
+}
+
+/**
+ * Extract the text of a markdown or plain text document
+ *
+ * The first markdown heading is used as the title.
+ *
+ * @param {string} content - The document
+ * @returns {Object} - `{ title, text }`
+ */
+function extractPlainText(content) {
+  const headingMatch = content.match(/^#\s+(.+)$/m);
+  return {
+    title: headingMatch ? headingMatch[1].trim() : '',
+    text: normalizeWhitespace(content)
+  };
+}
+
+/**
+ * Extract the text of a document of any supported type
+ *
+ * @param {Buffer|string} content - The document
+ * @param {string} type - Document type from getDocumentType
+ * @returns {Promise<Object>} - `{ title, text }`
+ */
+async function extractDocumentText(content, type) {
+  switch (type) {
+    case 'pdf':
+      return extractPdfText(Buffer.isBuffer(content) ? content : Buffer.from(content));
+    case 'html':
+      return extractHtmlText(content.toString());
+    case 'text':
+      return extractPlainText(content.toString());
+    default: {
+      const error = new Error(`Unsupported document type: ${type}`);
+      error.statusCode = 415;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  getDocumentType,
+  decodeHtmlEntities,
+  extractHtmlText,
+  extractPdfText,
+  extractPlainText,
+  extractDocumentText
+};
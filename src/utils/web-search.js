@@ -1,156 +1,98 @@
-const { shuffle } = require('radash');
 const settings = require('../settings');
 
 // Import custom logger
 const logger = require('./logger');
 const log = logger.child({ module: 'web-search', category: logger.CATEGORIES.API });
 
-// Base URLs for search providers
-const TAVILY_BASE_URL = process.env.TAVILY_API_BASE_URL || "https://api.tavily.com";
+// Import cancellation utilities
+const { isAbortError, throwIfAborted } = require('./abort');
 
-/**
- * Complete a path with a base URL
- */
-function completePath(baseUrl, path = "") {
-  if (!baseUrl) return "";
-  return baseUrl.endsWith("/") ? baseUrl.slice(0, -1) + path : baseUrl + path;
-}
+// Import search provider registry
+const { completePath, tavily, mockSearch, getSearchProvider } = require('./search-providers');
+
+// Import search result cache
+const { getSearchCache, getSearchCacheKey } = require('./search-cache');
+
+// Import cassette recording
+const { getRecordingCassette } = require('./cassette');
 
 /**
- * Search with Tavily
+ * Search several providers and interleave their results
+ *
+ * Results are taken from each provider in turn so that, for example, local
+ * documents and web pages are mixed instead of one provider filling every
+ * slot. Duplicate URLs are dropped. A failing provider is logged and skipped
+ * as long as another provider returned results.
+ *
+ * @param {string} query - The search query
+ * @param {Array<string>} providerNames - Names of the providers to search
+ * @param {Object} options - Search options as for performSearch
+ * @returns {Promise<Object>} - Search results
  */
-async function tavily(
-  query,
-  options = {},
-  maxResults = 5
-) {
-  const startTime = Date.now();
-  const tavilyApiKey = options.apiKey || process.env.TAVILY_API_KEY || "";
-  const tavilyApiKeys = shuffle(tavilyApiKey.split(","));
-
-  if (!tavilyApiKeys[0]) {
-    const error = new Error('Tavily API key is required');
-    log.apiError("No Tavily API key found", { error: error.message });
-    throw error;
+async function performMixedSearch(query, providerNames, options) {
+  const maxResults = options.maxResults || 10;
+  // A single API key belongs to one provider and must not be sent to the others;
+  // keys by provider name in `apiKeys` are picked by each provider
+  const { apiKey, ...sharedOptions } = options;
+
+  const outcomes = await Promise.allSettled(
+    providerNames.map(name => searchWithProviders(query, { ...sharedOptions, searchProvider: name }))
+  );
+  throwIfAborted(options.signal);
+
+  const failures = outcomes.filter(outcome => outcome.status === 'rejected');
+  if (failures.length === outcomes.length) {
+    throw failures[0].reason;
   }
-
-  try {
-    const searchSettings = settings.search.tavilySearchSettings;
-
-    const response = await fetch(
-      `${TAVILY_BASE_URL}/search`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${tavilyApiKeys[0]}`,
-        },
-        body: JSON.stringify({
-          query,
-          search_depth: searchSettings.searchDepth,
-          include_answer: searchSettings.includeAnswer,
-          max_results: maxResults || searchSettings.maxResults,
-          include_domains: searchSettings.includeDomains,
-          exclude_domains: searchSettings.excludeDomains,
-          include_raw_content: searchSettings.includeRawContent,
-          include_images: searchSettings.includeImages,
-          ...options,
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        errorData = { error: 'Failed to parse error response' };
-      }
-
-      const error = new Error(`Tavily API error: ${response.status} ${response.statusText}`);
-      error.status = response.status;
-      error.data = errorData;
-
-      log.apiError("Tavily API request failed", {
-        status: response.status,
-        statusText: response.statusText,
-        endpoint: '/search',
-        errorSummary: errorData?.error || 'Unknown error'
-      });
-
-      throw error;
-    }
-
-    const { results } = await response.json();
-
-    const formattedResults = (results || [])
-      .filter((item) => item.content && item.url)
-      .map((result) => ({
-        title: result.title || "",
-        content: result.content || "",
-        url: result.url || ""
-      }));
-
-    log.api("Tavily search completed", {
-      query,
-      resultCount: formattedResults.length,
-      timeToComplete: `${Date.now() - startTime}ms`
+  failures.forEach(failure => {
+    log.warn("Search provider failed in mixed search", {
+      provider: providerNames[outcomes.indexOf(failure)],
+      errorSummary: failure.reason.message
     });
-
-    return { results: formattedResults };
-  } catch (error) {
-    log.apiError("Error in Tavily search", {
-      query,
-      error: error.message,
-      errorType: error.name || 'Error'
+  });
+
+  const resultLists = outcomes.map(outcome => (outcome.status === 'fulfilled' && outcome.value.results) || []);
+  const cacheStats = outcomes.reduce((stats, outcome) => {
+    const providerStats = outcome.status === 'fulfilled' && outcome.value.cacheStats;
+    return providerStats
+      ? { hits: stats.hits + providerStats.hits, misses: stats.misses + providerStats.misses }
+      : stats;
+  }, { hits: 0, misses: 0 });
+  const results = [];
+  const seenUrls = new Set();
+  for (let position = 0; results.length < maxResults && resultLists.some(list => position < list.length); position++) {
+    resultLists.forEach(list => {
+      const result = list[position];
+      if (result && results.length < maxResults && !seenUrls.has(result.url)) {
+        seenUrls.add(result.url);
+        results.push(result);
+      }
     });
-    throw error;
   }
-}
-
-/**
- * Mock search function for testing
- */
-function mockSearch(query) {
-  log.debug("Using mock search", { query });
-
-  // Create mock search results that match the expected format
-  const mockResults = [
-    {
-      title: "Mock Result 1 for " + query,
-      content: "This is a mock search result for " + query + ". It contains some sample content that would be returned by a real search API.",
-      url: "https://example.com/mock-result-1"
-    },
-    {
-      title: "Mock Result 2 for " + query,
-      content: "This is another mock search result for " + query + ". It contains different sample content to simulate multiple search results.",
-      url: "https://example.com/mock-result-2"
-    }
-  ];
 
-  return {
-    results: mockResults
-  };
+  return { results, cacheStats };
 }
 
 /**
- * Perform a search using the specified provider
- */
-/**
- * Perform a search using the specified provider
+ * Search with the specified providers, falling back to mock results
  *
  * @param {string} query - The search query
- * @param {Object} options - Search options
- * @param {string} options.searchProvider - The search provider to use (default: "tavily")
- * @param {number} options.maxResults - Maximum number of results to return (default: 10)
- * @param {string} options.apiKey - API key for the search provider (optional)
+ * @param {Object} options - Search options as for performSearch
  * @returns {Promise<Object>} - Search results
  */
-async function performSearch(query, options = {}) {
+async function searchWithProviders(query, options = {}) {
   const searchProvider = options.searchProvider || "tavily";
   const maxResults = options.maxResults || 10;
   const startTime = Date.now();
+
+  const providerNames = searchProvider.split(",").map(name => name.trim()).filter(Boolean);
+  if (providerNames.length > 1) {
+    return performMixedSearch(query, providerNames, options);
+  }
   try {
+    // Do not start new searches for cancelled runs
+    throwIfAborted(options.signal);
+
     // Check if search is enabled in settings
     const searchEnabled = settings.app.appSettings.enableSearch;
     if (!searchEnabled) {
@@ -165,38 +107,61 @@ async function performSearch(query, options = {}) {
       query,
       provider: searchProvider,
       maxResults,
-      options: Object.keys(options).filter(key => key !== 'apiKey').join(',')
+      options: Object.keys(options).filter(key => !['apiKey', 'apiKeys', 'signal'].includes(key)).join(',')
     });
 
-    // If mock mode is enabled globally, override the provider
-    if (process.env.USE_MOCK_MODE === 'true' && searchProvider !== 'mock') {
+    // If mock mode is enabled globally, override the provider; cassette replay is offline already
+    if (process.env.USE_MOCK_MODE === 'true' && searchProvider !== 'mock' && searchProvider !== 'replay') {
       log.info('Mock mode is enabled, using mock search provider instead of ' + searchProvider);
       return mockSearch(query);
     }
 
-    switch (searchProvider) {
-      case "tavily":
-        try {
-          return await tavily(query, options, maxResults);
-        } catch (error) {
-          if (useMockWhenKeysAreMissing) {
-            log.warn("Tavily search failed. Using mock search.", {
-              errorType: error.name || 'Error',
-              errorSummary: error.message
-            });
-            return mockSearch(query);
-          }
-          throw error;
-        }
-
-      case "mock":
-        return mockSearch(query);
+    const provider = getSearchProvider(searchProvider);
+    if (!provider) {
+      log.warn(`Unsupported search provider: ${searchProvider}. Using mock search.`);
+      return mockSearch(query);
+    }
+
+    const { searchProvider: _provider, maxResults: _maxResults, apiKeys, ...providerOptions } = options;
+    if (!providerOptions.apiKey && apiKeys && apiKeys[searchProvider]) {
+      providerOptions.apiKey = apiKeys[searchProvider];
+    }
+
+    // Answer repeated searches from the cache to save API quota
+    const searchCache = provider.cache !== false ? getSearchCache() : null;
+    const cacheKey = searchCache && getSearchCacheKey(searchProvider, query, { ...providerOptions, maxResults });
+    if (searchCache) {
+      const cached = await searchCache.get(cacheKey);
+      if (cached) {
+        log.api("Search cache hit", { query, provider: searchProvider });
+        return { ...cached, cacheStats: { hits: 1, misses: 0 } };
+      }
+      log.api("Search cache miss", { query, provider: searchProvider });
+    }
 
-      default:
-        log.warn(`Unsupported search provider: ${searchProvider}. Using mock search.`);
+    try {
+      const response = await provider.search(query, { ...providerOptions, maxResults });
+      if (!searchCache) {
+        return response;
+      }
+      await searchCache.set(cacheKey, response);
+      return { ...response, cacheStats: { hits: 0, misses: 1 } };
+    } catch (error) {
+      if (useMockWhenKeysAreMissing && !isAbortError(error)) {
+        log.warn(`Search with ${searchProvider} failed. Using mock search.`, {
+          errorType: error.name || 'Error',
+          errorSummary: error.message
+        });
         return mockSearch(query);
+      }
+      throw error;
     }
   } catch (error) {
+    if (isAbortError(error)) {
+      log.api("Search cancelled", { provider: searchProvider, query });
+      throw error;
+    }
+
     log.apiError(`Search operation failed`, {
       provider: searchProvider,
       query,
@@ -213,6 +178,32 @@ async function performSearch(query, options = {}) {
   }
 }
 
+/**
+ * Perform a search using the specified provider
+ *
+ * @param {string} query - The search query
+ * @param {Object} options - Search options
+ * @param {string} options.searchProvider - The registered search provider to use (default: "tavily"),
+ *   or a comma-separated list such as "local,tavily" to mix the results of several providers
+ * @param {number} options.maxResults - Maximum number of results to return (default: 10)
+ * @param {string} options.apiKey - API key for the search provider (optional)
+ * @param {Object} options.apiKeys - API keys by search provider name, also for mixed searches (optional)
+ * @param {AbortSignal} options.signal - Signal to cancel the search (optional)
+ *   Remaining options are passed to the provider
+ * @returns {Promise<Object>} - Search results; `cacheStats` counts the cache hits and misses
+ *   of the search when the result cache is enabled
+ */
+async function performSearch(query, options = {}) {
+  const response = await searchWithProviders(query, options);
+
+  // Record the search of runs inside recordCassette
+  const cassette = getRecordingCassette();
+  if (cassette) {
+    cassette.recordSearch({ query, options }, response);
+  }
+  return response;
+}
+
 module.exports = {
   completePath,
   tavily,
@@ -6,7 +6,7 @@ async function testApi() {
   
   try {
     // Test the research/query endpoint
-    const response = await fetch('http://localhost:3000/api/research/query', {
+    const response = await fetch('http://localhost:3000/api/v1/research/query', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
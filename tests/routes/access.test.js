@@ -0,0 +1,169 @@
+/**
+ * Research Route Access Tests
+ *
+ * Runs against the real routes with the mock LLM and search providers, with
+ * API key authentication off unless a test turns it on.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Keep the sessions of the tests out of the data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'route-access-'));
+process.env.DATA_DIR = dataDir;
+
+const settings = require('../../src/settings');
+const app = require('../../src/index');
+const { hashApiKey } = require('../../src/utils/api-auth');
+
+describe('Research Route Access', () => {
+  const apiSettings = settings.api.apiSettings;
+  const originalApiSettings = { ...apiSettings };
+
+  afterEach(() => {
+    Object.assign(apiSettings, originalApiSettings);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should let an anonymous client read and cancel its own job', async () => {
+    const submitted = await request(app)
+      .post('/api/v1/research/query')
+      .send({ query: 'Solar power', provider: 'mock', searchProvider: 'mock', async: true });
+    expect(submitted.status).toBe(202);
+
+    const job = await request(app).get(`/api/v1/research/jobs/${submitted.body.jobId}`);
+    expect(job.status).toBe(200);
+
+    const jobs = await request(app).get('/api/v1/research/jobs');
+    expect(jobs.body.jobs.map(item => item.id)).toContain(submitted.body.jobId);
+
+    const cancelled = await request(app).delete(`/api/v1/research/jobs/${submitted.body.jobId}`);
+    expect(cancelled.status).toBe(200);
+  });
+
+  test('should let an anonymous client continue, read and delete its own session', async () => {
+    const started = await request(app)
+      .post('/api/v1/research/start')
+      .send({ topic: 'Solar power', provider: 'mock' });
+    expect(started.status).toBe(200);
+    const { sessionId } = started.body;
+
+    const searched = await request(app)
+      .post('/api/v1/research/search')
+      .send({ sessionId, searchProvider: 'mock' });
+    expect(searched.status).toBe(200);
+
+    const session = await request(app).get(`/api/v1/research/sessions/${sessionId}`);
+    expect(session.status).toBe(200);
+    expect(session.body.lastCompletedStep).toBe('search');
+
+    const sessions = await request(app).get('/api/v1/research/sessions');
+    expect(sessions.body.sessions.map(item => item.id)).toContain(sessionId);
+
+    const deleted = await request(app).delete(`/api/v1/research/sessions/${sessionId}`);
+    expect(deleted.status).toBe(204);
+  });
+
+  test('should hide the jobs and sessions of other clients', async () => {
+    const apiKeysFile = path.join(dataDir, 'api-keys.json');
+    fs.writeFileSync(apiKeysFile, JSON.stringify({
+      clients: [
+        { id: 'alpha', keys: [`sha256:${hashApiKey('alpha-key')}`] },
+        { id: 'beta', keys: [`sha256:${hashApiKey('beta-key')}`] }
+      ]
+    }));
+    Object.assign(apiSettings, { enableApiKeyAuth: true, apiKeysFile });
+
+    const started = await request(app)
+      .post('/api/v1/research/start')
+      .set('X-API-Key', 'alpha-key')
+      .send({ topic: 'Solar power', provider: 'mock' });
+    const { sessionId } = started.body;
+
+    const own = await request(app).get(`/api/v1/research/sessions/${sessionId}`).set('X-API-Key', 'alpha-key');
+    expect(own.status).toBe(200);
+
+    const other = await request(app).get(`/api/v1/research/sessions/${sessionId}`).set('X-API-Key', 'beta-key');
+    expect(other.status).toBe(404);
+    const otherList = await request(app).get('/api/v1/research/sessions').set('X-API-Key', 'beta-key');
+    expect(otherList.body.sessions.map(item => item.id)).not.toContain(sessionId);
+    const otherDelete = await request(app).delete(`/api/v1/research/sessions/${sessionId}`).set('X-API-Key', 'beta-key');
+    expect(otherDelete.status).toBe(404);
+
+    const submitted = await request(app)
+      .post('/api/v1/research/query')
+      .set('X-API-Key', 'alpha-key')
+      .send({ query: 'Solar power', provider: 'mock', searchProvider: 'mock', async: true });
+    const ownJobs = await request(app).get('/api/v1/research/jobs').set('X-API-Key', 'alpha-key');
+    expect(ownJobs.body.stats.total).toBe(ownJobs.body.jobs.length);
+    expect(ownJobs.body.jobs.map(item => item.id)).toContain(submitted.body.jobId);
+    const otherJobs = await request(app).get('/api/v1/research/jobs').set('X-API-Key', 'beta-key');
+    expect(otherJobs.body.jobs).toEqual([]);
+    expect(otherJobs.body.stats).toEqual({ total: 0, queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 });
+    await request(app).delete(`/api/v1/research/jobs/${submitted.body.jobId}`).set('X-API-Key', 'alpha-key');
+  });
+
+  test('should open sessions stored without an owner to anonymous clients only', async () => {
+    const { researchSessionStore } = require('../../src/utils/session-store');
+    const session = await researchSessionStore.createSession({ topic: 'Solar power' });
+
+    const anonymous = await request(app).get(`/api/v1/research/sessions/${session.id}`);
+    expect(anonymous.status).toBe(200);
+
+    const apiKeysFile = path.join(dataDir, 'api-keys.json');
+    fs.writeFileSync(apiKeysFile, JSON.stringify({ clients: [{ id: 'alpha', keys: ['alpha-key'] }] }));
+    Object.assign(apiSettings, { enableApiKeyAuth: true, apiKeysFile });
+
+    const authenticated = await request(app).get(`/api/v1/research/sessions/${session.id}`).set('X-API-Key', 'alpha-key');
+    expect(authenticated.status).toBe(404);
+  });
+
+  test('should not accept the cassette replay providers in requests', async () => {
+    require('../../src/utils/cassette');
+
+    const query = await request(app)
+      .post('/api/v1/research/query')
+      .send({ query: 'Solar power', provider: 'replay', searchProvider: 'mock' });
+    expect(query.status).toBe(400);
+    expect(query.body.message).toMatch(/^Unsupported LLM provider: replay\. Available providers: (?!.*replay)/);
+
+    const querySearch = await request(app)
+      .post('/api/v1/research/query')
+      .send({ query: 'Solar power', provider: 'mock', searchProvider: 'replay' });
+    expect(querySearch.status).toBe(400);
+
+    const started = await request(app)
+      .post('/api/v1/research/start')
+      .send({ topic: 'Solar power', provider: 'replay' });
+    expect(started.status).toBe(400);
+
+    const searched = await request(app)
+      .post('/api/v1/research/search')
+      .send({ queries: [{ query: 'Solar power', researchGoal: 'Find data' }], provider: 'mock', searchProvider: 'replay' });
+    expect(searched.status).toBe(400);
+  });
+
+  test('should count stepwise requests without a session against the daily quota', async () => {
+    Object.assign(apiSettings, { dailyResearchQuota: 1 });
+
+    const started = await request(app)
+      .post('/api/v1/research/start')
+      .send({ topic: 'Solar power', provider: 'mock' });
+    expect(started.headers['x-quota-remaining']).toBe('0');
+
+    // Steps of the session were counted when it was started
+    const searched = await request(app)
+      .post('/api/v1/research/search')
+      .send({ sessionId: started.body.sessionId, searchProvider: 'mock' });
+    expect(searched.status).toBe(200);
+
+    const sessionless = await request(app)
+      .post('/api/v1/research/search')
+      .send({ queries: [{ query: 'Solar power', researchGoal: 'Find data' }], provider: 'mock', searchProvider: 'mock' });
+    expect(sessionless.status).toBe(429);
+  });
+});
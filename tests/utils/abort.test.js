@@ -0,0 +1,84 @@
+/**
+ * Cancellation Utilities Tests
+ */
+const { EventEmitter, getEventListeners } = require('events');
+const {
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  abortableSleep,
+  createTimeoutSignal,
+  abortOnClientDisconnect
+} = require('../../src/utils/abort');
+
+describe('Cancellation Utilities', () => {
+  test('should recognize our own and fetch abort errors', () => {
+    const fetchError = new Error('The operation was aborted');
+    fetchError.name = 'AbortError';
+
+    expect(isAbortError(createAbortError())).toBe(true);
+    expect(isAbortError(fetchError)).toBe(true);
+    expect(isAbortError(new Error('Network error'))).toBe(false);
+    expect(isAbortError(undefined)).toBe(false);
+  });
+
+  test('should only throw once the signal is aborted', () => {
+    const controller = new AbortController();
+
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+    expect(() => throwIfAborted(controller.signal)).not.toThrow();
+
+    controller.abort();
+    expect(() => throwIfAborted(controller.signal)).toThrow('Research was cancelled');
+  });
+
+  test('should wake up early from a sleep when aborted', async () => {
+    const controller = new AbortController();
+    const sleeping = abortableSleep(60000, controller.signal);
+
+    controller.abort();
+    await expect(sleeping).rejects.toMatchObject({ name: 'AbortError', cancelled: true });
+  });
+
+  test('should abort a timeout signal on timeout or with the other signal', async () => {
+    const controller = new AbortController();
+    const timedOut = createTimeoutSignal(10, controller.signal);
+    const cancelled = createTimeoutSignal(60000, controller.signal);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(timedOut.signal.reason.name).toBe('TimeoutError');
+    expect(cancelled.signal.aborted).toBe(false);
+
+    controller.abort(new Error('Stopped'));
+    expect(cancelled.signal.reason.message).toBe('Stopped');
+    expect(timedOut.signal.reason.name).toBe('TimeoutError');
+  });
+
+  test('should stop listening to the other signal once a timeout signal is cleared', () => {
+    const controller = new AbortController();
+
+    for (let i = 0; i < 20; i++) {
+      createTimeoutSignal(60000, controller.signal).clear();
+    }
+    const pending = createTimeoutSignal(60000, controller.signal);
+
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(1);
+    pending.clear();
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+    controller.abort();
+    expect(pending.signal.aborted).toBe(false);
+  });
+
+  test('should abort on client disconnect but not after the response ended', () => {
+    const disconnected = Object.assign(new EventEmitter(), { writableEnded: false });
+    const finished = Object.assign(new EventEmitter(), { writableEnded: true });
+
+    const disconnectedSignal = abortOnClientDisconnect(disconnected);
+    const finishedSignal = abortOnClientDisconnect(finished);
+    disconnected.emit('close');
+    finished.emit('close');
+
+    expect(disconnectedSignal.aborted).toBe(true);
+    expect(finishedSignal.aborted).toBe(false);
+  });
+});
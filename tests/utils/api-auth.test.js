@@ -0,0 +1,140 @@
+/**
+ * API Authentication and Quota Tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { hashApiKey, getClientId, createApiAuth } = require('../../src/utils/api-auth');
+
+/**
+ * Create an app answering research requests with the given status
+ */
+function createApp(apiAuth, status = 200) {
+  const app = express();
+  app.use('/api', apiAuth.authenticate);
+  app.post('/api/research/query', apiAuth.limitResearchQuota, (req, res) => {
+    res.status(status).json({ client: req.apiClient ? req.apiClient.id : null });
+  });
+  app.get('/api/research/jobs', (req, res) => res.json({ client: getClientId(req) }));
+  return app;
+}
+
+describe('API Authentication and Quotas', () => {
+  let directory;
+  let apiKeysFile;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-auth-'));
+    apiKeysFile = path.join(directory, 'api-keys.json');
+    fs.writeFileSync(apiKeysFile, JSON.stringify({
+      clients: [
+        { id: 'analytics', name: 'Analytics', keys: [`sha256:${hashApiKey('analytics-key')}`] },
+        { id: 'reporting', keys: ['reporting-key'], rateLimitMax: 1, dailyResearchQuota: 1 }
+      ]
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should reject requests without a valid API key', async () => {
+    const app = createApp(createApiAuth({ enableApiKeyAuth: true, apiKeysFile, enableRateLimiting: false }));
+
+    const missing = await request(app).get('/api/research/jobs');
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+    expect(missing.body).toEqual({ code: 401, message: 'API key required' });
+
+    const invalid = await request(app).get('/api/research/jobs').set('X-API-Key', 'wrong-key');
+    expect(invalid.status).toBe(401);
+    expect(invalid.body.message).toBe('Invalid API key');
+  });
+
+  test('should identify clients by hashed and plain keys', async () => {
+    const app = createApp(createApiAuth({ enableApiKeyAuth: true, apiKeysFile, enableRateLimiting: false }));
+
+    const bearer = await request(app).get('/api/research/jobs').set('Authorization', 'Bearer analytics-key');
+    expect(bearer.body).toEqual({ client: 'analytics' });
+
+    const header = await request(app).get('/api/research/jobs').set('X-API-Key', 'reporting-key');
+    expect(header.body).toEqual({ client: 'reporting' });
+  });
+
+  test('should pick up keys added to the file', async () => {
+    const app = createApp(createApiAuth({ enableApiKeyAuth: true, apiKeysFile, enableRateLimiting: false }));
+    expect((await request(app).get('/api/research/jobs').set('X-API-Key', 'new-key')).status).toBe(401);
+
+    fs.writeFileSync(apiKeysFile, JSON.stringify({ clients: [{ id: 'new', keys: ['new-key'] }] }));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(apiKeysFile, later, later);
+
+    expect((await request(app).get('/api/research/jobs').set('X-API-Key', 'new-key')).body).toEqual({ client: 'new' });
+  });
+
+  test('should rate limit each client per window', async () => {
+    let time = Date.UTC(2026, 0, 1, 12, 0, 0);
+    const app = createApp(createApiAuth({
+      enableApiKeyAuth: true,
+      apiKeysFile,
+      enableRateLimiting: true,
+      rateLimitWindow: 60000,
+      rateLimitMax: 2,
+      now: () => time
+    }));
+    const get = (key) => request(app).get('/api/research/jobs').set('X-API-Key', key);
+
+    expect((await get('analytics-key')).headers['x-ratelimit-remaining']).toBe('1');
+    expect((await get('analytics-key')).status).toBe(200);
+
+    const limited = await get('analytics-key');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('60');
+    expect(limited.body.code).toBe(429);
+
+    // The per-client limit of the keys file overrides the default
+    expect((await get('reporting-key')).status).toBe(200);
+    expect((await get('reporting-key')).status).toBe(429);
+
+    time += 60000;
+    expect((await get('analytics-key')).status).toBe(200);
+  });
+
+  test('should enforce the daily research quota until UTC midnight', async () => {
+    let time = Date.UTC(2026, 0, 1, 23, 0, 0);
+    const app = createApp(createApiAuth({
+      enableApiKeyAuth: false,
+      enableRateLimiting: false,
+      dailyResearchQuota: 2,
+      now: () => time
+    }));
+    const post = () => request(app).post('/api/research/query').send({ query: 'Solar power' });
+
+    expect((await post()).headers['x-quota-remaining']).toBe('1');
+    expect((await post()).status).toBe(200);
+
+    const exhausted = await post();
+    expect(exhausted.status).toBe(429);
+    expect(exhausted.headers['retry-after']).toBe('3600');
+
+    // Other endpoints are not counted, and anonymous clients are counted by their address
+    const jobs = await request(app).get('/api/research/jobs');
+    expect(jobs.status).toBe(200);
+    expect(jobs.body.client).toMatch(/127\.0\.0\.1/);
+
+    time += 3600 * 1000;
+    expect((await post()).status).toBe(200);
+  });
+
+  test('should not count research requests rejected as invalid', async () => {
+    const apiAuth = createApiAuth({ enableApiKeyAuth: true, apiKeysFile, enableRateLimiting: false, dailyResearchQuota: 5 });
+    const invalidApp = createApp(apiAuth, 400);
+    const app = createApp(apiAuth);
+
+    expect((await request(invalidApp).post('/api/research/query').set('X-API-Key', 'reporting-key')).status).toBe(400);
+    expect((await request(app).post('/api/research/query').set('X-API-Key', 'reporting-key')).status).toBe(200);
+    expect((await request(app).post('/api/research/query').set('X-API-Key', 'reporting-key')).status).toBe(429);
+  });
+});
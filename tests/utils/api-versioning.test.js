@@ -0,0 +1,43 @@
+/**
+ * API Versioning Tests
+ */
+const request = require('supertest');
+const express = require('express');
+const app = require('../../src/index');
+const { getVersionedPath, getLegacyPath, createDeprecationMiddleware } = require('../../src/utils/api-versioning');
+
+describe('API Versioning', () => {
+  test('should build the mount paths from the settings', () => {
+    expect(getVersionedPath('research')).toBe('/api/v1/research');
+    expect(getLegacyPath('research')).toBe('/api/research');
+    expect(getVersionedPath('research', { basePath: '/deep-research/', version: 'v2' })).toBe('/deep-research/v2/research');
+  });
+
+  test('should serve the routes at the versioned path without deprecation headers', async () => {
+    const response = await request(app).get('/api/v1/research/jobs');
+
+    expect(response.status).toBe(200);
+    expect(response.body.jobs).toEqual(expect.any(Array));
+    expect(response.headers.deprecation).toBeUndefined();
+  });
+
+  test('should keep the unversioned paths as deprecated aliases', async () => {
+    const response = await request(app).get('/api/research/jobs?status=done');
+
+    expect(response.status).toBe(200);
+    expect(response.body.jobs).toEqual(expect.any(Array));
+    expect(response.headers.deprecation).toBe('true');
+    expect(response.headers.link).toBe('</api/v1/research/jobs>; rel="successor-version"');
+  });
+
+  test('should announce the sunset date when configured', async () => {
+    const legacyApp = express();
+    legacyApp.use('/api/research', createDeprecationMiddleware('/api/v1/research', { legacyRoutesSunset: '2027-06-30' }));
+    legacyApp.get('/api/research/sessions/:id', (req, res) => res.json({ id: req.params.id }));
+
+    const response = await request(legacyApp).get('/api/research/sessions/abc');
+
+    expect(response.headers.sunset).toBe('Wed, 30 Jun 2027 00:00:00 GMT');
+    expect(response.headers.link).toBe('</api/v1/research/sessions/abc>; rel="successor-version"');
+  });
+});
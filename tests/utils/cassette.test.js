@@ -0,0 +1,185 @@
+/**
+ * Research Cassette Tests
+ *
+ * A research run against scripted providers is recorded and then replayed
+ * with the replay providers, which must produce the same report without
+ * calling the scripted providers again.
+ */
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const settings = require('../../src/settings');
+const mockLLM = require('../../src/utils/mock-llm');
+const { registerLLMProvider } = require('../../src/utils/llm-providers');
+const { registerSearchProvider } = require('../../src/utils/search-providers');
+const { createCassette, loadCassette, recordCassette, replayCassette } = require('../../src/utils/cassette');
+const { performDirectResearch, performStructuredResearch } = require('../../src/utils/research');
+const { performSearch } = require('../../src/utils/web-search');
+
+// Providers standing in for real APIs while recording
+const scriptedModel = jest.fn((model) => mockLLM.createMockProvider('google', model));
+const scriptedSearch = jest.fn(async (query) => ({
+  results: [
+    { title: `About ${query}`, content: `Findings on ${query}`, url: `https://example.com/${encodeURIComponent(query)}` }
+  ]
+}));
+registerLLMProvider('scripted', { createModel: scriptedModel });
+registerSearchProvider('scripted', { search: scriptedSearch, cache: false });
+
+describe('Research Cassettes', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should record a research run and replay it offline', async () => {
+    const filePath = path.join(directory, 'ai-history.json');
+    const research = (provider, searchProvider) =>
+      performDirectResearch('History of artificial intelligence', 'en-US', provider, 'scripted-model', searchProvider, 1);
+
+    const { result: recordedReport, cassette } = await recordCassette(() => research('scripted', 'scripted'), { filePath });
+    const recordedCalls = scriptedModel.mock.calls.length;
+    expect(recordedCalls).toBeGreaterThan(0);
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(saved.version).toBe(1);
+    expect(saved.interactions).toHaveLength(cassette.interactions.length);
+    expect(saved.interactions.filter(interaction => interaction.type === 'llm')[0]).toMatchObject({
+      provider: 'scripted',
+      model: 'scripted-model',
+      request: { contents: expect.any(Array) },
+      response: { text: expect.any(String) }
+    });
+    expect(saved.interactions.filter(interaction => interaction.type === 'search')).toHaveLength(scriptedSearch.mock.calls.length);
+
+    const replay = await loadCassette(filePath);
+    const replayedReport = await replayCassette(replay, () => research('replay', 'replay'));
+
+    expect(replayedReport).toBe(recordedReport);
+    expect(replay.countUnplayed()).toBe(0);
+    expect(scriptedModel).toHaveBeenCalledTimes(recordedCalls);
+    expect(scriptedSearch.mock.calls.length).toBe(saved.interactions.filter(interaction => interaction.type === 'search').length);
+  });
+
+  test('should replay page fetches and embeddings requests without the network', async () => {
+    // Local server with the result pages and the embeddings API
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/v1/embeddings') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const { input } = JSON.parse(body);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ data: input.map((text, index) => ({ index, embedding: [text.length, 1] })) }));
+        });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`<main><p>Full page text of ${req.url}</p></main>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    // Model learning the text of each fetched page
+    registerLLMProvider('scripted-pages', {
+      createModel: (model) => {
+        const mock = mockLLM.createMockProvider('google', model);
+        return {
+          generateContent: async (request) => {
+            const page = request.contents[0].parts[0].text.match(/Full page text of \/[^<\s]+/);
+            return page ? { response: { text: () => page[0] } } : mock.generateContent(request);
+          }
+        };
+      }
+    });
+    registerSearchProvider('scripted-pages', {
+      search: async (query) => ({
+        results: [{ title: `About ${query}`, content: `Snippet on ${query}`, url: `${baseUrl}/${encodeURIComponent(query)}` }]
+      }),
+      cache: false
+    });
+
+    const pageFetchSettings = settings.search.pageFetchSettings;
+    const consolidationSettings = settings.app.consolidationSettings;
+    const originalPageFetch = { ...pageFetchSettings };
+    const originalConsolidation = { ...consolidationSettings };
+    Object.assign(pageFetchSettings, { allowPrivateHosts: true, respectRobotsTxt: false });
+    Object.assign(consolidationSettings, { enabled: true, method: 'embeddings', embeddingBaseUrl: `${baseUrl}/v1` });
+
+    try {
+      const research = (provider, searchProvider) => performStructuredResearch(
+        'History of artificial intelligence', 'en-US', provider, 'scripted-model', searchProvider, 1, { fetchFullContent: true }
+      );
+
+      const { result: recorded, cassette } = await recordCassette(() => research('scripted-pages', 'scripted-pages'));
+      const types = cassette.interactions.map(interaction => interaction.type);
+      expect(types).toContain('page');
+      expect(types).toContain('embeddings');
+      expect(recorded.consolidation.method).toBe('embeddings');
+
+      const recordedRequests = requests.length;
+      const replay = createCassette(JSON.parse(JSON.stringify(cassette.toJSON())));
+      const replayed = await replayCassette(replay, () => research('replay', 'replay'));
+
+      expect(requests).toHaveLength(recordedRequests);
+      expect(replay.countUnplayed()).toBe(0);
+      expect(replayed.report).toBe(recorded.report);
+      expect(replayed.consolidation).toEqual(recorded.consolidation);
+    } finally {
+      Object.assign(pageFetchSettings, originalPageFetch);
+      Object.assign(consolidationSettings, originalConsolidation);
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should match searches on the normalized query and options', async () => {
+    const cassette = createCassette();
+    cassette.recordSearch({ query: 'Solar power', options: { searchProvider: 'tavily', maxResults: 5 } }, {
+      results: [{ title: 'Solar', content: 'Recorded', url: 'https://example.com/solar' }],
+      cacheStats: { hits: 0, misses: 1 }
+    });
+
+    await replayCassette(cassette, async () => {
+      const result = await performSearch('solar  power', { searchProvider: 'replay', maxResults: 5 });
+      expect(result).toEqual({ results: [{ title: 'Solar', content: 'Recorded', url: 'https://example.com/solar' }] });
+    });
+  });
+
+  test('should fail requests that are not on the cassette', async () => {
+    const filePath = path.join(directory, 'empty.json');
+    await createCassette().save(filePath);
+    const cassette = await loadCassette(filePath);
+    const appSettings = settings.app.appSettings;
+    const originalUseMock = appSettings.useMockWhenKeysAreMissing;
+    appSettings.useMockWhenKeysAreMissing = false;
+
+    try {
+      await replayCassette(cassette, async () => {
+        await expect(performSearch('wind power', { searchProvider: 'replay' }))
+          .rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+      });
+    } finally {
+      appSettings.useMockWhenKeysAreMissing = originalUseMock;
+    }
+  });
+
+  test('should only replay inside replayCassette', async () => {
+    const appSettings = settings.app.appSettings;
+    const originalUseMock = appSettings.useMockWhenKeysAreMissing;
+    appSettings.useMockWhenKeysAreMissing = false;
+
+    try {
+      await expect(performSearch('wind power', { searchProvider: 'replay' })).rejects.toMatchObject({ statusCode: 400 });
+    } finally {
+      appSettings.useMockWhenKeysAreMissing = originalUseMock;
+    }
+  });
+});
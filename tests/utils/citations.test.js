@@ -0,0 +1,68 @@
+/**
+ * Citation Utilities Tests
+ */
+const {
+  parseLearningCitations,
+  numberLearningSources,
+  removeReferencesSection,
+  applyCitations
+} = require('../../src/utils/citations');
+
+const sources = [
+  { url: 'https://example.com/solar', title: 'Solar study', content: 'Full text' },
+  { url: 'https://example.com/wind', title: 'Wind report', content: 'Full text' }
+];
+
+describe('Citation Utilities', () => {
+  test('should link learnings to the contents they cite', () => {
+    const learnings = parseLearningCitations(
+      '1. Panels reach 22% efficiency [1]\n\n2. Offshore wind grew by 10% in 2023 [1][2]\nStorage costs fell [3]',
+      sources
+    );
+
+    expect(learnings).toEqual([
+      { text: 'Panels reach 22% efficiency', sourceUrls: ['https://example.com/solar'] },
+      { text: 'Offshore wind grew by 10% in 2023', sourceUrls: ['https://example.com/solar', 'https://example.com/wind'] },
+      { text: 'Storage costs fell', sourceUrls: [] }
+    ]);
+  });
+
+  test('should number the sources cited by learnings', () => {
+    const numbered = numberLearningSources([
+      { text: 'Offshore wind grew', sourceUrls: ['https://example.com/wind'] },
+      'A plain learning',
+      { text: 'Panels reach 22% efficiency', sourceUrls: ['https://example.com/solar', 'https://example.com/wind'] }
+    ], sources);
+
+    expect(numbered.learnings.map(learning => learning.sourceNumbers)).toEqual([[1], [], [2, 1]]);
+    expect(numbered.sources).toEqual([
+      { number: 1, url: 'https://example.com/wind', title: 'Wind report' },
+      { number: 2, url: 'https://example.com/solar', title: 'Solar study' }
+    ]);
+  });
+
+  test('should renumber valid citations, strip invalid ones and add references', () => {
+    const numberedSources = [
+      { number: 1, url: 'https://example.com/wind', title: 'Wind report' },
+      { number: 2, url: 'https://example.com/solar', title: 'Solar study' }
+    ];
+    const report = '# Energy\n\nPanels reach 22% [2]. Wind grew [1, 2] while storage fell [7].\n\n' +
+      'See [the study](https://example.com/solar).\n\n## References\n\n1. Made up source';
+
+    const cited = applyCitations(report, numberedSources);
+
+    expect(cited.report).toBe('# Energy\n\nPanels reach 22% [1]. Wind grew [2][1] while storage fell.\n\n' +
+      'See [the study](https://example.com/solar).\n\n## References\n\n' +
+      '1. [Solar study](https://example.com/solar)\n2. [Wind report](https://example.com/wind)\n');
+    expect(cited.references).toEqual([
+      { number: 1, url: 'https://example.com/solar', title: 'Solar study' },
+      { number: 2, url: 'https://example.com/wind', title: 'Wind report' }
+    ]);
+    expect(cited.removedCitations).toBe(1);
+  });
+
+  test('should only remove the references section of the report', () => {
+    const report = '# Energy\n\n## References\n\n1. Made up\n\n## Appendix\n\nTables';
+    expect(removeReferencesSection(report)).toBe('# Energy\n\n## Appendix\n\nTables');
+  });
+});
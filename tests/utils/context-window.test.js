@@ -0,0 +1,113 @@
+/**
+ * Context Window Tests
+ */
+const settings = require('../../src/settings');
+const { registerLLMProvider } = require('../../src/utils/llm-providers');
+const { registerSearchProvider } = require('../../src/utils/search-providers');
+const { estimateTokens, getContextWindow, getInputBudget, truncateToTokens } = require('../../src/utils/context-window');
+const { runSearchTasks, writeFinalReport } = require('../../src/utils/research');
+
+// Model answering every prompt it gets, so tests can inspect the prompts
+const prompts = [];
+registerLLMProvider('windowed', {
+  createModel: () => ({
+    generateContent: async (request) => {
+      const prompt = request.contents[0].parts[0].text;
+      prompts.push(prompt);
+      let text = '# Solar Power\n\nSolar power is growing [1].';
+      if (prompt.includes('Condense these learnings')) {
+        text = 'Solar capacity grew quickly in many countries [1]';
+      } else if (prompt.includes('Given the following contents from a SERP search')) {
+        text = 'Solar panels reach 22% efficiency [1]';
+      }
+      return { response: { text: () => text } };
+    }
+  })
+});
+
+// Search results far longer than a small context window
+registerSearchProvider('windowed', {
+  search: async (query) => ({
+    results: [1, 2, 3].map(index => ({
+      title: `Result ${index}`,
+      url: `https://example.com/${index}`,
+      content: `Solar ${query} `.repeat(300)
+    }))
+  }),
+  cache: false
+});
+
+describe('Context Window', () => {
+  const contextWindowSettings = settings.llm.contextWindowSettings;
+  let originalWindows;
+
+  beforeEach(() => {
+    prompts.length = 0;
+    originalWindows = contextWindowSettings.windows;
+    contextWindowSettings.windows = { ...originalWindows, 'windowed:*': 4096 };
+  });
+
+  afterEach(() => {
+    contextWindowSettings.windows = originalWindows;
+  });
+
+  test('should estimate tokens with the ratio of the provider', () => {
+    expect(estimateTokens('a'.repeat(400), 'google')).toBe(100);
+    expect(estimateTokens('a'.repeat(350), 'anthropic')).toBe(100);
+  });
+
+  test('should truncate text to a token budget at a paragraph end', () => {
+    const text = `${'a'.repeat(30)}\n\n${'b'.repeat(30)}`;
+
+    expect(truncateToTokens(text, 8, 'google')).toEqual({ text: 'a'.repeat(30), truncated: true });
+    expect(truncateToTokens(text, 100, 'google')).toEqual({ text, truncated: false });
+    // Anthropic tokens are shorter, so the same budget covers less text
+    expect(truncateToTokens('word '.repeat(20), 8, 'anthropic')).toEqual({ text: 'word '.repeat(5).trim(), truncated: true });
+  });
+
+  test('should look up context windows and reserve the output tokens', () => {
+    contextWindowSettings.windows = { ...contextWindowSettings.windows, 'tiny-model': 8192, 'windowed:tiny-model': 2048 };
+
+    expect(getContextWindow('google', 'tiny-model')).toBe(8192);
+    expect(getContextWindow('windowed', 'tiny-model')).toBe(2048);
+    expect(getContextWindow('windowed', 'other-model')).toBe(4096);
+    expect(getContextWindow('unknown', 'unknown-model')).toBe(contextWindowSettings.defaultWindow);
+
+    // At most half of the window is reserved for the output
+    expect(getInputBudget('google', 'tiny-model', 1000)).toBe(Math.floor(7192 * 0.9));
+    expect(getInputBudget('google', 'tiny-model', 32768)).toBe(Math.floor(4096 * 0.9));
+  });
+
+  test('should process search results in chunks that fit the model', async () => {
+    const { results } = await runSearchTasks(
+      [{ query: 'panels', researchGoal: 'Find efficiency data' }],
+      'en-US',
+      'windowed',
+      'small-model',
+      true,
+      'windowed'
+    );
+
+    const budget = getInputBudget('windowed', 'small-model', 4096);
+    expect(prompts.length).toBeGreaterThan(1);
+    prompts.forEach(prompt => expect(estimateTokens(prompt, 'windowed')).toBeLessThanOrEqual(budget));
+    expect(results[0].sources).toHaveLength(3);
+    expect(results[0].learnings).toHaveLength(prompts.length);
+  });
+
+  test('should condense learnings that do not fit the report prompt', async () => {
+    const learnings = Array.from({ length: 60 }, (value, index) => ({
+      text: `Solar capacity in country ${index} grew by ${index}% last year, driven by falling panel prices and new subsidies`,
+      sourceUrls: [`https://example.com/${index}`]
+    }));
+
+    const { report, references } = await writeFinalReport('Solar power', learnings, 'en-US', 'windowed', 'small-model');
+
+    const condensePrompts = prompts.filter(prompt => prompt.includes('Condense these learnings'));
+    const reportPrompt = prompts[prompts.length - 1];
+    expect(condensePrompts.length).toBeGreaterThan(0);
+    expect(estimateTokens(reportPrompt, 'windowed')).toBeLessThanOrEqual(getInputBudget('windowed', 'small-model', 32768));
+    expect(report).toContain('Solar power is growing');
+    expect(references.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * CORS Policy Tests
+ */
+const request = require('supertest');
+const express = require('express');
+const { matchesOrigin, getCorsPolicy, createCorsMiddleware } = require('../../src/utils/cors-policy');
+
+/**
+ * Create an app with the CORS middleware for the given settings
+ */
+function createApp(apiSettings) {
+  const app = express();
+  app.use(createCorsMiddleware({
+    enableCors: true,
+    corsAllowedOrigins: [],
+    corsAllowCredentials: false,
+    corsMaxAge: 600,
+    corsRouteOverrides: {},
+    ...apiSettings
+  }));
+  app.get('/api/research/jobs', (req, res) => res.json({ jobs: [] }));
+  app.get('/health', (req, res) => res.json({ status: 'ok' }));
+  return app;
+}
+
+describe('CORS Policy', () => {
+  test('should match exact origins and wildcard subdomains', () => {
+    expect(matchesOrigin('https://app.example.com', 'https://app.example.com')).toBe(true);
+    expect(matchesOrigin('https://App.Example.com', 'https://app.example.com/')).toBe(true);
+    expect(matchesOrigin('http://app.example.com', 'https://app.example.com')).toBe(false);
+    expect(matchesOrigin('https://app.example.com:8443', 'https://app.example.com')).toBe(false);
+
+    expect(matchesOrigin('https://app.example.com', 'https://*.example.com')).toBe(true);
+    expect(matchesOrigin('https://eu.app.example.com', 'https://*.example.com')).toBe(true);
+    expect(matchesOrigin('https://example.com', 'https://*.example.com')).toBe(false);
+    expect(matchesOrigin('https://app.example.com.evil.io', 'https://*.example.com')).toBe(false);
+    expect(matchesOrigin('https://appexample.com', 'https://*.example.com')).toBe(false);
+    expect(matchesOrigin('https://anything.io', '*')).toBe(true);
+  });
+
+  test('should allow every origin without an allowlist', async () => {
+    const response = await request(createApp()).get('/api/research/jobs').set('Origin', 'https://anything.io');
+
+    expect(response.headers['access-control-allow-origin']).toBe('*');
+    expect(response.headers['access-control-allow-credentials']).toBeUndefined();
+  });
+
+  test('should only answer allowed origins, with credentials', async () => {
+    const app = createApp({ corsAllowedOrigins: ['https://*.example.com'], corsAllowCredentials: true });
+
+    const allowed = await request(app).get('/api/research/jobs').set('Origin', 'https://app.example.com');
+    expect(allowed.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    expect(allowed.headers['access-control-allow-credentials']).toBe('true');
+    expect(allowed.headers['access-control-expose-headers']).toContain('Retry-After');
+    expect(allowed.headers.vary).toContain('Origin');
+
+    const denied = await request(app).get('/api/research/jobs').set('Origin', 'https://evil.io');
+    expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('should cache allowed preflights and reject the others', async () => {
+    const app = createApp({ corsAllowedOrigins: ['https://app.example.com'], corsMaxAge: 3600 });
+    const preflight = (origin) => request(app)
+      .options('/api/research/jobs')
+      .set('Origin', origin)
+      .set('Access-Control-Request-Method', 'POST')
+      .set('Access-Control-Request-Headers', 'Content-Type, X-API-Key');
+
+    const allowed = await preflight('https://app.example.com');
+    expect(allowed.status).toBe(204);
+    expect(allowed.headers['access-control-max-age']).toBe('3600');
+    expect(allowed.headers['access-control-allow-headers']).toBe('Content-Type, X-API-Key');
+
+    expect((await preflight('https://evil.io')).status).toBe(403);
+  });
+
+  test('should apply the override with the longest matching path prefix', async () => {
+    const apiSettings = {
+      enableCors: true,
+      corsAllowedOrigins: ['https://app.example.com'],
+      corsRouteOverrides: {
+        '/health': { allowedOrigins: [] },
+        '/api': { enabled: false },
+        '/api/research/jobs': { allowedOrigins: ['https://admin.example.com'] }
+      }
+    };
+
+    expect(getCorsPolicy('/health', apiSettings).allowedOrigins).toEqual([]);
+    expect(getCorsPolicy('/healthz', apiSettings).allowedOrigins).toEqual(['https://app.example.com']);
+    expect(getCorsPolicy('/api/research/query', apiSettings).enabled).toBe(false);
+    expect(getCorsPolicy('/api/research/jobs/42', apiSettings).allowedOrigins).toEqual(['https://admin.example.com']);
+
+    const app = createApp(apiSettings);
+    const health = await request(app).get('/health').set('Origin', 'https://anything.io');
+    expect(health.headers['access-control-allow-origin']).toBe('*');
+    const jobs = await request(app).get('/api/research/jobs').set('Origin', 'https://admin.example.com');
+    expect(jobs.headers['access-control-allow-origin']).toBe('https://admin.example.com');
+  });
+
+  test('should send no CORS headers when disabled', async () => {
+    const response = await request(createApp({ enableCors: false })).get('/health').set('Origin', 'https://anything.io');
+
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Server-Sent Events Utility Tests
+ */
+const { EventEmitter } = require('events');
+const { openEventStream } = require('../../src/utils/event-stream');
+
+/**
+ * Create a minimal stand-in for an Express response
+ */
+function createMockResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.chunks = [];
+  res.ended = false;
+  res.status = jest.fn().mockReturnValue(res);
+  res.set = jest.fn(headers => Object.assign(res.headers, headers));
+  res.flushHeaders = jest.fn();
+  res.write = jest.fn(chunk => res.chunks.push(chunk));
+  res.end = jest.fn(() => {
+    res.ended = true;
+  });
+  return res;
+}
+
+describe('Event Stream Utility', () => {
+  test('should set event stream headers', () => {
+    const res = createMockResponse();
+    const stream = openEventStream(res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.headers['Cache-Control']).toContain('no-cache');
+    expect(res.flushHeaders).toHaveBeenCalled();
+
+    stream.close();
+  });
+
+  test('should write events with incrementing IDs and JSON data', () => {
+    const res = createMockResponse();
+    const stream = openEventStream(res);
+
+    stream.send('queries', { queries: [{ query: 'Quantum computing' }] });
+    stream.send('done', { report: '# Report' });
+
+    expect(res.chunks).toEqual([
+      'id: 1\nevent: queries\ndata: {"queries":[{"query":"Quantum computing"}]}\n\n',
+      'id: 2\nevent: done\ndata: {"report":"# Report"}\n\n'
+    ]);
+
+    stream.close();
+    expect(res.ended).toBe(true);
+  });
+
+  test('should stop writing once the client disconnects', () => {
+    const res = createMockResponse();
+    const stream = openEventStream(res);
+
+    res.emit('close');
+
+    expect(stream.isClosed).toBe(true);
+    expect(stream.send('progress', { stage: 'searching' })).toBe(false);
+    expect(res.write).not.toHaveBeenCalled();
+
+    stream.close();
+    expect(res.end).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Fact-Checking Tests
+ */
+const { registerLLMProvider } = require('../../src/utils/llm-providers');
+const { createResearchRun } = require('../../src/utils/research-run');
+const { splitReportSentences, selectClaimEvidence, applyClaimVerdicts } = require('../../src/utils/fact-check');
+const { factCheckReport, performStructuredResearch } = require('../../src/utils/research');
+
+// Model extracting one claim per sentence and contradicting claims about 30%
+const prompts = [];
+let failExtraction = false;
+registerLLMProvider('fact-checking', {
+  createModel: () => ({
+    generateContent: async (request) => {
+      const prompt = request.contents[0].parts[0].text;
+      prompts.push(prompt);
+      if (prompt.includes('you are preparing a fact-check')) {
+        if (failExtraction) {
+          throw new Error('Model overloaded');
+        }
+        const claims = [...prompt.matchAll(/<sentence number="(\d+)">([^<]*)<\/sentence>/g)]
+          .map(match => ({ sentence: Number(match[1]), claim: match[2].replace(/ ?\[\d+\]/g, '') }));
+        return { response: { text: () => JSON.stringify(claims) } };
+      }
+      const verdicts = [...prompt.matchAll(/<claim number="(\d+)">\n<statement>([^<]*)<\/statement>/g)]
+        .map(match => ({
+          claim: Number(match[1]),
+          verdict: match[2].includes('30%') ? 'contradicted' : 'supported',
+          explanation: 'Checked against the learnings'
+        }));
+      return { response: { text: () => JSON.stringify(verdicts) } };
+    }
+  })
+});
+
+const report = '# Solar Power\n\n' +
+  'Solar panels reach 22% efficiency [1]. Panel prices fell by 30% last year [2].\n\n' +
+  '| Year | Capacity |\n|------|----------|\n| 2023 | 1 TW |\n\n' +
+  '- Germany doubled its rooftop capacity [1].\n\n' +
+  '## References\n\n1. [Efficiency study](https://example.com/a)\n2. [Price survey](https://example.com/b)\n';
+
+const references = [
+  { number: 1, url: 'https://example.com/a', title: 'Efficiency study' },
+  { number: 2, url: 'https://example.com/b', title: 'Price survey' }
+];
+
+const learnings = [
+  { text: 'Solar panels reach 22% efficiency', sourceUrls: ['https://example.com/a'] },
+  { text: 'Panel prices fell by 10% last year', sourceUrls: ['https://example.com/b'] },
+  { text: 'Germany doubled its rooftop solar capacity', sourceUrls: ['https://example.com/a'] }
+];
+
+describe('Fact-Checking', () => {
+  beforeEach(() => {
+    prompts.length = 0;
+    failExtraction = false;
+  });
+
+  test('should split the text of a report into sentences', () => {
+    const sentences = splitReportSentences(report);
+
+    expect(sentences.map(sentence => sentence.text)).toEqual([
+      'Solar panels reach 22% efficiency [1].',
+      'Panel prices fell by 30% last year [2].',
+      'Germany doubled its rooftop capacity [1].'
+    ]);
+    sentences.forEach(sentence => expect(report.slice(sentence.start, sentence.end)).toBe(sentence.text));
+  });
+
+  test('should pick learnings from the cited sources and passages of the source texts', () => {
+    const evidence = selectClaimEvidence('Panel prices fell by 30% last year', 'Panel prices fell by 30% last year [2].', learnings, {
+      references,
+      sources: [{ url: 'https://example.com/b', title: 'Price survey', content: 'Module prices fell by 10% in 2023.' }]
+    });
+
+    expect(evidence.learnings[0]).toEqual(learnings[1]);
+    expect(evidence.sources).toEqual([{ url: 'https://example.com/b', title: 'Price survey', passage: 'Module prices fell by 10% in 2023.' }]);
+  });
+
+  test('should annotate or remove the sentences of unsupported claims', () => {
+    const sentences = splitReportSentences(report);
+    const claims = [{ sentence: 2, verdict: 'contradicted' }, { sentence: 3, verdict: 'unsupported' }];
+
+    const annotated = applyClaimVerdicts(report, sentences, claims, 'annotate');
+    expect(annotated.flaggedSentences).toBe(2);
+    expect(annotated.report).toContain('last year [2]. *(contradicted by the research)*');
+    expect(annotated.report).toContain('- Germany doubled its rooftop capacity [1]. *(not supported by the research)*');
+
+    const removed = applyClaimVerdicts(report, sentences, claims, 'remove');
+    expect(removed.report).toContain('Solar panels reach 22% efficiency [1].\n\n| Year');
+    expect(removed.report).not.toContain('Panel prices');
+    expect(removed.report).not.toContain('Germany');
+  });
+
+  test('should return a verdict for every claim of the report', async () => {
+    const result = await factCheckReport('Solar power', report, learnings, 'fact-checking', 'checker', { references });
+
+    expect(result.factCheck.mode).toBe('annotate');
+    expect(result.factCheck.claims.map(claim => [claim.sentence, claim.verdict])).toEqual([
+      [1, 'supported'],
+      [2, 'contradicted'],
+      [3, 'supported']
+    ]);
+    expect(result.factCheck.claims[1]).toMatchObject({
+      claim: 'Panel prices fell by 30% last year.',
+      explanation: 'Checked against the learnings',
+      evidenceUrls: expect.arrayContaining(['https://example.com/b'])
+    });
+    expect(result.factCheck.stats).toEqual({
+      sentences: 3, claims: 3, supported: 2, unsupported: 0, contradicted: 1, unchecked: 0, flaggedSentences: 1
+    });
+    expect(result.report).toContain('*(contradicted by the research)*');
+    expect(result.references).toEqual(references);
+    // One call extracts the claims and one judges them
+    expect(prompts).toHaveLength(2);
+  });
+
+  test('should renumber the references after removing claims', async () => {
+    const result = await factCheckReport('Solar power', report, learnings, 'fact-checking', 'checker', { references, mode: 'remove' });
+
+    expect(result.report).not.toContain('Panel prices');
+    expect(result.references).toEqual([references[0]]);
+    expect(result.report).not.toContain('Price survey');
+  });
+
+  test('should leave the report unchanged when no claims can be extracted', async () => {
+    failExtraction = true;
+    const run = createResearchRun({ query: 'Solar power' });
+
+    const result = await factCheckReport('Solar power', report, learnings, 'fact-checking', 'checker', { references, run });
+
+    expect(result.report).toBe(report);
+    expect(result.factCheck.error).toBe('Model overloaded');
+    expect(result.factCheck.claims).toEqual([]);
+    expect(run.toJSON().errors).toEqual([{ step: 'fact_checking', sentences: '1-3', message: 'Model overloaded' }]);
+  });
+
+  test('should report the fact-check in the structured result', async () => {
+    const result = await performStructuredResearch('Solar power', 'en-US', 'mock', undefined, 'mock', 1, { factCheck: true });
+
+    expect(result.factCheck).toMatchObject({ mode: 'annotate' });
+    expect(result.timings.steps.map(step => step.step)).toContain('fact_checking');
+  });
+});
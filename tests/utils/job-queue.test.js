@@ -0,0 +1,171 @@
+/**
+ * Research Job Queue Tests
+ */
+const { createJobQueue, JOB_STATUS } = require('../../src/utils/job-queue');
+
+/**
+ * Create a promise that can be resolved from outside
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Wait for pending promise callbacks to run
+ */
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('Research Job Queue', () => {
+  test('should return a queued job immediately and store the result', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const gate = deferred();
+
+    const job = queue.submit(async () => {
+      await gate.promise;
+      return { report: '# Report' };
+    }, { query: 'Quantum computing' });
+
+    expect(job.id).toBeDefined();
+    expect(job.metadata).toEqual({ query: 'Quantum computing' });
+
+    gate.resolve();
+    await flushPromises();
+
+    const finished = queue.getJob(job.id);
+    expect(finished.status).toBe(JOB_STATUS.DONE);
+    expect(finished.result).toEqual({ report: '# Report' });
+    expect(finished.progress.percent).toBe(100);
+    expect(finished.completedAt).not.toBeNull();
+  });
+
+  test('should not run more jobs than the concurrency limit', async () => {
+    const queue = createJobQueue({ concurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    let active = 0;
+    let maxActive = 0;
+
+    const jobs = gates.map(gate => queue.submit(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await gate.promise;
+      active--;
+      return {};
+    }));
+
+    await flushPromises();
+    expect(queue.getStats()).toMatchObject({ running: 2, queued: 1 });
+    expect(queue.getJob(jobs[2].id).status).toBe(JOB_STATUS.QUEUED);
+
+    gates.forEach(gate => gate.resolve());
+    await flushPromises();
+    await flushPromises();
+
+    expect(maxActive).toBe(2);
+    expect(queue.listJobs({ status: JOB_STATUS.DONE })).toHaveLength(3);
+  });
+
+  test('should list only the jobs of a client', async () => {
+    const queue = createJobQueue();
+    const own = queue.submit(async () => ({}), { client: 'alpha' });
+    queue.submit(async () => ({}), { client: 'beta' });
+    await flushPromises();
+
+    expect(queue.listJobs({ client: 'alpha' }).map(job => job.id)).toEqual([own.id]);
+    expect(queue.listJobs()).toHaveLength(2);
+  });
+
+  test('should track status and progress reported by the task', async () => {
+    const queue = createJobQueue();
+    const gate = deferred();
+
+    const job = queue.submit(async ({ reportProgress }) => {
+      reportProgress({ status: JOB_STATUS.SEARCHING, step: 2, totalSteps: 5, iteration: 1 });
+      await gate.promise;
+      return {};
+    });
+
+    await flushPromises();
+    const running = queue.getJob(job.id);
+    expect(running.status).toBe(JOB_STATUS.SEARCHING);
+    expect(running.progress).toMatchObject({ step: 2, totalSteps: 5, iteration: 1, percent: 40 });
+
+    gate.resolve();
+  });
+
+  test('should mark a job as failed when the task throws', async () => {
+    const queue = createJobQueue();
+
+    const job = queue.submit(async () => {
+      throw new Error('LLM unavailable');
+    });
+
+    await flushPromises();
+    const failed = queue.getJob(job.id);
+    expect(failed.status).toBe(JOB_STATUS.FAILED);
+    expect(failed.error).toBe('LLM unavailable');
+  });
+
+  test('should reject submissions when the queue is full', () => {
+    const queue = createJobQueue({ concurrency: 1, maxQueued: 1 });
+    const gate = deferred();
+
+    queue.submit(() => gate.promise);
+    queue.submit(() => gate.promise);
+
+    expect(() => queue.submit(() => gate.promise)).toThrow('Research job queue is full');
+    gate.resolve();
+  });
+
+  test('should return null for unknown jobs', () => {
+    const queue = createJobQueue();
+    expect(queue.getJob('does-not-exist')).toBeNull();
+    expect(queue.cancelJob('does-not-exist')).toBeNull();
+  });
+
+  test('should cancel a queued job without running it', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const gate = deferred();
+    const task = jest.fn(async () => ({}));
+
+    queue.submit(() => gate.promise);
+    const job = queue.submit(task);
+
+    const cancelled = queue.cancelJob(job.id);
+    expect(cancelled.status).toBe(JOB_STATUS.CANCELLED);
+    expect(queue.getStats().queued).toBe(0);
+
+    gate.resolve();
+    await flushPromises();
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  test('should abort the signal of a running job and keep it cancelled', async () => {
+    const queue = createJobQueue();
+    let receivedSignal;
+
+    const job = queue.submit(({ signal }) => {
+      receivedSignal = signal;
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+    });
+
+    await flushPromises();
+    queue.cancelJob(job.id);
+    expect(receivedSignal.aborted).toBe(true);
+
+    await flushPromises();
+    const cancelled = queue.getJob(job.id);
+    expect(cancelled.status).toBe(JOB_STATUS.CANCELLED);
+    expect(cancelled.error).toBeNull();
+    expect(() => queue.cancelJob(job.id)).toThrow('already finished');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Learning Consolidation Tests
+ */
+const { getLexicalSimilarity, consolidateLearnings } = require('../../src/utils/learning-consolidation');
+const { performStructuredResearch } = require('../../src/utils/research');
+
+describe('Learning Consolidation', () => {
+  test('should measure the word overlap of learnings', () => {
+    expect(getLexicalSimilarity('Solar panels reach 22% efficiency', 'solar panels reach 22% efficiency')).toBe(1);
+    expect(getLexicalSimilarity('Solar panels reach 22% efficiency', 'Wind turbines last 25 years')).toBe(0);
+    // Stop words do not count
+    expect(getLexicalSimilarity('The panels of the roof', 'Panels on a roof')).toBe(1);
+  });
+
+  test('should merge exact and near duplicates and keep all their sources', async () => {
+    const { learnings, stats } = await consolidateLearnings([
+      { text: 'Solar panels reach 22% efficiency.', sourceUrls: ['https://example.com/a'] },
+      { text: 'Wind power is the cheapest new electricity in Europe', sourceUrls: ['https://example.com/c'] },
+      { text: 'solar panels reach 22% efficiency', sourceUrls: ['https://example.com/b'] },
+      { text: 'Modern solar panels reach 22% efficiency', sourceUrls: ['https://example.com/a', 'https://example.com/d'] }
+    ], { method: 'lexical', lexicalThreshold: 0.6 });
+
+    expect(learnings).toEqual([
+      {
+        text: 'Modern solar panels reach 22% efficiency',
+        sourceUrls: ['https://example.com/a', 'https://example.com/b', 'https://example.com/d'],
+        mentions: 3
+      },
+      {
+        text: 'Wind power is the cheapest new electricity in Europe',
+        sourceUrls: ['https://example.com/c'],
+        mentions: 1
+      }
+    ]);
+    expect(stats).toEqual({ method: 'lexical', inputCount: 4, outputCount: 2, exactDuplicates: 1, nearDuplicates: 1 });
+  });
+
+  test('should not merge learnings with different numbers', async () => {
+    const { learnings, stats } = await consolidateLearnings([
+      'Solar panels reach 22% efficiency',
+      'Solar panels reach 25% efficiency'
+    ], { method: 'lexical', lexicalThreshold: 0.5 });
+
+    expect(learnings.map(learning => learning.text)).toEqual([
+      'Solar panels reach 22% efficiency',
+      'Solar panels reach 25% efficiency'
+    ]);
+    expect(stats.nearDuplicates).toBe(0);
+  });
+
+  test('should rank learnings by their sources, then mentions', async () => {
+    const { learnings } = await consolidateLearnings([
+      { text: 'Hydrogen storage is still expensive', sourceUrls: [] },
+      { text: 'Battery prices fell by 90% since 2010', sourceUrls: ['https://example.com/a'] },
+      { text: 'Grid operators curtail wind on windy nights', sourceUrls: ['https://example.com/b', 'https://example.com/c'] },
+      { text: 'Battery prices fell by 90% since 2010', sourceUrls: ['https://example.com/a'] }
+    ], { method: 'lexical' });
+
+    expect(learnings.map(learning => [learning.sourceUrls.length, learning.mentions])).toEqual([[2, 1], [1, 2], [0, 1]]);
+  });
+
+  test('should compare learnings by embeddings when configured', async () => {
+    const embeddings = {
+      'Solar panels reach 22% efficiency': [1, 0, 0],
+      'Photovoltaic modules convert 22% of sunlight into power': [0.98, 0.1, 0],
+      'Wind turbines last 25 years': [0, 0, 1]
+    };
+    const embed = jest.fn(texts => Promise.resolve(texts.map(text => embeddings[text])));
+
+    const { learnings, stats } = await consolidateLearnings(Object.keys(embeddings), {
+      method: 'embeddings',
+      embeddingThreshold: 0.9,
+      embed
+    });
+
+    expect(embed).toHaveBeenCalledTimes(1);
+    expect(learnings.map(learning => learning.text)).toEqual([
+      'Photovoltaic modules convert 22% of sunlight into power',
+      'Wind turbines last 25 years'
+    ]);
+    expect(stats).toMatchObject({ method: 'embeddings', outputCount: 2, nearDuplicates: 1 });
+  });
+
+  test('should fall back to word overlap when embeddings fail', async () => {
+    const result = await consolidateLearnings([
+      'Solar panels reach 22% efficiency',
+      'Modern solar panels reach 22% efficiency'
+    ], {
+      method: 'embeddings',
+      embed: () => Promise.reject(new Error('Embeddings API error: 503 Service Unavailable'))
+    });
+
+    expect(result.stats.method).toBe('lexical');
+    expect(result.learnings).toHaveLength(1);
+    expect(result.error).toBe('Embeddings API error: 503 Service Unavailable');
+  });
+
+  test('should report the consolidation in the structured result', async () => {
+    const result = await performStructuredResearch('Solar power', 'en-US', 'mock', undefined, 'mock', 1);
+
+    expect(result.consolidation).toMatchObject({ method: 'lexical' });
+    expect(result.consolidation.outputCount).toBeLessThanOrEqual(result.consolidation.inputCount);
+    expect(result.timings.steps.map(step => step.step)).toContain('consolidating');
+  });
+});
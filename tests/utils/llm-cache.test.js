@@ -0,0 +1,138 @@
+/**
+ * LLM Response Cache Tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const settings = require('../../src/settings');
+const { getLLMCacheKey, createLLMCache } = require('../../src/utils/llm-cache');
+const { createProvider } = require('../../src/utils/research');
+
+/**
+ * Create a model answering every call with a numbered response
+ */
+function createCountingModel() {
+  let calls = 0;
+  return {
+    generateContent: jest.fn(async () => {
+      calls++;
+      return { response: { text: () => `Answer ${calls}` } };
+    }),
+    generateContentStream: jest.fn(async () => {
+      calls++;
+      const text = `Streamed ${calls}`;
+      async function* stream() {
+        yield { text: () => text.slice(0, 5) };
+        yield { text: () => text.slice(5) };
+      }
+      return { stream: stream(), response: Promise.resolve({ text: () => text }) };
+    })
+  };
+}
+
+const request = {
+  contents: [{ role: 'user', parts: [{ text: 'Summarize solar power' }] }],
+  generationConfig: { temperature: 0.2, maxOutputTokens: 1024 }
+};
+
+describe('LLM Response Cache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should key calls on provider, model, prompt and generation config', () => {
+    const key = getLLMCacheKey({ provider: 'google', model: 'gemini-1.5-pro', request });
+
+    expect(getLLMCacheKey({ provider: 'google', model: 'gemini-1.5-pro', options: { apiKey: 'key' }, request })).toBe(key);
+    expect(getLLMCacheKey({ provider: 'anthropic', model: 'gemini-1.5-pro', request })).not.toBe(key);
+    expect(getLLMCacheKey({ provider: 'google', model: 'gemini-1.5-flash', request })).not.toBe(key);
+    expect(getLLMCacheKey({
+      provider: 'google',
+      model: 'gemini-1.5-pro',
+      request: { ...request, generationConfig: { temperature: 0.7, maxOutputTokens: 1024 } }
+    })).not.toBe(key);
+  });
+
+  test('should serve identical calls from disk in read-write mode', async () => {
+    const model = createCountingModel();
+    const cache = createLLMCache({ mode: 'read-write', directory });
+    const cached = cache.wrapModel(model, { provider: 'google', model: 'gemini-1.5-pro' });
+
+    const first = await cached.generateContent(request);
+    const second = await cached.generateContent(request);
+
+    expect(first.response.text()).toBe('Answer 1');
+    expect(second.response.text()).toBe('Answer 1');
+    expect(model.generateContent).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(directory)).toHaveLength(1);
+    expect(cache.getStats()).toEqual({ mode: 'read-write', hits: 1, misses: 1, writes: 1 });
+  });
+
+  test('should fail on misses in read-only mode', async () => {
+    const model = createCountingModel();
+    await createLLMCache({ mode: 'read-write', directory })
+      .wrapModel(model, { provider: 'google', model: 'gemini-1.5-pro' })
+      .generateContent(request);
+
+    const replay = createLLMCache({ mode: 'read-only', directory })
+      .wrapModel(model, { provider: 'google', model: 'gemini-1.5-pro' });
+
+    expect((await replay.generateContent(request)).response.text()).toBe('Answer 1');
+    await expect(replay.generateContent({ ...request, contents: [] })).rejects.toMatchObject({ code: 'LLM_CACHE_MISS' });
+    expect(model.generateContent).toHaveBeenCalledTimes(1);
+  });
+
+  test('should overwrite stored responses in record mode', async () => {
+    const model = createCountingModel();
+    const recorder = createLLMCache({ mode: 'record', directory })
+      .wrapModel(model, { provider: 'google', model: 'gemini-1.5-pro' });
+
+    await recorder.generateContent(request);
+    await recorder.generateContent(request);
+
+    const replay = createLLMCache({ mode: 'read-only', directory })
+      .wrapModel(model, { provider: 'google', model: 'gemini-1.5-pro' });
+    expect((await replay.generateContent(request)).response.text()).toBe('Answer 2');
+    expect(model.generateContent).toHaveBeenCalledTimes(2);
+  });
+
+  test('should record and replay streamed responses', async () => {
+    const model = createCountingModel();
+    const cached = createLLMCache({ mode: 'read-write', directory })
+      .wrapModel(model, { provider: 'anthropic', model: 'claude-3-5-sonnet-latest' });
+
+    const readStream = async (result) => {
+      let text = '';
+      for await (const chunk of result.stream) text += chunk.text();
+      return text;
+    };
+
+    expect(await readStream(await cached.generateContentStream(request))).toBe('Streamed 1');
+    expect(await readStream(await cached.generateContentStream(request))).toBe('Streamed 1');
+    expect(model.generateContentStream).toHaveBeenCalledTimes(1);
+  });
+
+  test('should cache models created for research when enabled in the settings', async () => {
+    const cacheSettings = settings.llm.llmCacheSettings;
+    const original = { ...cacheSettings };
+    cacheSettings.mode = 'read-write';
+    cacheSettings.directory = directory;
+
+    try {
+      const first = await createProvider('mock', 'mock-model').generateContent(request);
+      cacheSettings.mode = 'read-only';
+      const replayed = await createProvider('mock', 'mock-model').generateContent(request);
+
+      expect(replayed.response.text()).toBe(first.response.text());
+      expect(fs.readdirSync(directory)).toHaveLength(1);
+    } finally {
+      Object.assign(cacheSettings, original);
+    }
+  });
+});
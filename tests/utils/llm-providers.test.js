@@ -0,0 +1,233 @@
+/**
+ * LLM Provider Tests
+ *
+ * The chat backends are called against a local stub server that records the
+ * request and answers in the format of the real API.
+ */
+const http = require('http');
+const settings = require('../../src/settings');
+const {
+  getLLMProvider,
+  getLLMProviderNames,
+  registerLLMProvider
+} = require('../../src/utils/llm-providers');
+const { createProvider, getModel } = require('../../src/utils/research');
+
+/**
+ * Start a stub server answering every request with the given body
+ *
+ * Strings are sent as they are (for streamed responses), anything else as JSON.
+ */
+function startStubServer(responseBody, status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      res.writeHead(status, { 'Content-Type': typeof responseBody === 'string' ? 'text/event-stream' : 'application/json' });
+      res.end(typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Request in the Google Generative AI format used by the research steps
+const request = {
+  contents: [{ role: 'user', parts: [{ text: 'You are a researcher.\n\nSummarize solar power.' }] }],
+  generationConfig: { temperature: 0.2, maxOutputTokens: 256 }
+};
+
+/**
+ * Read a generateContentStream result into text
+ */
+async function readStream(result) {
+  let text = '';
+  for await (const chunk of result.stream) {
+    text += chunk.text();
+  }
+  return text;
+}
+
+describe('LLM Providers', () => {
+  let stub;
+  let originalBaseUrls;
+
+  beforeEach(() => {
+    originalBaseUrls = {
+      openAICompatible: settings.llm.openAICompatibleSettings.baseUrl,
+      ollama: settings.llm.ollamaSettings.baseUrl,
+      anthropic: settings.llm.anthropicSettings.baseUrl
+    };
+  });
+
+  afterEach(async () => {
+    settings.llm.openAICompatibleSettings.baseUrl = originalBaseUrls.openAICompatible;
+    settings.llm.ollamaSettings.baseUrl = originalBaseUrls.ollama;
+    settings.llm.anthropicSettings.baseUrl = originalBaseUrls.anthropic;
+    if (stub) await stub.close();
+    stub = null;
+  });
+
+  test('should register all built-in providers', () => {
+    expect(getLLMProviderNames()).toEqual(
+      expect.arrayContaining(['google', 'openrouter', 'openai-compatible', 'ollama', 'anthropic', 'mock'])
+    );
+  });
+
+  test('should call an OpenAI-compatible chat endpoint', async () => {
+    stub = await startStubServer({
+      choices: [{ message: { content: 'Solar is growing.' } }],
+      usage: { prompt_tokens: 18, completion_tokens: 5, total_tokens: 23 }
+    });
+    settings.llm.openAICompatibleSettings.baseUrl = `${stub.baseUrl}/v1`;
+
+    const model = createProvider('openai-compatible', 'qwen2.5-7b-instruct');
+    const result = await model.generateContent(request);
+
+    expect(result.response.text()).toBe('Solar is growing.');
+    expect(result.response.usageMetadata).toEqual({ promptTokenCount: 18, candidatesTokenCount: 5, totalTokenCount: 23 });
+    const [sent] = stub.requests;
+    expect(sent.url).toBe('/v1/chat/completions');
+    expect(sent.headers.authorization).toBeUndefined();
+    expect(sent.body).toMatchObject({
+      model: 'qwen2.5-7b-instruct',
+      temperature: 0.2,
+      max_tokens: 256,
+      messages: [
+        { role: 'system', content: 'You are a researcher.' },
+        { role: 'user', content: 'Summarize solar power.' }
+      ]
+    });
+  });
+
+  test('should stream from an OpenAI-compatible chat endpoint', async () => {
+    stub = await startStubServer(
+      'data: {"choices":[{"delta":{"content":"Solar "}}]}\n\n' +
+      'data: {"choices":[{"delta":{"content":"is growing."}}]}\n\n' +
+      'data: {"choices":[],"usage":{"prompt_tokens":18,"completion_tokens":5}}\n\n' +
+      'data: [DONE]\n\n'
+    );
+    settings.llm.openAICompatibleSettings.baseUrl = `${stub.baseUrl}/v1`;
+
+    const result = await createProvider('openai-compatible', 'local-model', {}, 'local_key').generateContentStream(request);
+
+    expect(await readStream(result)).toBe('Solar is growing.');
+    const response = await result.response;
+    expect(response.text()).toBe('Solar is growing.');
+    expect(response.usageMetadata).toEqual({ promptTokenCount: 18, candidatesTokenCount: 5, totalTokenCount: 23 });
+    expect(stub.requests[0].headers.authorization).toBe('Bearer local_key');
+    expect(stub.requests[0].body.stream_options).toEqual({ include_usage: true });
+  });
+
+  test('should call the native Ollama chat API', async () => {
+    stub = await startStubServer({
+      model: 'llama3.1',
+      message: { role: 'assistant', content: 'Solar is growing.' },
+      done: true,
+      prompt_eval_count: 20,
+      eval_count: 6
+    });
+    settings.llm.ollamaSettings.baseUrl = stub.baseUrl;
+
+    const result = await createProvider('ollama', 'llama3.1').generateContent(request);
+
+    expect(result.response.text()).toBe('Solar is growing.');
+    expect(result.response.usageMetadata).toEqual({ promptTokenCount: 20, candidatesTokenCount: 6, totalTokenCount: 26 });
+    const [sent] = stub.requests;
+    expect(sent.url).toBe('/api/chat');
+    expect(sent.body).toMatchObject({
+      model: 'llama3.1',
+      stream: false,
+      options: { temperature: 0.2, num_predict: 256 }
+    });
+  });
+
+  test('should stream newline-delimited JSON from Ollama', async () => {
+    stub = await startStubServer(
+      '{"message":{"content":"Solar "},"done":false}\n' +
+      '{"message":{"content":"is growing."},"done":false}\n' +
+      '{"message":{"content":""},"done":true}\n'
+    );
+    settings.llm.ollamaSettings.baseUrl = stub.baseUrl;
+
+    const result = await createProvider('ollama', 'llama3.1').generateContentStream(request);
+
+    expect(await readStream(result)).toBe('Solar is growing.');
+  });
+
+  test('should call the Anthropic Messages API with a separate system prompt', async () => {
+    stub = await startStubServer({ content: [{ type: 'text', text: 'Solar is growing.' }], stop_reason: 'end_turn' });
+    settings.llm.anthropicSettings.baseUrl = stub.baseUrl;
+
+    const result = await createProvider('anthropic', 'claude-3-5-haiku-latest', {}, 'anthropic_key').generateContent(request);
+
+    expect(result.response.text()).toBe('Solar is growing.');
+    const [sent] = stub.requests;
+    expect(sent.url).toBe('/v1/messages');
+    expect(sent.headers['x-api-key']).toBe('anthropic_key');
+    expect(sent.headers['anthropic-version']).toBe(settings.llm.anthropicSettings.apiVersion);
+    expect(sent.body).toMatchObject({
+      model: 'claude-3-5-haiku-latest',
+      system: 'You are a researcher.',
+      messages: [{ role: 'user', content: 'Summarize solar power.' }],
+      max_tokens: 256
+    });
+  });
+
+  test('should stream content deltas from Anthropic', async () => {
+    stub = await startStubServer(
+      'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":15,"output_tokens":1}}}\n\n' +
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Solar "}}\n\n' +
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"is growing."}}\n\n' +
+      'event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":4}}\n\n' +
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    );
+    settings.llm.anthropicSettings.baseUrl = stub.baseUrl;
+
+    const result = await createProvider('anthropic', 'claude-3-5-haiku-latest', {}, 'anthropic_key').generateContentStream(request);
+
+    expect(await readStream(result)).toBe('Solar is growing.');
+    expect((await result.response).usageMetadata).toEqual({ promptTokenCount: 15, candidatesTokenCount: 4, totalTokenCount: 19 });
+  });
+
+  test('should report API errors with their status', async () => {
+    stub = await startStubServer({ error: { message: 'model not found' } }, 404);
+    settings.llm.ollamaSettings.baseUrl = stub.baseUrl;
+
+    await expect(createProvider('ollama', 'missing-model').generateContent(request))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should reject unknown providers with a 400 error', () => {
+    expect(() => createProvider('unknown-provider', 'some-model')).toThrow('Unsupported LLM provider: unknown-provider');
+    expect(() => createProvider('unknown-provider', 'some-model')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('should use registered providers and their default models', async () => {
+    const generateContent = jest.fn().mockResolvedValue({ response: { text: () => 'Custom answer' } });
+    const createModel = jest.fn().mockReturnValue({ generateContent });
+    registerLLMProvider('custom', {
+      createModel,
+      getDefaultModels: () => ({ thinkingModel: 'custom-thinking', networkingModel: 'custom-networking' })
+    });
+
+    expect(getModel('custom')).toEqual({ thinkingModel: 'custom-thinking', networkingModel: 'custom-networking' });
+
+    const model = createProvider('custom', 'custom-networking', { temperature: 0.1 }, 'custom_key');
+    const result = await model.generateContent(request);
+
+    expect(result.response.text()).toBe('Custom answer');
+    expect(createModel).toHaveBeenCalledWith('custom-networking', { temperature: 0.1 }, 'custom_key');
+    expect(getLLMProvider('custom').displayName).toBe('custom');
+  });
+});
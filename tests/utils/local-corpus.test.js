@@ -0,0 +1,112 @@
+/**
+ * Local Document Corpus Tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const settings = require('../../src/settings');
+const { chunkText, createBm25Index, createLocalCorpus } = require('../../src/utils/local-corpus');
+const { performSearch } = require('../../src/utils/web-search');
+
+describe('Local Document Corpus', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+    fs.writeFileSync(path.join(directory, 'solar.md'),
+      '# Solar Handbook\n\nPerovskite solar cells reached 26% efficiency in the lab.\n\nSilicon panels dominate the market.');
+    fs.mkdirSync(path.join(directory, 'wind'));
+    fs.writeFileSync(path.join(directory, 'wind', 'offshore.html'),
+      '<html><head><title>Offshore Wind</title><style>p { color: red; }</style></head>' +
+      '<body><nav>Home | About</nav><main><h1>Offshore wind</h1><p>Floating turbines work in deep water &amp; strong winds.</p></main></body></html>');
+    fs.writeFileSync(path.join(directory, 'notes.csv'), 'perovskite,ignored');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should split text into overlapping chunks at paragraph boundaries', () => {
+    const paragraph = (word, count) => Array(count).fill(word).join(' ');
+    const text = [paragraph('alpha', 6), paragraph('beta', 6), paragraph('gamma', 6)].join('\n\n');
+
+    const chunks = chunkText(text, { chunkSize: 10, chunkOverlap: 2 });
+
+    expect(chunks).toEqual([
+      paragraph('alpha', 6),
+      `alpha alpha\n\n${paragraph('beta', 6)}`,
+      `beta beta\n\n${paragraph('gamma', 6)}`
+    ]);
+  });
+
+  test('should rank chunks with BM25', () => {
+    const index = createBm25Index([
+      { text: 'Wind turbines and wind farms', url: 'wind' },
+      { text: 'Solar panels and solar farms convert solar energy', url: 'solar' },
+      { text: 'Energy storage with batteries', url: 'storage' }
+    ]);
+
+    const results = index.search('solar energy');
+
+    expect(results.map(result => result.url)).toEqual(['solar', 'storage']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(index.search('the of and')).toEqual([]);
+  });
+
+  test('should search markdown and HTML files of a directory', async () => {
+    const corpus = createLocalCorpus({ directory });
+
+    const { results } = await corpus.search('floating turbines');
+
+    expect(results[0]).toMatchObject({
+      title: 'Offshore Wind',
+      content: 'Offshore wind\n\nFloating turbines work in deep water & strong winds.'
+    });
+    expect(results[0].url).toMatch(/^file:\/\/.*\/wind\/offshore\.html#chunk-1$/);
+    expect(results.some(result => result.content.includes('Home | About'))).toBe(false);
+    expect(corpus.getStats()).toMatchObject({ fileCount: 2, chunkCount: 2 });
+  });
+
+  test('should link results under a URL prefix', async () => {
+    const corpus = createLocalCorpus({ directory, urlPrefix: 'https://intranet.example.com/docs/' });
+
+    const { results } = await corpus.search('perovskite efficiency');
+
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('Solar Handbook');
+    expect(results[0].url).toBe('https://intranet.example.com/docs/solar.md#chunk-1');
+  });
+
+  test('should reindex when files change', async () => {
+    const corpus = createLocalCorpus({ directory });
+    expect((await corpus.search('geothermal')).results).toHaveLength(0);
+
+    fs.writeFileSync(path.join(directory, 'geothermal.txt'), 'Geothermal plants run around the clock.');
+
+    const { results } = await corpus.search('geothermal');
+    expect(results).toHaveLength(1);
+    expect(results[0].title).toBe('geothermal');
+  });
+
+  test('should reject searches without a configured directory', async () => {
+    await expect(createLocalCorpus({ directory: '' }).search('solar'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should mix local and other search results', async () => {
+    const corpusSettings = settings.search.localCorpusSearchSettings;
+    const originalDirectory = corpusSettings.directory;
+    corpusSettings.directory = directory;
+
+    try {
+      const { results } = await performSearch('perovskite solar cells', { searchProvider: 'local,mock', maxResults: 3 });
+
+      expect(results).toHaveLength(3);
+      expect(results[0].title).toBe('Solar Handbook');
+      expect(results[1].url).toBe('https://example.com/mock-result-1');
+      expect(results[2].url).toBe('https://example.com/mock-result-2');
+    } finally {
+      corpusSettings.directory = originalDirectory;
+    }
+  });
+});
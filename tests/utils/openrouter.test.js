@@ -179,4 +179,40 @@ describe('Open Router API Integration', () => {
       { role: 'user', content: 'What is the capital of France?' }
     ]);
   });
+  
+  test('should stream chat completion deltas through the model wrapper', async () => {
+    const encoder = new TextEncoder();
+    const events = [
+      ': OPENROUTER PROCESSING\n\n',
+      'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\ndata: {"choices":[{"del',
+      'ta":{"content":" world"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ];
+    
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      body: (async function* () {
+        for (const event of events) {
+          yield encoder.encode(event);
+        }
+      })()
+    });
+    
+    const modelWrapper = openRouter.createModelWrapper({ model: 'anthropic/claude-3-opus:beta' });
+    const result = await modelWrapper.generateContentStream({
+      contents: [{ role: 'user', parts: [{ text: 'Test message' }] }]
+    });
+    
+    const chunks = [];
+    for await (const chunk of result.stream) {
+      chunks.push(chunk.text());
+    }
+    
+    expect(chunks).toEqual(['Hello', ' world']);
+    const response = await result.response;
+    expect(response.text()).toBe('Hello world');
+    
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.stream).toBe(true);
+  });
 });
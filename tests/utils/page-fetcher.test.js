@@ -0,0 +1,188 @@
+/**
+ * Page Fetcher Tests
+ *
+ * Pages are served by a local stub server, so the fetchers in these tests
+ * allow private hosts.
+ */
+const http = require('http');
+const { getEventListeners } = require('events');
+const {
+  parseRobotsTxt,
+  isAllowedByRobots,
+  createPageFetcher
+} = require('../../src/utils/page-fetcher');
+
+/**
+ * Start a stub server with a handler per path
+ */
+function startStubServer(routes) {
+  const requests = [];
+  let active = 0;
+  let maxActive = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    requests.push(path);
+    active++;
+    maxActive = Math.max(maxActive, active);
+    res.on('close', () => { active--; });
+
+    const handler = routes[path];
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    await handler(req, res);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        getMaxActive: () => maxActive,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Answer with an HTML page, optionally after a delay
+ */
+function htmlPage(html, delay = 0) {
+  return (req, res) => new Promise(resolve => {
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+      resolve();
+    }, delay);
+  });
+}
+
+describe('Page Fetcher', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) await stub.close();
+    stub = null;
+  });
+
+  test('should apply the most specific robots.txt group', () => {
+    const rules = parseRobotsTxt([
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: DeepResearchBot',
+      'Disallow: /private',
+      'Allow: /private/reports$',
+      'Disallow: /*.pdf$'
+    ].join('\n'), 'DeepResearchBot/1.0');
+
+    expect(isAllowedByRobots(rules, '/articles/solar')).toBe(true);
+    expect(isAllowedByRobots(rules, '/private/notes')).toBe(false);
+    expect(isAllowedByRobots(rules, '/private/reports')).toBe(true);
+    expect(isAllowedByRobots(rules, '/papers/solar.pdf')).toBe(false);
+    expect(isAllowedByRobots(parseRobotsTxt('User-agent: *\nDisallow: /', 'OtherBot'), '/')).toBe(false);
+  });
+
+  test('should extract the main text of a page', async () => {
+    stub = await startStubServer({
+      '/solar': htmlPage('<html><head><title>Solar</title><script>track()</script></head>' +
+        '<body><nav>Menu</nav><article><h1>Solar cells</h1><p>Perovskite cells reach 26%.</p></article></body></html>')
+    });
+    const fetcher = createPageFetcher({ allowPrivateHosts: true });
+
+    const page = await fetcher.fetchPage(`${stub.baseUrl}/solar`);
+
+    expect(page).toEqual({
+      url: `${stub.baseUrl}/solar`,
+      title: 'Solar',
+      content: 'Solar cells\n\nPerovskite cells reach 26%.',
+      contentType: 'html',
+      truncated: false
+    });
+    expect(stub.requests).toEqual(['/robots.txt', '/solar']);
+  });
+
+  test('should not fetch pages disallowed by robots.txt', async () => {
+    stub = await startStubServer({
+      '/robots.txt': (req, res) => res.end('User-agent: *\nDisallow: /private'),
+      '/private/page': htmlPage('<p>Secret</p>')
+    });
+    const fetcher = createPageFetcher({ allowPrivateHosts: true });
+
+    await expect(fetcher.fetchPage(`${stub.baseUrl}/private/page`)).rejects.toThrow('Disallowed by robots.txt');
+    expect(stub.requests).toEqual(['/robots.txt']);
+  });
+
+  test('should stop reading pages at the size cap', async () => {
+    stub = await startStubServer({
+      '/large': htmlPage(`<p>${'word '.repeat(1000)}</p>`)
+    });
+    const fetcher = createPageFetcher({ allowPrivateHosts: true, respectRobotsTxt: false, maxBytes: 100 });
+
+    const page = await fetcher.fetchPage(`${stub.baseUrl}/large`);
+
+    expect(page.truncated).toBe(true);
+    expect(page.content.length).toBeLessThanOrEqual(100);
+  });
+
+  test('should time out slow pages', async () => {
+    stub = await startStubServer({
+      '/slow': htmlPage('<p>Late</p>', 1000)
+    });
+    const fetcher = createPageFetcher({ allowPrivateHosts: true, respectRobotsTxt: false, timeout: 50 });
+
+    await expect(fetcher.fetchPage(`${stub.baseUrl}/slow`)).rejects.toThrow();
+  });
+
+  test('should limit concurrent requests per domain', async () => {
+    const routes = {};
+    for (let index = 0; index < 5; index++) {
+      routes[`/page-${index}`] = htmlPage(`<p>Page ${index}</p>`, 50);
+    }
+    stub = await startStubServer(routes);
+    const fetcher = createPageFetcher({ allowPrivateHosts: true, respectRobotsTxt: false, perDomainConcurrency: 2 });
+
+    const controller = new AbortController();
+    const pages = await Promise.all(Object.keys(routes).map(path => fetcher.fetchPage(`${stub.baseUrl}${path}`, { signal: controller.signal })));
+
+    expect(pages.map(page => page.content)).toEqual(['Page 0', 'Page 1', 'Page 2', 'Page 3', 'Page 4']);
+    expect(stub.getMaxActive()).toBe(2);
+    // The timeouts of finished requests no longer listen to the run signal
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+  });
+
+  test('should refuse private addresses unless allowed', async () => {
+    stub = await startStubServer({ '/page': htmlPage('<p>Internal</p>') });
+    const fetcher = createPageFetcher({ allowPrivateHosts: false, respectRobotsTxt: false });
+
+    await expect(fetcher.fetchPage(`${stub.baseUrl}/page`)).rejects.toThrow('Refusing to fetch private address');
+    expect(stub.requests).toEqual([]);
+  });
+
+  test('should enrich search results and keep snippets on failure', async () => {
+    stub = await startStubServer({
+      '/solar': htmlPage('<main><p>Full article about solar panels.</p></main>')
+    });
+    const fetcher = createPageFetcher({ allowPrivateHosts: true, respectRobotsTxt: false });
+    const localResult = { title: 'Notes', content: 'Local notes', url: 'file:///docs/notes.md#chunk-1' };
+
+    const results = await fetcher.enrichSearchResults([
+      { title: 'Solar', content: 'Solar snippet', url: `${stub.baseUrl}/solar` },
+      { title: 'Missing', content: 'Missing snippet', url: `${stub.baseUrl}/missing` },
+      localResult
+    ]);
+
+    expect(results).toEqual([
+      { title: 'Solar', content: 'Full article about solar panels.', snippet: 'Solar snippet', url: `${stub.baseUrl}/solar` },
+      { title: 'Missing', content: 'Missing snippet', url: `${stub.baseUrl}/missing` },
+      localResult
+    ]);
+  });
+});
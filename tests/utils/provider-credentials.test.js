@@ -0,0 +1,99 @@
+/**
+ * Provider Credentials Tests
+ *
+ * Clients send their own LLM and search API keys in headers; the keys must
+ * reach every provider call of the run and never its results or logs.
+ */
+const settings = require('../../src/settings');
+const mockLLM = require('../../src/utils/mock-llm');
+const { redactSensitiveData } = require('../../src/utils/logger');
+const { registerLLMProvider } = require('../../src/utils/llm-providers');
+const { registerSearchProvider } = require('../../src/utils/search-providers');
+const { getProviderCredentials } = require('../../src/utils/provider-credentials');
+const { performStructuredResearch } = require('../../src/utils/research');
+
+// Providers recording the keys they are called with
+const keyedModel = jest.fn((model, options, apiKey) => mockLLM.createMockProvider('google', model));
+const keyedSearch = jest.fn(async (query) => ({
+  results: [{ title: `About ${query}`, content: `Findings on ${query}`, url: `https://example.com/${encodeURIComponent(query)}` }]
+}));
+registerLLMProvider('keyed', { createModel: keyedModel });
+registerSearchProvider('keyed', { search: keyedSearch, cache: false });
+
+/**
+ * Create a request carrying the given headers
+ */
+function createRequest(headers = {}) {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { headers: lowerCased, get: (name) => lowerCased[name.toLowerCase()] };
+}
+
+describe('Provider Credentials', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should read the LLM and search keys from the headers', () => {
+    const credentials = getProviderCredentials(
+      createRequest({ 'X-LLM-API-Key': 'sk-client', 'X-Search-API-Key': 'tvly-client' }),
+      { provider: 'anthropic', searchProvider: 'tavily' }
+    );
+
+    expect(credentials).toEqual({ llm: { anthropic: 'sk-client' }, search: { tavily: 'tvly-client' } });
+  });
+
+  test('should take one key per provider for mixed searches', () => {
+    const credentials = getProviderCredentials(
+      createRequest({ 'X-Search-API-Key-tavily': 'tvly-client', 'X-Search-API-Key-brave': 'brave-client' }),
+      { provider: 'google', searchProvider: 'local,tavily,brave' }
+    );
+    expect(credentials.search).toEqual({ tavily: 'tvly-client', brave: 'brave-client' });
+
+    expect(() => getProviderCredentials(
+      createRequest({ 'X-Search-API-Key': 'tvly-client' }),
+      { provider: 'google', searchProvider: 'local,tavily' }
+    )).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('should require keys for paid providers when the server asks for them', () => {
+    const apiSettings = settings.api.apiSettings;
+    const original = apiSettings.requireClientProviderKeys;
+    apiSettings.requireClientProviderKeys = true;
+
+    try {
+      expect(() => getProviderCredentials(createRequest(), { provider: 'google', searchProvider: 'local' }))
+        .toThrow(/X-LLM-API-Key/);
+      expect(() => getProviderCredentials(createRequest({ 'X-LLM-API-Key': 'key' }), { provider: 'google', searchProvider: 'local,tavily' }))
+        .toThrow(/tavily search provider/);
+      expect(getProviderCredentials(createRequest(), { provider: 'ollama', searchProvider: 'searxng' }))
+        .toEqual({ llm: {}, search: {} });
+      expect(getProviderCredentials(createRequest({ 'X-LLM-API-Key': 'key' }), { provider: 'anthropic', searchProvider: '' }))
+        .toEqual({ llm: { anthropic: 'key' }, search: {} });
+    } finally {
+      apiSettings.requireClientProviderKeys = original;
+    }
+  });
+
+  test('should use the client keys for every call of a run', async () => {
+    const credentials = { llm: { keyed: 'client-llm-key' }, search: { keyed: 'client-search-key' } };
+
+    const result = await performStructuredResearch('Solar power', 'en-US', 'keyed', 'keyed-model', 'keyed,mock', 1, { credentials });
+
+    expect(keyedModel.mock.calls.length).toBeGreaterThan(0);
+    keyedModel.mock.calls.forEach(([, , apiKey]) => expect(apiKey).toBe('client-llm-key'));
+    expect(keyedSearch.mock.calls.length).toBeGreaterThan(0);
+    keyedSearch.mock.calls.forEach(([, options]) => expect(options.apiKey).toBe('client-search-key'));
+    expect(JSON.stringify(result)).not.toMatch(/client-(llm|search)-key/);
+  });
+
+  test('should redact the key headers and credentials in logs', () => {
+    const req = createRequest({ 'X-LLM-API-Key': 'sk-client', 'X-Search-API-Key-tavily': 'tvly-client' });
+    const redacted = JSON.stringify(redactSensitiveData({
+      headers: req.headers,
+      credentials: { llm: { anthropic: 'sk-client' } },
+      options: { apiKeys: { tavily: 'tvly-client' } }
+    }));
+
+    expect(redacted).not.toMatch(/sk-client|tvly-client/);
+  });
+});
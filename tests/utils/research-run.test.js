@@ -0,0 +1,356 @@
+/**
+ * Research Run Tracker Tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const settings = require('../../src/settings');
+const { createResearchRun, resolveBudget } = require('../../src/utils/research-run');
+const { estimateCost } = require('../../src/utils/llm-pricing');
+const { withRetry, performStructuredResearch } = require('../../src/utils/research');
+
+describe('Research Run Tracker', () => {
+  test('should build the query tree and link sources to learnings', () => {
+    const run = createResearchRun({ query: 'Solar power' });
+
+    run.recordQueries(1, [{ query: 'Solar panel efficiency', researchGoal: 'Find efficiency data' }], 'initial');
+    run.recordSearchResult(1, {
+      query: 'Solar panel efficiency',
+      researchGoal: 'Find efficiency data',
+      sources: [{ url: 'https://example.com/solar', title: 'Solar study', content: 'Full text' }],
+      learnings: ['Panels reach 22% efficiency']
+    });
+    run.recordQueries(2, [{ query: 'Perovskite cells', researchGoal: 'Check new materials' }], 'review');
+    run.recordSearchResult(2, {
+      query: 'Perovskite cells',
+      sources: [{ url: 'https://example.com/solar', title: 'Solar study' }],
+      learnings: ['Perovskites are cheaper to produce']
+    });
+
+    const result = run.toJSON();
+    expect(result.iterations).toEqual([
+      {
+        iteration: 1,
+        origin: 'initial',
+        queries: [{
+          query: 'Solar panel efficiency',
+          researchGoal: 'Find efficiency data',
+          sourceUrls: ['https://example.com/solar'],
+          learnings: ['Panels reach 22% efficiency']
+        }]
+      },
+      {
+        iteration: 2,
+        origin: 'review',
+        queries: [{
+          query: 'Perovskite cells',
+          researchGoal: 'Check new materials',
+          sourceUrls: ['https://example.com/solar'],
+          learnings: ['Perovskites are cheaper to produce']
+        }]
+      }
+    ]);
+    expect(result.sources).toEqual([{
+      url: 'https://example.com/solar',
+      title: 'Solar study',
+      queries: ['Solar panel efficiency', 'Perovskite cells'],
+      learnings: ['Panels reach 22% efficiency', 'Perovskites are cheaper to produce']
+    }]);
+    expect(result.learnings[1]).toEqual({
+      text: 'Perovskites are cheaper to produce',
+      query: 'Perovskite cells',
+      iteration: 2,
+      sourceUrls: ['https://example.com/solar']
+    });
+  });
+
+  test('should nest tree nodes under the node they branched off', () => {
+    const run = createResearchRun({ query: 'Solar power' }, { tree: true });
+
+    const root = run.recordTreeNode(null, 1, {
+      query: 'Solar panel efficiency',
+      researchGoal: 'Find efficiency data',
+      sources: [{ url: 'https://example.com/solar' }],
+      learnings: ['Panels reach 22% efficiency']
+    });
+    run.recordTreeNode(root.id, 2, {
+      query: 'Perovskite cell efficiency',
+      researchGoal: 'Check whether new materials beat 22%',
+      sources: [],
+      learnings: []
+    });
+    run.recordTreeNode(null, 1, { query: 'Solar power cost', learnings: [] });
+
+    expect(run.toJSON().tree).toEqual([
+      {
+        id: 'node-1',
+        parentId: null,
+        depth: 1,
+        query: 'Solar panel efficiency',
+        researchGoal: 'Find efficiency data',
+        sourceUrls: ['https://example.com/solar'],
+        learnings: ['Panels reach 22% efficiency'],
+        children: [{
+          id: 'node-2',
+          parentId: 'node-1',
+          depth: 2,
+          query: 'Perovskite cell efficiency',
+          researchGoal: 'Check whether new materials beat 22%',
+          sourceUrls: [],
+          learnings: [],
+          children: []
+        }]
+      },
+      expect.objectContaining({ id: 'node-3', depth: 1, children: [] })
+    ]);
+    expect(createResearchRun().toJSON()).not.toHaveProperty('tree');
+  });
+
+  test('should record step timings and partial errors', () => {
+    const run = createResearchRun();
+
+    const finishStep = run.startStep('searching', { iteration: 1 });
+    finishStep();
+    run.recordError('searching', new Error('Search API unavailable'), { query: 'Solar power' });
+
+    const result = run.toJSON();
+    expect(result.timings.steps).toHaveLength(1);
+    expect(result.timings.steps[0]).toMatchObject({ step: 'searching', iteration: 1 });
+    expect(result.timings.steps[0].durationMs).toBeGreaterThanOrEqual(0);
+    expect(result.errors).toEqual([{ step: 'searching', query: 'Solar power', message: 'Search API unavailable' }]);
+  });
+
+  test('should record the fallback model used by withRetry', async () => {
+    const run = createResearchRun();
+    let calls = 0;
+
+    const answer = await withRetry(async (context) => {
+      calls++;
+      if (calls === 1) {
+        const error = new Error('Rate limited');
+        error.status = 429;
+        throw error;
+      }
+      return context.model;
+    }, {
+      initialDelay: 1,
+      fallbackModel: 'gemini-1.5-flash',
+      context: { model: 'gemini-1.5-pro' },
+      run,
+      step: 'writing',
+      provider: 'google'
+    });
+
+    expect(answer).toBe('gemini-1.5-flash');
+    expect(run.toJSON().models).toEqual([{
+      step: 'writing',
+      provider: 'google',
+      requestedModel: 'gemini-1.5-pro',
+      model: 'gemini-1.5-flash',
+      fallback: true,
+      attempts: 2
+    }]);
+  });
+
+  test('should retry with the fallback model of the provider', async () => {
+    const rateLimited = async (models, context) => {
+      models.push(context.model);
+      if (models.length === 1) {
+        const error = new Error('Rate limited');
+        error.status = 429;
+        throw error;
+      }
+      return context.model;
+    };
+
+    const googleModels = [];
+    await withRetry(context => rateLimited(googleModels, context), {
+      initialDelay: 1,
+      context: { model: 'gemini-1.5-pro' },
+      provider: 'google'
+    });
+    expect(googleModels).toEqual(['gemini-1.5-pro', 'gemini-1.5-flash']);
+
+    // Providers without a fallback model retry with the requested model
+    const anthropicModels = [];
+    await withRetry(context => rateLimited(anthropicModels, context), {
+      initialDelay: 1,
+      context: { model: 'claude-3-5-sonnet-latest' },
+      provider: 'anthropic'
+    });
+    expect(anthropicModels).toEqual(['claude-3-5-sonnet-latest', 'claude-3-5-sonnet-latest']);
+  });
+
+  test('should count search cache hits and misses', () => {
+    const run = createResearchRun({ query: 'Solar power' });
+
+    run.recordSearchCache({ hits: 0, misses: 1 });
+    run.recordSearchCache({ hits: 1, misses: 0 });
+    run.recordSearchCache(undefined);
+
+    expect(run.toJSON().searchCache).toEqual({ hits: 1, misses: 1 });
+  });
+
+  test('should total token usage and estimated cost per step and model', () => {
+    const run = createResearchRun({ query: 'Solar power' });
+
+    run.recordUsage({
+      step: 'searching',
+      provider: 'google',
+      model: 'gemini-2.0-flash-001',
+      usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 500, totalTokenCount: 1500 }
+    });
+    run.recordUsage({
+      step: 'writing',
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-latest',
+      usageMetadata: { promptTokenCount: 2000, candidatesTokenCount: 1000 }
+    });
+    run.recordUsage({
+      step: 'writing',
+      provider: 'openai-compatible',
+      model: 'local-model',
+      usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 100 }
+    });
+    run.recordUsage({ step: 'writing', provider: 'mock', model: 'mock-model' });
+
+    const usage = run.toJSON().usage;
+    expect(usage).toMatchObject({
+      calls: 3,
+      inputTokens: 3300,
+      outputTokens: 1600,
+      totalTokens: 4900,
+      estimatedCost: 0.0213,
+      currency: 'USD',
+      unreportedCalls: 1,
+      unpricedModels: ['local-model']
+    });
+    expect(usage.steps.searching).toEqual({ calls: 1, inputTokens: 1000, outputTokens: 500, totalTokens: 1500, estimatedCost: 0.0003 });
+    expect(usage.steps.writing).toMatchObject({ calls: 2, inputTokens: 2300, estimatedCost: 0.021 });
+    expect(usage.models['anthropic:claude-3-5-sonnet-latest']).toMatchObject({ calls: 1, estimatedCost: 0.021 });
+  });
+
+  test('should record the usage of wrapped models once a stream is consumed', async () => {
+    const run = createResearchRun();
+    const usageMetadata = { promptTokenCount: 40, candidatesTokenCount: 10 };
+    const model = run.wrapModel({
+      generateContent: async () => ({ response: { text: () => 'Answer', usageMetadata } }),
+      generateContentStream: async () => {
+        let resolveResponse;
+        const response = new Promise(resolve => { resolveResponse = resolve; });
+        async function* stream() {
+          yield { text: () => 'Streamed' };
+          resolveResponse({ text: () => 'Streamed', usageMetadata });
+        }
+        return { stream: stream(), response };
+      }
+    }, { step: 'writing', provider: 'google', model: 'gemini-2.0-flash-001' });
+
+    await model.generateContent({ contents: [] });
+    const result = await model.generateContentStream({ contents: [] });
+    expect(run.getUsage().calls).toBe(1);
+    for await (const chunk of result.stream) chunk.text();
+    await result.response;
+
+    expect(run.getUsage()).toMatchObject({ calls: 2, inputTokens: 80, outputTokens: 20 });
+  });
+
+  test('should read model prices from the configured price file', () => {
+    const pricingSettings = settings.llm.pricingSettings;
+    const originalPricesFile = pricingSettings.pricesFile;
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-prices-'));
+    pricingSettings.pricesFile = path.join(directory, 'prices.json');
+    fs.writeFileSync(pricingSettings.pricesFile, JSON.stringify({
+      'openai-compatible:local-model': { input: 1, output: 2 },
+      'gemini-2.0-flash-001': { input: 0.2, output: 0.8 },
+      'broken-model': { input: 'free' }
+    }));
+
+    try {
+      expect(estimateCost({ provider: 'openai-compatible', model: 'local-model', inputTokens: 1000000, outputTokens: 500000 })).toBe(2);
+      expect(estimateCost({ provider: 'google', model: 'gemini-2.0-flash-001', inputTokens: 1000000 })).toBe(0.2);
+      expect(estimateCost({ provider: 'ollama', model: 'llama3.1', inputTokens: 1000 })).toBe(0);
+      expect(estimateCost({ provider: 'google', model: 'broken-model', inputTokens: 1000 })).toBeNull();
+    } finally {
+      pricingSettings.pricesFile = originalPricesFile;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should only let requests lower the server budget', () => {
+    const budgetSettings = settings.app.budgetSettings;
+    const original = { ...budgetSettings };
+    Object.assign(budgetSettings, { maxTokens: 100000, maxCost: null, maxSearches: 20, maxDuration: null });
+
+    try {
+      expect(resolveBudget({ maxTokens: 500000, maxSearches: 5, maxDuration: 60, maxCost: 'free' })).toEqual({
+        maxTokens: 100000,
+        maxCost: null,
+        maxSearches: 5,
+        maxDuration: 60
+      });
+      expect(resolveBudget()).toEqual({ maxTokens: 100000, maxCost: null, maxSearches: 20, maxDuration: null });
+    } finally {
+      Object.assign(budgetSettings, original);
+    }
+  });
+
+  test('should stay over budget once a limit is reached', () => {
+    const run = createResearchRun({}, { budget: { maxTokens: 1000, maxCost: null, maxSearches: 2, maxDuration: null } });
+
+    run.recordSearch();
+    expect(run.checkBudget()).toBeNull();
+    run.recordSearch();
+    expect(run.checkBudget()).toBe('maxSearches');
+    expect(run.checkBudget()).toBe('maxSearches');
+
+    const result = run.toJSON();
+    expect(result.truncated).toBe(true);
+    expect(result.budget).toMatchObject({ exceeded: 'maxSearches', spent: { searches: 2, tokens: 0 } });
+    expect(createResearchRun().toJSON()).toMatchObject({ budget: null, truncated: false });
+  });
+
+  test('should write the report from partial research when the budget is reached', async () => {
+    const result = await performStructuredResearch('Solar power', 'en-US', 'mock', undefined, 'mock', 3, {
+      budget: { maxSearches: 1 }
+    });
+
+    expect(result.truncated).toBe(true);
+    expect(result.budget).toMatchObject({ limits: { maxSearches: 1 }, spent: { searches: 1 }, exceeded: 'maxSearches' });
+    expect(result.iterations).toHaveLength(1);
+    expect(result.report).toContain('stopped early after reaching its maxSearches budget');
+  });
+
+  test('should research a query tree, planning follow-ups per branch', async () => {
+    const result = await performStructuredResearch('Solar power', 'en-US', 'mock', undefined, 'mock', 3, {
+      breadth: 2,
+      depth: 2
+    });
+
+    // The initial queries are cut to the breadth and every result becomes a root node
+    expect(result.iterations[0].queries).toHaveLength(2);
+    expect(result.tree.map(node => [node.id, node.parentId, node.depth])).toEqual([
+      ['node-1', null, 1],
+      ['node-2', null, 1]
+    ]);
+    // Each root plans its own follow-up queries, but the last level does not
+    const reviews = result.timings.steps.filter(step => step.step === 'reviewing');
+    expect(reviews.map(step => step.parentId)).toEqual(['node-1', 'node-2']);
+    result.tree.forEach(node => {
+      node.children.forEach(child => expect(child).toMatchObject({ parentId: node.id, depth: 2, children: [] }));
+    });
+  });
+
+  test('should not plan follow-ups for a tree of depth 1', async () => {
+    const result = await performStructuredResearch('Solar power', 'en-US', 'mock', undefined, 'mock', 3, {
+      breadth: 1,
+      depth: 1
+    });
+
+    expect(result.tree).toHaveLength(1);
+    expect(result.tree[0].children).toEqual([]);
+    expect(result.iterations).toHaveLength(1);
+    expect(result.timings.steps.some(step => step.step === 'reviewing')).toBe(false);
+  });
+
+});
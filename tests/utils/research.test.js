@@ -96,9 +96,8 @@ describe('Research Utility', () => {
     provider = research.createProvider('openrouter', 'anthropic/claude-3-opus:beta');
     expect(provider).toHaveProperty('generateContent');
     
-    // Test with unsupported provider (should default to Google)
-    provider = research.createProvider('unsupported', 'some-model');
-    expect(provider).toHaveProperty('generateContent');
+    // Test with unsupported provider (should be rejected)
+    expect(() => research.createProvider('unsupported', 'some-model')).toThrow('Unsupported LLM provider');
   });
   
   test('should generate search queries for a given topic', async () => {
@@ -0,0 +1,102 @@
+/**
+ * Response Format Tests
+ */
+const request = require('supertest');
+const express = require('express');
+const { toXml, createResponseFormatter } = require('../../src/utils/response-format');
+
+const report = '# Solar Power\n\nSolar power is <growing> & cheap.';
+
+/**
+ * Create an app answering with a report and a job list in the negotiated format
+ */
+function createApp(responseSettings = {}) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.requestId = 'req-123';
+    next();
+  });
+  app.use('/api', createResponseFormatter({
+    includeTimingInfo: true,
+    includeRequestId: true,
+    includeApiVersion: true,
+    defaultFormat: 'json',
+    availableFormats: ['json', 'xml', 'markdown'],
+    envelope: false,
+    prettyPrintJson: false,
+    ...responseSettings
+  }));
+  app.post('/api/research/query', (req, res) => res.json({ report, usage: { totalTokens: 42 } }));
+  app.get('/api/research/jobs', (req, res) => res.json({ jobs: [{ id: 'a', result: null }, { id: 'b' }] }));
+  app.get('/api/research/missing', (req, res) => res.status(404).json({ code: 404, message: 'Job not found' }));
+  return app;
+}
+
+describe('Response Formats', () => {
+  test('should render values as XML elements', () => {
+    expect(toXml({ report, queries: [{ query: 'a' }, { query: 'b' }], error: null, '2nd key': 1 })).toBe(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<response>\n' +
+      '  <report># Solar Power\n\nSolar power is &lt;growing&gt; &amp; cheap.</report>\n' +
+      '  <queries>\n' +
+      '    <item>\n      <query>a</query>\n    </item>\n' +
+      '    <item>\n      <query>b</query>\n    </item>\n' +
+      '  </queries>\n' +
+      '  <error/>\n' +
+      '  <_2nd_key>1</_2nd_key>\n' +
+      '</response>\n'
+    );
+  });
+
+  test('should keep plain JSON by default and send the metadata as headers', async () => {
+    const response = await request(createApp()).post('/api/research/query');
+
+    expect(response.headers['content-type']).toMatch(/application\/json/);
+    expect(response.body).toEqual({ report, usage: { totalTokens: 42 } });
+    expect(response.headers['x-request-id']).toBe('req-123');
+    expect(response.headers['x-api-version']).toBe('v1');
+    expect(response.headers['x-response-time']).toMatch(/^\d+ms$/);
+  });
+
+  test('should negotiate XML from the Accept header', async () => {
+    const response = await request(createApp()).get('/api/research/jobs').set('Accept', 'application/xml');
+
+    expect(response.headers['content-type']).toMatch(/application\/xml/);
+    expect(response.text).toContain('<jobs>\n    <item>\n      <id>a</id>\n      <result/>');
+  });
+
+  test('should send the raw report as Markdown', async () => {
+    const app = createApp();
+
+    const response = await request(app).post('/api/research/query?format=markdown');
+    expect(response.headers['content-type']).toMatch(/text\/markdown/);
+    expect(response.text).toBe(report);
+
+    // Responses without a report and errors stay JSON
+    const jobs = await request(app).get('/api/research/jobs').set('Accept', 'text/markdown');
+    expect(jobs.body.jobs).toHaveLength(2);
+    const missing = await request(app).get('/api/research/missing?format=markdown');
+    expect(missing.status).toBe(404);
+    expect(missing.body.message).toBe('Job not found');
+  });
+
+  test('should wrap responses in the envelope when enabled', async () => {
+    const app = createApp({ envelope: true, includeTimingInfo: false });
+
+    const response = await request(app).post('/api/research/query');
+    expect(response.body).toEqual({
+      data: { report, usage: { totalTokens: 42 } },
+      meta: { requestId: 'req-123', apiVersion: 'v1' }
+    });
+
+    const xml = await request(app).post('/api/research/query?format=xml&envelope=false');
+    expect(xml.text).toMatch(/^<\?xml[^>]*\?>\n<response>\n {2}<report>/);
+  });
+
+  test('should reject formats that are not available', async () => {
+    const response = await request(createApp({ availableFormats: ['json'] })).get('/api/research/jobs?format=xml');
+
+    expect(response.status).toBe(406);
+    expect(response.body.message).toContain('Available formats: json');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Search Result Cache Tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const settings = require('../../src/settings');
+const { getSearchCacheKey, createSearchCache, getSearchCache } = require('../../src/utils/search-cache');
+const { registerSearchProvider } = require('../../src/utils/search-providers');
+const { performSearch } = require('../../src/utils/web-search');
+
+describe('Search Result Cache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'search-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should key searches on provider, normalized query and options', () => {
+    const key = getSearchCacheKey('tavily', 'Solar  Power ', { maxResults: 5, topic: 'news' });
+
+    expect(getSearchCacheKey('tavily', 'solar power', { topic: 'news', maxResults: 5, apiKey: 'key' })).toBe(key);
+    expect(getSearchCacheKey('brave', 'solar power', { maxResults: 5, topic: 'news' })).not.toBe(key);
+    expect(getSearchCacheKey('tavily', 'solar power', { maxResults: 10, topic: 'news' })).not.toBe(key);
+  });
+
+  test('should expire entries after the TTL', async () => {
+    const cache = createSearchCache({ ttl: 20 });
+    await cache.set('key', { results: [] });
+
+    expect(await cache.get('key')).toEqual({ results: [] });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    expect(await cache.get('key')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  test('should evict the least recently used entries', async () => {
+    const cache = createSearchCache({ ttl: 60000, maxEntries: 2 });
+    await cache.set('first', { results: [1] });
+    await cache.set('second', { results: [2] });
+    await cache.get('first');
+    await cache.set('third', { results: [3] });
+
+    expect(await cache.get('second')).toBeNull();
+    expect(await cache.get('first')).toEqual({ results: [1] });
+    expect(await cache.get('third')).toEqual({ results: [3] });
+  });
+
+  test('should keep entries on disk across cache instances', async () => {
+    await createSearchCache({ ttl: 60000, directory }).set('key', { results: ['persisted'] });
+
+    const restarted = createSearchCache({ ttl: 60000, directory });
+
+    expect(await restarted.get('key')).toEqual({ results: ['persisted'] });
+    expect(restarted.getStats()).toMatchObject({ hits: 1, diskHits: 1, size: 1 });
+  });
+
+  test('should answer repeated searches from the cache', async () => {
+    const search = jest.fn().mockResolvedValue({
+      results: [{ title: 'Cached', content: 'Cached content', url: 'https://example.com/cached' }]
+    });
+    registerSearchProvider('cached-test', { search });
+    const appSettings = settings.app.appSettings;
+    const originalEnabled = appSettings.enableSearchResultCaching;
+    appSettings.enableSearchResultCaching = true;
+
+    try {
+      const first = await performSearch('Wind turbines', { searchProvider: 'cached-test', maxResults: 3 });
+      const second = await performSearch('wind turbines', { searchProvider: 'cached-test', maxResults: 3 });
+
+      expect(search).toHaveBeenCalledTimes(1);
+      expect(first.cacheStats).toEqual({ hits: 0, misses: 1 });
+      expect(second).toEqual({ results: first.results, cacheStats: { hits: 1, misses: 0 } });
+    } finally {
+      appSettings.enableSearchResultCaching = originalEnabled;
+      await getSearchCache().clear();
+    }
+  });
+
+  test('should not cache when caching is disabled', async () => {
+    const search = jest.fn().mockResolvedValue({ results: [] });
+    registerSearchProvider('uncached-test', { search });
+    const appSettings = settings.app.appSettings;
+    const originalEnabled = appSettings.enableSearchResultCaching;
+    appSettings.enableSearchResultCaching = false;
+
+    try {
+      await performSearch('geothermal', { searchProvider: 'uncached-test' });
+      const result = await performSearch('geothermal', { searchProvider: 'uncached-test' });
+
+      expect(search).toHaveBeenCalledTimes(2);
+      expect(result.cacheStats).toBeUndefined();
+    } finally {
+      appSettings.enableSearchResultCaching = originalEnabled;
+    }
+  });
+});
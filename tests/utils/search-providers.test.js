@@ -0,0 +1,189 @@
+/**
+ * Search Provider Tests
+ *
+ * Every provider is called against a local stub server that records the
+ * request and answers with a response in the format of the real API.
+ */
+const http = require('http');
+const {
+  getSearchProvider,
+  getSearchProviderNames,
+  registerSearchProvider
+} = require('../../src/utils/search-providers');
+const { performSearch } = require('../../src/utils/web-search');
+
+/**
+ * Start a stub server answering every request with the given body
+ */
+function startStubServer(responseBody, status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: new URL(req.url, 'http://localhost'), headers: req.headers, body });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('Search Providers', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) await stub.close();
+    stub = null;
+  });
+
+  test('should register all built-in providers', () => {
+    expect(getSearchProviderNames()).toEqual(
+      expect.arrayContaining(['tavily', 'searxng', 'brave', 'bing', 'serper', 'elasticsearch', 'opensearch', 'mock'])
+    );
+  });
+
+  test('should search Tavily', async () => {
+    stub = await startStubServer({
+      results: [
+        { title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar' },
+        { title: 'Empty', content: '', url: 'https://example.com/empty' }
+      ]
+    });
+
+    const result = await getSearchProvider('tavily').search('solar power', {
+      baseUrl: stub.baseUrl, apiKey: 'tavily_key', maxResults: 3
+    });
+
+    expect(result.results).toEqual([{ title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar' }]);
+    const [request] = stub.requests;
+    expect(request.url.pathname).toBe('/search');
+    expect(request.headers.authorization).toBe('Bearer tavily_key');
+    expect(JSON.parse(request.body)).toMatchObject({ query: 'solar power', max_results: 3 });
+  });
+
+  test('should search SearXNG', async () => {
+    stub = await startStubServer({
+      results: [{ title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar', engine: 'duckduckgo' }]
+    });
+
+    const result = await getSearchProvider('searxng').search('solar power', { baseUrl: stub.baseUrl });
+
+    expect(result.results).toEqual([{ title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar' }]);
+    const [request] = stub.requests;
+    expect(request.url.pathname).toBe('/search');
+    expect(request.url.searchParams.get('q')).toBe('solar power');
+    expect(request.url.searchParams.get('format')).toBe('json');
+  });
+
+  test('should search Brave and strip highlighting', async () => {
+    stub = await startStubServer({
+      web: {
+        results: [{
+          title: '<strong>Solar</strong> study',
+          description: 'Panels reach <strong>22%</strong>',
+          extra_snippets: ['Costs fell'],
+          url: 'https://example.com/solar'
+        }]
+      }
+    });
+
+    const result = await getSearchProvider('brave').search('solar power', {
+      baseUrl: stub.baseUrl, apiKey: 'brave_key', maxResults: 5
+    });
+
+    expect(result.results).toEqual([{ title: 'Solar study', content: 'Panels reach 22% Costs fell', url: 'https://example.com/solar' }]);
+    const [request] = stub.requests;
+    expect(request.url.pathname).toBe('/res/v1/web/search');
+    expect(request.url.searchParams.get('count')).toBe('5');
+    expect(request.headers['x-subscription-token']).toBe('brave_key');
+  });
+
+  test('should search Bing', async () => {
+    stub = await startStubServer({
+      webPages: { value: [{ name: 'Solar study', snippet: 'Panels reach 22%', url: 'https://example.com/solar' }] }
+    });
+
+    const result = await getSearchProvider('bing').search('solar power', { baseUrl: stub.baseUrl, apiKey: 'bing_key' });
+
+    expect(result.results).toEqual([{ title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar' }]);
+    const [request] = stub.requests;
+    expect(request.url.pathname).toBe('/v7.0/search');
+    expect(request.headers['ocp-apim-subscription-key']).toBe('bing_key');
+  });
+
+  test('should search Serper', async () => {
+    stub = await startStubServer({
+      organic: [{ title: 'Solar study', snippet: 'Panels reach 22%', link: 'https://example.com/solar' }]
+    });
+
+    const result = await getSearchProvider('serper').search('solar power', {
+      baseUrl: stub.baseUrl, apiKey: 'serper_key', maxResults: 4
+    });
+
+    expect(result.results).toEqual([{ title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar' }]);
+    const [request] = stub.requests;
+    expect(request.method).toBe('POST');
+    expect(request.headers['x-api-key']).toBe('serper_key');
+    expect(JSON.parse(request.body)).toEqual({ q: 'solar power', num: 4 });
+  });
+
+  test.each(['elasticsearch', 'opensearch'])('should search an %s index', async (providerName) => {
+    stub = await startStubServer({
+      hits: {
+        hits: [
+          { _index: 'documents', _id: '1', _source: { title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar' } },
+          { _index: 'documents', _id: '2', _source: { title: 'Internal memo', content: 'Costs fell' } }
+        ]
+      }
+    });
+
+    const result = await getSearchProvider(providerName).search('solar power', {
+      baseUrl: stub.baseUrl, apiKey: 'index_key', maxResults: 2
+    });
+
+    expect(result.results).toEqual([
+      { title: 'Solar study', content: 'Panels reach 22%', url: 'https://example.com/solar' },
+      { title: 'Internal memo', content: 'Costs fell', url: `${stub.baseUrl}/documents/_doc/2` }
+    ]);
+    const [request] = stub.requests;
+    expect(request.url.pathname).toBe('/documents/_search');
+    expect(request.headers.authorization).toBe('ApiKey index_key');
+    expect(JSON.parse(request.body)).toMatchObject({ size: 2, query: { multi_match: { query: 'solar power' } } });
+  });
+
+  test('should report API errors with their status', async () => {
+    stub = await startStubServer({ error: 'Invalid key' }, 401);
+
+    await expect(getSearchProvider('serper').search('solar power', { baseUrl: stub.baseUrl, apiKey: 'wrong' }))
+      .rejects.toMatchObject({ status: 401 });
+  });
+
+  test('should require configuration for providers without defaults', async () => {
+    await expect(getSearchProvider('searxng').search('solar power', {}))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(getSearchProvider('brave').search('solar power', {}))
+      .rejects.toThrow('Brave Search API key is required');
+  });
+
+  test('should route performSearch through registered providers', async () => {
+    const search = jest.fn().mockResolvedValue({
+      results: [{ title: 'Custom', content: 'Custom content', url: 'https://example.com/custom' }]
+    });
+    registerSearchProvider('custom', { search });
+
+    const result = await performSearch('solar power', { searchProvider: 'custom', maxResults: 3, region: 'eu' });
+
+    expect(result.results[0].title).toBe('Custom');
+    expect(search).toHaveBeenCalledWith('solar power', { maxResults: 3, region: 'eu' });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Sectioned Report Tests
+ */
+const { registerLLMProvider } = require('../../src/utils/llm-providers');
+const { createResearchRun } = require('../../src/utils/research-run');
+const { writeFinalReport } = require('../../src/utils/research');
+
+const academicSections = ['Abstract', 'Introduction', 'Literature Review', 'Methodology', 'Results', 'Discussion', 'Conclusion'];
+
+// Model planning the sections of the academic style and citing the sources each section prompt lists
+const prompts = [];
+let failingSection = null;
+registerLLMProvider('sectioned', {
+  createModel: () => ({
+    generateContent: async (request) => {
+      const prompt = request.contents[0].parts[0].text;
+      prompts.push(prompt);
+      if (prompt.includes('plan the outline')) {
+        const outline = {
+          title: 'Research Report on Solar power',
+          sections: academicSections.map(title => ({ title, description: title, learnings: [] }))
+        };
+        return { response: { text: () => JSON.stringify(outline) } };
+      }
+
+      const section = prompt.match(/Write only the section "([^"]+)"/);
+      if (section && section[1] === failingSection) {
+        throw new Error('Model overloaded');
+      }
+      const numbers = [...prompt.matchAll(/^\[(\d+)\] /gm)].map(match => match[1]);
+      const text = section
+        ? `# ${section[1]} Heading\n\n${numbers.map(number => `A finding [${number}].`).join(' ')}\n\n## Details\n\nMore details.`
+        : '# Solar Power\n\nSolar power is growing [1].\n\n## References\n\n1. [Made up](https://example.com/made-up)';
+      return { response: { text: () => text } };
+    }
+  })
+});
+
+const learnings = [
+  { text: 'Results of the 2023 field trial show 22% panel efficiency', sourceUrls: ['https://example.com/trial'] },
+  { text: 'The methodology of the survey covered 500 households', sourceUrls: ['https://example.com/survey'] },
+  { text: 'Rooftop solar capacity doubled in Germany since 2018', sourceUrls: ['https://example.com/germany'] }
+];
+
+describe('Sectioned Report', () => {
+  beforeEach(() => {
+    prompts.length = 0;
+    failingSection = null;
+  });
+
+  test('should write a comprehensive report section by section with one references list', async () => {
+    const { report, references } = await writeFinalReport(
+      'Solar power', learnings, 'en-US', 'sectioned', 'section-model', '', 'default', 'academic', 'comprehensive',
+      { reportMode: 'sectioned' }
+    );
+
+    const sectionPrompts = prompts.filter(prompt => prompt.includes('Write only the section'));
+    expect(sectionPrompts).toHaveLength(academicSections.length);
+    expect(report.startsWith('# Research Report on Solar power\n')).toBe(true);
+    expect(report.match(/^# /gm)).toHaveLength(1);
+    expect(report.match(/^## .+$/gm)).toEqual([...academicSections.map(title => `## ${title}`), '## References']);
+    expect(report).toContain('### Details');
+    expect(report).not.toContain('Heading');
+    expect(references.map(reference => reference.url).sort()).toEqual(learnings.map(learning => learning.sourceUrls[0]).sort());
+  });
+
+  test('should give each section only the learnings relevant to it', async () => {
+    await writeFinalReport(
+      'Solar power', learnings, 'en-US', 'sectioned', 'section-model', '', 'default', 'academic', 'comprehensive',
+      { reportMode: 'sectioned' }
+    );
+
+    const methodologyPrompt = prompts.find(prompt => prompt.includes('Write only the section "Methodology"'));
+    expect(methodologyPrompt).toContain('500 households');
+    expect(methodologyPrompt).not.toContain('field trial');
+    expect(methodologyPrompt).toContain('(this section)');
+  });
+
+  test('should list the learnings of a section that cannot be written', async () => {
+    failingSection = 'Results';
+    const run = createResearchRun({ query: 'Solar power' });
+
+    const result = await writeFinalReport(
+      'Solar power', learnings, 'en-US', 'sectioned', 'section-model', '', 'default', 'academic', 'comprehensive',
+      { reportMode: 'sectioned', run }
+    );
+
+    expect(result.error).toBeUndefined();
+    expect(result.report).toMatch(/## Results\n\n- Results of the 2023 field trial show 22% panel efficiency \[\d\]/);
+    expect(run.toJSON().errors).toContainEqual({ step: 'writing', section: 'Results', message: 'Model overloaded' });
+  });
+
+  test('should write other detail levels in a single call', async () => {
+    const { report } = await writeFinalReport(
+      'Solar power', learnings, 'en-US', 'sectioned', 'section-model', '', 'default', 'academic', 'standard',
+      { reportMode: 'sectioned' }
+    );
+
+    expect(prompts).toHaveLength(1);
+    expect(report).toContain('Solar power is growing');
+  });
+
+  test('should drop the references of the model when the learnings cite no sources', async () => {
+    const { report, references } = await writeFinalReport(
+      'Solar power', learnings.map(learning => learning.text), 'en-US', 'sectioned', 'section-model', '', 'default', 'academic', 'standard'
+    );
+
+    expect(prompts[0]).not.toMatch(/^\d+\. References/m);
+    expect(report).toBe('# Solar Power\n\nSolar power is growing.');
+    expect(references).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Research Session Store Tests
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../../src/utils/session-store');
+
+describe('Research Session Store', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should record every step of a session', async () => {
+    const store = createSessionStore({ directory });
+    const session = await store.createSession({ topic: 'Solar power' });
+
+    await store.recordStep(session.id, 'start', {
+      queries: [{ query: 'Solar panel efficiency', researchGoal: 'Find efficiency data' }],
+      options: { language: 'en-US', provider: 'google' }
+    });
+    await store.recordStep(session.id, 'search', {
+      results: [{ query: 'Solar panel efficiency', sources: [], learnings: ['Panels reach 22% efficiency'] }],
+      options: { searchProvider: 'tavily' }
+    });
+    await store.recordStep(session.id, 'review', {
+      queries: [{ query: 'Perovskite cells', researchGoal: 'Check new materials' }]
+    });
+
+    const stored = await store.getSession(session.id);
+    expect(stored.lastCompletedStep).toBe('review');
+    expect(stored.iteration).toBe(1);
+    expect(stored.queries.map(query => query.iteration)).toEqual([0, 1]);
+    expect(stored.pendingQueries).toEqual([{ query: 'Perovskite cells', researchGoal: 'Check new materials' }]);
+    expect(stored.learnings).toEqual(['Panels reach 22% efficiency']);
+    expect(stored.options).toEqual({ language: 'en-US', provider: 'google', searchProvider: 'tavily' });
+    expect(stored.steps.map(step => step.step)).toEqual(['start', 'search', 'review']);
+  });
+
+  test('should resume a session from disk in a new store', async () => {
+    const session = await createSessionStore({ directory }).createSession({ topic: 'Solar power' });
+    await createSessionStore({ directory }).recordStep(session.id, 'report', { report: '# Solar power', filePath: 'reports/solar.md' });
+
+    const resumed = await createSessionStore({ directory }).getSession(session.id);
+    expect(resumed.topic).toBe('Solar power');
+    expect(resumed.report).toEqual({ report: '# Solar power', references: [], filePath: 'reports/solar.md' });
+
+    const sessions = await createSessionStore({ directory }).listSessions();
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({ id: session.id, lastCompletedStep: 'report', hasReport: true });
+  });
+
+  test('should list only the sessions of a client', async () => {
+    const store = createSessionStore({ directory });
+    const own = await store.createSession({ topic: 'Solar power', client: 'alpha' });
+    await store.createSession({ topic: 'Wind power', client: 'beta' });
+
+    const sessions = await store.listSessions({ client: 'alpha' });
+    expect(sessions.map(session => session.id)).toEqual([own.id]);
+    expect((await store.getSession(own.id)).client).toBe('alpha');
+    expect(await store.listSessions()).toHaveLength(2);
+  });
+
+  test('should not lose concurrent updates to the same session', async () => {
+    const store = createSessionStore({ directory });
+    const session = await store.createSession({ topic: 'Solar power' });
+
+    await Promise.all(['First', 'Second', 'Third'].map(learning => store.recordStep(session.id, 'search', {
+      results: [{ query: learning, learnings: [learning] }]
+    })));
+
+    const stored = await store.getSession(session.id);
+    expect(stored.learnings.sort()).toEqual(['First', 'Second', 'Third']);
+  });
+
+  test('should return null for unknown and malformed session IDs', async () => {
+    const store = createSessionStore({ directory });
+
+    expect(await store.getSession('00000000-0000-4000-8000-000000000000')).toBeNull();
+    expect(await store.getSession('../package')).toBeNull();
+    expect(await store.recordStep('../package', 'start', { queries: [] })).toBeNull();
+    expect(await store.deleteSession('../package')).toBe(false);
+  });
+});
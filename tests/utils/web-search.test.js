@@ -2,6 +2,7 @@
  * Web Search Utility Tests
  */
 const { performSearch } = require('../../src/utils/web-search');
+const { getSearchCache } = require('../../src/utils/search-cache');
 
 // Mock fetch
 global.fetch = jest.fn();
@@ -67,10 +68,14 @@ jest.mock('../../src/settings', () => {
 
 describe('Web Search Utility', () => {
   // Setup and teardown
-  beforeEach(() => {
+  beforeEach(async () => {
     // Reset mocks
     jest.clearAllMocks();
 
+    // Start without cached search results
+    const searchCache = getSearchCache();
+    if (searchCache) await searchCache.clear();
+
     // Ensure mock mode is disabled for tests
     process.env.USE_MOCK_MODE = 'false';
 